@@ -0,0 +1,149 @@
+#!/usr/bin/env node
+// bin/pdftool.js - Batch conversion of local files and folders without the server, for cron jobs:
+//   pdftool convert ./in --to pdf --quality 70 --max-dim 2000 --compress --out ./out
+// Reads the same environment variables as server.js (engines, CloudConvert, OCR, input limits). Prints
+// one line per input to stderr and writes a JSON report; exits 1 when an input failed, 2 on bad usage.
+
+try { require('dotenv').config(); } catch (e) { /* ignore if dotenv not installed */ }
+
+// JSON logs (lib/log.js, also in the worker threads) go to stderr, as stdout may carry the report, and
+// unless LOG_LEVEL says otherwise only errors are logged: failed inputs are reported per file anyway
+process.env.LOG_STREAM = 'stderr';
+if (!process.env.LOG_LEVEL) process.env.LOG_LEVEL = 'error';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { converterConfigFromEnv, createConverter } = require('../lib/convert');
+const { collectInputs, runBatch } = require('../lib/batch');
+
+const USAGE = `Usage: pdftool convert <file|folder|glob>... --to <format> --out <folder> [options]
+
+Options:
+  --to <format>            output format: pdf, jpeg, png, webp, avif, tiff, gif, txt, html, md
+  --out <folder>           where the results go (the input folder layout is kept)
+  --quality <10-95>        encoder quality (default 80)
+  --max-dim <px>           longest image side (default MAX_DIMENSION or 2480)
+  --compress               compress PDF output
+  --compress-mode <mode>   smart, lossless or flatten (default smart)
+  --target-size <size>     e.g. 500KB: search quality / size to stay under it
+  --per-page               one text file per PDF page (txt / html / md)
+  --password <password>    password for protected PDF inputs
+  --include <glob>         only inputs matching the glob (repeatable)
+  --exclude <glob>         skip inputs matching the glob (repeatable)
+  --no-recursive           do not descend into sub-folders
+  --parallel <n>           conversions at once (default: CPUs, at most 4)
+  --dry-run                list what would be converted, convert nothing
+  --report <file>          JSON report path (default <out>/pdftool-report.json, - for stdout)
+  --quiet                  no per-file lines
+  -h, --help               this help`;
+
+const VALUE_FLAGS = ['to', 'out', 'quality', 'max-dim', 'compress-mode', 'target-size', 'password', 'include', 'exclude', 'parallel', 'report'];
+const BOOLEAN_FLAGS = ['compress', 'per-page', 'dry-run', 'no-recursive', 'quiet', 'help'];
+const REPEATABLE = ['include', 'exclude'];
+const OUTPUT_FORMATS = ['pdf', 'jpeg', 'jpg', 'png', 'webp', 'avif', 'heic', 'heif', 'tiff', 'tif', 'gif', 'txt', 'html', 'md'];
+
+class UsageError extends Error {}
+
+// parseArgs: { command, inputs, flags } from argv; --flag value and --flag=value both work
+function parseArgs(argv) {
+  const flags = { include: [], exclude: [] };
+  const positional = [];
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '-h') { flags.help = true; continue; }
+    if (!arg.startsWith('--')) { positional.push(arg); continue; }
+    const eq = arg.indexOf('=');
+    const name = arg.slice(2, eq > 0 ? eq : undefined);
+    if (BOOLEAN_FLAGS.includes(name)) {
+      if (eq > 0) throw new UsageError(`--${name} takes no value`);
+      flags[name] = true;
+    } else if (VALUE_FLAGS.includes(name)) {
+      const value = eq > 0 ? arg.slice(eq + 1) : argv[++i];
+      if (value === undefined) throw new UsageError(`--${name} needs a value`);
+      if (REPEATABLE.includes(name)) flags[name].push(value);
+      else flags[name] = value;
+    } else {
+      throw new UsageError(`Unknown option ${arg}`);
+    }
+  }
+  return { command: positional[0], inputs: positional.slice(1), flags };
+}
+
+// convertBody: the flags as /api/convert form fields, for readConvertOptions
+function convertBody(flags) {
+  const body = { operation: 'convert', targetFormat: flags.to };
+  if (flags.quality) body.quality = flags.quality;
+  if (flags['max-dim']) body.maxDim = flags['max-dim'];
+  if (flags.compress) body.compress = 'true';
+  if (flags['compress-mode']) body.compressMode = flags['compress-mode'];
+  if (flags['target-size']) body.targetSize = flags['target-size'];
+  if (flags['per-page']) body.perPage = 'true';
+  if (flags.password) body.password = flags.password;
+  return body;
+}
+
+const kb = n => `${Math.round(n / 1024)} KB`;
+
+function printFile(entry) {
+  if (entry.status === 'failed') process.stderr.write(`FAIL ${entry.input}: ${entry.error}\n`);
+  else if (entry.status === 'planned') process.stderr.write(`plan ${entry.input} -> ${entry.outputs.map(o => o.path).join(', ')}\n`);
+  else process.stderr.write(`ok   ${entry.input} (${kb(entry.size)}) -> ${entry.outputs.map(o => `${o.path} (${kb(o.size)})`).join(', ')}\n`);
+}
+
+async function main(argv) {
+  const { command, inputs, flags } = parseArgs(argv);
+  if (flags.help || !command) { process.stdout.write(`${USAGE}\n`); return 0; }
+  if (command !== 'convert') throw new UsageError(`Unknown command "${command}"`);
+  if (!inputs.length) throw new UsageError('No input files or folders given');
+  if (!flags.to) throw new UsageError('--to is required');
+  if (!OUTPUT_FORMATS.includes(flags.to.toLowerCase())) throw new UsageError(`Unknown output format "${flags.to}"`);
+  if (!flags.out) throw new UsageError('--out is required');
+  const parallel = flags.parallel ? parseInt(flags.parallel, 10) : Math.min(4, os.cpus().length || 1);
+  if (!(parallel > 0)) throw new UsageError('--parallel must be a positive number');
+
+  const outDir = path.resolve(flags.out);
+  const config = converterConfigFromEnv(process.env, os.tmpdir());
+  const converter = createConverter(config);
+  const body = convertBody(flags);
+  try { converter.readConvertOptions(body, []); } catch (e) { throw new UsageError(e.message); }
+
+  let files;
+  try {
+    files = collectInputs(inputs, { include: flags.include, exclude: flags.exclude, recursive: !flags['no-recursive'], outDir });
+  } catch (e) {
+    throw new UsageError(e.message);
+  }
+  if (!files.length) process.stderr.write('No input files found\n');
+  if (!flags['dry-run']) fs.mkdirSync(outDir, { recursive: true });
+
+  const report = await runBatch(files, {
+    converter,
+    config,
+    body,
+    outDir,
+    parallel,
+    dryRun: !!flags['dry-run'],
+    onFile: flags.quiet ? () => {} : printFile
+  });
+  const { password, ...shown } = body;
+  report.options = Object.assign(shown, password ? { password: '***' } : {});
+
+  const json = JSON.stringify(report, null, 2);
+  const reportPath = flags.report || (flags['dry-run'] ? '-' : path.join(outDir, 'pdftool-report.json'));
+  if (reportPath === '-') process.stdout.write(`${json}\n`);
+  else fs.writeFileSync(reportPath, json);
+  const t = report.totals;
+  process.stderr.write(`${t.inputs} input(s): ${t.converted} converted, ${t.failed} failed${t.planned ? `, ${t.planned} planned` : ''}; ${kb(t.inputBytes)} in, ${kb(t.outputBytes)} out${reportPath === '-' ? '' : `; report ${path.relative(process.cwd(), reportPath)}`}\n`);
+  return t.failed ? 1 : 0;
+}
+
+main(process.argv.slice(2)).then(code => { process.exitCode = code; }, e => {
+  if (e instanceof UsageError) {
+    process.stderr.write(`pdftool: ${e.message}\n\n${USAGE}\n`);
+    process.exitCode = 2;
+    return;
+  }
+  process.stderr.write(`pdftool: ${e && (e.stack || e.message || e)}\n`);
+  process.exitCode = 1;
+});
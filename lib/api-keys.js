@@ -0,0 +1,200 @@
+// lib/api-keys.js - API keys with per-key rate limits, daily quotas and usage accounting.
+// Keys come from a JSON file and/or a comma list ("name:key" or just "key"). The file holds an array
+// (or { "keys": [...] }) of entries like
+//   { "name": "onboarding", "key": "s3cret", "rateLimit": "60/60", "dailyBytes": "500MB",
+//     "dailyJobs": 1000, "dailyCloudConvertJobs": 25 }
+// where "sha256" (hex digest of the key) may replace "key" so the file holds no secrets, and
+// "disabled": true turns a key off. Limits missing from an entry fall back to the defaults; a missing
+// or 0 limit means unlimited. Daily counters run per UTC day and are saved to usageFile when given.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const { log } = require('./log');
+
+const UNITS = { b: 1, kb: 1024, mb: 1024 * 1024, gb: 1024 * 1024 * 1024 };
+const COUNTERS = ['requests', 'jobs', 'bytesIn', 'cloudConvertJobs'];
+
+const sha256 = s => crypto.createHash('sha256').update(String(s)).digest('hex');
+const utcDay = (t = Date.now()) => new Date(t).toISOString().slice(0, 10);
+const emptyCounters = () => COUNTERS.reduce((acc, k) => Object.assign(acc, { [k]: 0 }), {});
+
+// parseBytes: 1048576, '500MB', '2 GB' -> bytes; null when empty or 0 (no limit)
+function parseBytes(value, what) {
+  if (value === undefined || value === null || value === '' || value === 0 || value === '0') return null;
+  const m = String(value).trim().toLowerCase().match(/^(\d+(?:\.\d+)?)\s*(b|kb|mb|gb)?$/);
+  if (!m) throw new Error(`Invalid ${what} "${value}" (use bytes or a number with KB / MB / GB)`);
+  return Math.floor(parseFloat(m[1]) * UNITS[m[2] || 'b']) || null;
+}
+
+// parseCount: a non-negative whole number; null when empty or 0 (no limit)
+function parseCount(value, what) {
+  if (value === undefined || value === null || value === '') return null;
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < 0) throw new Error(`Invalid ${what} "${value}" (use a whole number)`);
+  return n || null;
+}
+
+// parseRate: 120 or '120' (per minute), '120/60' (per 60 seconds) or { requests, perSeconds } ->
+// { requests, perSeconds }; null when empty or 0 (no limit)
+function parseRate(value, what) {
+  if (value === undefined || value === null || value === '' || value === 0 || value === '0') return null;
+  let requests;
+  let perSeconds = 60;
+  if (typeof value === 'object') {
+    requests = Number(value.requests);
+    if (value.perSeconds !== undefined) perSeconds = Number(value.perSeconds);
+  } else {
+    const m = String(value).trim().match(/^(\d+)(?:\s*\/\s*(\d+))?$/);
+    if (!m) throw new Error(`Invalid ${what} "${value}" (use requests or requests/seconds)`);
+    requests = parseInt(m[1], 10);
+    if (m[2]) perSeconds = parseInt(m[2], 10);
+  }
+  if (!(requests > 0) || !(perSeconds > 0)) throw new Error(`Invalid ${what} "${JSON.stringify(value)}"`);
+  return { requests, perSeconds };
+}
+
+// limitsOf: the limits of a key entry, defaults filled in
+function limitsOf(entry, defaults, label) {
+  const pick = k => (entry[k] !== undefined ? entry[k] : defaults[k]);
+  return {
+    rateLimit: parseRate(pick('rateLimit'), `rateLimit of ${label}`),
+    dailyBytes: parseBytes(pick('dailyBytes'), `dailyBytes of ${label}`),
+    dailyJobs: parseCount(pick('dailyJobs'), `dailyJobs of ${label}`),
+    dailyCloudConvertJobs: parseCount(pick('dailyCloudConvertJobs'), `dailyCloudConvertJobs of ${label}`)
+  };
+}
+
+// readKeyEntries: raw entries from the key file and the comma list
+function readKeyEntries(file, list) {
+  const entries = [];
+  if (file) {
+    let cfg;
+    try { cfg = JSON.parse(fs.readFileSync(file, 'utf8')); } catch (e) { throw new Error(`Cannot read API key file ${file}: ${e.message}`); }
+    const fromFile = Array.isArray(cfg) ? cfg : cfg && cfg.keys;
+    if (!Array.isArray(fromFile)) throw new Error(`API key file ${file} must hold an array of keys (or { "keys": [...] })`);
+    entries.push(...fromFile);
+  }
+  for (const item of String(list || '').split(',')) {
+    const s = item.trim();
+    if (!s) continue;
+    const i = s.indexOf(':');
+    entries.push(i > 0 ? { name: s.slice(0, i), key: s.slice(i + 1) } : { name: `key-${sha256(s).slice(0, 8)}`, key: s });
+  }
+  return entries;
+}
+
+// createApiKeys({ file, list, defaults, usageFile }): enabled is false when no key is configured; keys
+// that are all disabled still enable it, so the API then refuses every request
+function createApiKeys({ file = null, list = '', defaults = {}, usageFile = null } = {}) {
+  const byHash = new Map();
+  const names = new Set();
+  for (const entry of readKeyEntries(file, list)) {
+    const name = String(entry.name || '').trim();
+    if (!name) throw new Error('Every API key needs a "name"');
+    if (names.has(name)) throw new Error(`Duplicate API key name "${name}"`);
+    const hash = entry.sha256 ? String(entry.sha256).toLowerCase() : entry.key ? sha256(entry.key) : null;
+    if (!hash || !/^[0-9a-f]{64}$/.test(hash)) throw new Error(`API key "${name}" needs a "key" or a "sha256" digest`);
+    names.add(name);
+    if (entry.disabled) continue;
+    byHash.set(hash, { name, limits: limitsOf(entry, defaults, `API key "${name}"`) });
+  }
+
+  // usage: { day, daily: { name: counters }, total: { name: counters } }
+  let usage = { day: utcDay(), daily: {}, total: {} };
+  if (usageFile) {
+    try { usage = Object.assign(usage, JSON.parse(fs.readFileSync(usageFile, 'utf8'))); } catch (e) { /* first run */ }
+  }
+  const buckets = new Map();
+  let saveTimer = null;
+
+  function save() {
+    if (!usageFile || saveTimer) return;
+    saveTimer = setTimeout(() => {
+      saveTimer = null;
+      try { fs.writeFileSync(usageFile, JSON.stringify(usage, null, 2)); } catch (e) {
+        log.warn('api-keys: could not save usage', { usageFile, error: e && e.message });
+      }
+    }, 1000);
+    if (saveTimer.unref) saveTimer.unref();
+  }
+
+  function rollDay() {
+    const day = utcDay();
+    if (usage.day !== day) usage = { day, daily: {}, total: usage.total };
+  }
+
+  function counters(group, name) {
+    if (!usage[group][name]) usage[group][name] = emptyCounters();
+    return usage[group][name];
+  }
+
+  // authenticate: the key record ({ name, limits }) for a presented key, or null
+  function authenticate(presented) {
+    if (!presented) return null;
+    return byHash.get(sha256(presented)) || null;
+  }
+
+  // takeRequest: counts a request against the key's rate limit (token bucket). Resolves
+  // { ok, limit, remaining, retryAfter } (retryAfter in seconds when refused).
+  function takeRequest(key) {
+    const rate = key.limits.rateLimit;
+    rollDay();
+    counters('daily', key.name).requests++;
+    counters('total', key.name).requests++;
+    save();
+    if (!rate) return { ok: true, limit: null, remaining: null, retryAfter: 0 };
+    const now = Date.now();
+    const perMs = rate.requests / (rate.perSeconds * 1000);
+    const b = buckets.get(key.name) || { tokens: rate.requests, at: now };
+    b.tokens = Math.min(rate.requests, b.tokens + (now - b.at) * perMs);
+    b.at = now;
+    buckets.set(key.name, b);
+    if (b.tokens < 1) return { ok: false, limit: rate.requests, remaining: 0, retryAfter: Math.ceil((1 - b.tokens) / perMs / 1000) };
+    b.tokens -= 1;
+    return { ok: true, limit: rate.requests, remaining: Math.floor(b.tokens), retryAfter: 0 };
+  }
+
+  // overQuota: the first daily limit that `add` ({ bytesIn, jobs }) would exceed, as
+  // { quota, limit, used, retryAfter }, or null. An exhausted CloudConvert allowance refuses new jobs.
+  function overQuota(key, add = {}) {
+    rollDay();
+    const used = counters('daily', key.name);
+    const { dailyBytes, dailyJobs, dailyCloudConvertJobs } = key.limits;
+    const retryAfter = Math.ceil((Date.parse(`${usage.day}T00:00:00Z`) + 24 * 3600 * 1000 - Date.now()) / 1000);
+    if (dailyBytes && add.bytesIn && used.bytesIn + add.bytesIn > dailyBytes) return { quota: 'dailyBytes', limit: dailyBytes, used: used.bytesIn, retryAfter };
+    if (dailyJobs && add.jobs && used.jobs + add.jobs > dailyJobs) return { quota: 'dailyJobs', limit: dailyJobs, used: used.jobs, retryAfter };
+    if (dailyCloudConvertJobs && add.jobs && used.cloudConvertJobs >= dailyCloudConvertJobs) {
+      return { quota: 'dailyCloudConvertJobs', limit: dailyCloudConvertJobs, used: used.cloudConvertJobs, retryAfter };
+    }
+    return null;
+  }
+
+  // charge(name, { bytesIn, jobs, cloudConvertJobs }): adds to the key's daily and total counters
+  function charge(name, add = {}) {
+    if (!name) return;
+    rollDay();
+    for (const group of ['daily', 'total']) {
+      const c = counters(group, name);
+      for (const k of COUNTERS) if (add[k]) c[k] += add[k];
+    }
+    save();
+  }
+
+  // usageOf: what a key used today and overall, with its limits
+  function usageOf(key) {
+    rollDay();
+    return { name: key.name, day: usage.day, today: Object.assign(emptyCounters(), usage.daily[key.name]), total: Object.assign(emptyCounters(), usage.total[key.name]), limits: key.limits };
+  }
+
+  return {
+    enabled: names.size > 0,
+    authenticate,
+    takeRequest,
+    overQuota,
+    charge,
+    usageOf,
+    info: () => ({ enabled: names.size > 0, keys: byHash.size, disabled: names.size - byHash.size, usageFile: usageFile || null })
+  };
+}
+
+module.exports = { createApiKeys, parseBytes, parseRate };
@@ -0,0 +1,196 @@
+// lib/batch.js - Batch conversion of local files for bin/pdftool.js. Inputs are files, folders (walked,
+// recursively by default) or glob patterns; every input is converted on its own through the same
+// pipeline as /api/convert (lib/convert.js, in the worker pool of lib/worker-pool.js) and its outputs are
+// written to the out folder, mirroring the input's place below its folder. The run ends in a report.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createWorkerPool } = require('./worker-pool');
+
+const GLOB_CHARS = /[*?[{]/;
+
+// globToRegExp: '*' and '?' within a path segment, '**' across segments, [abc] classes and {a,b}
+// alternatives; matched against '/'-separated relative paths
+function globToRegExp(pattern) {
+  let re = '';
+  let braces = 0;
+  for (let i = 0; i < pattern.length; i++) {
+    const c = pattern[i];
+    if (c === '*' && pattern[i + 1] === '*') {
+      const slash = pattern[i + 2] === '/';
+      re += slash ? '(?:.*/)?' : '.*';
+      i += slash ? 2 : 1;
+    } else if (c === '*') re += '[^/]*';
+    else if (c === '?') re += '[^/]';
+    else if (c === '[') {
+      const end = pattern.indexOf(']', i + 1);
+      if (end < 0) { re += '\\['; continue; }
+      re += `[${pattern.slice(i + 1, end).replace(/^!/, '^').replace(/\\/g, '\\\\')}]`;
+      i = end;
+    } else if (c === '{') { re += '(?:'; braces++; }
+    else if (c === '}' && braces) { re += ')'; braces--; }
+    else if (c === ',' && braces) re += '|';
+    else re += c.replace(/[.+^$()|\\]/g, '\\$&');
+  }
+  return new RegExp(`^${re}$`, process.platform === 'win32' ? 'i' : '');
+}
+
+// matches: a pattern without '/' is tried against the file name as well as the relative path
+function matches(regexps, rel) {
+  const base = rel.split('/').pop();
+  return regexps.some(({ re, slash }) => re.test(rel) || (!slash && re.test(base)));
+}
+
+const compile = patterns => (patterns || []).map(p => ({ re: globToRegExp(p.replace(/\\/g, '/')), slash: p.includes('/') }));
+
+// walk: files below dir (relative '/'-separated paths), skipping dot files and the skip folder
+function walk(dir, recursive, skip, prefix = '') {
+  const found = [];
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true }).sort((a, b) => a.name.localeCompare(b.name))) {
+    if (entry.name.startsWith('.')) continue;
+    const abs = path.join(dir, entry.name);
+    const rel = prefix ? `${prefix}/${entry.name}` : entry.name;
+    if (entry.isDirectory()) {
+      if (recursive && path.resolve(abs) !== skip) found.push(...walk(abs, recursive, skip, rel));
+    } else if (entry.isFile()) {
+      found.push(rel);
+    }
+  }
+  return found;
+}
+
+// collectInputs(args, { include, exclude, recursive, outDir }): [{ path, rel }] for the command line
+// inputs; rel is the place below the input folder (the file name for single files and the part after
+// the fixed prefix for globs). include / exclude are glob lists applied to rel. The out folder is never
+// read as input, so repeated runs do not convert their own results.
+function collectInputs(args, { include = [], exclude = [], recursive = true, outDir = null } = {}) {
+  const inc = compile(include);
+  const exc = compile(exclude);
+  const skip = outDir ? path.resolve(outDir) : null;
+  const seen = new Set();
+  const inputs = [];
+  const add = (root, rel) => {
+    const abs = path.resolve(root, rel);
+    if (seen.has(abs)) return;
+    if (inc.length && !matches(inc, rel)) return;
+    if (exc.length && matches(exc, rel)) return;
+    seen.add(abs);
+    inputs.push({ path: abs, rel });
+  };
+  for (const arg of args) {
+    const stat = fs.statSync(arg, { throwIfNoEntry: false });
+    if (stat && stat.isFile()) { add(path.dirname(arg), path.basename(arg)); continue; }
+    if (stat && stat.isDirectory()) { for (const rel of walk(arg, recursive, skip)) add(arg, rel); continue; }
+    const pattern = arg.replace(/\\/g, '/');
+    if (!GLOB_CHARS.test(pattern)) throw new Error(`No such file or folder: ${arg}`);
+    const parts = pattern.split('/');
+    const fixed = parts.slice(0, parts.findIndex(p => GLOB_CHARS.test(p)));
+    const root = fixed.join('/') || '.';
+    const re = globToRegExp(parts.slice(fixed.length).join('/'));
+    if (!fs.existsSync(root)) throw new Error(`No such folder: ${root}`);
+    for (const rel of walk(root, true, skip)) if (re.test(rel)) add(root, rel);
+  }
+  return inputs;
+}
+
+// moveFile: rename, or copy when the temp folder is on another file system
+function moveFile(from, to) {
+  try { fs.renameSync(from, to); } catch (e) { fs.copyFileSync(from, to); fs.unlinkSync(from); }
+}
+
+// outputPath: where an output of the input at rel goes. A single output is named after the input
+// (a.jpg -> a.pdf); several (pages, frames) keep the pipeline's names. Names are unique within the run.
+function outputPath(outDir, rel, output, count, taken) {
+  const dir = path.join(outDir, path.dirname(rel));
+  const parsed = path.parse(count === 1 ? `${path.parse(rel).name}${path.extname(output.name)}` : path.basename(output.name));
+  let file = path.join(dir, parsed.base);
+  for (let n = 2; taken.has(file); n++) file = path.join(dir, `${parsed.name}_${n}${parsed.ext}`);
+  taken.add(file);
+  return file;
+}
+
+// runBatch(inputs, { converter, config, body, outDir, parallel, dryRun, onFile }): converts the inputs
+// from collectInputs with the API's form fields in body (targetFormat, quality, maxDim, compress, ...)
+// and resolves the report { dryRun, startedAt, finishedAt, durationMs, outDir, totals, files }.
+// converter checks the inputs and reads the options; config is its config, handed to the workers.
+// onFile(entry) is called as each input finishes.
+async function runBatch(inputs, { converter, config, body, outDir, parallel = 1, dryRun = false, onFile = () => {} }) {
+  const startedAt = new Date();
+  const files = inputs.map(input => ({ input: path.relative(process.cwd(), input.path) || input.path, size: fs.statSync(input.path).size, format: null, status: 'pending', outputs: [], error: null, code: null }));
+  const pool = dryRun ? null : createWorkerPool({
+    script: path.join(__dirname, 'convert-worker.js'),
+    size: parallel,
+    maxQueue: parallel,
+    workerData: { config }
+  });
+  const taken = new Set();
+  const tmpRoot = dryRun ? null : fs.mkdtempSync(path.join(os.tmpdir(), 'pdftool-'));
+
+  async function convertOne(i) {
+    const input = inputs[i];
+    const entry = files[i];
+    const upload = { path: input.path, originalname: path.basename(input.path), size: entry.size, mimetype: '' };
+    try {
+      entry.format = converter.uploadChecks.checkFile(upload);
+      if (/^image\//.test(upload.mimetype)) await converter.uploadChecks.checkImage(converter.sharp, upload);
+      const opts = converter.readConvertOptions(body, [upload]);
+      if (dryRun) {
+        const dest = outputPath(outDir, input.rel, { name: `planned.${opts.targetFormat}` }, 1, taken);
+        entry.outputs.push({ path: path.relative(process.cwd(), dest), size: null });
+        entry.status = 'planned';
+        return;
+      }
+      const tmp = fs.mkdtempSync(path.join(tmpRoot, 'in_'));
+      try {
+        const result = await pool.run({ files: [upload], opts, outDir: tmp });
+        for (const o of result.outputs) {
+          const dest = outputPath(outDir, input.rel, o, result.outputs.length, taken);
+          fs.mkdirSync(path.dirname(dest), { recursive: true });
+          moveFile(o.path, dest);
+          entry.outputs.push({ path: path.relative(process.cwd(), dest), size: o.size, mime: o.mime });
+        }
+        if (result.cloudJobIds.length) entry.cloudJobs = result.cloudJobIds;
+        entry.status = 'done';
+      } finally {
+        fs.rmSync(tmp, { recursive: true, force: true });
+      }
+    } catch (e) {
+      Object.assign(entry, { status: 'failed', error: e.message || String(e), code: e.code || null });
+    } finally {
+      onFile(entry);
+    }
+  }
+
+  let next = 0;
+  const lanes = Array.from({ length: Math.max(1, Math.min(parallel, inputs.length)) }, async () => {
+    while (next < inputs.length) await convertOne(next++);
+  });
+  try {
+    await Promise.all(lanes);
+  } finally {
+    if (pool) await pool.close();
+    if (tmpRoot) fs.rmSync(tmpRoot, { recursive: true, force: true });
+  }
+
+  const finishedAt = new Date();
+  const count = status => files.filter(f => f.status === status).length;
+  return {
+    dryRun,
+    startedAt: startedAt.toISOString(),
+    finishedAt: finishedAt.toISOString(),
+    durationMs: finishedAt - startedAt,
+    outDir: path.relative(process.cwd(), outDir) || '.',
+    totals: {
+      inputs: files.length,
+      converted: count('done'),
+      failed: count('failed'),
+      planned: count('planned'),
+      inputBytes: files.reduce((sum, f) => sum + f.size, 0),
+      outputBytes: files.reduce((sum, f) => sum + f.outputs.reduce((s, o) => s + (o.size || 0), 0), 0)
+    },
+    files
+  };
+}
+
+module.exports = { globToRegExp, collectInputs, runBatch };
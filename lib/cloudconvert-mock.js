@@ -0,0 +1,149 @@
+// lib/cloudconvert-mock.js - Local stand-in for the CloudConvert v2 API, so the fallback path can be
+// exercised offline. Implements the calls cloudConvertFallbackConvert makes:
+//   POST /v2/jobs                  create job (import/upload -> convert -> export/url)
+//   POST /upload/:taskId           multipart upload target handed out by the import task
+//   GET  /v2/jobs/:id              job status; finishes after `pollsUntilFinished` polls
+//   GET  /files/:jobId/:filename   export download
+// Outputs are placeholders: a small JPEG/PNG per page for image targets, a one-page PDF naming the
+// source for pdf, plain text otherwise. Jobs whose output format is listed in `failFormats` end in
+// status "error".
+//
+// Standalone: `npm run mock:cloudconvert` (port MOCK_CLOUDCONVERT_PORT, default 3901), then start the
+// server with CLOUDCONVERT_BASE_URL=http://localhost:3901/v2 CLOUDCONVERT_API_KEY=anything
+// CLOUDCONVERT_POLL_MS=200.
+
+const path = require('path');
+const express = require('express');
+const multer = require('multer');
+const { v4: uuidv4 } = require('uuid');
+const { PDFDocument, StandardFonts } = require('pdf-lib');
+const { log } = require('./log');
+
+const SAMPLE_JPEG = Buffer.from('/9j/2wBDABALDA4MChAODQ4SERATGCgaGBYWGDEjJR0oOjM9PDkzODdASFxOQERXRTc4UG1RV19iZ2hnPk1xeXBkeFxlZ2P/2wBDARESEhgVGC8aGi9jQjhCY2NjY2NjY2NjY2NjY2NjY2NjY2NjY2NjY2NjY2NjY2NjY2NjY2NjY2NjY2NjY2NjY2P/wAARCAAIAAgDASIAAhEBAxEB/8QAFQABAQAAAAAAAAAAAAAAAAAAAAb/xAAUEAEAAAAAAAAAAAAAAAAAAAAA/8QAFAEBAAAAAAAAAAAAAAAAAAAAAP/EABQRAQAAAAAAAAAAAAAAAAAAAAD/2gAMAwEAAhEDEQA/AKYAH//Z', 'base64');
+const SAMPLE_PNG = Buffer.from('iVBORw0KGgoAAAANSUhEUgAAAAgAAAAICAIAAABLbSncAAAACXBIWXMAAAPoAAAD6AG1e1JrAAAAD0lEQVR4nGM4gwMwDC0JAMg9mQEkEhIxAAAAAElFTkSuQmCC', 'base64');
+
+// defaultConvert: placeholder output files [{ filename, buffer }] for an uploaded file
+async function defaultConvert({ filename, buffer, outputFormat }) {
+  const base = path.parse(filename).name;
+  const isPdf = buffer.slice(0, 5).toString('latin1') === '%PDF-';
+  if (outputFormat === 'jpg' || outputFormat === 'png') {
+    let pages = 1;
+    if (isPdf) try { pages = (await PDFDocument.load(buffer)).getPageCount(); } catch (e) {}
+    const sample = outputFormat === 'png' ? SAMPLE_PNG : SAMPLE_JPEG;
+    if (pages === 1) return [{ filename: `${base}.${outputFormat}`, buffer: sample }];
+    return Array.from({ length: pages }, (_, i) => ({ filename: `${base}-${i + 1}.${outputFormat}`, buffer: sample }));
+  }
+  if (outputFormat === 'pdf') {
+    const doc = await PDFDocument.create();
+    const font = await doc.embedFont(StandardFonts.Helvetica);
+    doc.addPage([595, 842]).drawText(`Mock CloudConvert output for ${filename}`, { x: 50, y: 780, size: 14, font });
+    return [{ filename: `${base}.pdf`, buffer: Buffer.from(await doc.save()) }];
+  }
+  return [{ filename: `${base}.${outputFormat}`, buffer: Buffer.from(`Mock CloudConvert ${outputFormat} output for ${filename}\n`) }];
+}
+
+function createMockCloudConvert({ convert = defaultConvert, pollsUntilFinished = 1, failFormats = [] } = {}) {
+  const app = express();
+  const jobs = new Map();
+  const uploadsByTask = new Map();
+  const upload = multer({ storage: multer.memoryStorage() });
+  app.use(express.json({ limit: '1mb' }));
+
+  const baseOf = req => `${req.protocol}://${req.get('host')}`;
+  const requireAuth = (req, res, next) => {
+    if (!/^Bearer \S+/.test(req.get('authorization') || '')) return res.status(401).json({ message: 'Unauthenticated.', code: 'UNAUTHENTICATED' });
+    next();
+  };
+
+  app.post('/v2/jobs', requireAuth, (req, res) => {
+    const specs = (req.body && req.body.tasks) || {};
+    const job = { id: uuidv4(), status: 'waiting', created_at: new Date().toISOString(), polls: 0, tasks: [], files: null };
+    for (const name of Object.keys(specs)) {
+      const spec = specs[name];
+      const task = { id: uuidv4(), name, operation: spec.operation, status: 'waiting', result: null, spec };
+      if (spec.operation === 'import/upload') {
+        task.result = { form: { url: `${baseOf(req)}/upload/${task.id}`, parameters: { expires: String(Date.now() + 3600000), signature: 'mock' } } };
+        uploadsByTask.set(task.id, job);
+      }
+      job.tasks.push(task);
+    }
+    if (!job.tasks.some(t => t.operation === 'import/upload') || !job.tasks.some(t => t.operation === 'convert')) {
+      return res.status(422).json({ message: 'The given data was invalid.', code: 'INVALID_DATA' });
+    }
+    jobs.set(job.id, job);
+    res.status(201).json({ data: view(job) });
+  });
+
+  app.post('/upload/:taskId', upload.single('file'), async (req, res) => {
+    const job = uploadsByTask.get(req.params.taskId);
+    if (!job || !req.file) return res.status(400).send('bad upload');
+    const importTask = job.tasks.find(t => t.id === req.params.taskId);
+    const convertTask = job.tasks.find(t => t.operation === 'convert');
+    const outputFormat = String(convertTask.spec.output_format || '').toLowerCase();
+    importTask.status = 'finished';
+    job.status = 'processing';
+    if (failFormats.includes(outputFormat)) {
+      convertTask.status = 'error';
+      convertTask.message = `Mock conversion to ${outputFormat} failed`;
+      job.status = 'error';
+    } else {
+      try {
+        job.files = await convert({ filename: req.file.originalname, buffer: req.file.buffer, outputFormat });
+      } catch (e) {
+        convertTask.status = 'error';
+        convertTask.message = String(e && e.message);
+        job.status = 'error';
+      }
+    }
+    res.status(201).end();
+  });
+
+  app.get('/v2/jobs/:id', requireAuth, (req, res) => {
+    const job = jobs.get(req.params.id);
+    if (!job) return res.status(404).json({ message: 'Job not found', code: 'NOT_FOUND' });
+    job.polls++;
+    if (job.status === 'processing' && job.files && job.polls >= pollsUntilFinished) {
+      job.status = 'finished';
+      for (const t of job.tasks) {
+        t.status = 'finished';
+        if (t.operation === 'export/url') {
+          t.result = { files: job.files.map(f => ({ filename: f.filename, size: f.buffer.length, url: `${baseOf(req)}/files/${job.id}/${encodeURIComponent(f.filename)}` })) };
+        }
+      }
+    }
+    res.json({ data: view(job) });
+  });
+
+  app.get('/files/:jobId/:filename', (req, res) => {
+    const job = jobs.get(req.params.jobId);
+    const file = job && (job.files || []).find(f => f.filename === req.params.filename);
+    if (!file) return res.status(404).end();
+    res.setHeader('Content-Disposition', `attachment; filename="${file.filename}"`);
+    res.send(file.buffer);
+  });
+
+  function view(job) {
+    return {
+      id: job.id,
+      status: job.status,
+      created_at: job.created_at,
+      tasks: job.tasks.map(t => ({ id: t.id, name: t.name, operation: t.operation, status: t.status, message: t.message || null, result: t.result }))
+    };
+  }
+
+  // listen(port) resolves the http.Server; port 0 picks a free one
+  function listen(port = 0) {
+    return new Promise(resolve => { const server = app.listen(port, () => resolve(server)); });
+  }
+
+  return { app, jobs, listen };
+}
+
+module.exports = { createMockCloudConvert, defaultConvert };
+
+if (require.main === module) {
+  const port = parseInt(process.env.MOCK_CLOUDCONVERT_PORT || '3901', 10);
+  createMockCloudConvert().listen(port).then(() => {
+    log.info('mock CloudConvert listening', { port, baseUrl: `http://localhost:${port}/v2` });
+  });
+}
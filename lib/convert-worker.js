@@ -0,0 +1,85 @@
+// lib/convert-worker.js - Worker thread script for lib/worker-pool.js: runs the conversions of lib/convert.js
+// off the main event loop. A task is { kind, outDir, context, ... }; outputs are written to outDir as they
+// are made and only their descriptors travel back to the server. context holds the log fields of the
+// request (see lib/log.js); every engine attempt is reported as an 'engine' message.
+//
+// Kinds (the default is 'convert'):
+//   convert      { files, opts }: processUploads for /api/convert and jobs; 'file' messages report progress
+//   thumbnails   { buffer, name, maxDim }: one JPEG per page of a PDF
+//   fillForm     { buffer, records, flatten, nameField }: one filled PDF per record, in order; a
+//                FormFieldError carries the 1-based record it failed on
+//   testConvert  { mode: 'imagesToPdf' | 'pdfToImage' | 'image', buffer, name, outFormat, quality, maxDim }:
+//                /test-convert; pdfToImage keeps the first page and reports the page count
+
+const { parentPort, workerData } = require('worker_threads');
+const { createConverter, createOutputSink, serializeError } = require('./convert');
+const { FormFieldError, fillForm } = require('./pdf-forms');
+const { withContext } = require('./log');
+
+const converter = createConverter(workerData.config);
+
+// buffers arrive as Uint8Array after the structured clone
+const asBuffer = data => Buffer.from(data.buffer, data.byteOffset, data.byteLength);
+
+const tasks = {
+  async convert({ files, opts }, sink, id) {
+    const onFileState = (index, state, extra = {}) => parentPort.postMessage({ id, type: 'file', index, state, extra });
+    const { cloudJobIds } = await converter.processUploads(files, opts, onFileState, sink);
+    return { cloudJobIds: Array.from(cloudJobIds) };
+  },
+
+  async thumbnails({ buffer, name, maxDim }, sink) {
+    const { bufs, cloudJobId } = await converter.pdfToImagesBuffersWithFallback(asBuffer(buffer), 'jpg', 60, maxDim, name);
+    bufs.forEach((b, i) => sink.push({ name: `page${i + 1}.jpg`, buffer: b, mime: 'image/jpeg' }));
+    return { cloudJobIds: cloudJobId ? [cloudJobId] : [] };
+  },
+
+  async fillForm({ buffer, records, flatten, nameField }, sink) {
+    const input = asBuffer(buffer);
+    for (let i = 0; i < records.length; i++) {
+      const values = Object.assign({}, records[i]);
+      if (nameField) delete values[nameField];
+      try {
+        sink.push({ name: `record${i + 1}.pdf`, buffer: await fillForm(input, values, { flatten }), mime: 'application/pdf' });
+      } catch (e) {
+        if (e instanceof FormFieldError) e.record = i + 1;
+        throw e;
+      }
+    }
+    return { cloudJobIds: [] };
+  },
+
+  async testConvert({ mode, buffer, name, outFormat, quality, maxDim }, sink) {
+    const input = asBuffer(buffer);
+    const base = name.replace(/\.[^.]*$/, '');
+    if (mode === 'imagesToPdf') {
+      sink.push({ name: `${base}_test.pdf`, buffer: await converter.imagesToPdf([input], quality, maxDim, { names: [name] }), mime: 'application/pdf' });
+      return { cloudJobIds: [] };
+    }
+    if (mode === 'pdfToImage') {
+      const ext = outFormat === 'png' ? 'png' : 'jpg';
+      const { bufs, cloudJobId } = await converter.pdfToImagesBuffersWithFallback(input, ext, quality, maxDim, name);
+      if (!bufs || bufs.length === 0) throw new Error('No image pages produced');
+      sink.push({ name: `${base}_page1.${ext}`, buffer: bufs[0], mime: ext === 'png' ? 'image/png' : 'image/jpeg' });
+      return { cloudJobIds: cloudJobId ? [cloudJobId] : [], pages: bufs.length };
+    }
+    const conv = await converter.convertImageBufferWithFallback(input, outFormat, quality, maxDim, name);
+    sink.push({ name: `${base}_test.${outFormat}`, buffer: conv.buffer, mime: conv.mime || null });
+    return { cloudJobIds: conv.cloudJobId ? [conv.cloudJobId] : [] };
+  }
+};
+
+parentPort.on('message', ({ id, task }) => withContext(task.context || {}, async () => {
+  const sink = createOutputSink(task.outDir);
+  const stopObserving = converter.engines.observe(run => parentPort.postMessage({ id, type: 'engine', run }));
+  try {
+    const run = tasks[task.kind || 'convert'];
+    if (!run) throw new Error(`Unknown worker task "${task.kind}"`);
+    const result = await run(task, sink, id);
+    parentPort.postMessage({ id, type: 'done', result: Object.assign({}, result, { outputs: Array.from(sink) }) });
+  } catch (e) {
+    parentPort.postMessage({ id, type: 'error', error: serializeError(e) });
+  } finally {
+    stopObserving();
+  }
+}));
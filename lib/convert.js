@@ -0,0 +1,987 @@
+// lib/convert.js - The conversion pipeline behind /api/convert and /api/jobs: option parsing, the
+// engine registry, OCR and every operation. createConverter(config) is built once by the server and
+// once per worker thread (lib/convert-worker.js). processUploads pushes its outputs into the array it
+// is given; createOutputSink makes one that writes each output to disk at once, so finished outputs
+// do not pile up in memory.
+
+const fs = require('fs');
+const path = require('path');
+const mime = require('mime-types');
+const { PDFDocument, StandardFonts, pushGraphicsState, popGraphicsState, rectangle, clip, endPath } = require('pdf-lib');
+const { v4: uuidv4 } = require('uuid');
+const { createEngineRegistry, enginePolicyFromEnv } = require('./engines');
+const { createSharpEngine } = require('./engines/sharp');
+const { createCloudConvertEngine } = require('./engines/cloudconvert');
+const { createLibreOfficeEngine, OFFICE_FORMATS } = require('./engines/libreoffice');
+const { createPdfTextEngine } = require('./engines/pdftext');
+const { formatFromName, normalizeFormat } = require('./engines/util');
+const { optimizePdf } = require('./pdf-compress');
+const { parseLayoutOptions, pageSizeFor, cellsFor, placeInCell } = require('./page-layout');
+const { mergePdfs, parsePageRanges, splitPdf, parsePageManifest, editPages } = require('./pdf-ops');
+const { PdfPasswordError, decryptPdf, encryptPdf, parsePermissions } = require('./pdf-crypt');
+const { parseWatermarkOptions, applyWatermark, watermarkPdf, parseNumberingOptions, numberPdfs } = require('./pdf-stamp');
+const { describePdf, parseMetadataEdits, editMetadata } = require('./pdf-meta');
+const { parseImageMetadataPolicy, stripGpsFromImage } = require('./image-meta');
+const { parseImageTransforms } = require('./image-transform');
+const { frameInfo, extractFrames } = require('./image-frames');
+const { TargetSizeError, parseTargetSize, fitToSize } = require('./target-size');
+const { OCR_FORMATS, createOcr, combineHocr, drawTextLayer } = require('./ocr');
+const { TEXT_FORMATS, TEXT_MIME, textToPages, hasText, renderText } = require('./pdf-text');
+const { INPUT_FORMATS, UploadError, createUploadChecks } = require('./upload-check');
+const { FormFieldError } = require('./pdf-forms');
+const { log } = require('./log');
+
+// sharp is optional; without it images go through the other engines
+let sharp = null;
+let sharpError = null;
+try { sharp = require('sharp'); } catch (e) { sharpError = e && e.message; }
+const sharpAvailable = !!sharp;
+
+// Helpers
+function isImageMime(m) { return /^image\//.test(m) || m === 'image/svg+xml'; }
+function isHeicByName(name, mimetype) {
+  const ext = (name && path.extname(name).toLowerCase()) || '';
+  return ['.heic', '.heif'].includes(ext) || ['image/heic','image/heif'].includes(mimetype);
+}
+function isOfficeName(name) { return OFFICE_FORMATS.includes(formatFromName(name)); }
+function isPdfMime(m, name) { return m === 'application/pdf' || (name && path.extname(name).toLowerCase() === '.pdf'); }
+function clampQuality(q) { const n = parseInt(q || '80', 10); return Math.max(10, Math.min(95, isNaN(n) ? 80 : n)); }
+
+const OPERATIONS = ['convert', 'merge', 'split', 'pages', 'encrypt', 'decrypt', 'watermark', 'number', 'metadata', 'ocr'];
+const SPLIT_MODES = ['extract', 'ranges', 'every'];
+const COMPRESS_MODES = ['smart', 'lossless', 'flatten'];
+const TARGET_SIZE_FORMATS = ['jpeg', 'jpg', 'webp', 'avif', 'pdf'];
+const FRAME_FORMATS = ['jpeg', 'jpg', 'png', 'webp', 'avif', 'tiff', 'gif'];
+
+// parseOrder: explicit input order from the 'order' field - a JSON array or comma list of upload
+// indexes or original file names. Files not mentioned keep their upload order after the listed ones.
+function parseOrder(orderField, files) {
+  const indexes = files.map((f, i) => i);
+  if (orderField === undefined || orderField === null || orderField === '') return indexes;
+  let tokens;
+  try { tokens = JSON.parse(orderField); } catch (e) { tokens = String(orderField).split(','); }
+  if (!Array.isArray(tokens)) tokens = [tokens];
+  const picked = [];
+  for (const t of tokens) {
+    const s = String(t).trim();
+    if (!s) continue;
+    const idx = /^\d+$/.test(s) ? parseInt(s, 10) : files.findIndex((f, i) => f.originalname === s && !picked.includes(i));
+    if (idx < 0 || idx >= files.length) throw new Error(`Invalid order entry "${s}"`);
+    if (picked.includes(idx)) throw new Error(`Duplicate order entry "${s}"`);
+    picked.push(idx);
+  }
+  return picked.concat(indexes.filter(i => !picked.includes(i)));
+}
+
+// ---------------- Outputs ----------------
+
+// createOutputSink(dir): an array for processUploads whose push writes each output's buffer to dir
+// and keeps { name, path, size, mime, note, stats, sizing } instead
+function createOutputSink(dir) {
+  const outputs = [];
+  Object.defineProperty(outputs, 'push', {
+    value: (...items) => {
+      for (const o of items) {
+        const file = path.join(dir, `${outputs.length + 1}_${path.basename(o.name)}`);
+        fs.writeFileSync(file, o.buffer);
+        const d = Object.assign({}, o, { path: file, size: o.buffer.length });
+        delete d.buffer;
+        Array.prototype.push.call(outputs, d);
+      }
+      return outputs.length;
+    }
+  });
+  return outputs;
+}
+
+// Errors cross the worker boundary as plain objects; reviveError rebuilds the classes the server
+// answers with a specific status (password, target size, upload and form field problems)
+function serializeError(e) {
+  if (!(e instanceof Error)) return { name: 'Error', message: String(e) };
+  const data = { name: e.name, message: e.message, stack: e.stack };
+  for (const [k, v] of Object.entries(e)) if (v === null || ['string', 'number', 'boolean'].includes(typeof v)) data[k] = v;
+  return data;
+}
+
+function reviveError(data) {
+  if (data instanceof Error) return data;
+  const details = Object.assign({}, data);
+  delete details.name;
+  delete details.message;
+  delete details.stack;
+  let e;
+  if (data.name === 'PdfPasswordError') e = new PdfPasswordError(data.code, data.message);
+  else if (data.name === 'TargetSizeError') e = new TargetSizeError(data.message);
+  else if (data.name === 'UploadError') e = new UploadError(data.message);
+  else if (data.name === 'FormFieldError') e = new FormFieldError(data.message);
+  else e = new Error(data.message);
+  Object.assign(e, details);
+  if (data.stack) e.stack = data.stack;
+  return e;
+}
+
+// converterConfigFromEnv(env, tmpDir): the createConverter config from the environment variables
+// documented at the top of server.js; the server and bin/pdftool.js read the same settings
+function converterConfigFromEnv(env, tmpDir) {
+  const int = (name, fallback) => { const n = parseInt(env[name] || String(fallback), 10); return isNaN(n) ? fallback : n; };
+  return {
+    tmpDir,
+    maxDimension: int('MAX_DIMENSION', 2480) || 2480,
+    enginePolicy: enginePolicyFromEnv(env, {
+      order: ['sharp', 'pdftext', 'libreoffice', 'cloudconvert'],
+      byInput: { heic: ['cloudconvert', 'sharp'], heif: ['cloudconvert', 'sharp'] }
+    }),
+    soffice: { binary: env.SOFFICE_PATH || null, timeoutMs: int('SOFFICE_TIMEOUT_MS', 120000) || 120000 },
+    cloudconvert: {
+      apiKey: env.CLOUDCONVERT_API_KEY || null,
+      baseUrl: (env.CLOUDCONVERT_BASE_URL || 'https://api.cloudconvert.com/v2').replace(/\/+$/, ''),
+      pollIntervalMs: int('CLOUDCONVERT_POLL_MS', 2000) || 2000,
+      maxPolls: int('CLOUDCONVERT_MAX_POLLS', 90) || 90
+    },
+    ocr: {
+      binary: env.TESSERACT_PATH || null,
+      langPath: env.OCR_LANG_PATH || null,
+      timeoutMs: int('OCR_TIMEOUT_MS', 120000) || 120000,
+      defaultLanguage: env.OCR_LANGUAGE || 'eng'
+    },
+    uploads: {
+      formats: env.INPUT_FORMATS ? env.INPUT_FORMATS.split(',').map(s => s.trim()).filter(Boolean) : INPUT_FORMATS,
+      maxPixels: int('MAX_IMAGE_PIXELS', 100000000),
+      maxPages: int('MAX_PDF_PAGES', 2000),
+      maxRequestBytes: int('MAX_REQUEST_MB', 500) * 1024 * 1024
+    }
+  };
+}
+
+// createConverter({ tmpDir, maxDimension, enginePolicy, soffice, cloudconvert, ocr, uploads }): the
+// pipeline with its engines and OCR. enginePolicy comes from enginePolicyFromEnv (lib/engines/index.js);
+// soffice { binary, timeoutMs }, cloudconvert { apiKey, baseUrl, pollIntervalMs, maxPolls } and
+// ocr { binary, langPath, timeoutMs, defaultLanguage } configure the engines, uploads the input
+// allowlist and limits (see lib/upload-check.js).
+function createConverter(config) {
+  const UPLOAD_DIR = config.tmpDir;
+  const MAX_DIMENSION = config.maxDimension;
+
+  // Conversion engines, tried in policy order (see lib/engines/index.js)
+  const engines = createEngineRegistry(config.enginePolicy);
+  engines.register(createSharpEngine(sharpAvailable ? sharp : null));
+  engines.register(createPdfTextEngine());
+  engines.register(createLibreOfficeEngine(Object.assign({ tmpDir: UPLOAD_DIR }, config.soffice)));
+  engines.register(createCloudConvertEngine(Object.assign({ tmpDir: UPLOAD_DIR }, config.cloudconvert)));
+
+  // Local OCR (tesseract binary or tesseract.js), never downloads language data
+  const ocr = createOcr(Object.assign({ tmpDir: UPLOAD_DIR }, config.ocr));
+
+  // Input sniffing and limits; the server checks uploads on arrival, PDFs are parsed here
+  const uploadChecks = createUploadChecks(config.uploads);
+
+  // ---------------- Conversion helpers ----------------
+
+  // convertImageBufferWithFallback: image -> image through the engine registry (sharp, then CloudConvert;
+  // HEIC/HEIF prefer CloudConvert). Resolves { buffer, mime, cloudJobId, engine }.
+  // edits.metadata is the image metadata policy ('strip' by default, see lib/image-meta.js). For
+  // 'strip-gps' the GPS directory is removed from the input here; containers that cannot be checked lose
+  // all EXIF. edits.transform (lib/image-transform.js) is applied by sharp: when another engine did the
+  // conversion, its output goes through sharp once more for the transform.
+  async function convertImageBufferWithFallback(buffer, outFormat, quality, maxDim, originalName = 'input', edits = {}) {
+    const input = formatFromName(originalName) || 'image';
+    const transform = edits.transform || null;
+    let metadata = edits.metadata || 'strip';
+    if (metadata === 'strip-gps') {
+      const cleaned = stripGpsFromImage(buffer);
+      buffer = cleaned.buffer;
+      if (!cleaned.clean) metadata = 'icc';
+    }
+    const output = outFormat || 'jpeg';
+    const req = { quality: clampQuality(quality), maxDim, originalName, metadata, transform };
+    let r = await engines.run(input, output, Object.assign({ buffer }, req));
+    const cloudJobId = r.cloudJobId || null;
+    if (transform && !r.transformed) {
+      if (!sharpAvailable) throw new Error('Image edits (crop, resize, rotate ...) need sharp, which is not available');
+      r = await engines.run(output, output, Object.assign({ buffer: r.buffers[0] }, req, { metadata: metadata === 'strip' ? 'strip' : 'keep' }));
+      if (!r.transformed) throw new Error('Image edits could not be applied');
+    }
+    return { buffer: r.buffers[0], mime: r.mime, cloudJobId, engine: r.engine };
+  }
+
+  // pdfToImagesBuffersWithFallback: one image per page; resolves { bufs, cloudJobId, engine }
+  // (cloudJobId is null when rendered locally)
+  async function pdfToImagesBuffersWithFallback(pdfBuffer, outFormat, quality, maxDim, originalName = 'input.pdf') {
+    const r = await engines.run('pdf', outFormat === 'png' ? 'png' : 'jpeg', { buffer: pdfBuffer, quality: clampQuality(quality), maxDim, originalName });
+    return { bufs: r.buffers, cloudJobId: r.cloudJobId || null, engine: r.engine };
+  }
+
+  // officeToPdfWithFallback: DOCX/XLSX/PPTX/ODT... -> PDF via local LibreOffice, else CloudConvert.
+  // Resolves { buffer, cloudJobId, engine }.
+  async function officeToPdfWithFallback(buffer, originalName) {
+    const r = await engines.run(formatFromName(originalName), 'pdf', { buffer, originalName });
+    return { buffer: r.buffers[0], cloudJobId: r.cloudJobId || null, engine: r.engine };
+  }
+
+  // pdfToTextWithFallback: the text of every page ({ blocks } per page, see lib/pdf-text.js) from the
+  // local text layer, else CloudConvert's pdf -> txt split at form feeds. Resolves { pages, cloudJobId, engine };
+  // throws when no engine finds any text.
+  async function pdfToTextWithFallback(pdfBuffer, originalName = 'input.pdf') {
+    const r = await engines.run('pdf', 'txt', { buffer: pdfBuffer, originalName });
+    let pages = r.pages;
+    if (!pages) {
+      const texts = r.buffers.length > 1 ? r.buffers.map(b => b.toString('utf8')) : r.buffers[0].toString('utf8').split('\f');
+      if (texts.length > 1 && !texts[texts.length - 1].trim()) texts.pop(); // form feed after the last page
+      pages = textToPages(texts);
+    }
+    if (!hasText(pages)) throw new Error('No text found in the PDF');
+    return { pages, cloudJobId: r.cloudJobId || null, engine: r.engine };
+  }
+
+  // readPdfUpload: bytes of an uploaded PDF, decrypted with `password` when the file is password protected
+  // (files with an empty user password open without one). Password problems throw PdfPasswordError
+  // carrying the file name; unreadable PDFs, ones that fail to decrypt and ones over the page limit throw
+  // UploadError.
+  async function readPdfUpload(f, password) {
+    const buffer = fs.readFileSync(f.path);
+    await uploadChecks.checkPdf(buffer, f.originalname);
+    try {
+      return (await decryptPdf(buffer, password)).buffer;
+    } catch (e) {
+      if (!(e instanceof PdfPasswordError)) {
+        throw new UploadError(`Cannot decrypt "${f.originalname}": ${e && e.message}`, { code: 'MALFORMED_PDF', status: 422, file: f.originalname });
+      }
+      e.message = `"${f.originalname}": ${e.message}`;
+      e.file = f.originalname;
+      throw e;
+    }
+  }
+
+  // embedImage: embeds an image into pdfDoc as the JPEG the engines make of it; returns { image, bytes }
+  // (the PDFImage and the bytes embedded). Only engine output reaches pdf-lib: an image no engine can
+  // decode throws a 422 UploadError (MALFORMED_IMAGE) naming the file. Embedded JPEGs keep their bytes,
+  // so the metadata policy decides what EXIF ends up in the PDF. edits: { metadata, transform } as for
+  // convertImageBufferWithFallback.
+  async function embedImage(pdfDoc, buf, quality, maxDim, edits = {}, name = 'input') {
+    let jpeg;
+    try {
+      jpeg = (await convertImageBufferWithFallback(buf, 'jpeg', quality, maxDim, 'input', edits)).buffer;
+    } catch (e) {
+      throw new UploadError(`Cannot read image "${name}": ${e && e.message}`, { code: 'MALFORMED_IMAGE', status: 422, file: name });
+    }
+    return { image: await pdfDoc.embedJpg(jpeg), bytes: jpeg };
+  }
+
+  // drawInCell: draws an embedded image into a layout cell; returns where it went ({ x, y, width, height, clip })
+  function drawInCell(page, img, cell, fit) {
+    const spot = placeInCell(img.width, img.height, cell, fit);
+    if (spot.clip) page.pushOperators(pushGraphicsState(), rectangle(spot.clip.x, spot.clip.y, spot.clip.width, spot.clip.height), clip(), endPath());
+    page.drawImage(img, { x: spot.x, y: spot.y, width: spot.width, height: spot.height });
+    if (spot.clip) page.pushOperators(popGraphicsState());
+    return spot;
+  }
+
+  // Pages of imagesToPdf inputs, keyed by input buffer: a multi-page TIFF is split once into PNG pages,
+  // which also keeps the page buffers (and so their OCR results below) the same across repeated builds.
+  const pageCache = new WeakMap();
+
+  // imagePages: every page of a multi-page TIFF, any other image as it is
+  async function imagePages(buffer) {
+    if (!pageCache.has(buffer)) {
+      let pages = [buffer];
+      if (sharpAvailable) {
+        try {
+          const info = await frameInfo(sharp, buffer);
+          if (info.format === 'tiff' && info.pages > 1) pages = await extractFrames(sharp, buffer, info.pages);
+        } catch (e) { /* not readable by sharp: leave it to the engines */ }
+      }
+      pageCache.set(buffer, pages);
+    }
+    return pageCache.get(buffer);
+  }
+
+  // OCR results of imagesToPdf inputs, keyed by input buffer: repeated builds of the same images (target
+  // size search) recognize them once. Positions scale with the image, so quality / size changes do not matter.
+  const ocrCache = new WeakMap();
+
+  // addTextLayers: OCR of the embedded images (one recognize call for the uncached ones) drawn as
+  // invisible text over each placement { page, spot, bytes, source }
+  async function addTextLayers(pdfDoc, placements, languages) {
+    const todo = placements.filter(p => !ocrCache.has(p.source));
+    if (todo.length) {
+      const pages = await ocr.recognize(todo.map(p => p.bytes), languages);
+      todo.forEach((p, i) => ocrCache.set(p.source, pages[i]));
+    }
+    const font = await pdfDoc.embedFont(StandardFonts.Helvetica);
+    for (const p of placements) drawTextLayer(p.page, ocrCache.get(p.source).page, p.spot, font);
+  }
+
+  // imagesToPdf: one PDF of images, each embedded as JPEG (see embedImage); opts.names holds the file
+  // name of each buffer for errors. opts.layout (see lib/page-layout.js) sets page size, orientation, margins, fit mode and N-up;
+  // without it every page is exactly the image size. opts.onProgress(index, total) fires per image.
+  // opts.watermark ({ options, image } from loadWatermark) stamps the pages before saving.
+  // opts.imageMetadata is the metadata policy for the embedded images; opts.transforms holds an optional
+  // edit chain per buffer (see lib/image-transform.js). opts.ocr ({ languages }) adds a searchable text layer.
+  // Every page of a multi-page TIFF becomes a page (or layout cell) of its own, with that input's edit chain.
+  async function imagesToPdf(buffers, quality, maxDim, opts = {}) {
+    const pdfDoc = await PDFDocument.create();
+    const layout = opts.layout || null;
+    const placements = [];
+    let page = null;
+    let cells = [];
+    for (let i = 0; i < buffers.length; i++) {
+      const transform = (opts.transforms || [])[i] || null;
+      const name = (opts.names || [])[i] || `image ${i + 1}`;
+      for (const source of await imagePages(buffers[i])) {
+        const embedded = await embedImage(pdfDoc, source, quality, maxDim, { metadata: opts.imageMetadata, transform }, name);
+        const img = embedded.image;
+        if (!layout) {
+          const p = pdfDoc.addPage([img.width, img.height]);
+          p.drawImage(img, { x: 0, y: 0, width: img.width, height: img.height });
+          placements.push({ page: p, spot: null, bytes: embedded.bytes, source });
+        } else {
+          if (!cells.length) {
+            const size = pageSizeFor(layout, img.width, img.height);
+            page = pdfDoc.addPage(size);
+            cells = cellsFor(size[0], size[1], layout);
+          }
+          const spot = drawInCell(page, img, cells.shift(), layout.fit);
+          placements.push({ page, spot, bytes: embedded.bytes, source });
+        }
+      }
+      if (opts.onProgress) opts.onProgress(i, buffers.length);
+    }
+    if (opts.ocr && placements.length) await addTextLayers(pdfDoc, placements, opts.ocr.languages);
+    if (opts.watermark) await applyWatermark(pdfDoc, opts.watermark.options, opts.watermark.image);
+    return Buffer.from(await pdfDoc.save());
+  }
+
+  // ---------------- Target file size ----------------
+  // With opts.targetSize the lossy outputs are searched for the highest quality, then the largest
+  // dimension, that fits the byte budget (lib/target-size.js). Each output records what was reached in
+  // `sizing`; an unreachable target throws TargetSizeError naming the file.
+
+  // longSide: longest side in pixels of an image, null when sharp cannot tell
+  async function longSide(buffer) {
+    if (!sharpAvailable) return null;
+    try {
+      const m = await sharp(buffer).metadata();
+      return Math.max(m.width || 0, m.height || 0) || null;
+    } catch (e) { return null; }
+  }
+
+  // fitFile: fitToSize with the file name attached to a TargetSizeError; resolves { result, sizing }
+  async function fitFile(name, encode, targetSize, search) {
+    try {
+      const fit = await fitToSize(encode, targetSize, search);
+      return { result: fit.result, sizing: { targetSize, size: fit.size, quality: fit.quality, maxDim: fit.maxDim || null, attempts: fit.attempts } };
+    } catch (e) {
+      if (e instanceof TargetSizeError) {
+        e.message = `"${name}": ${e.message}`;
+        e.file = name;
+      }
+      throw e;
+    }
+  }
+
+  // convertImageToSize: convertImageBufferWithFallback within opts.targetSize. Inputs sharp does not
+  // convert first (HEIC) are decoded to PNG once, so the search does not start a CloudConvert job per
+  // attempt. An exact resize fixes the dimensions, leaving only quality to search.
+  async function convertImageToSize(buffer, opts, originalName, transform, cloudJobIds) {
+    let name = originalName;
+    let edits = { metadata: opts.imageMetadata, transform };
+    const first = engines.candidates(formatFromName(name) || 'image', opts.targetFormat)[0];
+    if (sharpAvailable && first && first.name !== 'sharp') {
+      const png = await convertImageBufferWithFallback(buffer, 'png', 95, opts.maxDim, name, edits);
+      if (png.cloudJobId) cloudJobIds.add(png.cloudJobId);
+      buffer = png.buffer;
+      name = `${path.parse(originalName).name}.png`;
+      edits = { metadata: opts.imageMetadata === 'strip' ? 'strip' : 'keep', transform: null };
+    }
+    const t = edits.transform;
+    let dim = null;
+    if (!t || !(t.width || t.height)) {
+      const side = t && t.crop ? Math.max(t.crop.width, t.crop.height) : await longSide(buffer);
+      dim = side ? Math.min(opts.maxDim, side) : opts.maxDim;
+    }
+    const fit = await fitFile(originalName, async ({ quality, maxDim }) => {
+      const conv = await convertImageBufferWithFallback(buffer, opts.targetFormat, quality, maxDim || opts.maxDim, name, edits);
+      if (conv.cloudJobId) cloudJobIds.add(conv.cloudJobId);
+      return conv;
+    }, opts.targetSize, { quality: opts.quality, dim });
+    return Object.assign({ sizing: fit.sizing }, fit.result);
+  }
+
+  // imagesToPdfToSize: imagesToPdf within opts.targetSize; resolves { buffer, sizing }
+  async function imagesToPdfToSize(buffers, opts, pdfOpts, name) {
+    const sides = await Promise.all(buffers.map(longSide));
+    const dim = Math.min(opts.maxDim, Math.max(...sides.map(s => s || opts.maxDim)));
+    const fit = await fitFile(name, async ({ quality, maxDim }) => ({ buffer: await imagesToPdf(buffers, quality, maxDim, pdfOpts) }), opts.targetSize, { quality: opts.quality, dim });
+    return { buffer: fit.result.buffer, sizing: fit.sizing };
+  }
+
+  // Parse the conversion fields shared by sync and job mode out of a multipart body.
+  // Throws on invalid input; callers answer 400 with the message.
+  function readConvertOptions(body, files, watermarkImage = null) {
+    const operation = (body.operation || 'convert').toLowerCase();
+    if (!OPERATIONS.includes(operation)) throw new Error(`Unknown operation "${operation}"`);
+    const split = {
+      pages: body.pages ? String(body.pages).trim() : null,
+      mode: (body.splitMode || (body.every ? 'every' : 'extract')).toLowerCase(),
+      every: body.every ? parseInt(body.every, 10) : null
+    };
+    if (operation === 'split') {
+      if (!SPLIT_MODES.includes(split.mode)) throw new Error(`Unknown splitMode "${split.mode}"`);
+      if (split.pages) parsePageRanges(split.pages);
+      if (split.mode === 'every' && !(split.every > 0)) throw new Error('"every" must be a positive number of pages');
+      if (split.mode !== 'every' && !split.pages) throw new Error('"pages" is required for splitMode ' + split.mode);
+    }
+    const compressMode = (body.compressMode || 'smart').toLowerCase();
+    if (!COMPRESS_MODES.includes(compressMode)) throw new Error(`Unknown compressMode "${compressMode}"`);
+    let manifest = null;
+    if (operation === 'pages') {
+      if (!body.manifest) throw new Error('"manifest" is required for the pages operation');
+      manifest = parsePageManifest(body.manifest);
+    }
+    let protect = null;
+    if (operation === 'encrypt') {
+      protect = {
+        userPassword: body.userPassword ? String(body.userPassword) : '',
+        ownerPassword: body.ownerPassword ? String(body.ownerPassword) : '',
+        permissions: parsePermissions(body.permissions)
+      };
+      if (!protect.userPassword && !protect.ownerPassword) throw new Error('"userPassword" or "ownerPassword" is required for the encrypt operation');
+    }
+    let watermark = null;
+    if (operation === 'watermark') {
+      watermark = parseWatermarkOptions(body, !!watermarkImage);
+      if (!watermark) throw new Error('"watermarkText" or a "watermarkImage" file is required for the watermark operation');
+      watermark.image = watermarkImage ? { path: watermarkImage.path, name: watermarkImage.originalname } : null;
+    }
+    let numbering = null;
+    if (operation === 'number') {
+      numbering = parseNumberingOptions(body);
+      if (!numbering) throw new Error('"headerText" or "footerText" is required for the number operation');
+    }
+    const targetFormat = (body.targetFormat || 'pdf').toLowerCase();
+    const targetSize = parseTargetSize(body.targetSize);
+    if (targetSize) {
+      if (operation !== 'convert') throw new Error('"targetSize" only applies to the convert operation');
+      if (!TARGET_SIZE_FORMATS.includes(targetFormat)) throw new Error(`"targetSize" needs a ${TARGET_SIZE_FORMATS.join(', ')} output, not ${targetFormat}`);
+    }
+    // extractFrames: every frame of multi-page / animated images as a still, returned as a ZIP
+    const extractFrames = body.extractFrames === 'true' || body.extractFrames === true;
+    if (extractFrames) {
+      if (operation !== 'convert') throw new Error('"extractFrames" only applies to the convert operation');
+      if (!FRAME_FORMATS.includes(targetFormat)) throw new Error(`"extractFrames" needs a ${FRAME_FORMATS.join(', ')} output, not ${targetFormat}`);
+    }
+    // OCR: the ocr operation (searchable PDF or txt / hOCR per input), or ocr=true when images become PDFs
+    let ocrOptions = null;
+    if (operation === 'ocr' || body.ocr === 'true' || body.ocr === true) {
+      if (operation === 'convert' && targetFormat !== 'pdf') throw new Error('"ocr" needs targetFormat pdf (or use the ocr operation)');
+      const format = String(body.ocrFormat || 'pdf').toLowerCase();
+      if (!OCR_FORMATS.includes(format)) throw new Error(`Unknown ocrFormat "${format}" (use ${OCR_FORMATS.join(', ')})`);
+      ocrOptions = { languages: ocr.parseLanguages(body.ocrLanguage), format: operation === 'ocr' ? format : 'pdf' };
+    }
+    let metadata = null;
+    if (operation === 'metadata') {
+      metadata = parseMetadataEdits(body);
+      if (!metadata) throw new Error('Metadata fields, "removeFields" or "stripMetadata" are required for the metadata operation');
+    }
+    return {
+      operation,
+      targetFormat,
+      targetSize,
+      quality: clampQuality(body.quality || '80'),
+      maxDim: parseInt(body.maxDim || String(MAX_DIMENSION), 10) || MAX_DIMENSION,
+      makeZip: body.zip === 'true' || body.zip === true || extractFrames || (operation === 'convert' && files.length > 1),
+      compressPdf: body.compress === 'true' || body.compress === true || !!targetSize,
+      compressMode,
+      perPage: body.perPage === 'true' || body.perPage === true,
+      extractFrames,
+      order: parseOrder(body.order, files),
+      layout: parseLayoutOptions(body),
+      split,
+      manifest,
+      imageMetadata: parseImageMetadataPolicy(body.imageMetadata),
+      transforms: parseImageTransforms(body, files),
+      password: body.password ? String(body.password) : null,
+      protect,
+      watermark,
+      numbering,
+      metadata,
+      ocr: ocrOptions
+    };
+  }
+
+  // mergeUploads: one PDF from the PDFs, images and office documents in opts.order. PDF pages are copied as-is;
+  // consecutive images go through imagesToPdf together so page layout / N-up applies across them.
+  async function mergeUploads(files, opts, onFileState) {
+    const items = [];
+    let pendingImages = [];
+    const flushImages = async () => {
+      if (!pendingImages.length) return;
+      const buffer = await imagesToPdf(pendingImages.map(p => p.buffer), opts.quality, opts.maxDim, { layout: opts.layout, imageMetadata: opts.imageMetadata, transforms: pendingImages.map(p => p.transform), names: pendingImages.map(p => p.name), ocr: opts.ocr });
+      items.push({ name: pendingImages.map(p => p.name).join(', '), buffer });
+      pendingImages = [];
+    };
+    for (const idx of opts.order) {
+      const f = files[idx];
+      onFileState(idx, 'processing');
+      const buf = fs.readFileSync(f.path);
+      const inMime = f.mimetype || mime.lookup(f.path) || 'application/octet-stream';
+      if (isPdfMime(inMime, f.originalname)) {
+        await flushImages();
+        items.push({ name: f.originalname, buffer: await readPdfUpload(f, opts.password) });
+      } else if (isOfficeName(f.originalname)) {
+        await flushImages();
+        items.push({ name: f.originalname, buffer: (await officeToPdfWithFallback(buf, f.originalname)).buffer });
+      } else if (isImageMime(inMime) || isHeicByName(f.originalname, inMime)) {
+        pendingImages.push({ name: f.originalname, buffer: buf, transform: opts.transforms[idx] });
+      } else {
+        throw new Error(`Cannot merge "${f.originalname}": only PDFs, images and office documents can be merged`);
+      }
+      onFileState(idx, 'done');
+    }
+    await flushImages();
+    const merged = await mergePdfs(items);
+    return { name: `merged_${Date.now()}.pdf`, buffer: merged, mime: 'application/pdf' };
+  }
+
+  // notPdf: UploadError (415) for an input of an operation that only takes PDFs
+  function notPdf(f, action) {
+    return new UploadError(`Cannot ${action} "${f.originalname}": not a PDF`, { code: 'UNSUPPORTED_TYPE', status: 415, file: f.originalname });
+  }
+
+  // pdfOperationFailed: UploadError (422) naming the file for an operation its PDF does not allow (a page
+  // range or manifest entry outside the document, a PDF that cannot be encrypted); keeps the cause's
+  // code and page
+  function pdfOperationFailed(f, action, e) {
+    if (e instanceof PdfPasswordError || e instanceof UploadError) return e;
+    return new UploadError(`Cannot ${action} "${f.originalname}": ${e && e.message}`, { code: (e && e.code) || 'CONVERSION_FAILED', status: 422, file: f.originalname, page: e && e.page });
+  }
+
+  // splitUploads: page extraction / splitting of each uploaded PDF; one output per part
+  async function splitUploads(files, opts, onFileState, outputs = []) {
+    for (const idx of opts.order) {
+      const f = files[idx];
+      onFileState(idx, 'processing');
+      if (!isPdfMime(f.mimetype, f.originalname)) throw notPdf(f, 'split');
+      const base = path.parse(f.originalname).name;
+      const input = await readPdfUpload(f, opts.password);
+      let parts;
+      try { parts = await splitPdf(input, opts.split); } catch (e) {
+        throw pdfOperationFailed(f, 'split', e);
+      }
+      for (const p of parts) outputs.push({ name: `${base}_${p.label}.pdf`, buffer: p.buffer, mime: 'application/pdf' });
+      onFileState(idx, 'done');
+    }
+    return outputs;
+  }
+
+  // editUploads: applies the page manifest (order, rotation, deletion, duplication) to each uploaded PDF
+  async function editUploads(files, opts, onFileState, outputs = []) {
+    for (const idx of opts.order) {
+      const f = files[idx];
+      onFileState(idx, 'processing');
+      if (!isPdfMime(f.mimetype, f.originalname)) throw notPdf(f, 'edit pages of');
+      const input = await readPdfUpload(f, opts.password);
+      let buffer;
+      try { buffer = await editPages(input, opts.manifest); } catch (e) {
+        throw pdfOperationFailed(f, 'edit pages of', e);
+      }
+      outputs.push({ name: `${path.parse(f.originalname).name}_edited.pdf`, buffer, mime: 'application/pdf' });
+      onFileState(idx, 'done');
+    }
+    return outputs;
+  }
+
+  // protectUploads: 'encrypt' password-protects each PDF (AES-256) with the given permissions, 'decrypt'
+  // writes an unprotected copy. Protected inputs are opened with opts.password first.
+  async function protectUploads(files, opts, onFileState, outputs = []) {
+    for (const idx of opts.order) {
+      const f = files[idx];
+      onFileState(idx, 'processing');
+      if (!isPdfMime(f.mimetype, f.originalname)) throw notPdf(f, opts.operation);
+      const input = await readPdfUpload(f, opts.password);
+      const base = path.parse(f.originalname).name;
+      if (opts.operation === 'encrypt') {
+        let buffer;
+        try { buffer = await encryptPdf(input, opts.protect); } catch (e) {
+          throw pdfOperationFailed(f, 'encrypt', e);
+        }
+        outputs.push({ name: `${base}_protected.pdf`, buffer, mime: 'application/pdf' });
+      } else {
+        outputs.push({ name: `${base}_unlocked.pdf`, buffer: input, mime: 'application/pdf' });
+      }
+      onFileState(idx, 'done');
+    }
+    return outputs;
+  }
+
+  // loadWatermark: { options, image } for applyWatermark. The stamp image is always re-encoded to PNG
+  // so pdf-lib only sees decoded bytes; an image that cannot be decoded is a 422 naming the file.
+  async function loadWatermark(watermark) {
+    if (!watermark.image) return { options: watermark, image: null };
+    const name = watermark.image.name;
+    let buffer;
+    try {
+      buffer = (await convertImageBufferWithFallback(fs.readFileSync(watermark.image.path), 'png', 90, MAX_DIMENSION, name)).buffer;
+    } catch (e) {
+      throw new UploadError(`Cannot read watermark image "${name}": ${e.message}`, { code: 'MALFORMED_IMAGE', status: 422, file: name });
+    }
+    return { options: watermark, image: { buffer } };
+  }
+
+  // uploadAsPdf: an input as PDF bytes - PDFs decrypted with opts.password, office documents converted,
+  // images laid out through imagesToPdf (imageOpts are passed on to it)
+  async function uploadAsPdf(f, opts, cloudJobIds, imageOpts = {}) {
+    const inMime = f.mimetype || mime.lookup(f.path) || 'application/octet-stream';
+    if (isPdfMime(inMime, f.originalname)) return readPdfUpload(f, opts.password);
+    if (isOfficeName(f.originalname)) {
+      const conv = await officeToPdfWithFallback(fs.readFileSync(f.path), f.originalname);
+      if (conv.cloudJobId) cloudJobIds.add(conv.cloudJobId);
+      return conv.buffer;
+    }
+    if (isImageMime(inMime) || isHeicByName(f.originalname, inMime)) {
+      return imagesToPdf([fs.readFileSync(f.path)], opts.quality, opts.maxDim, Object.assign({ layout: opts.layout, imageMetadata: opts.imageMetadata, ocr: opts.ocr, names: [f.originalname] }, imageOpts));
+    }
+    throw new Error(`Cannot ${opts.operation} "${f.originalname}": only PDFs, images and office documents are supported`);
+  }
+
+  // watermarkUploads: stamps every input; images are stamped while imagesToPdf builds their PDF, PDFs and
+  // office documents afterwards. One PDF per input.
+  async function watermarkUploads(files, opts, onFileState, outputs = []) {
+    const stamp = await loadWatermark(opts.watermark);
+    const cloudJobIds = new Set();
+    for (const idx of opts.order) {
+      const f = files[idx];
+      onFileState(idx, 'processing');
+      const inMime = f.mimetype || mime.lookup(f.path) || 'application/octet-stream';
+      const stampedOnBuild = !isPdfMime(inMime, f.originalname) && !isOfficeName(f.originalname);
+      let buffer = await uploadAsPdf(f, opts, cloudJobIds, { watermark: stamp, transforms: [opts.transforms[idx]] });
+      if (!stampedOnBuild) buffer = await watermarkPdf(buffer, stamp.options, stamp.image);
+      outputs.push({ name: `${path.parse(f.originalname).name}_watermarked.pdf`, buffer, mime: 'application/pdf' });
+      onFileState(idx, 'done');
+    }
+    return { outputs, cloudJobIds };
+  }
+
+  // numberUploads: headers/footers with numbering that runs on across the files in opts.order. {total}
+  // counts the whole batch, so every input is turned into a PDF before anything is stamped.
+  async function numberUploads(files, opts, onFileState, outputs = []) {
+    const cloudJobIds = new Set();
+    const items = [];
+    for (const idx of opts.order) {
+      const f = files[idx];
+      onFileState(idx, 'processing');
+      items.push({ name: f.originalname, buffer: await uploadAsPdf(f, opts, cloudJobIds, { transforms: [opts.transforms[idx]] }) });
+    }
+    const stamped = await numberPdfs(items, opts.numbering);
+    outputs.push(...stamped.map((buffer, i) => ({ name: `${path.parse(items[i].name).name}_numbered.pdf`, buffer, mime: 'application/pdf' })));
+    opts.order.forEach(idx => onFileState(idx, 'done'));
+    return { outputs, cloudJobIds };
+  }
+
+  // metadataUploads: sets / removes Info fields or strips all metadata of each PDF; names are kept
+  async function metadataUploads(files, opts, onFileState, outputs = []) {
+    for (const idx of opts.order) {
+      const f = files[idx];
+      onFileState(idx, 'processing');
+      if (!isPdfMime(f.mimetype, f.originalname)) throw new Error(`Cannot edit metadata of "${f.originalname}": not a PDF`);
+      const input = await readPdfUpload(f, opts.password);
+      let buffer;
+      try { buffer = await editMetadata(input, opts.metadata); } catch (e) {
+        throw new Error(`Cannot edit metadata of "${f.originalname}": ${e && e.message}`);
+      }
+      outputs.push({ name: `${path.parse(f.originalname).name}.pdf`, buffer, mime: 'application/pdf' });
+      onFileState(idx, 'done');
+    }
+    return outputs;
+  }
+
+  // ocrPdf: OCR of every page as rendered by the rasterizer. Resolves { buffer, pages } where buffer is
+  // the input with an invisible text layer per page (only when withTextLayer) and pages the recognize results.
+  async function ocrPdf(pdfBuffer, opts, cloudJobIds, originalName, withTextLayer) {
+    const { bufs, cloudJobId } = await pdfToImagesBuffersWithFallback(pdfBuffer, 'png', 95, opts.maxDim, originalName);
+    if (cloudJobId) cloudJobIds.add(cloudJobId);
+    if (!bufs || bufs.length === 0) throw new Error(`Cannot rasterize "${originalName}" for OCR`);
+    const pages = await ocr.recognize(bufs, opts.ocr.languages);
+    if (!withTextLayer) return { buffer: null, pages };
+    const doc = await PDFDocument.load(pdfBuffer);
+    if (doc.getPageCount() !== pages.length) throw new Error(`OCR of "${originalName}": rendered ${pages.length} of ${doc.getPageCount()} pages`);
+    const font = await doc.embedFont(StandardFonts.Helvetica);
+    doc.getPages().forEach((page, i) => drawTextLayer(page, pages[i].page, null, font));
+    return { buffer: Buffer.from(await doc.save()), pages };
+  }
+
+  // ocrUploads: per input a searchable PDF (ocrFormat pdf) or the recognized text as .txt (pages separated
+  // by form feeds) or .hocr. Images are recognized as laid out by imagesToPdf, other inputs page by page.
+  async function ocrUploads(files, opts, onFileState, outputs = []) {
+    const { format } = opts.ocr;
+    const cloudJobIds = new Set();
+    for (const idx of opts.order) {
+      const f = files[idx];
+      onFileState(idx, 'processing');
+      const inMime = f.mimetype || mime.lookup(f.path) || 'application/octet-stream';
+      const base = path.parse(f.originalname).name;
+      const isImage = !isOfficeName(f.originalname) && !isPdfMime(inMime, f.originalname) && (isImageMime(inMime) || isHeicByName(f.originalname, inMime));
+      let pages;
+      if (isImage && format === 'pdf') {
+        const buffer = await uploadAsPdf(f, opts, cloudJobIds, { transforms: [opts.transforms[idx]] });
+        outputs.push({ name: `${base}_ocr.pdf`, buffer, mime: 'application/pdf' });
+      } else if (isImage) {
+        const conv = await convertImageBufferWithFallback(fs.readFileSync(f.path), 'png', 95, opts.maxDim, f.originalname, { transform: opts.transforms[idx] });
+        if (conv.cloudJobId) cloudJobIds.add(conv.cloudJobId);
+        pages = await ocr.recognize([conv.buffer], opts.ocr.languages);
+      } else {
+        const r = await ocrPdf(await uploadAsPdf(f, opts, cloudJobIds), opts, cloudJobIds, f.originalname, format === 'pdf');
+        if (format === 'pdf') outputs.push({ name: `${base}_ocr.pdf`, buffer: r.buffer, mime: 'application/pdf' });
+        pages = r.pages;
+      }
+      if (format === 'txt') outputs.push({ name: `${base}.txt`, buffer: Buffer.from(pages.map(p => p.text).join('\f'), 'utf8'), mime: 'text/plain; charset=utf-8' });
+      if (format === 'hocr') outputs.push({ name: `${base}.hocr`, buffer: Buffer.from(combineHocr(pages.map(p => p.hocr)), 'utf8'), mime: 'text/html; charset=utf-8' });
+      onFileState(idx, 'done');
+    }
+    return { outputs, cloudJobIds };
+  }
+
+  // compressPdfUpload: 'smart' recompresses embedded images and keeps text/vector content, 'lossless'
+  // only rewrites the structure, 'flatten' rasterizes every page and rebuilds the PDF from JPEGs.
+  // With opts.targetSize the pages are rasterized once and quality / image size are searched; 'lossless'
+  // (or a PDF without images) gets a single attempt.
+  async function compressPdfUpload(f, inputBuffer, opts, cloudJobIds, onProgress = () => {}) {
+    const { quality, maxDim, compressMode, targetSize } = opts;
+    const base = path.parse(f.originalname).name;
+    let encode;
+    let dim = null;
+    if (compressMode === 'flatten') {
+      const { bufs, cloudJobId } = await pdfToImagesBuffersWithFallback(inputBuffer, 'jpg', targetSize ? 95 : quality, maxDim, f.originalname);
+      if (cloudJobId) cloudJobIds.add(cloudJobId);
+      if (!bufs || bufs.length === 0) throw new Error('Cannot rasterize PDF pages');
+      encode = async s => {
+        const rebuilt = await imagesToPdf(bufs, s.quality, s.maxDim, { names: bufs.map(() => f.originalname), onProgress: (i, total) => onProgress((i + 1) / total * 100) });
+        return { buffer: rebuilt, stats: { originalSize: inputBuffer.length, compressedSize: rebuilt.length, mode: 'flatten' } };
+      };
+      if (targetSize) dim = Math.min(maxDim, Math.max(...(await Promise.all(bufs.map(longSide))).map(s => s || maxDim)));
+    } else {
+      if (compressMode === 'smart' && !sharpAvailable) log.warn('sharp not available: compressing without image recompression', { file: f.originalname });
+      const recompressImages = compressMode === 'smart';
+      encode = async s => {
+        const r = await optimizePdf(inputBuffer, { quality: s.quality, maxDim: s.maxDim, recompressImages, sharp: sharpAvailable ? sharp : null });
+        return { buffer: r.buffer, stats: Object.assign({ mode: compressMode }, r.stats) };
+      };
+      if (targetSize && recompressImages && sharpAvailable) {
+        const largest = (await describePdf(inputBuffer)).images.largest;
+        if (largest) dim = Math.min(maxDim, Math.max(largest.width, largest.height));
+      }
+    }
+    const out = { name: `${base}_compressed.pdf`, mime: 'application/pdf' };
+    if (!targetSize) return Object.assign(out, await encode({ quality, maxDim }));
+    // nothing lossy to search when there is no dimension to scale (lossless mode, no images)
+    const fit = await fitFile(f.originalname, encode, targetSize, { quality, dim, minQuality: dim ? undefined : quality });
+    return Object.assign(out, fit.result, { sizing: fit.sizing });
+  }
+
+  // rasterizePdfOutputs: one jpg/png output per page of a PDF. With opts.targetSize each page is
+  // rendered once as PNG and then fitted to the budget in the target format.
+  async function rasterizePdfOutputs(pdfBuffer, base, opts, cloudJobIds, originalName) {
+    const ext = opts.targetFormat === 'png' || opts.targetSize ? 'png' : 'jpg';
+    const { bufs, cloudJobId } = await pdfToImagesBuffersWithFallback(pdfBuffer, ext, opts.quality, opts.maxDim, originalName);
+    if (cloudJobId) cloudJobIds.add(cloudJobId);
+    if (!bufs || bufs.length === 0) throw new Error('Unable to rasterize PDF pages');
+    if (opts.targetSize) {
+      const outputs = [];
+      for (let i = 0; i < bufs.length; i++) {
+        const conv = await convertImageToSize(bufs[i], opts, `${base}_page${i+1}.png`, null, cloudJobIds);
+        outputs.push({ name: `${base}_page${i+1}.${mime.extension(conv.mime) || opts.targetFormat}`, buffer: conv.buffer, mime: conv.mime, sizing: conv.sizing });
+      }
+      return outputs;
+    }
+    return bufs.map((buffer, i) => ({ name: `${base}_page${i+1}.${ext}`, buffer, mime: ext === 'png' ? 'image/png' : 'image/jpeg' }));
+  }
+
+  // pdfTextOutputs: txt / html / md of a PDF as one document, or one file per page with opts.perPage
+  async function pdfTextOutputs(pdfBuffer, base, opts, cloudJobIds, originalName) {
+    const format = normalizeFormat(opts.targetFormat);
+    const { pages, cloudJobId } = await pdfToTextWithFallback(pdfBuffer, originalName);
+    if (cloudJobId) cloudJobIds.add(cloudJobId);
+    const output = (name, text) => ({ name, buffer: Buffer.from(text, 'utf8'), mime: TEXT_MIME[format] });
+    if (!opts.perPage) return [output(`${base}.${format}`, renderText(pages, format, { title: base }))];
+    return pages.map((p, i) => output(`${base}_page${i+1}.${format}`, renderText([p], format, { title: `${base} - page ${i + 1}`, firstPage: i + 1 })));
+  }
+
+  // frameOutputs: every frame of a multi-page / animated image as a still in opts.targetFormat, named
+  // <base>_frame<n> (zero-padded); each frame gets the input's edit chain and, with opts.targetSize, its own search
+  async function frameOutputs(buffer, base, opts, transform, cloudJobIds) {
+    if (!sharpAvailable) throw new Error('Extracting frames needs sharp, which is not available');
+    const info = await frameInfo(sharp, buffer);
+    const frames = await extractFrames(sharp, buffer, info.pages);
+    const digits = String(frames.length).length;
+    const outputs = [];
+    for (let i = 0; i < frames.length; i++) {
+      const name = `${base}_frame${String(i + 1).padStart(digits, '0')}`;
+      const conv = opts.targetSize
+        ? await convertImageToSize(frames[i], opts, `${name}.png`, transform, cloudJobIds)
+        : await convertImageBufferWithFallback(frames[i], opts.targetFormat, opts.quality, opts.maxDim, `${name}.png`, { metadata: opts.imageMetadata, transform });
+      if (conv.cloudJobId) cloudJobIds.add(conv.cloudJobId);
+      outputs.push({ name: `${name}.${mime.extension(conv.mime) || opts.targetFormat}`, buffer: conv.buffer, mime: conv.mime, sizing: conv.sizing });
+    }
+    return outputs;
+  }
+
+  // conversionFailed: the error a failed input answers with - UploadError naming the file, unless the
+  // failure already carries its own answer (password, target size or upload problems)
+  function conversionFailed(f, e) {
+    if (e instanceof TargetSizeError || e instanceof PdfPasswordError || e instanceof UploadError) return e;
+    log.warn('conversion failed', { file: f.originalname, error: e && e.message });
+    return new UploadError(`Cannot convert "${f.originalname}": ${e && e.message}`, { code: 'CONVERSION_FAILED', status: 422, file: f.originalname });
+  }
+
+  // processUploads: converts the uploaded multer files and returns { outputs, cloudJobIds }; outputs
+  // is the given array (see createOutputSink) with the results pushed.
+  // onFileState(index, state, extra) reports 'processing' / 'done' per input for job progress.
+  async function processUploads(files, opts, onFileState = () => {}, outputs = []) {
+    const { targetFormat, quality, maxDim, compressPdf } = opts;
+    const toText = TEXT_FORMATS.includes(normalizeFormat(targetFormat));
+    const cloudJobIds = new Set();
+    const onlyImages = files.every(f => isImageMime(f.mimetype));
+
+    if (opts.operation === 'merge') {
+      outputs.push(await mergeUploads(files, opts, onFileState));
+      return { outputs, cloudJobIds };
+    }
+    if (opts.operation === 'split') {
+      await splitUploads(files, opts, onFileState, outputs);
+      return { outputs, cloudJobIds };
+    }
+    if (opts.operation === 'pages') {
+      await editUploads(files, opts, onFileState, outputs);
+      return { outputs, cloudJobIds };
+    }
+    if (opts.operation === 'encrypt' || opts.operation === 'decrypt') {
+      await protectUploads(files, opts, onFileState, outputs);
+      return { outputs, cloudJobIds };
+    }
+    if (opts.operation === 'metadata') {
+      await metadataUploads(files, opts, onFileState, outputs);
+      return { outputs, cloudJobIds };
+    }
+    if (opts.operation === 'watermark') return watermarkUploads(files, opts, onFileState, outputs);
+    if (opts.operation === 'number') return numberUploads(files, opts, onFileState, outputs);
+    if (opts.operation === 'ocr') return ocrUploads(files, opts, onFileState, outputs);
+
+    if (targetFormat === 'pdf' && onlyImages && files.length >= 1) {
+      files.forEach((f, i) => onFileState(i, 'processing'));
+      const buffers = opts.order.map(i => fs.readFileSync(files[i].path));
+      const transforms = opts.order.map(i => opts.transforms[i]);
+      const names = opts.order.map(i => files[i].originalname);
+      const pdfOpts = { layout: opts.layout, imageMetadata: opts.imageMetadata, transforms, names, ocr: opts.ocr, onProgress: i => onFileState(opts.order[i], 'done') };
+      const name = `${Date.now()}_${uuidv4()}.pdf`;
+      if (opts.targetSize) {
+        const sized = await imagesToPdfToSize(buffers, opts, pdfOpts, files.length === 1 ? files[0].originalname : name);
+        outputs.push({ name, buffer: sized.buffer, mime: 'application/pdf', sizing: sized.sizing });
+      } else {
+        outputs.push({ name, buffer: await imagesToPdf(buffers, quality, maxDim, pdfOpts), mime: 'application/pdf' });
+      }
+      return { outputs, cloudJobIds };
+    }
+
+    for (let idx = 0; idx < files.length; idx++) {
+      const f = files[idx];
+      onFileState(idx, 'processing');
+      const inputBuffer = fs.readFileSync(f.path);
+      const inMime = f.mimetype || mime.lookup(f.path) || 'application/octet-stream';
+      const base = path.parse(f.originalname).name;
+
+      // office documents go by name; the upload check made sure the content is an office format too
+      if (isOfficeName(f.originalname)) {
+        try {
+          const conv = await officeToPdfWithFallback(inputBuffer, f.originalname);
+          if (conv.cloudJobId) cloudJobIds.add(conv.cloudJobId);
+          if (targetFormat === 'pdf' && opts.targetSize) outputs.push(await compressPdfUpload(f, conv.buffer, opts, cloudJobIds));
+          else if (targetFormat === 'pdf') outputs.push({ name: `${base}.pdf`, buffer: conv.buffer, mime: 'application/pdf' });
+          else if (toText) outputs.push(...await pdfTextOutputs(conv.buffer, base, opts, cloudJobIds, `${base}.pdf`));
+          else outputs.push(...await rasterizePdfOutputs(conv.buffer, base, opts, cloudJobIds, `${base}.pdf`));
+        } catch (e) {
+          throw conversionFailed(f, e);
+        }
+      } else if (isImageMime(inMime) || isHeicByName(f.originalname, inMime)) {
+        if (targetFormat === 'pdf') {
+          const pdfOpts = { layout: opts.layout, imageMetadata: opts.imageMetadata, transforms: [opts.transforms[idx]], names: [f.originalname], ocr: opts.ocr };
+          if (opts.targetSize) {
+            const sized = await imagesToPdfToSize([inputBuffer], opts, pdfOpts, f.originalname);
+            outputs.push({ name: `${base}.pdf`, buffer: sized.buffer, mime: 'application/pdf', sizing: sized.sizing });
+          } else {
+            outputs.push({ name: `${base}.pdf`, buffer: await imagesToPdf([inputBuffer], quality, maxDim, pdfOpts), mime: 'application/pdf' });
+          }
+        } else if (opts.extractFrames) {
+          try {
+            outputs.push(...await frameOutputs(inputBuffer, base, opts, opts.transforms[idx], cloudJobIds));
+          } catch (e) {
+            throw conversionFailed(f, e);
+          }
+        } else {
+          try {
+            const conv = opts.targetSize
+              ? await convertImageToSize(inputBuffer, opts, f.originalname, opts.transforms[idx], cloudJobIds)
+              : await convertImageBufferWithFallback(inputBuffer, targetFormat, quality, maxDim, f.originalname, { metadata: opts.imageMetadata, transform: opts.transforms[idx] });
+            if (conv.cloudJobId) cloudJobIds.add(conv.cloudJobId);
+            const ext = mime.extension(conv.mime) || targetFormat;
+            outputs.push({ name: `${base}.${ext}`, buffer: conv.buffer, mime: conv.mime, sizing: conv.sizing });
+          } catch (e) {
+            throw conversionFailed(f, e);
+          }
+        }
+      } else if (isPdfMime(inMime, f.originalname)) {
+        if (targetFormat === 'pdf') {
+          if (!compressPdf) {
+            await uploadChecks.checkPdf(inputBuffer, f.originalname);
+            outputs.push({ name: `${base}.pdf`, buffer: inputBuffer, mime: 'application/pdf' });
+          } else {
+            const pdfBuffer = await readPdfUpload(f, opts.password);
+            try {
+              outputs.push(await compressPdfUpload(f, pdfBuffer, opts, cloudJobIds, p => onFileState(idx, 'processing', { progress: p })));
+            } catch (e) {
+              throw conversionFailed(f, e);
+            }
+          }
+        } else if (toText) {
+          const pdfBuffer = await readPdfUpload(f, opts.password);
+          try {
+            outputs.push(...await pdfTextOutputs(pdfBuffer, base, opts, cloudJobIds, f.originalname));
+          } catch (e) {
+            throw conversionFailed(f, e);
+          }
+        } else {
+          const pdfBuffer = await readPdfUpload(f, opts.password);
+          try {
+            outputs.push(...await rasterizePdfOutputs(pdfBuffer, base, opts, cloudJobIds, f.originalname));
+          } catch (e) {
+            throw conversionFailed(f, e);
+          }
+        }
+      } else {
+        throw new UploadError(`"${f.originalname}" is not a supported file type`, { code: 'UNSUPPORTED_TYPE', status: 415, file: f.originalname });
+      }
+
+      onFileState(idx, 'done');
+    }
+    return { outputs, cloudJobIds };
+  }
+
+  return {
+    engines,
+    ocr,
+    sharp,
+    sharpAvailable,
+    sharpError,
+    readConvertOptions,
+    processUploads,
+    readPdfUpload,
+    uploadChecks,
+    convertImageBufferWithFallback,
+    pdfToImagesBuffersWithFallback,
+    imagesToPdf
+  };
+}
+
+module.exports = {
+  OPERATIONS, isImageMime, isHeicByName, isOfficeName, isPdfMime, clampQuality,
+  converterConfigFromEnv, createConverter, createOutputSink, serializeError, reviveError
+};
@@ -0,0 +1,172 @@
+// lib/engines/cloudconvert.js - CloudConvert v2 engine (remote; handles any format CloudConvert does).
+// config: { apiKey, baseUrl, pollIntervalMs, maxPolls, tmpDir }. baseUrl can point at the local
+// stand-in from lib/cloudconvert-mock.js.
+
+const fs = require('fs');
+const path = require('path');
+const mime = require('mime-types');
+const axios = require('axios');
+const FormData = require('form-data');
+const { withTempInput, normalizeFormat } = require('./util');
+const { log } = require('../log');
+
+// failedTasks: what went wrong in a CloudConvert job, without the task payloads (they hold signed URLs)
+const failedTasks = job => (job.tasks || []).filter(t => t.status === 'error' || t.status === 'failed').map(t => ({ name: t.name, operation: t.operation, code: t.code || null, message: t.message || null }));
+const errorBody = err => (err && err.response && err.response.data ? err.response.data : err && err.message);
+
+// ---------------- CloudConvert (robust) ----------------
+// Replace or adjust this function only via careful edits. Progress is logged at debug level; only
+// job ids, statuses and file names are logged, never the job payloads or download URLs.
+async function cloudConvertFallbackConvert(config, filePath, outputFormat, options = {}) {
+  const { apiKey, baseUrl, pollIntervalMs, maxPolls } = config;
+  if (!apiKey) throw new Error('CLOUDCONVERT_API_KEY not configured');
+  const headers = { Authorization: `Bearer ${apiKey}` };
+
+  // Normalize output format
+  let outFmt = String(outputFormat || '').toLowerCase();
+  if (outFmt === 'jpeg') outFmt = 'jpg';
+  if (!outFmt) outFmt = 'jpg';
+
+  const started = Date.now();
+  log.debug('cloudconvert: creating job', { file: path.basename(filePath), output: outFmt });
+  const jobSpec = {
+    tasks: {
+      'import-my-file': { operation: 'import/upload' },
+      'convert-my-file': {
+        operation: 'convert',
+        input: ['import-my-file'],
+        output_format: outFmt,
+        ...(options.input_format ? { input_format: options.input_format } : {}),
+        ...(options.convertOptions || {})
+      },
+      'export-my-file': { operation: 'export/url', input: ['convert-my-file'] }
+    }
+  };
+
+  // create job
+  const jobResp = await axios.post(`${baseUrl}/jobs`, jobSpec, { headers, timeout: 120000 })
+    .catch(err => {
+      log.error('cloudconvert: job creation failed', { output: outFmt, status: err && err.response && err.response.status, error: errorBody(err) });
+      throw new Error('CloudConvert job creation failed: ' + (err && err.message));
+    });
+  if (!jobResp.data || !jobResp.data.data) throw new Error('CloudConvert: failed to create job');
+  const job = jobResp.data.data;
+  const jobId = job.id;
+  log.debug('cloudconvert: job created', { jobId, tasks: (job.tasks || []).map(t => t.name) });
+
+  // get upload info
+  const importTask = (job.tasks || []).find(t => t.name === 'import-my-file' && (t.operation || t.type) === 'import/upload');
+  if (!importTask || !importTask.result || !importTask.result.form) {
+    log.error('cloudconvert: upload details missing in job create response', { jobId, tasks: (job.tasks || []).map(t => ({ name: t.name, operation: t.operation, status: t.status })) });
+    throw new Error('CloudConvert: upload details missing (jobId=' + jobId + ')');
+  }
+  const uploadUrl = importTask.result.form.url;
+  const uploadParams = importTask.result.form.parameters || {};
+
+  // upload file
+  log.debug('cloudconvert: uploading', { jobId, uploadUrl });
+  const uploadForm = new FormData();
+  Object.keys(uploadParams).forEach(k => uploadForm.append(k, uploadParams[k]));
+  uploadForm.append('file', fs.createReadStream(filePath));
+  await axios.post(uploadUrl, uploadForm, { headers: uploadForm.getHeaders(), maxContentLength: Infinity, maxBodyLength: Infinity })
+    .catch(err => {
+      log.error('cloudconvert: upload failed', { jobId, status: err && err.response && err.response.status, error: errorBody(err) });
+      throw new Error('CloudConvert file upload failed: ' + (err && err.message));
+    });
+  log.debug('cloudconvert: upload complete', { jobId });
+
+  // poll job
+  const pollUrl = `${baseUrl}/jobs/${jobId}`;
+  let jobStatus = null;
+  for (let i = 0; i < maxPolls; i++) {
+    await new Promise(r => setTimeout(r, pollIntervalMs));
+    const r = await axios.get(pollUrl, { headers }).catch(err => {
+      log.warn('cloudconvert: poll failed', { jobId, error: err && err.message });
+      return null;
+    });
+    jobStatus = r && r.data && r.data.data;
+    if (!jobStatus) continue;
+    log.debug('cloudconvert: job status', { jobId, status: jobStatus.status, poll: i });
+    if (jobStatus.status === 'finished') break;
+    if (jobStatus.status === 'error' || jobStatus.status === 'failed') {
+      const tasks = failedTasks(jobStatus);
+      log.error('cloudconvert: job failed', { jobId, status: jobStatus.status, tasks });
+      throw new Error(`CloudConvert job failed (jobId=${jobId}): ${tasks.map(t => `${t.name}: ${t.message || t.code || 'error'}`).join('; ') || jobStatus.status}`);
+    }
+  }
+
+  if (!jobStatus || jobStatus.status !== 'finished') {
+    log.error('cloudconvert: job did not finish', { jobId, status: jobStatus && jobStatus.status, polls: maxPolls });
+    throw new Error('CloudConvert job timeout or did not finish (jobId=' + jobId + ', status=' + (jobStatus && jobStatus.status) + ')');
+  }
+
+  // find export task/files
+  const exportTask = (jobStatus.tasks || []).find(t => t.name === 'export-my-file' && t.status === 'finished');
+  if (!exportTask || !exportTask.result || !exportTask.result.files || exportTask.result.files.length === 0) {
+    log.error('cloudconvert: no export files', { jobId, tasks: (jobStatus.tasks || []).map(t => ({ name: t.name, status: t.status })) });
+    throw new Error('CloudConvert: no export files found (jobId=' + jobId + ')');
+  }
+
+  // download outputs
+  const downloadedPaths = [];
+  for (const fileMeta of exportTask.result.files) {
+    const fileUrl = fileMeta.url;
+    const extFromName = path.extname(fileMeta.filename) || `.${outFmt}`;
+    const tmpOut = path.join(path.dirname(filePath), `${path.parse(filePath).name}_cloudconv_${Date.now()}_${Math.random().toString(36).slice(2,8)}${extFromName}`);
+    log.debug('cloudconvert: downloading', { jobId, file: fileMeta.filename, url: fileUrl });
+    const writer = fs.createWriteStream(tmpOut);
+    const resp = await axios.get(fileUrl, { responseType: 'stream' }).catch(err => {
+      log.error('cloudconvert: download failed', { jobId, file: fileMeta.filename, error: err && err.message });
+      throw new Error('CloudConvert download failed: ' + (err && err.message));
+    });
+    await new Promise((resolve, reject) => {
+      resp.data.pipe(writer);
+      writer.on('finish', resolve); // wait for the file to be flushed, not just the response to end
+      writer.on('error', reject);
+      resp.data.on('error', reject);
+    });
+    downloadedPaths.push(tmpOut);
+  }
+  log.info('cloudconvert: job finished', { jobId, output: outFmt, files: exportTask.result.files.map(f => f.filename), durationMs: Date.now() - started });
+
+  // Sanity: check downloaded extensions not all same as input ext
+  try {
+    const inputExt = path.extname(filePath).toLowerCase();
+    const allSameAsInput = downloadedPaths.every(p => path.extname(p).toLowerCase() === inputExt);
+    if (allSameAsInput) {
+      throw new Error('CloudConvert produced files with same extension as input (jobId=' + jobId + '); the conversion likely failed');
+    }
+  } catch (e) {
+    log.warn('cloudconvert: sanity check triggered', { jobId, error: e && e.message });
+  }
+
+  return { downloadedPaths, jobId, jobStatus };
+}
+
+function createCloudConvertEngine(config) {
+  return {
+    name: 'cloudconvert',
+    capabilities: { inputs: ['*'], outputs: ['*'] },
+    available: () => !!config.apiKey,
+    // convert({ buffer, input, output, originalName, metadata }) -> { buffers, mime, cloudJobId }
+    // CloudConvert can only keep or strip all metadata, so 'icc' strips too.
+    async convert(req) {
+      const ext = path.extname(req.originalName || '') || (req.input && req.input !== 'image' ? `.${req.input}` : '.bin');
+      const options = Object.assign({}, req.cloudOptions);
+      if (req.metadata) options.convertOptions = Object.assign({ strip: req.metadata === 'strip' || req.metadata === 'icc' }, options.convertOptions);
+      return withTempInput(config.tmpDir, req.buffer, ext, async (tmpIn) => {
+        const { downloadedPaths, jobId } = await cloudConvertFallbackConvert(config, tmpIn, req.output, options);
+        try {
+          if (!downloadedPaths || downloadedPaths.length === 0) throw new Error('CloudConvert produced no files');
+          const buffers = downloadedPaths.map(p => fs.readFileSync(p));
+          return { buffers, mime: mime.lookup(downloadedPaths[0]) || 'application/octet-stream', cloudJobId: jobId };
+        } finally {
+          for (const p of downloadedPaths || []) try { fs.unlinkSync(p); } catch (e) {}
+        }
+      });
+    },
+    convertFile: (filePath, outputFormat, options) => cloudConvertFallbackConvert(config, filePath, normalizeFormat(outputFormat), options)
+  };
+}
+
+module.exports = { createCloudConvertEngine, cloudConvertFallbackConvert };
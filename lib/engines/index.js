@@ -0,0 +1,107 @@
+// lib/engines/index.js - Conversion engine registry with ordered fallback.
+// An engine is { name, capabilities: { inputs, outputs }, available(), convert(req) } where
+// convert(req) resolves { buffers, mime, cloudJobId }; '*' in a capability list matches any format.
+// req carries { buffer, input, output, quality, maxDim, originalName } plus optional { metadata } (image
+// metadata policy, see lib/image-meta.js).
+//
+// Fallback policy: ENGINE_ORDER (the default order is supplied by the caller, see enginePolicyFromEnv)
+// with per-input overrides such as ENGINE_ORDER_HEIC=cloudconvert,sharp. Registered engines missing
+// from the order are tried last; ENGINES_DISABLED removes engines entirely.
+
+const { normalizeFormat } = require('./util');
+const { log } = require('../log');
+
+function parseEngineList(v) {
+  return String(v || '').split(',').map(s => s.trim().toLowerCase()).filter(Boolean);
+}
+
+// enginePolicyFromEnv: { order, byInput, disabled } from the environment, on top of defaults
+function enginePolicyFromEnv(env, defaults = {}) {
+  const byInput = Object.assign({}, defaults.byInput || {});
+  for (const key of Object.keys(env)) {
+    const m = key.match(/^ENGINE_ORDER_([A-Z0-9]+)$/);
+    if (m) byInput[normalizeFormat(m[1])] = parseEngineList(env[key]);
+  }
+  return {
+    order: env.ENGINE_ORDER ? parseEngineList(env.ENGINE_ORDER) : (defaults.order || []),
+    byInput,
+    disabled: parseEngineList(env.ENGINES_DISABLED)
+  };
+}
+
+function createEngineRegistry(policy = {}) {
+  const engines = new Map();
+  const order = policy.order || [];
+  const byInput = policy.byInput || {};
+  const disabled = policy.disabled || [];
+  const observers = new Set();
+
+  function register(engine) {
+    engines.set(engine.name, engine);
+    return engine;
+  }
+
+  function supports(engine, input, output) {
+    const { inputs = [], outputs = [] } = engine.capabilities || {};
+    return (inputs.includes('*') || inputs.includes(input)) && (outputs.includes('*') || outputs.includes(output));
+  }
+
+  function orderFor(input) {
+    const preferred = byInput[input] || order;
+    const rest = Array.from(engines.keys()).filter(n => !preferred.includes(n));
+    return preferred.concat(rest).filter(n => engines.has(n) && !disabled.includes(n));
+  }
+
+  // candidates: available engines able to do input -> output, in policy order
+  function candidates(input, output) {
+    const i = normalizeFormat(input);
+    const o = normalizeFormat(output);
+    return orderFor(i).map(n => engines.get(n)).filter(e => e.available() && supports(e, i, o));
+  }
+
+  // observe(fn): fn({ engine, input, output, ok, durationMs }) after every engine attempt (for metrics);
+  // returns the function that stops it
+  function observe(fn) {
+    observers.add(fn);
+    return () => observers.delete(fn);
+  }
+
+  function report(attempt) {
+    for (const fn of observers) try { fn(attempt); } catch (e) { log.warn('engines: observer failed', { error: e }); }
+  }
+
+  // run: tries each candidate in turn; resolves the first success plus { engine }
+  async function run(input, output, req) {
+    const i = normalizeFormat(input);
+    const o = normalizeFormat(output);
+    const list = candidates(i, o);
+    if (!list.length) throw new Error(`No conversion engine available for ${i} -> ${o}`);
+    const errors = [];
+    for (const engine of list) {
+      const started = Date.now();
+      try {
+        const result = await engine.convert(Object.assign({}, req, { input: i, output: o }));
+        report({ engine: engine.name, input: i, output: o, ok: true, durationMs: Date.now() - started });
+        return Object.assign({ engine: engine.name }, result);
+      } catch (e) {
+        report({ engine: engine.name, input: i, output: o, ok: false, durationMs: Date.now() - started });
+        log.warn('engine failed, trying next', { engine: engine.name, input: i, output: o, error: e && e.message });
+        errors.push(`${engine.name}: ${e && e.message}`);
+      }
+    }
+    throw new Error(`All engines failed for ${i} -> ${o} (${errors.join('; ')})`);
+  }
+
+  function describe() {
+    return {
+      order: orderFor(null),
+      byInput,
+      disabled,
+      engines: Array.from(engines.values()).map(e => ({ name: e.name, available: !!e.available(), capabilities: e.capabilities }))
+    };
+  }
+
+  return { register, get: name => engines.get(name), candidates, run, observe, describe };
+}
+
+module.exports = { createEngineRegistry, enginePolicyFromEnv };
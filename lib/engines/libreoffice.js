@@ -0,0 +1,76 @@
+// lib/engines/libreoffice.js - Local headless LibreOffice (soffice) engine for office documents -> PDF.
+// The binary comes from SOFFICE_PATH or is looked up on PATH and in the usual install locations.
+// Every conversion runs with its own throwaway profile so parallel conversions do not collide.
+
+const fs = require('fs');
+const path = require('path');
+const { execFile, execFileSync } = require('child_process');
+const { pathToFileURL } = require('url');
+const mime = require('mime-types');
+const { withTempDir } = require('./util');
+
+const OFFICE_FORMATS = ['doc', 'docx', 'odt', 'rtf', 'xls', 'xlsx', 'ods', 'csv', 'ppt', 'pptx', 'odp'];
+const COMMON_PATHS = [
+  '/usr/bin/soffice',
+  '/usr/local/bin/soffice',
+  '/usr/lib/libreoffice/program/soffice',
+  '/opt/libreoffice/program/soffice',
+  '/Applications/LibreOffice.app/Contents/MacOS/soffice'
+];
+
+function isExecutable(p) {
+  try { fs.accessSync(p, fs.constants.X_OK); return fs.statSync(p).isFile(); } catch (e) { return false; }
+}
+
+// findSoffice: explicit path first, then PATH (soffice / libreoffice), then common install paths
+function findSoffice(explicit) {
+  if (explicit) return isExecutable(explicit) ? explicit : null;
+  const dirs = String(process.env.PATH || '').split(path.delimiter).filter(Boolean);
+  for (const dir of dirs) {
+    for (const bin of ['soffice', 'libreoffice']) {
+      const p = path.join(dir, bin);
+      if (isExecutable(p)) return p;
+    }
+  }
+  return COMMON_PATHS.find(isExecutable) || null;
+}
+
+function createLibreOfficeEngine({ binary = null, tmpDir, timeoutMs = 120000 } = {}) {
+  const soffice = findSoffice(binary);
+  let version;
+
+  return {
+    name: 'libreoffice',
+    capabilities: { inputs: OFFICE_FORMATS, outputs: ['pdf'] },
+    available: () => !!soffice,
+    // info: binary path and version string for /diag (version is read once, lazily)
+    info() {
+      if (soffice && version === undefined) {
+        try { version = execFileSync(soffice, ['--version'], { timeout: 15000 }).toString().trim(); } catch (e) { version = null; }
+      }
+      return { available: !!soffice, path: soffice, version: version || null };
+    },
+    async convert(req) {
+      return withTempDir(tmpDir, 'soffice', async (dir) => {
+        const inPath = path.join(dir, `input.${req.input}`);
+        fs.writeFileSync(inPath, req.buffer);
+        const args = [
+          '--headless', '--norestore', '--nolockcheck', '--nodefault',
+          `-env:UserInstallation=${pathToFileURL(path.join(dir, 'profile')).href}`,
+          '--convert-to', req.output, '--outdir', dir, inPath
+        ];
+        await new Promise((resolve, reject) => {
+          execFile(soffice, args, { timeout: timeoutMs }, (err, stdout, stderr) => {
+            if (err) return reject(new Error(`LibreOffice failed: ${err.killed ? 'timed out' : (String(stderr || '').trim() || err.message)}`));
+            resolve();
+          });
+        });
+        const outPath = path.join(dir, `input.${req.output}`);
+        if (!fs.existsSync(outPath)) throw new Error('LibreOffice produced no output (unsupported or damaged document?)');
+        return { buffers: [fs.readFileSync(outPath)], mime: mime.lookup(req.output) || 'application/octet-stream', cloudJobId: null };
+      });
+    }
+  };
+}
+
+module.exports = { createLibreOfficeEngine, findSoffice, OFFICE_FORMATS };
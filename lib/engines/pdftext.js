@@ -0,0 +1,33 @@
+// lib/engines/pdftext.js - Local text-layer extraction (pdf.js) for pdf -> txt. Resolves one plain-text
+// buffer per page plus `pages` in the lib/pdf-text.js form; a PDF without any text (a scan) fails, so
+// the registry moves on to the next engine (CloudConvert).
+// pdfjs-dist is loaded on first use: its legacy build warns about missing canvas polyfills on load.
+
+const { extractPdfText, hasText, renderText } = require('../pdf-text');
+
+const PDFJS_MODULE = 'pdfjs-dist/legacy/build/pdf.js';
+
+function createPdfTextEngine() {
+  let installed;
+  let pdfjs = null;
+  const available = () => {
+    if (installed === undefined) {
+      try { require.resolve(PDFJS_MODULE); installed = true; } catch (e) { installed = false; }
+    }
+    return installed;
+  };
+
+  return {
+    name: 'pdftext',
+    capabilities: { inputs: ['pdf'], outputs: ['txt'] },
+    available,
+    async convert(req) {
+      if (!pdfjs) pdfjs = require(PDFJS_MODULE);
+      const pages = await extractPdfText(pdfjs, req.buffer);
+      if (!hasText(pages)) throw new Error('PDF has no text layer (scanned pages?)');
+      return { buffers: pages.map(p => Buffer.from(renderText([p], 'txt'), 'utf8')), mime: 'text/plain', cloudJobId: null, pages };
+    }
+  };
+}
+
+module.exports = { createPdfTextEngine };
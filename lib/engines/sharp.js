@@ -0,0 +1,119 @@
+// lib/engines/sharp.js - Local libvips engine: image re-encoding, plus PDF rasterization when the
+// installed libvips was built with PDF support.
+
+const { PDFDocument } = require('pdf-lib');
+const { ANIMATED_FORMATS, frameInfo } = require('../image-frames');
+const { log } = require('../log');
+
+const IMAGE_INPUTS = ['image', 'jpeg', 'png', 'webp', 'avif', 'gif', 'tiff', 'svg', 'heif', 'heic'];
+const IMAGE_OUTPUTS = ['jpeg', 'png', 'webp', 'avif', 'heif', 'heic', 'tiff', 'gif'];
+const WHITE = { r:255, g:255, b:255 };
+
+// applyMetadataPolicy: what the encoder copies from the input (see lib/image-meta.js); sharp drops
+// all metadata unless told otherwise. For strip-gps the caller has already removed GPS from the input.
+function applyMetadataPolicy(img, policy) {
+  if (policy === 'keep') return img.keepMetadata();
+  if (policy === 'icc') return img.keepIccProfile();
+  if (policy === 'strip-gps') return img.keepExif().keepIccProfile();
+  return img;
+}
+
+// editPipeline: sharp pipeline for the upright input with the edit chain from lib/image-transform.js
+// applied. sharp runs one pipeline in a fixed order (an explicit rotation happens before crop and
+// resize), so a rotation gets a second pass over a lossless intermediate that keeps the metadata.
+// animated loads every frame (no edit chain then); the size cap applies per frame.
+async function editPipeline(sharp, buffer, maxDim, t, animated = false) {
+  let img = sharp(buffer, { animated }).rotate();
+  const clear = { r: 0, g: 0, b: 0, alpha: 0 };
+  const bg = t && t.background ? Object.assign({ alpha: 1 }, t.background) : clear;
+  if (t && t.crop) img = img.extract(t.crop);
+  if (t && (t.width || t.height)) {
+    img = img.resize({ width: t.width || undefined, height: t.height || undefined, fit: t.fit, background: bg });
+  } else {
+    try {
+      const meta = await img.metadata().catch(()=>null);
+      // metadata() describes the input, not the crop, so never let the cap enlarge a cropped region
+      if (meta && Math.max(meta.width||0, meta.pageHeight||meta.height||0) > maxDim) img = img.resize({ width: maxDim, height: maxDim, fit: 'inside', withoutEnlargement: true });
+    } catch(_) {}
+  }
+  if (!t) return img;
+  if (t.rotate % 360) {
+    const intermediate = await img.keepMetadata().png({ compressionLevel: 1 }).toBuffer();
+    img = sharp(intermediate).rotate(t.rotate, { background: bg });
+  }
+  if (t.flip) img = img.flip();
+  if (t.flop) img = img.flop();
+  if (t.grayscale) img = img.grayscale();
+  if (t.sharpen) img = t.sharpen === true ? img.sharpen() : img.sharpen({ sigma: t.sharpen });
+  return img;
+}
+
+// encodeImage: transform (optional) and metadata policy, then encode. JPEG and HEIF have no alpha and
+// are flattened onto the transform background (white by default); other formats keep transparency
+// unless a background color is given. Animated GIF / WebP re-encoded as GIF or WebP keep all frames,
+// their delays and the loop count; an edit chain, or any other output, takes the first frame only.
+async function encodeImage(sharp, { buffer, output, quality, maxDim, metadata, transform }) {
+  const animated = ANIMATED_FORMATS.includes(output) && !transform && !!(await frameInfo(sharp, buffer).catch(() => ({}))).animated;
+  let img = applyMetadataPolicy(await editPipeline(sharp, buffer, maxDim, transform || null, animated), metadata);
+  const background = transform && transform.background;
+  const flat = () => img.flatten({ background: background || WHITE });
+  if (background) img = flat();
+  const q = quality;
+
+  if (output === 'jpeg') return { buffer: await flat().jpeg({ quality: q, mozjpeg: true }).toBuffer(), mime: 'image/jpeg' };
+  if (output === 'png') return { buffer: await img.png().toBuffer(), mime: 'image/png' };
+  if (output === 'webp') return { buffer: await img.webp({ quality: q }).toBuffer(), mime: 'image/webp' };
+  if (output === 'avif') return { buffer: await img.avif({ quality: q }).toBuffer(), mime: 'image/avif' };
+  // HEIF/HEIC output works when sharp/libvips was built with an HEVC encoder; mime is reported as image/heif
+  if (output === 'heif' || output === 'heic') return { buffer: await flat().heif({ quality: q }).toBuffer(), mime: 'image/heif' };
+  if (output === 'tiff') return { buffer: await img.tiff({ quality: q }).toBuffer(), mime: 'image/tiff' };
+  if (output === 'gif') return { buffer: await img.gif().toBuffer(), mime: 'image/gif' };
+  throw new Error(`sharp cannot encode ${output}`);
+}
+
+// rasterizePdf: one image buffer per page at 150 dpi, scaled down to maxDim
+async function rasterizePdf(sharp, { buffer, output, quality, maxDim }) {
+  const encode = img => (output === 'png' ? img.png() : img.jpeg({ quality })).toBuffer();
+  let pageCount = 0;
+  try { const doc = await PDFDocument.load(buffer); pageCount = doc.getPageCount(); } catch (e) { pageCount = 0; }
+  if (pageCount <= 0) {
+    const img = sharp(buffer, { density: 150 });
+    const meta = await img.metadata().catch(()=>({}));
+    if (meta && Math.max(meta.width||0, meta.height||0) > maxDim) img.resize({ width: maxDim, height: maxDim, fit: 'inside' });
+    return [await encode(img)];
+  }
+  const results = [];
+  for (let i = 0; i < pageCount; i++) {
+    try {
+      const pageImg = sharp(buffer, { density: 150, page: i });
+      const meta = await pageImg.metadata().catch(()=>({}));
+      if (meta && Math.max(meta.width||0, meta.height||0) > maxDim) pageImg.resize({ width: maxDim, height: maxDim, fit: 'inside' });
+      results.push(await encode(pageImg));
+    } catch (e) {
+      log.warn('sharp: rasterizing page failed', { page: i + 1, error: e && e.message });
+      break;
+    }
+  }
+  if (!results.length) throw new Error('sharp rendered no PDF pages');
+  return results;
+}
+
+// createSharpEngine(sharp): sharp may be null when the module failed to load
+function createSharpEngine(sharp) {
+  const pdfInput = !!(sharp && sharp.format && sharp.format.pdf && sharp.format.pdf.input && sharp.format.pdf.input.buffer);
+  return {
+    name: 'sharp',
+    capabilities: { inputs: IMAGE_INPUTS.concat(pdfInput ? ['pdf'] : []), outputs: IMAGE_OUTPUTS },
+    available: () => !!sharp,
+    async convert(req) {
+      if (req.input === 'pdf') {
+        const buffers = await rasterizePdf(sharp, req);
+        return { buffers, mime: req.output === 'png' ? 'image/png' : 'image/jpeg', cloudJobId: null };
+      }
+      const out = await encodeImage(sharp, req);
+      return { buffers: [out.buffer], mime: out.mime, cloudJobId: null, transformed: !!req.transform };
+    }
+  };
+}
+
+module.exports = { createSharpEngine };
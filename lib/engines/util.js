@@ -0,0 +1,45 @@
+// lib/engines/util.js - Shared helpers for engines: format names and temp-file handling.
+
+const fs = require('fs');
+const path = require('path');
+
+const FORMAT_ALIASES = { jpg: 'jpeg', jpe: 'jpeg', jfif: 'jpeg', pjpeg: 'jpeg', tif: 'tiff', htm: 'html', markdown: 'md' };
+
+// normalizeFormat: 'JPG' / '.jpg' / 'jpeg' -> 'jpeg'; unknown names pass through lowercased
+function normalizeFormat(fmt) {
+  const f = String(fmt || '').toLowerCase().replace(/^\./, '');
+  return FORMAT_ALIASES[f] || f;
+}
+
+// formatFromName: normalized format from a file name's extension, or null
+function formatFromName(name) {
+  const ext = name ? path.extname(name) : '';
+  return ext ? normalizeFormat(ext) : null;
+}
+
+function tmpName(dir, prefix, ext) {
+  return path.join(dir, `${prefix}_${Date.now()}_${Math.random().toString(36).slice(2, 8)}${ext}`);
+}
+
+// withTempInput: writes buffer to a temp file, runs fn(tmpPath) and always removes the file
+async function withTempInput(dir, buffer, ext, fn) {
+  const tmpIn = tmpName(dir, 'tmp', ext || '.bin');
+  fs.writeFileSync(tmpIn, buffer);
+  try {
+    return await fn(tmpIn);
+  } finally {
+    try { fs.unlinkSync(tmpIn); } catch (e) {}
+  }
+}
+
+// withTempDir: creates a scratch directory under dir, runs fn(scratchPath) and removes it afterwards
+async function withTempDir(dir, prefix, fn) {
+  const scratch = fs.mkdtempSync(path.join(dir, `${prefix}_`));
+  try {
+    return await fn(scratch);
+  } finally {
+    try { fs.rmSync(scratch, { recursive: true, force: true }); } catch (e) {}
+  }
+}
+
+module.exports = { normalizeFormat, formatFromName, tmpName, withTempInput, withTempDir };
@@ -0,0 +1,23 @@
+// lib/image-frames.js - Multi-frame images: multi-page TIFF and animated GIF / WebP. sharp decodes
+// only the first frame unless asked for more; these helpers count the frames and take them apart.
+
+const ANIMATED_FORMATS = ['gif', 'webp'];
+
+// frameInfo(sharp, buffer): { format, pages, animated, delay, loop }. pages is 1 for still images;
+// animated is set for GIF / WebP with more than one frame (delay in ms per frame, loop 0 = forever).
+async function frameInfo(sharp, buffer) {
+  const m = await sharp(buffer).metadata();
+  const pages = m.pages || 1;
+  return { format: m.format, pages, animated: pages > 1 && ANIMATED_FORMATS.includes(m.format), delay: m.delay || null, loop: m.loop };
+}
+
+// extractFrames(sharp, buffer, pages): the first `pages` frames as lossless, upright PNG stills.
+// Animation frames come out fully composed (libvips applies offsets and disposal); TIFF pages keep
+// their own size.
+async function extractFrames(sharp, buffer, pages) {
+  const frames = [];
+  for (let page = 0; page < pages; page++) frames.push(await sharp(buffer, { page }).rotate().png().toBuffer());
+  return frames;
+}
+
+module.exports = { ANIMATED_FORMATS, frameInfo, extractFrames };
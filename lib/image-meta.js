@@ -0,0 +1,246 @@
+// lib/image-meta.js - Image metadata policy, EXIF parsing and GPS removal.
+// EXIF is a TIFF structure (header + IFDs); it is found inside JPEG (APP1), PNG (eXIf), WebP (EXIF
+// chunk) and TIFF files without decoding the image. Other containers (HEIF/AVIF) are only read
+// through sharp's metadata().
+
+// strip: drop everything (sharp's default), keep: EXIF + ICC + XMP + IPTC, icc: ICC profile only,
+// strip-gps: EXIF without the GPS directory, plus the ICC profile
+const IMAGE_METADATA_POLICIES = ['strip', 'keep', 'icc', 'strip-gps'];
+
+function parseImageMetadataPolicy(value) {
+  const p = String(value || 'strip').toLowerCase();
+  if (!IMAGE_METADATA_POLICIES.includes(p)) throw new Error(`Unknown imageMetadata "${p}" (use ${IMAGE_METADATA_POLICIES.join(', ')})`);
+  return p;
+}
+
+// Tag names per directory; unlisted tags are reported as 0xNNNN
+const IMAGE_TAGS = {
+  0x010E: 'ImageDescription', 0x010F: 'Make', 0x0110: 'Model', 0x0112: 'Orientation', 0x011A: 'XResolution',
+  0x011B: 'YResolution', 0x0128: 'ResolutionUnit', 0x0131: 'Software', 0x0132: 'DateTime', 0x013B: 'Artist',
+  0x0213: 'YCbCrPositioning', 0x8298: 'Copyright', 0x0100: 'ImageWidth', 0x0101: 'ImageLength',
+  0x0103: 'Compression', 0x0201: 'JPEGInterchangeFormat', 0x0202: 'JPEGInterchangeFormatLength'
+};
+const EXIF_TAGS = {
+  0x829A: 'ExposureTime', 0x829D: 'FNumber', 0x8822: 'ExposureProgram', 0x8827: 'ISOSpeedRatings',
+  0x9000: 'ExifVersion', 0x9003: 'DateTimeOriginal', 0x9004: 'DateTimeDigitized', 0x9010: 'OffsetTime',
+  0x9011: 'OffsetTimeOriginal', 0x9101: 'ComponentsConfiguration', 0x9201: 'ShutterSpeedValue', 0x9202: 'ApertureValue', 0x9204: 'ExposureBiasValue',
+  0x9205: 'MaxApertureValue', 0x9207: 'MeteringMode', 0x9209: 'Flash', 0x920A: 'FocalLength', 0x927C: 'MakerNote',
+  0x9286: 'UserComment', 0xA000: 'FlashpixVersion', 0xA001: 'ColorSpace', 0xA002: 'PixelXDimension',
+  0xA003: 'PixelYDimension', 0xA402: 'ExposureMode', 0xA403: 'WhiteBalance', 0xA405: 'FocalLengthIn35mmFilm',
+  0xA406: 'SceneCaptureType', 0xA420: 'ImageUniqueID', 0xA430: 'CameraOwnerName', 0xA431: 'BodySerialNumber',
+  0xA432: 'LensSpecification', 0xA433: 'LensMake', 0xA434: 'LensModel', 0xA435: 'LensSerialNumber'
+};
+const GPS_TAGS = {
+  0x0000: 'GPSVersionID', 0x0001: 'GPSLatitudeRef', 0x0002: 'GPSLatitude', 0x0003: 'GPSLongitudeRef',
+  0x0004: 'GPSLongitude', 0x0005: 'GPSAltitudeRef', 0x0006: 'GPSAltitude', 0x0007: 'GPSTimeStamp',
+  0x000C: 'GPSSpeedRef', 0x000D: 'GPSSpeed', 0x0010: 'GPSImgDirectionRef', 0x0011: 'GPSImgDirection',
+  0x0012: 'GPSMapDatum', 0x001D: 'GPSDateStamp'
+};
+const EXIF_POINTER = 0x8769;
+const GPS_POINTER = 0x8825;
+const INTEROP_POINTER = 0xA005;
+// bytes per component by TIFF field type
+const TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 6: 1, 7: 1, 8: 2, 9: 4, 10: 8, 11: 4, 12: 8 };
+const ASCII_UNDEFINED = ['ExifVersion', 'FlashpixVersion'];
+
+// tiffReader: bounds-checked accessors over an EXIF/TIFF block; throws on a bad header
+function tiffReader(tiff) {
+  const order = tiff.slice(0, 2).toString('latin1');
+  if (order !== 'II' && order !== 'MM') throw new Error('Not a TIFF/EXIF block');
+  const le = order === 'II';
+  const check = (off, len) => { if (off < 0 || off + len > tiff.length) throw new Error('EXIF data is truncated'); };
+  const u16 = off => { check(off, 2); return le ? tiff.readUInt16LE(off) : tiff.readUInt16BE(off); };
+  const u32 = off => { check(off, 4); return le ? tiff.readUInt32LE(off) : tiff.readUInt32BE(off); };
+  const i32 = off => { check(off, 4); return le ? tiff.readInt32LE(off) : tiff.readInt32BE(off); };
+  if (u16(2) !== 42) throw new Error('Not a TIFF/EXIF block');
+
+  // entries(ifdOffset): [{ tag, type, count, size, valueOffset, entryOffset }]
+  function entries(ifd) {
+    const n = u16(ifd);
+    check(ifd + 2, n * 12 + 4);
+    const list = [];
+    for (let i = 0; i < n; i++) {
+      const e = ifd + 2 + i * 12;
+      const type = u16(e + 2);
+      const count = u32(e + 4);
+      const size = (TYPE_SIZES[type] || 1) * count;
+      list.push({ tag: u16(e), type, count, size, valueOffset: size > 4 ? u32(e + 8) : e + 8, entryOffset: e });
+    }
+    return list;
+  }
+
+  function value(entry, name) {
+    const { type, count, size, valueOffset: off } = entry;
+    check(off, size);
+    if (type === 2) return tiff.slice(off, off + count).toString('latin1').replace(/\0+$/, '').trim();
+    if (type === 7 || type === 1 || type === 6) {
+      if (type === 7 && ASCII_UNDEFINED.includes(name)) return tiff.slice(off, off + count).toString('latin1');
+      if (type === 7 && name === 'UserComment') return tiff.slice(off + 8, off + count).toString('latin1').replace(/\0+$/, '').trim();
+      if (type === 7 && count > 16) return `(${count} bytes)`;
+    }
+    const one = i => {
+      const p = off + i * (TYPE_SIZES[type] || 1);
+      switch (type) {
+        case 3: return u16(p);
+        case 4: return u32(p);
+        case 9: return i32(p);
+        case 5: { const d = u32(p + 4); return d ? u32(p) / d : null; }
+        case 10: { const d = i32(p + 4); return d ? i32(p) / d : null; }
+        case 11: return le ? tiff.readFloatLE(p) : tiff.readFloatBE(p);
+        case 12: return le ? tiff.readDoubleLE(p) : tiff.readDoubleBE(p);
+        default: return tiff[p];
+      }
+    };
+    if (count === 1) return one(0);
+    return Array.from({ length: count }, (_, i) => one(i));
+  }
+
+  return { u16, u32, entries, value, le, firstIfd: () => u32(4) };
+}
+
+function readIfd(reader, offset, names) {
+  const out = {};
+  const pointers = {};
+  for (const entry of reader.entries(offset)) {
+    if (entry.tag === EXIF_POINTER || entry.tag === GPS_POINTER || entry.tag === INTEROP_POINTER) {
+      pointers[entry.tag] = reader.value(entry);
+      continue;
+    }
+    const name = names[entry.tag] || `0x${entry.tag.toString(16).padStart(4, '0').toUpperCase()}`;
+    try { out[name] = reader.value(entry, name); } catch (e) { /* value outside the block */ }
+  }
+  return { tags: out, pointers };
+}
+
+// gpsCoordinates: decimal latitude / longitude / altitude from a parsed GPS directory, or null
+function gpsCoordinates(gps) {
+  const deg = v => (Array.isArray(v) && v.length === 3 && v.every(n => typeof n === 'number') ? v[0] + v[1] / 60 + v[2] / 3600 : null);
+  const lat = deg(gps.GPSLatitude);
+  const lon = deg(gps.GPSLongitude);
+  if (lat === null || lon === null) return null;
+  return {
+    latitude: gps.GPSLatitudeRef === 'S' ? -lat : lat,
+    longitude: gps.GPSLongitudeRef === 'W' ? -lon : lon,
+    altitude: typeof gps.GPSAltitude === 'number' ? (gps.GPSAltitudeRef === 1 ? -gps.GPSAltitude : gps.GPSAltitude) : null
+  };
+}
+
+// parseExif(block): { image, exif, gps, thumbnail, location } from an EXIF block, with or without
+// its 'Exif\0\0' prefix. Throws on data that is not EXIF.
+function parseExif(block) {
+  const tiff = block.slice(0, 6).toString('latin1') === 'Exif\0\0' ? block.slice(6) : block;
+  const reader = tiffReader(tiff);
+  const ifd0 = readIfd(reader, reader.firstIfd(), IMAGE_TAGS);
+  const sub = (tag, names) => {
+    if (!ifd0.pointers[tag]) return {};
+    try { return readIfd(reader, ifd0.pointers[tag], names).tags; } catch (e) { return {}; }
+  };
+  const result = { image: ifd0.tags, exif: sub(EXIF_POINTER, EXIF_TAGS), gps: sub(GPS_POINTER, GPS_TAGS), thumbnail: null, location: null };
+  try {
+    const n = reader.u16(reader.firstIfd());
+    const next = reader.u32(reader.firstIfd() + 2 + n * 12);
+    if (next) result.thumbnail = readIfd(reader, next, IMAGE_TAGS).tags;
+  } catch (e) {}
+  result.location = gpsCoordinates(result.gps);
+  return result;
+}
+
+// removeGpsInPlace(tiff): unlinks the GPS directory from IFD0 and zeroes it together with its values.
+// Only bytes inside the block change, so containers need no offset fixes. Returns true when GPS data
+// was found.
+function removeGpsInPlace(tiff) {
+  const reader = tiffReader(tiff);
+  const ifd0 = reader.firstIfd();
+  const list = reader.entries(ifd0);
+  const k = list.findIndex(e => e.tag === GPS_POINTER);
+  if (k < 0) return false;
+  const gpsIfd = reader.value(list[k]);
+  try {
+    const gpsEntries = reader.entries(gpsIfd);
+    for (const e of gpsEntries) if (e.size > 4 && e.valueOffset + e.size <= tiff.length) tiff.fill(0, e.valueOffset, e.valueOffset + e.size);
+    tiff.fill(0, gpsIfd, gpsIfd + 2 + gpsEntries.length * 12 + 4);
+  } catch (e) { /* dangling pointer: unlinking is enough */ }
+  // drop entry k: shift the following entries and the next-IFD offset down by one slot
+  const start = list[k].entryOffset;
+  const end = ifd0 + 2 + list.length * 12 + 4;
+  tiff.copy(tiff, start, start + 12, end);
+  tiff.fill(0, end - 12, end);
+  if (reader.le) tiff.writeUInt16LE(list.length - 1, ifd0); else tiff.writeUInt16BE(list.length - 1, ifd0);
+  return true;
+}
+
+let crcTable = null;
+function crc32(buf) {
+  if (!crcTable) {
+    crcTable = new Int32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+      crcTable[n] = c;
+    }
+  }
+  let crc = -1;
+  for (let i = 0; i < buf.length; i++) crc = crcTable[(crc ^ buf[i]) & 0xFF] ^ (crc >>> 8);
+  return (crc ^ -1) >>> 0;
+}
+
+// findExifBlock(buffer): { container, start, end, crc? } locating the TIFF bytes of the EXIF data;
+// container is null for formats this module cannot walk, start is -1 when there is no EXIF.
+function findExifBlock(buf) {
+  const none = container => ({ container, start: -1, end: -1 });
+  if (buf[0] === 0xFF && buf[1] === 0xD8) {
+    let p = 2;
+    while (p + 4 <= buf.length && buf[p] === 0xFF) {
+      const marker = buf[p + 1];
+      if (marker === 0xDA || marker === 0xD9) break;
+      const len = buf.readUInt16BE(p + 2);
+      if (marker === 0xE1 && buf.slice(p + 4, p + 10).toString('latin1') === 'Exif\0\0') return { container: 'jpeg', start: p + 10, end: Math.min(p + 2 + len, buf.length) };
+      p += 2 + len;
+    }
+    return none('jpeg');
+  }
+  if (buf.slice(0, 8).equals(Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]))) {
+    let p = 8;
+    while (p + 12 <= buf.length) {
+      const len = buf.readUInt32BE(p);
+      const type = buf.slice(p + 4, p + 8).toString('latin1');
+      if (type === 'eXIf') return { container: 'png', start: p + 8, end: p + 8 + len, crc: p + 8 + len };
+      if (type === 'IDAT' || type === 'IEND') break;
+      p += 12 + len;
+    }
+    return none('png');
+  }
+  if (buf.slice(0, 4).toString('latin1') === 'RIFF' && buf.slice(8, 12).toString('latin1') === 'WEBP') {
+    let p = 12;
+    while (p + 8 <= buf.length) {
+      const len = buf.readUInt32LE(p + 4);
+      if (buf.slice(p, p + 4).toString('latin1') === 'EXIF') {
+        const start = buf.slice(p + 8, p + 14).toString('latin1') === 'Exif\0\0' ? p + 14 : p + 8;
+        return { container: 'webp', start, end: p + 8 + len };
+      }
+      p += 8 + len + (len % 2);
+    }
+    return none('webp');
+  }
+  const head = buf.slice(0, 4).toString('latin1');
+  if (head === 'II*\0' || head === 'MM\0*') return { container: 'tiff', start: 0, end: buf.length };
+  return none(null);
+}
+
+// stripGpsFromImage(buffer): { buffer, clean } - a copy without the EXIF GPS directory. clean is
+// false when the container could not be checked (e.g. HEIF), so callers should drop EXIF entirely.
+function stripGpsFromImage(buffer) {
+  const block = findExifBlock(buffer);
+  if (!block.container) return { buffer, clean: false };
+  if (block.start < 0) return { buffer, clean: true };
+  const out = Buffer.from(buffer);
+  try {
+    if (!removeGpsInPlace(out.subarray(block.start, block.end))) return { buffer, clean: true };
+  } catch (e) {
+    return { buffer, clean: false };
+  }
+  if (block.crc !== undefined) out.writeUInt32BE(crc32(out.subarray(block.start - 4, block.end)), block.crc);
+  return { buffer: out, clean: true };
+}
+
+module.exports = { IMAGE_METADATA_POLICIES, parseImageMetadataPolicy, parseExif, findExifBlock, stripGpsFromImage };
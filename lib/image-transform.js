@@ -0,0 +1,98 @@
+// lib/image-transform.js - Image edit chain for conversions: crop, exact resize, rotation, flip/flop,
+// grayscale, sharpen and background color. Parsed here, applied by the sharp engine
+// (lib/engines/sharp.js) in this order: crop -> resize -> rotate -> flip/flop -> grayscale -> sharpen.
+// Crop coordinates are pixels of the upright (EXIF-oriented) input.
+
+const RESIZE_FITS = ['cover', 'contain', 'fill'];
+const TRANSFORM_FIELDS = ['crop', 'width', 'height', 'resizeFit', 'rotate', 'flip', 'flop', 'grayscale', 'sharpen', 'background'];
+const MAX_SIZE = 10000;
+
+const isSet = v => v !== undefined && v !== null && v !== '';
+const isTrue = v => v === true || v === 'true' || v === '1' || v === 'on';
+
+// parseHexColor: '#rgb' / '#rrggbb' (hash optional) -> { r, g, b }
+function parseHexColor(value, label) {
+  let hex = String(value).trim().replace(/^#/, '');
+  if (/^[0-9a-f]{3}$/i.test(hex)) hex = hex.split('').map(c => c + c).join('');
+  if (!/^[0-9a-f]{6}$/i.test(hex)) throw new Error(`Invalid ${label} "${value}" (use #rrggbb)`);
+  const n = parseInt(hex, 16);
+  return { r: n >> 16 & 255, g: n >> 8 & 255, b: n & 255 };
+}
+
+function sizeField(src, name) {
+  if (!isSet(src[name])) return null;
+  const n = Number(src[name]);
+  if (!Number.isInteger(n) || n < 1 || n > MAX_SIZE) throw new Error(`"${name}" must be a whole number of pixels between 1 and ${MAX_SIZE}`);
+  return n;
+}
+
+// parseImageTransform(src): transform from form fields (or one entry of the per-image list), null
+// when no field is set. Throws on invalid values.
+function parseImageTransform(src) {
+  if (!src || !TRANSFORM_FIELDS.some(k => isSet(src[k]))) return null;
+  const t = { crop: null, width: sizeField(src, 'width'), height: sizeField(src, 'height'), fit: null, rotate: 0, flip: isTrue(src.flip), flop: isTrue(src.flop), grayscale: isTrue(src.grayscale), sharpen: null, background: null };
+
+  if (isSet(src.crop)) {
+    const parts = Array.isArray(src.crop) ? src.crop : String(src.crop).split(',');
+    const nums = parts.map(p => Number(String(p).trim()));
+    if (nums.length !== 4 || nums.some(n => !Number.isInteger(n) || n < 0) || !nums[2] || !nums[3]) {
+      throw new Error('"crop" must be left,top,width,height in whole pixels');
+    }
+    t.crop = { left: nums[0], top: nums[1], width: nums[2], height: nums[3] };
+  }
+  if (t.width || t.height) {
+    t.fit = String(src.resizeFit || 'cover').toLowerCase();
+    if (!RESIZE_FITS.includes(t.fit)) throw new Error(`Unknown resizeFit "${t.fit}" (use ${RESIZE_FITS.join(', ')})`);
+  }
+  if (isSet(src.rotate)) {
+    const a = Number(src.rotate);
+    if (!isFinite(a) || Math.abs(a) > 360) throw new Error('"rotate" must be an angle between -360 and 360 degrees');
+    t.rotate = a;
+  }
+  if (isSet(src.sharpen) && String(src.sharpen) !== 'false') {
+    if (isTrue(src.sharpen)) t.sharpen = true;
+    else {
+      const sigma = Number(src.sharpen);
+      if (!isFinite(sigma) || sigma < 0.3 || sigma > 10) throw new Error('"sharpen" must be true or a sigma between 0.3 and 10');
+      t.sharpen = sigma;
+    }
+  }
+  if (isSet(src.background)) t.background = parseHexColor(src.background, 'background');
+  return t;
+}
+
+// parseImageTransforms(body, files): one transform (or null) per upload. The form fields apply to every
+// image; 'transforms' adds per-image overrides as a JSON array in upload order or a JSON object keyed by
+// upload index or original file name.
+function parseImageTransforms(body, files) {
+  const base = {};
+  for (const k of TRANSFORM_FIELDS) if (isSet(body[k])) base[k] = body[k];
+  const overrides = files.map(() => null);
+  if (isSet(body.transforms)) {
+    let spec;
+    try { spec = JSON.parse(body.transforms); } catch (e) { throw new Error('"transforms" must be JSON'); }
+    if (Array.isArray(spec)) {
+      if (spec.length > files.length) throw new Error('"transforms" has more entries than uploaded files');
+      spec.forEach((entry, i) => { overrides[i] = entry; });
+    } else if (spec && typeof spec === 'object') {
+      for (const key of Object.keys(spec)) {
+        const idx = /^\d+$/.test(key) ? parseInt(key, 10) : files.findIndex(f => f.originalname === key);
+        if (idx < 0 || idx >= files.length) throw new Error(`"transforms" refers to unknown file "${key}"`);
+        overrides[idx] = spec[key];
+      }
+    } else {
+      throw new Error('"transforms" must be a JSON array or object');
+    }
+  }
+  return files.map((f, i) => {
+    const entry = overrides[i];
+    if (entry !== null && entry !== undefined && typeof entry !== 'object') throw new Error(`"transforms" entry for "${f.originalname}" must be an object`);
+    try {
+      return parseImageTransform(Object.assign({}, base, entry || {}));
+    } catch (e) {
+      throw new Error(entry ? `"${f.originalname}": ${e.message}` : e.message);
+    }
+  });
+}
+
+module.exports = { RESIZE_FITS, TRANSFORM_FIELDS, parseImageTransform, parseImageTransforms };
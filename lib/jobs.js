@@ -0,0 +1,178 @@
+// lib/jobs.js - Job registry for asynchronous /api/convert requests.
+// Every job owns a folder RESULTS_DIR/<jobId> holding job.json and the result file, so finished
+// jobs survive a restart until their TTL runs out. A sweep timer deletes expired folders.
+
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const { log } = require('./log');
+
+function createJobStore({ resultsDir, ttlMs, sweepIntervalMs = 60 * 1000 }) {
+  const jobs = new Map();
+
+  function jobDir(id) { return path.join(resultsDir, id); }
+
+  function persist(job) {
+    job.updatedAt = new Date().toISOString();
+    try { fs.writeFileSync(path.join(jobDir(job.id), 'job.json'), JSON.stringify(job, null, 2)); } catch (e) {
+      log.warn('jobs: could not persist job', { jobId: job.id, error: e && e.message });
+    }
+  }
+
+  function recomputeProgress(job) {
+    if (!job.files.length) { job.progress = 0; return; }
+    const sum = job.files.reduce((acc, f) => acc + (f.status === 'done' || f.status === 'error' ? 100 : (f.progress || 0)), 0);
+    job.progress = Math.round(sum / job.files.length);
+  }
+
+  // owner: name of the API key that started the job (null without API keys)
+  function create(files, options = {}, owner = null) {
+    const id = uuidv4();
+    const now = Date.now();
+    fs.mkdirSync(jobDir(id), { recursive: true });
+    const job = {
+      id,
+      status: 'queued',
+      progress: 0,
+      createdAt: new Date(now).toISOString(),
+      updatedAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + ttlMs).toISOString(),
+      options,
+      owner,
+      files: files.map(f => ({ name: f.originalname, size: f.size, source: f.sourceUrl || null, status: 'pending', progress: 0, note: null })),
+      result: null,
+      cloudJobs: [],
+      error: null,
+      webhook: null
+    };
+    jobs.set(id, job);
+    persist(job);
+    return job;
+  }
+
+  function get(id) {
+    const job = jobs.get(id);
+    if (!job) return null;
+    if (Date.parse(job.expiresAt) <= Date.now()) { remove(id); return null; }
+    return job;
+  }
+
+  function start(id) {
+    const job = jobs.get(id);
+    if (!job) return;
+    job.status = 'processing';
+    persist(job);
+  }
+
+  // state: 'processing' | 'done' | 'error'; extra may carry { progress, note }
+  function setFileState(id, index, state, extra = {}) {
+    const job = jobs.get(id);
+    if (!job || !job.files[index]) return;
+    const f = job.files[index];
+    f.status = state;
+    if (typeof extra.progress === 'number') f.progress = Math.max(0, Math.min(100, Math.round(extra.progress)));
+    if (state === 'done' || state === 'error') f.progress = 100;
+    if (extra.note) f.note = extra.note;
+    recomputeProgress(job);
+    persist(job);
+  }
+
+  // result: { path, name, mime, size, note, compression, sizing }
+  function finish(id, result, cloudJobs = []) {
+    const job = jobs.get(id);
+    if (!job) return;
+    job.status = 'done';
+    job.progress = 100;
+    job.result = { file: path.basename(result.path), name: result.name, mime: result.mime, size: result.size, note: result.note || null, compression: result.compression || null, sizing: result.sizing || null };
+    job.cloudJobs = cloudJobs;
+    job.expiresAt = new Date(Date.now() + ttlMs).toISOString();
+    persist(job);
+  }
+
+  function fail(id, err) {
+    const job = jobs.get(id);
+    if (!job) return;
+    job.status = 'error';
+    job.error = String(err && err.message ? err.message : err);
+    job.errorCode = (err && err.code) || null;
+    // errors about one input (see lib/upload-check.js) name it; that file shows the error too
+    job.errorFile = (err && err.file) || null;
+    const failedFile = job.errorFile && job.files.find(f => f.name === job.errorFile);
+    if (failedFile) Object.assign(failedFile, { status: 'error', note: job.error });
+    job.expiresAt = new Date(Date.now() + ttlMs).toISOString();
+    persist(job);
+  }
+
+  // state: completion webhook delivery { url (redacted), status 'pending' | 'delivered' | 'failed',
+  // attempts, httpStatus, error }; merged into what is already known
+  function setWebhook(id, state) {
+    const job = jobs.get(id);
+    if (!job) return;
+    job.webhook = Object.assign({}, job.webhook, state);
+    persist(job);
+  }
+
+  function resultPath(job) {
+    return job && job.result ? path.join(jobDir(job.id), job.result.file) : null;
+  }
+
+  function remove(id) {
+    jobs.delete(id);
+    try { fs.rmSync(jobDir(id), { recursive: true, force: true }); } catch (e) {}
+  }
+
+  function sweep() {
+    const now = Date.now();
+    for (const [id, job] of jobs) if (Date.parse(job.expiresAt) <= now) remove(id);
+  }
+
+  // Pick up jobs persisted by a previous process; anything still running then cannot resume.
+  function load() {
+    let entries = [];
+    try { entries = fs.readdirSync(resultsDir, { withFileTypes: true }); } catch (e) { return; }
+    for (const ent of entries) {
+      if (!ent.isDirectory()) continue;
+      try {
+        const job = JSON.parse(fs.readFileSync(path.join(jobDir(ent.name), 'job.json'), 'utf8'));
+        if (!job || job.id !== ent.name) continue;
+        jobs.set(job.id, job);
+        if (job.status === 'queued' || job.status === 'processing') fail(job.id, 'Interrupted by server restart');
+      } catch (e) { /* not a job folder */ }
+    }
+    sweep();
+  }
+
+  function publicView(job) {
+    return {
+      id: job.id,
+      status: job.status,
+      progress: job.progress,
+      createdAt: job.createdAt,
+      updatedAt: job.updatedAt,
+      expiresAt: job.expiresAt,
+      files: job.files,
+      result: job.result ? {
+        name: job.result.name,
+        mime: job.result.mime,
+        size: job.result.size,
+        note: job.result.note,
+        compression: job.result.compression || null,
+        sizing: job.result.sizing || null,
+        url: `/api/jobs/${job.id}/result`
+      } : null,
+      cloudJobs: job.cloudJobs,
+      error: job.error,
+      errorCode: job.errorCode || null,
+      errorFile: job.errorFile || null,
+      webhook: job.webhook || null
+    };
+  }
+
+  load();
+  const timer = setInterval(sweep, sweepIntervalMs);
+  if (timer.unref) timer.unref();
+
+  return { create, get, jobDir, start, setFileState, finish, fail, setWebhook, resultPath, remove, sweep, publicView, stop: () => clearInterval(timer) };
+}
+
+module.exports = { createJobStore };
@@ -0,0 +1,76 @@
+// lib/log.js - Leveled JSON logs, one object per line: { time, level, msg, ...fields }. Lines logged
+// inside withContext(fields, fn) - the server's request id, a job id - carry those fields too, across
+// awaits and in worker threads that were handed the context (see lib/convert-worker.js).
+// Everything logged is redacted: URLs keep scheme, host and path only (signed download links and
+// tokens live in query strings), and fields named like passwords, secrets, tokens, API keys,
+// authorization headers or signatures are masked.
+//
+// LOG_LEVEL: error, warn, info (default) or debug. LOG_STREAM=stderr writes to stderr instead of stdout
+// (bin/pdftool.js, whose stdout may carry the report).
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LEVELS = { error: 0, warn: 1, info: 2, debug: 3 };
+const SECRET_FIELD = /pass(word)?|secret|token|api[-_]?key|authorization|signature|cookie/i;
+const URL_IN_TEXT = /\bhttps?:\/\/[^\s"'<>]+/gi;
+const MAX_DEPTH = 6;
+
+const context = new AsyncLocalStorage();
+
+// redactUrl: scheme, host and path only - query strings and user info often carry tokens
+function redactUrl(value) {
+  try {
+    const u = new URL(value);
+    return `${u.protocol}//${u.host}${u.pathname}`;
+  } catch (e) {
+    return '(invalid URL)';
+  }
+}
+
+const redactText = s => s.replace(URL_IN_TEXT, redactUrl);
+
+// redact: a JSON-safe copy of value with URLs shortened and secret fields masked
+function redact(value, depth = 0) {
+  if (typeof value === 'string') return redactText(value);
+  if (value === null || typeof value !== 'object') return typeof value === 'bigint' ? String(value) : value;
+  if (depth >= MAX_DEPTH) return '[nested]';
+  if (Buffer.isBuffer(value)) return `[${value.length} bytes]`;
+  if (value instanceof Error) {
+    return redact(Object.assign({ name: value.name, message: value.message }, value.code ? { code: value.code } : {}, value.file ? { file: value.file } : {}, { stack: value.stack }), depth + 1);
+  }
+  if (Array.isArray(value)) return value.map(v => redact(v, depth + 1));
+  const out = {};
+  for (const [k, v] of Object.entries(value)) {
+    if (v === undefined) continue;
+    out[k] = SECRET_FIELD.test(k) && v !== null ? '[redacted]' : redact(v, depth + 1);
+  }
+  return out;
+}
+
+// createLogger({ level, stream, fields }): { error, warn, info, debug, child(fields), enabled(level) };
+// each level is (msg, fields) and drops lines below the logger's level
+function createLogger({ level = 'info', stream = process.stdout, fields = {} } = {}) {
+  const threshold = LEVELS[String(level).toLowerCase()] !== undefined ? LEVELS[String(level).toLowerCase()] : LEVELS.info;
+
+  function write(lvl, msg, extra) {
+    if (LEVELS[lvl] > threshold) return;
+    const line = Object.assign({ time: new Date().toISOString(), level: lvl, msg: redactText(String(msg)) }, redact(Object.assign({}, fields, context.getStore(), extra)));
+    try { stream.write(`${JSON.stringify(line)}\n`); } catch (e) { /* a closed stream must not break the caller */ }
+  }
+
+  const logger = { child: more => createLogger({ level, stream, fields: Object.assign({}, fields, more) }), enabled: lvl => LEVELS[lvl] <= threshold };
+  for (const lvl of Object.keys(LEVELS)) logger[lvl] = (msg, extra) => write(lvl, msg, extra);
+  return logger;
+}
+
+// withContext(fields, fn): runs fn with fields added to every line logged until it settles
+function withContext(fields, fn) {
+  return context.run(Object.assign({}, context.getStore(), fields), fn);
+}
+
+// logContext: the fields of the current context, e.g. to hand them to a worker thread
+const logContext = () => Object.assign({}, context.getStore());
+
+const log = createLogger({ level: process.env.LOG_LEVEL || 'info', stream: process.env.LOG_STREAM === 'stderr' ? process.stderr : process.stdout });
+
+module.exports = { log, createLogger, withContext, logContext, redact, redactUrl };
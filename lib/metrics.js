@@ -0,0 +1,87 @@
+// lib/metrics.js - A small Prometheus registry: counters, histograms and gauges with labels, rendered in
+// the text exposition format for GET /metrics. Values live in the server process; conversions in worker
+// threads are recorded there from what the workers report (see convertInPool in server.js).
+
+const DURATION_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120, 300];
+
+const escapeLabel = v => String(v).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+const formatValue = v => (v === Infinity ? '+Inf' : v === -Infinity ? '-Inf' : String(v));
+
+function labelText(names, values, extra = '') {
+  const parts = names.map((n, i) => `${n}="${escapeLabel(values[i])}"`);
+  if (extra) parts.push(extra);
+  return parts.length ? `{${parts.join(',')}}` : '';
+}
+
+// createMetrics({ prefix }): { counter, histogram, gauge, render }. Every metric name gets the prefix;
+// labels are given as an object and missing ones are empty strings.
+function createMetrics({ prefix = '' } = {}) {
+  const metrics = [];
+
+  function define(type, name, help, labelNames) {
+    const metric = { type, name: prefix + name, help, labelNames, series: new Map() };
+    metrics.push(metric);
+    return metric;
+  }
+
+  function seriesOf(metric, labels, init) {
+    const values = metric.labelNames.map(n => (labels && labels[n] !== undefined && labels[n] !== null ? String(labels[n]) : ''));
+    const key = values.join('\u0000');
+    if (!metric.series.has(key)) metric.series.set(key, Object.assign({ values }, init()));
+    return metric.series.get(key);
+  }
+
+  // counter(name, help, labelNames): { inc(labels, by = 1) }
+  function counter(name, help, labelNames = []) {
+    const metric = define('counter', name, help, labelNames);
+    return { inc: (labels, by = 1) => { if (by > 0) seriesOf(metric, labels, () => ({ value: 0 })).value += by; } };
+  }
+
+  // histogram(name, help, labelNames, buckets): { observe(labels, value) }; buckets are upper bounds
+  function histogram(name, help, labelNames = [], buckets = DURATION_BUCKETS) {
+    const metric = define('histogram', name, help, labelNames);
+    metric.buckets = buckets.slice().sort((a, b) => a - b);
+    return {
+      observe(labels, value) {
+        const s = seriesOf(metric, labels, () => ({ counts: metric.buckets.map(() => 0), sum: 0, count: 0 }));
+        metric.buckets.forEach((le, i) => { if (value <= le) s.counts[i]++; });
+        s.sum += value;
+        s.count++;
+      }
+    };
+  }
+
+  // gauge(name, help, collect, labelNames): collect() is called on render and returns a number, or
+  // [{ labels, value }] for labelled series
+  function gauge(name, help, collect, labelNames = []) {
+    const metric = define('gauge', name, help, labelNames);
+    metric.collect = collect;
+  }
+
+  function render() {
+    const lines = [];
+    for (const m of metrics) {
+      lines.push(`# HELP ${m.name} ${m.help.replace(/\n/g, ' ')}`, `# TYPE ${m.name} ${m.type}`);
+      if (m.type === 'gauge') {
+        let collected;
+        try { collected = m.collect(); } catch (e) { collected = []; }
+        const list = typeof collected === 'number' ? [{ labels: {}, value: collected }] : collected || [];
+        for (const { labels, value } of list) lines.push(`${m.name}${labelText(m.labelNames, m.labelNames.map(n => (labels[n] !== undefined ? labels[n] : '')))} ${formatValue(value)}`);
+      } else if (m.type === 'counter') {
+        for (const s of m.series.values()) lines.push(`${m.name}${labelText(m.labelNames, s.values)} ${formatValue(s.value)}`);
+      } else {
+        for (const s of m.series.values()) {
+          m.buckets.forEach((le, i) => lines.push(`${m.name}_bucket${labelText(m.labelNames, s.values, `le="${formatValue(le)}"`)} ${s.counts[i]}`));
+          lines.push(`${m.name}_bucket${labelText(m.labelNames, s.values, 'le="+Inf"')} ${s.count}`);
+          lines.push(`${m.name}_sum${labelText(m.labelNames, s.values)} ${formatValue(s.sum)}`);
+          lines.push(`${m.name}_count${labelText(m.labelNames, s.values)} ${s.count}`);
+        }
+      }
+    }
+    return `${lines.join('\n')}\n`;
+  }
+
+  return { counter, histogram, gauge, render, contentType: 'text/plain; version=0.0.4; charset=utf-8' };
+}
+
+module.exports = { createMetrics, DURATION_BUCKETS };
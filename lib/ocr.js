@@ -0,0 +1,293 @@
+// lib/ocr.js - Local OCR for searchable PDFs. Uses the tesseract binary (TESSERACT_PATH or PATH) or,
+// without it, tesseract.js with language data from OCR_LANG_PATH or installed @tesseract.js-data/<lang>
+// packages. Nothing is downloaded: languages without local data are rejected.
+// Both backends produce hOCR; parseHocr turns a page into lines of word boxes and drawTextLayer lays
+// them over a PDF page as invisible text (render mode 3), so the page can be searched and copied.
+
+const fs = require('fs');
+const path = require('path');
+const { execFile, spawnSync } = require('child_process');
+const {
+  pushGraphicsState, popGraphicsState, beginText, endText, setFontAndSize, setTextMatrix, showText,
+  setTextRenderingMode, TextRenderingMode
+} = require('pdf-lib');
+const { withTempDir } = require('./engines/util');
+const { pageFrame, drawableText } = require('./pdf-stamp');
+
+const OCR_FORMATS = ['pdf', 'txt', 'hocr'];
+const COMMON_PATHS = ['/usr/bin/tesseract', '/usr/local/bin/tesseract', '/opt/homebrew/bin/tesseract'];
+const NON_TEXT_LANGS = ['osd', 'equ'];
+// Helvetica ascent + descent and descent, in em: an OCR line box is about one of these high
+const LINE_EM = 0.925;
+const DESCENT_EM = 0.207;
+
+function isExecutable(p) {
+  try { fs.accessSync(p, fs.constants.X_OK); return fs.statSync(p).isFile(); } catch (e) { return false; }
+}
+
+// findTesseract: explicit path first, then PATH, then common install paths
+function findTesseract(explicit) {
+  if (explicit) return isExecutable(explicit) ? explicit : null;
+  const dirs = String(process.env.PATH || '').split(path.delimiter).filter(Boolean);
+  const onPath = dirs.map(d => path.join(d, 'tesseract')).find(isExecutable);
+  return onPath || COMMON_PATHS.find(isExecutable) || null;
+}
+
+function loadTesseractJs() {
+  try { return require('tesseract.js'); } catch (e) { return null; }
+}
+
+// dataFiles: language code -> { file, gzip } for the *.traineddata(.gz) files in dir
+function dataFiles(dir) {
+  const found = {};
+  let names = [];
+  try { names = fs.readdirSync(dir); } catch (e) { return found; }
+  for (const n of names) {
+    const m = n.match(/^([\w-]+)\.traineddata(\.gz)?$/);
+    if (m && !found[m[1]]) found[m[1]] = { file: path.join(dir, n), gzip: !!m[2] };
+  }
+  return found;
+}
+
+// packagedLanguages: data shipped as @tesseract.js-data/<lang> packages ({ code, langPath, gzip })
+function packagedLanguages() {
+  const found = {};
+  for (const dir of require.resolve.paths('@tesseract.js-data/eng') || []) {
+    const scope = path.join(dir, '@tesseract.js-data');
+    let names = [];
+    try { names = fs.readdirSync(scope); } catch (e) { continue; }
+    for (const n of names) {
+      if (found[n]) continue;
+      try {
+        const pkg = require(path.join(scope, n));
+        const file = path.join(pkg.langPath, `${pkg.code}.traineddata${pkg.gzip ? '.gz' : ''}`);
+        if (fs.existsSync(file)) found[pkg.code] = { file, gzip: !!pkg.gzip };
+      } catch (e) { /* not a language package */ }
+    }
+  }
+  return found;
+}
+
+// ---------------- hOCR ----------------
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+function decodeEntities(s) {
+  return s.replace(/&(#x?[0-9a-f]+|\w+);/gi, (m, e) => {
+    if (e[0] === '#') return String.fromCodePoint(e[1].toLowerCase() === 'x' ? parseInt(e.slice(2), 16) : parseInt(e.slice(1), 10));
+    return ENTITIES[e.toLowerCase()] || m;
+  });
+}
+
+function bboxOf(title) {
+  const m = /bbox (-?\d+) (-?\d+) (-?\d+) (-?\d+)/.exec(title || '');
+  return m ? m.slice(1, 5).map(Number) : null;
+}
+
+// parseHocr: { width, height, lines: [{ bbox, words: [{ text, bbox }] }] } for the first page of an
+// hOCR document or fragment; bboxes are [x0, y0, x1, y1] in image pixels, top-left origin
+function parseHocr(hocr) {
+  const page = /class=['"]ocr_page['"][^>]*title=(['"])(.*?)\1/.exec(hocr);
+  const pageBox = bboxOf(page && page[2]) || [0, 0, 0, 0];
+  const lines = [];
+  const re = /<span class=['"](ocr_line|ocr_header|ocr_caption|ocr_textfloat|ocrx_word)['"][^>]*title=(['"])(.*?)\2[^>]*>/g;
+  let m;
+  while ((m = re.exec(hocr))) {
+    const bbox = bboxOf(m[3]);
+    if (!bbox) continue;
+    if (m[1] !== 'ocrx_word') { lines.push({ bbox, words: [] }); continue; }
+    const end = hocr.indexOf('</span>', re.lastIndex);
+    const text = decodeEntities(hocr.slice(re.lastIndex, end < 0 ? undefined : end).replace(/<[^>]*>/g, '')).trim();
+    if (text && lines.length) lines[lines.length - 1].words.push({ text, bbox });
+  }
+  return { width: pageBox[2] - pageBox[0], height: pageBox[3] - pageBox[1], lines: lines.filter(l => l.words.length) };
+}
+
+// combineHocr: one hOCR document from per-page hOCR (full documents or ocr_page fragments), with the
+// page / block / line ... ids renumbered so they stay unique
+function combineHocr(pages) {
+  const bodies = pages.map((h, i) => {
+    const body = (/<body>([\s\S]*)<\/body>/.exec(h) || [null, h])[1];
+    return body.trim()
+      .replace(/(id=['"](?:page|block|par|line|word|photo|table|separator|textfloat|caption)_)\d+/g, `$1${i + 1}`)
+      .replace(/ppageno \d+/, `ppageno ${i}`);
+  });
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<!DOCTYPE html PUBLIC "-//W3C//DTD XHTML 1.0 Transitional//EN" "http://www.w3.org/TR/xhtml1/DTD/xhtml1-transitional.dtd">',
+    '<html xmlns="http://www.w3.org/1999/xhtml" xml:lang="en" lang="en">',
+    ' <head>',
+    '  <title></title>',
+    '  <meta http-equiv="Content-Type" content="text/html;charset=utf-8"/>',
+    "  <meta name='ocr-system' content='tesseract'/>",
+    "  <meta name='ocr-capabilities' content='ocr_page ocr_carea ocr_par ocr_line ocrx_word'/>",
+    ' </head>',
+    ' <body>',
+    bodies.join('\n'),
+    ' </body>',
+    '</html>',
+    ''
+  ].join('\n');
+}
+
+// ---------------- Text layer ----------------
+
+// drawTextLayer: invisible text for an OCR'd page (parseHocr result) drawn where its image sits on the
+// page. rect is that area in visible page coordinates (lower-left origin); null means the whole page.
+// font is an embedded standard font, so characters outside WinAnsi become '?'.
+function drawTextLayer(page, ocrPage, rect, font) {
+  if (!ocrPage || !ocrPage.width || !ocrPage.height || !ocrPage.lines.length) return;
+  const frame = pageFrame(page);
+  const area = rect || { x: 0, y: 0, width: frame.width, height: frame.height };
+  const sx = area.width / ocrPage.width;
+  const sy = area.height / ocrPage.height;
+  const key = page.node.newFontDictionary(font.name, font.ref);
+  const ops = [pushGraphicsState(), beginText(), setTextRenderingMode(TextRenderingMode.Invisible)];
+  for (const line of ocrPage.lines) {
+    const size = Math.max(1, (line.bbox[3] - line.bbox[1]) * sy / LINE_EM);
+    const baseline = area.y + area.height - line.bbox[3] * sy + DESCENT_EM * size;
+    ops.push(setFontAndSize(key, size));
+    line.words.forEach((word, i) => {
+      const text = drawableText(font, word.text);
+      const natural = font.widthOfTextAtSize(text, size);
+      const h = natural > 0 ? (word.bbox[2] - word.bbox[0]) * sx / natural : 1;
+      const p = frame.toPage(area.x + word.bbox[0] * sx, baseline, 0);
+      const rad = p.angle * Math.PI / 180;
+      const cos = Math.cos(rad);
+      const sin = Math.sin(rad);
+      // the trailing space lets viewers split words when text is copied
+      ops.push(setTextMatrix(h * cos, h * sin, -sin, cos, p.x, p.y), showText(font.encodeText(i < line.words.length - 1 ? `${text} ` : text)));
+    });
+  }
+  ops.push(endText(), popGraphicsState());
+  page.pushOperators(...ops);
+}
+
+// ---------------- Backends ----------------
+
+function createOcr({ binary = null, langPath = null, tmpDir, timeoutMs = 120000, defaultLanguage = 'eng' } = {}) {
+  const tesseract = findTesseract(binary);
+  const tjs = tesseract ? null : loadTesseractJs();
+  let version;
+  let dataByLang;
+
+  // jsData: language code -> traineddata file for tesseract.js (read once)
+  function jsData() {
+    if (!dataByLang) dataByLang = langPath ? dataFiles(langPath) : packagedLanguages();
+    return dataByLang;
+  }
+
+  function cliLanguages() {
+    const args = ['--list-langs'].concat(langPath ? ['--tessdata-dir', langPath] : []);
+    const r = spawnSync(tesseract, args, { timeout: 15000 });
+    const out = `${r.stdout || ''}\n${r.stderr || ''}`.split('\n').map(s => s.trim());
+    return out.filter(s => /^[\w-]+$/.test(s) && !NON_TEXT_LANGS.includes(s));
+  }
+
+  let langs;
+  function languages() {
+    if (!langs) langs = tesseract ? cliLanguages() : tjs ? Object.keys(jsData()).filter(l => !NON_TEXT_LANGS.includes(l)).sort() : [];
+    return langs;
+  }
+
+  const available = () => (!!tesseract || !!tjs) && languages().length > 0;
+
+  // info: backend, version and languages for /diag
+  function info() {
+    if (tesseract && version === undefined) {
+      const r = spawnSync(tesseract, ['--version'], { timeout: 15000 });
+      version = (`${r.stdout || ''}${r.stderr || ''}`.split('\n')[0] || '').trim() || null;
+    }
+    if (tjs && version === undefined) {
+      try { version = `tesseract.js ${require('tesseract.js/package.json').version}`; } catch (e) { version = null; }
+    }
+    return {
+      available: available(),
+      backend: tesseract ? 'tesseract' : tjs ? 'tesseract.js' : null,
+      path: tesseract,
+      version: version || null,
+      languages: languages(),
+      defaultLanguage
+    };
+  }
+
+  // parseLanguages: 'eng', 'eng+deu' or 'eng,deu' -> 'eng+deu'; empty means the default language.
+  // Throws when OCR is unavailable or a language has no local data.
+  function parseLanguages(value) {
+    if (!available()) throw new Error('OCR is not available on this server (install tesseract, or tesseract.js with language data)');
+    const list = String(value || defaultLanguage).split(/[+,\s]+/).map(s => s.trim()).filter(Boolean);
+    const missing = list.filter(l => !languages().includes(l));
+    if (missing.length) throw new Error(`OCR language${missing.length > 1 ? 's' : ''} not installed: ${missing.join(', ')} (available: ${languages().join(', ')})`);
+    return Array.from(new Set(list)).join('+');
+  }
+
+  async function recognizeCli(images, lang) {
+    return withTempDir(tmpDir, 'ocr', async (dir) => {
+      const pages = [];
+      for (let i = 0; i < images.length; i++) {
+        const input = path.join(dir, `page${i}.img`);
+        const outBase = path.join(dir, `page${i}`);
+        fs.writeFileSync(input, images[i]);
+        const args = [input, outBase, '-l', lang].concat(langPath ? ['--tessdata-dir', langPath] : [], ['hocr', 'txt']);
+        await new Promise((resolve, reject) => {
+          execFile(tesseract, args, { timeout: timeoutMs }, (err, stdout, stderr) => {
+            if (err) return reject(new Error(`tesseract failed: ${err.killed ? 'timed out' : (String(stderr || '').trim() || err.message)}`));
+            resolve();
+          });
+        });
+        const hocr = fs.readFileSync(`${outBase}.hocr`, 'utf8');
+        pages.push({ text: fs.readFileSync(`${outBase}.txt`, 'utf8'), hocr, page: parseHocr(hocr) });
+      }
+      return pages;
+    });
+  }
+
+  // tesseract.js loads every language from one langPath: languages from different folders are linked
+  // into a temporary one
+  async function recognizeJs(images, lang) {
+    const files = lang.split('+').map(l => jsData()[l]);
+    if (files.some(f => f.gzip !== files[0].gzip)) throw new Error('OCR language data mixes .traineddata and .traineddata.gz files');
+    const run = async (dataDir) => {
+      const worker = await tjs.createWorker(lang, 1, { langPath: dataDir, gzip: files[0].gzip, cacheMethod: 'none' });
+      let timedOut = false;
+      // each page gets timeoutMs like a tesseract run; the worker is terminated when it runs over
+      const recognizePage = image => new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+          timedOut = true;
+          worker.terminate().catch(() => {});
+          reject(new Error('tesseract.js failed: timed out'));
+        }, timeoutMs);
+        worker.recognize(image, {}, { text: true, hocr: true }).then(
+          r => { clearTimeout(timer); resolve(r); },
+          e => { clearTimeout(timer); reject(e); }
+        );
+      });
+      try {
+        const pages = [];
+        for (const image of images) {
+          const { data } = await recognizePage(image);
+          pages.push({ text: data.text || '', hocr: data.hocr || '', page: parseHocr(data.hocr || '') });
+        }
+        return pages;
+      } finally {
+        if (!timedOut) await worker.terminate();
+      }
+    };
+    const dirs = new Set(files.map(f => path.dirname(f.file)));
+    if (dirs.size === 1) return run(Array.from(dirs)[0]);
+    return withTempDir(tmpDir, 'ocrlang', async (dir) => {
+      for (const f of files) fs.symlinkSync(f.file, path.join(dir, path.basename(f.file)));
+      return run(dir);
+    });
+  }
+
+  // recognize: OCR of image buffers with a parseLanguages() result; resolves per image
+  // { text, hocr, page } where page is the parseHocr form
+  async function recognize(images, lang) {
+    if (!available()) throw new Error('OCR is not available on this server');
+    return tesseract ? recognizeCli(images, lang) : recognizeJs(images, lang);
+  }
+
+  return { available, info, languages, parseLanguages, recognize };
+}
+
+module.exports = { OCR_FORMATS, createOcr, findTesseract, parseHocr, combineHocr, drawTextLayer };
@@ -0,0 +1,115 @@
+// lib/page-layout.js - Page size / orientation / margin / fit / N-up geometry for images-to-PDF.
+// All geometry is in PDF points (1/72 in). A null layout keeps the legacy behaviour: one page per
+// image, exactly the image size in pixels-as-points.
+
+const PAGE_SIZES = {
+  a3: [841.89, 1190.55],
+  a4: [595.28, 841.89],
+  a5: [419.53, 595.28],
+  letter: [612, 792],
+  legal: [612, 1008]
+};
+const UNITS = { mm: 72 / 25.4, cm: 72 / 2.54, in: 72, pt: 1 };
+const ORIENTATIONS = ['auto', 'portrait', 'landscape'];
+const FIT_MODES = ['fit', 'fill', 'center'];
+const N_UP = [1, 2, 4];
+
+function num(v, label) {
+  const n = parseFloat(v);
+  if (isNaN(n) || n < 0) throw new Error(`"${label}" must be a non-negative number`);
+  return n;
+}
+
+// parseLayoutOptions: reads pageSize, pageWidth, pageHeight, unit, orientation, margin, fit and nUp
+// from a form body. Returns null when none of them is set so callers keep the legacy page sizing.
+function parseLayoutOptions(body) {
+  const keys = ['pageSize', 'pageWidth', 'pageHeight', 'orientation', 'margin', 'fit', 'nUp'];
+  if (!keys.some(k => body[k] !== undefined && body[k] !== '')) return null;
+
+  const unit = String(body.unit || 'mm').toLowerCase();
+  if (!UNITS[unit]) throw new Error(`Unknown unit "${unit}" (use mm, cm, in or pt)`);
+  const toPt = v => v * UNITS[unit];
+
+  const nUp = parseInt(body.nUp || '1', 10);
+  if (!N_UP.includes(nUp)) throw new Error('"nUp" must be 1, 2 or 4');
+
+  let pageSize = String(body.pageSize || (nUp > 1 ? 'a4' : 'auto')).toLowerCase();
+  let size = null;
+  if (pageSize === 'custom') {
+    const w = num(body.pageWidth, 'pageWidth');
+    const h = num(body.pageHeight, 'pageHeight');
+    if (!w || !h) throw new Error('Custom page size needs pageWidth and pageHeight');
+    size = [toPt(w), toPt(h)];
+  } else if (pageSize !== 'auto') {
+    if (!PAGE_SIZES[pageSize]) throw new Error(`Unknown pageSize "${pageSize}" (use auto, ${Object.keys(PAGE_SIZES).join(', ')} or custom)`);
+    size = PAGE_SIZES[pageSize];
+  }
+  if (!size && nUp > 1) throw new Error('N-up layout needs a fixed pageSize');
+
+  const orientation = String(body.orientation || 'auto').toLowerCase();
+  if (!ORIENTATIONS.includes(orientation)) throw new Error(`Unknown orientation "${orientation}"`);
+  const fit = String(body.fit || 'fit').toLowerCase();
+  if (!FIT_MODES.includes(fit)) throw new Error(`Unknown fit mode "${fit}" (use fit, fill or center)`);
+  const margin = toPt(num(body.margin || 0, 'margin'));
+  if (size && (margin * 2 >= Math.min(size[0], size[1]))) throw new Error('Margin leaves no room on the page');
+
+  return { pageSize, size, orientation, fit, margin, nUp };
+}
+
+// pageSizeFor: [width, height] of the page for the given layout and (first) image on it
+function pageSizeFor(layout, imgW, imgH) {
+  if (!layout.size) return [imgW + layout.margin * 2, imgH + layout.margin * 2];
+  const [a, b] = layout.size;
+  const short = Math.min(a, b);
+  const long = Math.max(a, b);
+  let landscape = layout.orientation === 'landscape';
+  if (layout.orientation === 'auto') landscape = layout.nUp === 1 ? imgW > imgH : false;
+  return landscape ? [long, short] : [short, long];
+}
+
+// cellsFor: content rectangles { x, y, width, height } on a page, top-to-bottom, left-to-right
+function cellsFor(pageW, pageH, layout) {
+  const m = layout.margin;
+  const w = pageW - m * 2;
+  const h = pageH - m * 2;
+  if (layout.nUp === 1) return [{ x: m, y: m, width: w, height: h }];
+  const gap = m;
+  if (layout.nUp === 2) {
+    if (pageW > pageH) {
+      const cw = (w - gap) / 2;
+      return [{ x: m, y: m, width: cw, height: h }, { x: m + cw + gap, y: m, width: cw, height: h }];
+    }
+    const ch = (h - gap) / 2;
+    return [{ x: m, y: m + ch + gap, width: w, height: ch }, { x: m, y: m, width: w, height: ch }];
+  }
+  const cw = (w - gap) / 2;
+  const ch = (h - gap) / 2;
+  return [
+    { x: m, y: m + ch + gap, width: cw, height: ch },
+    { x: m + cw + gap, y: m + ch + gap, width: cw, height: ch },
+    { x: m, y: m, width: cw, height: ch },
+    { x: m + cw + gap, y: m, width: cw, height: ch }
+  ];
+}
+
+// placeInCell: where to draw an imgW x imgH image inside a cell.
+//   fit    - scale to fit inside, centered
+//   fill   - scale to cover the cell; `clip` is set because the image overflows
+//   center - natural size (1px = 1pt), only shrunk when it does not fit
+function placeInCell(imgW, imgH, cell, fit) {
+  let scale;
+  if (fit === 'fill') scale = Math.max(cell.width / imgW, cell.height / imgH);
+  else if (fit === 'center') scale = Math.min(1, cell.width / imgW, cell.height / imgH);
+  else scale = Math.min(cell.width / imgW, cell.height / imgH);
+  const width = imgW * scale;
+  const height = imgH * scale;
+  return {
+    x: cell.x + (cell.width - width) / 2,
+    y: cell.y + (cell.height - height) / 2,
+    width,
+    height,
+    clip: fit === 'fill' ? cell : null
+  };
+}
+
+module.exports = { PAGE_SIZES, parseLayoutOptions, pageSizeFor, cellsFor, placeInCell };
@@ -0,0 +1,157 @@
+// lib/pdf-compress.js - Structure-preserving PDF compression.
+// Text, links, forms and vector content are left alone. The only lossy step is re-encoding embedded
+// image XObjects (JPEG, or 8-bit Flate RGB/Gray) with sharp, downsampled to maxDim.
+// Afterwards unreferenced objects are dropped, unfiltered streams are deflated and the file is written
+// with object streams.
+
+const zlib = require('zlib');
+const { PDFDocument, PDFName, PDFRawStream, PDFDict, PDFArray, PDFRef, PDFNumber, PDFBool, PDFStream } = require('pdf-lib');
+const { log } = require('./log');
+
+const N = name => PDFName.of(name);
+
+function filterNames(dict) {
+  const f = dict.lookup(N('Filter'));
+  if (!f) return [];
+  if (f instanceof PDFName) return [f.asString().replace(/^\//, '')];
+  if (f instanceof PDFArray) return f.asArray().map(x => (x instanceof PDFName ? x.asString().replace(/^\//, '') : String(x)));
+  return ['?'];
+}
+
+function numberOf(dict, key) {
+  const v = dict.lookup(N(key));
+  return v instanceof PDFNumber ? v.asNumber() : null;
+}
+
+// Channel count for colour spaces we can round-trip through sharp, else null
+function channelsOf(dict) {
+  const cs = dict.lookup(N('ColorSpace'));
+  if (cs === N('DeviceRGB') || cs === N('CalRGB')) return 3;
+  if (cs === N('DeviceGray') || cs === N('CalGray')) return 1;
+  if (cs instanceof PDFArray && cs.lookup(0) === N('ICCBased')) {
+    const profile = cs.lookup(1);
+    const n = profile instanceof PDFStream ? numberOf(profile.dict, 'N') : null;
+    return n === 1 || n === 3 ? n : null;
+  }
+  return null;
+}
+
+async function recompressImage(stream, { quality, maxDim, sharp }) {
+  const dict = stream.dict;
+  const isMask = dict.lookup(N('ImageMask'));
+  if (isMask instanceof PDFBool && isMask.asBoolean()) return null;
+  if (dict.has(N('Mask')) || dict.has(N('Decode'))) return null;
+  const width = numberOf(dict, 'Width');
+  const height = numberOf(dict, 'Height');
+  const channels = channelsOf(dict);
+  if (!width || !height || !channels) return null;
+
+  const filters = filterNames(dict);
+  let img;
+  if (filters.length === 1 && filters[0] === 'DCTDecode') {
+    img = sharp(Buffer.from(stream.contents));
+  } else if (filters.length === 1 && filters[0] === 'FlateDecode' && numberOf(dict, 'BitsPerComponent') === 8) {
+    const parms = dict.lookup(N('DecodeParms'));
+    if (parms instanceof PDFDict && (numberOf(parms, 'Predictor') || 1) > 1) return null;
+    const raw = zlib.inflateSync(Buffer.from(stream.contents));
+    if (raw.length !== width * height * channels) return null;
+    img = sharp(raw, { raw: { width, height, channels } });
+  } else {
+    return null;
+  }
+
+  const resized = maxDim && Math.max(width, height) > maxDim;
+  if (resized) img = img.resize({ width: maxDim, height: maxDim, fit: 'inside' });
+  const { data, info } = await img.toColourspace(channels === 1 ? 'b-w' : 'srgb')
+    .jpeg({ quality, mozjpeg: true })
+    .toBuffer({ resolveWithObject: true });
+  if (data.length >= stream.contents.length) return null;
+  return { data, width: info.width, height: info.height };
+}
+
+// Walk everything reachable from the trailer and delete the rest
+function pruneUnreferenced(context) {
+  const seen = new Set();
+  const visit = (obj) => {
+    if (obj instanceof PDFRef) {
+      if (seen.has(obj.tag)) return;
+      seen.add(obj.tag);
+      visit(context.lookup(obj));
+    } else if (obj instanceof PDFDict) {
+      for (const [, v] of obj.entries()) visit(v);
+    } else if (obj instanceof PDFArray) {
+      obj.asArray().forEach(visit);
+    } else if (obj instanceof PDFStream) {
+      visit(obj.dict);
+    }
+  };
+  const { Root, Info } = context.trailerInfo;
+  visit(Root);
+  if (Info) visit(Info);
+  let removed = 0;
+  for (const [ref] of context.enumerateIndirectObjects()) {
+    if (!seen.has(ref.tag)) { context.delete(ref); removed++; }
+  }
+  return removed;
+}
+
+// optimizePdf(buffer, { quality, maxDim, recompressImages, sharp })
+// Returns { buffer, stats }; buffer is the original when optimizing did not make it smaller.
+async function optimizePdf(buffer, { quality = 80, maxDim = null, recompressImages = true, sharp = null } = {}) {
+  let doc;
+  try { doc = await PDFDocument.load(buffer, { updateMetadata: false }); } catch (e) {
+    if (e && e.name === 'EncryptedPDFError') throw new Error('PDF is encrypted; decrypt it before compressing');
+    throw e;
+  }
+  const context = doc.context;
+  const stats = { originalSize: buffer.length, compressedSize: buffer.length, imagesFound: 0, imagesRecompressed: 0, streamsDeflated: 0, objectsRemoved: 0 };
+
+  // Soft masks are alpha channels; JPEG artefacts there show up as halos, so leave them lossless.
+  const softMasks = new Set();
+  for (const [, obj] of context.enumerateIndirectObjects()) {
+    if (obj instanceof PDFStream && obj.dict.get(N('SMask')) instanceof PDFRef) softMasks.add(obj.dict.get(N('SMask')).tag);
+  }
+
+  for (const [ref, obj] of context.enumerateIndirectObjects()) {
+    if (!(obj instanceof PDFRawStream)) continue;
+    const dict = obj.dict;
+    if (dict.lookup(N('Subtype')) === N('Image')) {
+      stats.imagesFound++;
+      if (recompressImages && sharp && !softMasks.has(ref.tag)) {
+        try {
+          const out = await recompressImage(obj, { quality, maxDim, sharp });
+          if (out) {
+            dict.set(N('Filter'), N('DCTDecode'));
+            dict.delete(N('DecodeParms'));
+            dict.set(N('Width'), PDFNumber.of(out.width));
+            dict.set(N('Height'), PDFNumber.of(out.height));
+            dict.set(N('BitsPerComponent'), PDFNumber.of(8));
+            context.assign(ref, PDFRawStream.of(dict, out.data));
+            stats.imagesRecompressed++;
+            continue;
+          }
+        } catch (e) {
+          log.warn('pdf-compress: image left as is', { image: ref.tag, error: e && e.message });
+        }
+      }
+    }
+    // Unfiltered streams (content streams, raw images, fonts) get a lossless deflate.
+    // XMP metadata stays readable as plain text.
+    if (!dict.has(N('Filter')) && !dict.has(N('DecodeParms')) && dict.lookup(N('Type')) !== N('Metadata')) {
+      const deflated = zlib.deflateSync(Buffer.from(obj.contents), { level: 9 });
+      if (deflated.length < obj.contents.length) {
+        dict.set(N('Filter'), N('FlateDecode'));
+        context.assign(ref, PDFRawStream.of(dict, deflated));
+        stats.streamsDeflated++;
+      }
+    }
+  }
+
+  stats.objectsRemoved = pruneUnreferenced(context);
+  const out = Buffer.from(await doc.save({ useObjectStreams: true }));
+  if (out.length >= buffer.length) return { buffer, stats };
+  stats.compressedSize = out.length;
+  return { buffer: out, stats };
+}
+
+module.exports = { optimizePdf };
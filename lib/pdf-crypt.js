@@ -0,0 +1,415 @@
+// lib/pdf-crypt.js - PDF password protection (Standard security handler) on top of pdf-lib, which can
+// neither read nor write encrypted files by itself.
+// - decryptPdf: accepts RC4 (40-128 bit), AES-128 and AES-256 files. The file is re-parsed with a
+//   parser that decrypts every indirect object as it is read, before object streams are unpacked.
+// - encryptPdf: AES-256 (revision 6) with user/owner passwords and permission flags. Every string and
+//   stream is encrypted and the file is written without object streams.
+
+const crypto = require('crypto');
+const {
+  PDFDocument, PDFParser, PDFWriter, PDFDict, PDFArray, PDFName, PDFRef, PDFNull, PDFNumber, PDFBool,
+  PDFString, PDFHexString, PDFStream, PDFRawStream
+} = require('pdf-lib');
+
+// Permission bits (1-based bit positions from the PDF spec) by the names the API accepts
+const PERMISSIONS = {
+  print: 3,
+  modify: 4,
+  copy: 5,
+  annotate: 6,
+  fillForms: 9,
+  accessibility: 10,
+  assemble: 11,
+  printHighQuality: 12
+};
+
+const PASSWORD_PAD = Buffer.from('28bf4e5e4e758a4164004e56fffa01082e2e00b6d0683e802f0ca9fe6453697a', 'hex');
+const EMPTY = Buffer.alloc(0);
+const ZERO_IV = Buffer.alloc(16);
+
+// PdfPasswordError.code: PASSWORD_REQUIRED | WRONG_PASSWORD | UNSUPPORTED_ENCRYPTION
+class PdfPasswordError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'PdfPasswordError';
+    this.code = code;
+  }
+}
+
+// ---------------- Primitives ----------------
+
+const md5 = (...parts) => crypto.createHash('md5').update(Buffer.concat(parts)).digest();
+
+function rc4(key, data) {
+  const s = new Uint8Array(256);
+  for (let i = 0; i < 256; i++) s[i] = i;
+  for (let i = 0, j = 0; i < 256; i++) {
+    j = (j + s[i] + key[i % key.length]) & 255;
+    [s[i], s[j]] = [s[j], s[i]];
+  }
+  const out = Buffer.alloc(data.length);
+  for (let k = 0, i = 0, j = 0; k < data.length; k++) {
+    i = (i + 1) & 255;
+    j = (j + s[i]) & 255;
+    [s[i], s[j]] = [s[j], s[i]];
+    out[k] = data[k] ^ s[(s[i] + s[j]) & 255];
+  }
+  return out;
+}
+
+// aesRaw: AES without padding (key wrapping and the R6 hash rounds)
+function aesRaw(algorithm, key, iv, data, encrypt) {
+  const c = encrypt ? crypto.createCipheriv(algorithm, key, iv) : crypto.createDecipheriv(algorithm, key, iv);
+  c.setAutoPadding(false);
+  return Buffer.concat([c.update(data), c.final()]);
+}
+
+// String/stream data: 16-byte IV followed by CBC ciphertext with PKCS#5 padding
+function aesDecrypt(key, data) {
+  if (data.length < 32) return EMPTY;
+  const algorithm = `aes-${key.length * 8}-cbc`;
+  const iv = data.subarray(0, 16);
+  const body = data.subarray(16, 16 + Math.floor((data.length - 16) / 16) * 16);
+  try {
+    const d = crypto.createDecipheriv(algorithm, key, iv);
+    return Buffer.concat([d.update(body), d.final()]);
+  } catch (e) {
+    return aesRaw(algorithm, key, iv, body, false); // bad padding: keep the raw plaintext
+  }
+}
+
+function aesEncrypt(key, data) {
+  const iv = crypto.randomBytes(16);
+  const c = crypto.createCipheriv(`aes-${key.length * 8}-cbc`, key, iv);
+  return Buffer.concat([iv, c.update(data), c.final()]);
+}
+
+// ---------------- Key derivation ----------------
+
+// Revisions 2-4 take the password as Latin-1 bytes padded to 32; revisions 5-6 as UTF-8 (max 127 bytes)
+function passwordBytes(password, revision) {
+  const s = String(password || '');
+  if (revision >= 5) return Buffer.from(s.normalize('NFKC'), 'utf8').subarray(0, 127);
+  return Buffer.from(s, 'latin1').subarray(0, 32);
+}
+
+function padPassword(pw) {
+  return Buffer.concat([pw, PASSWORD_PAD]).subarray(0, 32);
+}
+
+// legacyKey: file key from the (padded) user password, revisions 2-4
+function legacyKey(pw, enc) {
+  const n = enc.R === 2 ? 5 : enc.keyLength;
+  const p = Buffer.alloc(4);
+  p.writeInt32LE(enc.P, 0);
+  const noMeta = enc.R >= 4 && !enc.encryptMetadata ? Buffer.from([255, 255, 255, 255]) : EMPTY;
+  let h = md5(padPassword(pw), enc.O.subarray(0, 32), p, enc.id0, noMeta);
+  if (enc.R >= 3) for (let i = 0; i < 50; i++) h = md5(h.subarray(0, n));
+  return h.subarray(0, n);
+}
+
+const xorKey = (key, i) => Buffer.from(key.map(b => b ^ i));
+
+function legacyUserMatches(key, enc) {
+  if (enc.R === 2) return rc4(key, PASSWORD_PAD).equals(enc.U.subarray(0, 32));
+  let x = rc4(key, md5(PASSWORD_PAD, enc.id0));
+  for (let i = 1; i <= 19; i++) x = rc4(xorKey(key, i), x);
+  return x.subarray(0, 16).equals(enc.U.subarray(0, 16));
+}
+
+// legacyOwnerToUser: recovers the padded user password from O with the owner password
+function legacyOwnerToUser(pw, enc) {
+  const n = enc.R === 2 ? 5 : enc.keyLength;
+  let h = md5(padPassword(pw));
+  if (enc.R >= 3) for (let i = 0; i < 50; i++) h = md5(h);
+  const key = h.subarray(0, n);
+  let x = enc.O.subarray(0, 32);
+  if (enc.R === 2) return rc4(key, x);
+  for (let i = 19; i >= 0; i--) x = rc4(xorKey(key, i), x);
+  return x;
+}
+
+// hashR6: password hash for revisions 5 (plain SHA-256) and 6 (iterated SHA-2 / AES rounds)
+function hashR6(pw, salt, udata, revision) {
+  let k = crypto.createHash('sha256').update(Buffer.concat([pw, salt, udata])).digest();
+  if (revision === 5) return k;
+  let e = null;
+  for (let i = 0; i < 64 || e[e.length - 1] > i - 32; i++) {
+    const k1 = Buffer.concat(new Array(64).fill(Buffer.concat([pw, k, udata])));
+    e = aesRaw('aes-128-cbc', k.subarray(0, 16), k.subarray(16, 32), k1, true);
+    let sum = 0;
+    for (let j = 0; j < 16; j++) sum += e[j];
+    k = crypto.createHash(['sha256', 'sha384', 'sha512'][sum % 3]).update(e).digest();
+  }
+  return k.subarray(0, 32);
+}
+
+// authenticate: { key, as: 'owner' | 'user' } for the password, or null when it matches neither
+function authenticate(password, enc) {
+  const pw = passwordBytes(password, enc.R);
+  if (enc.R >= 5) {
+    const U = enc.U.subarray(0, 48);
+    const O = enc.O.subarray(0, 48);
+    if (hashR6(pw, O.subarray(32, 40), U, enc.R).equals(O.subarray(0, 32))) {
+      return { key: aesRaw('aes-256-cbc', hashR6(pw, O.subarray(40, 48), U, enc.R), ZERO_IV, enc.OE.subarray(0, 32), false), as: 'owner' };
+    }
+    if (hashR6(pw, U.subarray(32, 40), EMPTY, enc.R).equals(U.subarray(0, 32))) {
+      return { key: aesRaw('aes-256-cbc', hashR6(pw, U.subarray(40, 48), EMPTY, enc.R), ZERO_IV, enc.UE.subarray(0, 32), false), as: 'user' };
+    }
+    return null;
+  }
+  const ownerKey = legacyKey(legacyOwnerToUser(pw, enc), enc);
+  if (legacyUserMatches(ownerKey, enc)) return { key: ownerKey, as: 'owner' };
+  const userKey = legacyKey(pw, enc);
+  if (legacyUserMatches(userKey, enc)) return { key: userKey, as: 'user' };
+  return null;
+}
+
+// ---------------- Reading the encryption dictionary ----------------
+
+const bytesOf = obj => (obj instanceof PDFString || obj instanceof PDFHexString ? Buffer.from(obj.asBytes()) : EMPTY);
+const numberOf = (obj, dflt) => (obj instanceof PDFNumber ? obj.asNumber() : dflt);
+
+// cryptMethod: 'rc4' | 'aes' | 'none' for the StmF / StrF crypt filter
+function cryptMethod(dict, V, entry) {
+  if (V < 4) return 'rc4';
+  const name = dict.lookup(PDFName.of(entry));
+  if (!(name instanceof PDFName) || name.asString() === '/Identity') return 'none';
+  const cf = dict.lookup(PDFName.of('CF'));
+  const filter = cf instanceof PDFDict ? cf.lookup(name) : null;
+  const cfm = filter instanceof PDFDict ? filter.lookup(PDFName.of('CFM')) : null;
+  const method = cfm instanceof PDFName ? cfm.asString() : '/None';
+  if (method === '/V2') return 'rc4';
+  if (method === '/AESV2' || method === '/AESV3') return 'aes';
+  return 'none';
+}
+
+function readEncryptDict(dict, id0) {
+  const filter = dict.lookup(PDFName.of('Filter'));
+  if (!(filter instanceof PDFName) || filter.asString() !== '/Standard') {
+    throw new PdfPasswordError('UNSUPPORTED_ENCRYPTION', `Unsupported PDF security handler ${filter instanceof PDFName ? filter.asString() : '(none)'}`);
+  }
+  const V = numberOf(dict.lookup(PDFName.of('V')), 0);
+  const R = numberOf(dict.lookup(PDFName.of('R')), 2);
+  if (![1, 2, 4, 5].includes(V) || R < 2 || R > 6) {
+    throw new PdfPasswordError('UNSUPPORTED_ENCRYPTION', `Unsupported PDF encryption (V${V} R${R})`);
+  }
+  const encMeta = dict.lookup(PDFName.of('EncryptMetadata'));
+  let keyLength = numberOf(dict.lookup(PDFName.of('Length')), 40);
+  if (keyLength > 32) keyLength /= 8; // bits -> bytes
+  if (V === 4) keyLength = 16;
+  return {
+    V,
+    R,
+    keyLength,
+    O: bytesOf(dict.lookup(PDFName.of('O'))),
+    U: bytesOf(dict.lookup(PDFName.of('U'))),
+    OE: bytesOf(dict.lookup(PDFName.of('OE'))),
+    UE: bytesOf(dict.lookup(PDFName.of('UE'))),
+    P: numberOf(dict.lookup(PDFName.of('P')), -1) | 0,
+    encryptMetadata: !(encMeta instanceof PDFBool) || encMeta.asBoolean(),
+    id0,
+    stringMethod: cryptMethod(dict, V, 'StrF'),
+    streamMethod: cryptMethod(dict, V, 'StmF')
+  };
+}
+
+// ObjectParser: pdf-lib's parser with a hook on every top-level indirect object. transform(object,
+// ref) may return a replacement; it runs before object streams are unpacked.
+class ObjectParser extends PDFParser {
+  constructor(bytes, transform) {
+    super(bytes, Infinity, false, false);
+    this.transform = transform;
+    this.depth = 0;
+    this.currentRef = null;
+  }
+
+  parseIndirectObjectHeader() {
+    this.currentRef = super.parseIndirectObjectHeader();
+    this.depth = 0;
+    return this.currentRef;
+  }
+
+  parseObject() {
+    this.depth++;
+    let object;
+    try { object = super.parseObject(); } finally { this.depth--; }
+    if (this.depth > 0 || !this.currentRef) return object;
+    const ref = this.currentRef;
+    this.currentRef = null;
+    return this.transform(object, ref);
+  }
+}
+
+const typeOf = obj => (obj instanceof PDFStream ? obj.dict.lookup(PDFName.of('Type')) : null);
+
+// scanEncryption: { dict, ref, id0 } when the file has an Encrypt entry, else null. Object streams
+// are skipped here since their contents cannot be read before the key is known.
+async function scanEncryption(buffer) {
+  if (buffer.indexOf('/Encrypt') < 0) return null;
+  const context = await new ObjectParser(new Uint8Array(buffer), obj => (typeOf(obj) === PDFName.of('ObjStm') ? PDFNull : obj)).parseDocument();
+  const entry = context.trailerInfo.Encrypt;
+  if (!entry) return null;
+  const dict = context.lookup(entry);
+  if (!(dict instanceof PDFDict)) return null;
+  const ids = context.lookup(context.trailerInfo.ID);
+  const id0 = ids instanceof PDFArray && ids.size() > 0 ? bytesOf(ids.lookup(0)) : EMPTY;
+  return { dict, ref: entry instanceof PDFRef ? entry : null, id0 };
+}
+
+// ---------------- Public API ----------------
+
+// isEncryptedPdf: true when the PDF has an encryption dictionary
+async function isEncryptedPdf(buffer) {
+  try { return !!(await scanEncryption(buffer)); } catch (e) { return false; }
+}
+
+// permissionsFromP: allowed permission names; revision 2 only defines bits 3-6
+function permissionsFromP(P, revision) {
+  return Object.keys(PERMISSIONS).filter(name => (revision > 2 || PERMISSIONS[name] <= 6) && P & (1 << (PERMISSIONS[name] - 1)));
+}
+
+function algorithmOf(enc) {
+  if (enc.V === 5) return 'AES-256';
+  if (enc.V === 4) return enc.streamMethod === 'aes' ? 'AES-128' : enc.streamMethod === 'rc4' ? 'RC4-128' : 'none';
+  return `RC4-${enc.R === 2 ? 40 : enc.keyLength * 8}`;
+}
+
+// describeEncryption: { algorithm, revision, permissions } of an encrypted PDF, readable without the
+// password; { error } for security handlers this module cannot open; null for unencrypted files
+async function describeEncryption(buffer) {
+  const found = await scanEncryption(buffer);
+  if (!found) return null;
+  try {
+    const enc = readEncryptDict(found.dict, found.id0);
+    return { algorithm: algorithmOf(enc), revision: enc.R, permissions: permissionsFromP(enc.P, enc.R) };
+  } catch (e) {
+    return { algorithm: null, revision: null, permissions: null, error: e.message };
+  }
+}
+
+// decryptPdf(buffer, password) -> { buffer, encrypted, as, permissions }. Unencrypted input comes back
+// unchanged; files whose user password is empty open without a password. Throws PdfPasswordError.
+async function decryptPdf(buffer, password = null) {
+  const found = await scanEncryption(buffer);
+  if (!found) return { buffer, encrypted: false, as: null, permissions: null };
+  const enc = readEncryptDict(found.dict, found.id0);
+  const auth = authenticate(password || '', enc);
+  if (!auth) {
+    if (!password) throw new PdfPasswordError('PASSWORD_REQUIRED', 'PDF is password protected; a password is required');
+    throw new PdfPasswordError('WRONG_PASSWORD', 'Wrong password for PDF');
+  }
+
+  const crypt = (method, ref, data) => {
+    if (method === 'none') return data;
+    if (enc.R >= 5) return aesDecrypt(auth.key, data);
+    const n = Buffer.from([ref.objectNumber, ref.objectNumber >> 8, ref.objectNumber >> 16, ref.generationNumber, ref.generationNumber >> 8]);
+    const key = md5(auth.key, n, method === 'aes' ? Buffer.from('sAlT') : EMPTY).subarray(0, Math.min(enc.keyLength + 5, 16));
+    return method === 'aes' ? aesDecrypt(key, data) : rc4(key, data);
+  };
+  const walk = (obj, ref) => {
+    if (obj instanceof PDFString || obj instanceof PDFHexString) {
+      return PDFHexString.of(crypt(enc.stringMethod, ref, Buffer.from(obj.asBytes())).toString('hex'));
+    }
+    if (obj instanceof PDFDict) {
+      for (const [k, v] of obj.entries()) obj.set(k, walk(v, ref));
+    } else if (obj instanceof PDFArray) {
+      for (let i = 0; i < obj.size(); i++) obj.set(i, walk(obj.get(i), ref));
+    } else if (obj instanceof PDFRawStream) {
+      const type = typeOf(obj);
+      if (type === PDFName.of('XRef')) return obj;
+      walk(obj.dict, ref);
+      if (type === PDFName.of('Metadata') && !enc.encryptMetadata) return obj;
+      return PDFRawStream.of(obj.dict, crypt(enc.streamMethod, ref, Buffer.from(obj.contents)));
+    }
+    return obj;
+  };
+
+  const context = await new ObjectParser(new Uint8Array(buffer), (obj, ref) => (ref === found.ref ? obj : walk(obj, ref))).parseDocument();
+  context.trailerInfo.Encrypt = undefined;
+  if (found.ref) context.delete(found.ref);
+  const out = await PDFWriter.forContext(context, Infinity).serializeToBuffer();
+  return { buffer: Buffer.from(out), encrypted: true, as: auth.as, permissions: permissionsFromP(enc.P, enc.R) };
+}
+
+// parsePermissions: allowed permission names from an array or comma list ('all' / 'none' work too).
+// Missing value -> everything allowed. Throws on unknown names.
+function parsePermissions(value) {
+  if (value === undefined || value === null || value === '') return Object.keys(PERMISSIONS);
+  let list;
+  try { list = JSON.parse(value); } catch (e) { list = String(value).split(','); }
+  if (!Array.isArray(list)) list = [list];
+  const names = list.map(s => String(s).trim()).filter(Boolean);
+  if (names.length === 1 && names[0].toLowerCase() === 'all') return Object.keys(PERMISSIONS);
+  if (names.length === 1 && names[0].toLowerCase() === 'none') return [];
+  for (const n of names) if (!PERMISSIONS[n]) throw new Error(`Unknown permission "${n}" (use ${Object.keys(PERMISSIONS).join(', ')})`);
+  return names;
+}
+
+// encryptPdf(buffer, { userPassword, ownerPassword, permissions }) -> Buffer encrypted with AES-256.
+// An empty user password lets anyone open the file under the given permissions; without an owner
+// password a random one is used, so the restrictions cannot be lifted. Input must not be encrypted.
+async function encryptPdf(buffer, { userPassword = '', ownerPassword = '', permissions = Object.keys(PERMISSIONS) } = {}) {
+  const doc = await PDFDocument.load(buffer, { updateMetadata: false });
+  const context = doc.context;
+  const key = crypto.randomBytes(32);
+
+  // bits 7-8 and 13-32 are reserved and must be set
+  let P = 0xFFFFF0C0;
+  for (const name of permissions) P |= 1 << (PERMISSIONS[name] - 1);
+  P |= 0;
+
+  const user = passwordBytes(userPassword, 6);
+  const owner = passwordBytes(ownerPassword || crypto.randomBytes(16).toString('hex'), 6);
+  const [uSalt, ukSalt, oSalt, okSalt] = [0, 1, 2, 3].map(() => crypto.randomBytes(8));
+  const U = Buffer.concat([hashR6(user, uSalt, EMPTY, 6), uSalt, ukSalt]);
+  const UE = aesRaw('aes-256-cbc', hashR6(user, ukSalt, EMPTY, 6), ZERO_IV, key, true);
+  const O = Buffer.concat([hashR6(owner, oSalt, U, 6), oSalt, okSalt]);
+  const OE = aesRaw('aes-256-cbc', hashR6(owner, okSalt, U, 6), ZERO_IV, key, true);
+  const perms = Buffer.alloc(16);
+  perms.writeInt32LE(P, 0);
+  perms.writeUInt32LE(0xFFFFFFFF, 4);
+  perms.write('Tadb', 8, 'latin1');
+  crypto.randomBytes(4).copy(perms, 12);
+
+  const walk = obj => {
+    if (obj instanceof PDFString || obj instanceof PDFHexString) return PDFHexString.of(aesEncrypt(key, Buffer.from(obj.asBytes())).toString('hex'));
+    if (obj instanceof PDFDict) {
+      for (const [k, v] of obj.entries()) obj.set(k, walk(v));
+    } else if (obj instanceof PDFArray) {
+      for (let i = 0; i < obj.size(); i++) obj.set(i, walk(obj.get(i)));
+    } else if (obj instanceof PDFStream) {
+      walk(obj.dict);
+      return PDFRawStream.of(obj.dict, aesEncrypt(key, Buffer.from(obj.getContents())));
+    }
+    return obj;
+  };
+  for (const [ref, obj] of context.enumerateIndirectObjects()) context.assign(ref, walk(obj));
+
+  const hex = b => PDFHexString.of(b.toString('hex'));
+  const encrypt = context.obj({
+    Filter: 'Standard',
+    V: 5,
+    R: 6,
+    Length: 256,
+    CF: { StdCF: { AuthEvent: 'DocOpen', CFM: 'AESV3', Length: 32 } },
+    StmF: 'StdCF',
+    StrF: 'StdCF',
+    O: hex(O),
+    U: hex(U),
+    OE: hex(OE),
+    UE: hex(UE),
+    P,
+    Perms: hex(aesRaw('aes-256-ecb', key, null, perms, true)),
+    EncryptMetadata: true
+  });
+  context.trailerInfo.Encrypt = context.register(encrypt);
+  if (!context.trailerInfo.ID) {
+    const id = hex(crypto.randomBytes(16));
+    context.trailerInfo.ID = context.obj([id, id]);
+  }
+  const out = await PDFWriter.forContext(context, Infinity).serializeToBuffer();
+  return Buffer.from(out);
+}
+
+module.exports = { PERMISSIONS, PdfPasswordError, isEncryptedPdf, describeEncryption, decryptPdf, encryptPdf, parsePermissions };
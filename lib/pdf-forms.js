@@ -0,0 +1,207 @@
+// lib/pdf-forms.js - AcroForm inspection and filling with pdf-lib's form support. Values come as an
+// object of field name -> value; batch data is a JSON array or a CSV with a header row of field names.
+// XFA data is dropped when filling (pdf-lib only writes AcroForm fields), so viewers show the AcroForm.
+
+const {
+  PDFDocument, StandardFonts, PDFTextField, PDFCheckBox, PDFRadioGroup, PDFDropdown, PDFOptionList, PDFButton, PDFSignature
+} = require('pdf-lib');
+
+const CHECKED = ['true', 'yes', 'on', '1', 'x', 'checked'];
+const UNCHECKED = ['false', 'no', 'off', '0', 'unchecked'];
+
+// FormFieldError: a value that cannot go into its field (or no such field); code FORM_FIELD_INVALID,
+// details { field, record } (record is the 1-based batch row, set by the caller)
+class FormFieldError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'FormFieldError';
+    this.code = 'FORM_FIELD_INVALID';
+    Object.assign(this, details);
+  }
+}
+
+function fieldType(field) {
+  if (field instanceof PDFTextField) return 'text';
+  if (field instanceof PDFCheckBox) return 'checkbox';
+  if (field instanceof PDFRadioGroup) return 'radio';
+  if (field instanceof PDFDropdown) return 'dropdown';
+  if (field instanceof PDFOptionList) return 'optionlist';
+  if (field instanceof PDFButton) return 'button';
+  if (field instanceof PDFSignature) return 'signature';
+  return 'unknown';
+}
+
+// widgetPages: 1-based page numbers the field's widgets sit on
+function widgetPages(doc, field) {
+  const byRef = new Map();
+  doc.getPages().forEach((page, i) => {
+    const annots = page.node.Annots();
+    if (annots) for (let k = 0; k < annots.size(); k++) byRef.set(String(annots.get(k)), i + 1);
+  });
+  const pages = new Set();
+  for (const widget of field.acroField.getWidgets()) {
+    const ref = doc.context.getObjectRef(widget.dict);
+    if (ref && byRef.has(String(ref))) pages.add(byRef.get(String(ref)));
+  }
+  return Array.from(pages).sort((a, b) => a - b);
+}
+
+// describeField: { name, type, value, options, required, readOnly, pages, ... } of one field
+function describeField(doc, field) {
+  const type = fieldType(field);
+  const info = { name: field.getName(), type, value: null, options: null, required: field.isRequired(), readOnly: field.isReadOnly(), pages: widgetPages(doc, field) };
+  if (type === 'text') {
+    Object.assign(info, { value: field.getText() === undefined ? null : field.getText(), multiline: field.isMultiline(), maxLength: field.getMaxLength() === undefined ? null : field.getMaxLength() });
+  } else if (type === 'checkbox') {
+    info.value = field.isChecked();
+  } else if (type === 'radio') {
+    Object.assign(info, { value: field.getSelected() || null, options: field.getOptions() });
+  } else if (type === 'dropdown' || type === 'optionlist') {
+    const selected = field.getSelected();
+    Object.assign(info, { value: field.isMultiselect() ? selected : selected[0] || null, options: field.getOptions(), multiSelect: field.isMultiselect() });
+    if (type === 'dropdown') info.editable = field.isEditable();
+  }
+  return info;
+}
+
+// describeForm(buffer): { fields, xfa } of an unencrypted PDF; fields is empty without an AcroForm
+async function describeForm(buffer) {
+  const doc = await PDFDocument.load(buffer);
+  const form = doc.getForm();
+  return { fields: form.getFields().map(f => describeField(doc, f)), xfa: form.hasXFA() };
+}
+
+function checkedValue(name, value) {
+  if (typeof value === 'boolean') return value;
+  const s = String(value).trim().toLowerCase();
+  if (CHECKED.includes(s)) return true;
+  if (UNCHECKED.includes(s) || s === '') return false;
+  throw new FormFieldError(`"${name}": "${value}" is not a checkbox value (use true / false)`, { field: name });
+}
+
+// choices: the picked options of a dropdown / option list, checked against the field's options
+function choices(field, name, value) {
+  const picked = (Array.isArray(value) ? value : [value]).map(String);
+  if (picked.length > 1 && !field.isMultiselect()) throw new FormFieldError(`"${name}" takes a single option`, { field: name });
+  const options = field.getOptions();
+  const editable = field instanceof PDFDropdown && field.isEditable();
+  const unknown = picked.find(v => !options.includes(v));
+  if (unknown !== undefined && !editable) throw new FormFieldError(`"${name}": "${unknown}" is not one of ${options.map(o => `"${o}"`).join(', ')}`, { field: name });
+  return picked;
+}
+
+// setField: puts one value into a field; font is the font appearances are drawn with
+function setField(field, value, font) {
+  const name = field.getName();
+  const type = fieldType(field);
+  if (type === 'text') {
+    const text = String(value);
+    const max = field.getMaxLength();
+    if (max !== undefined && text.length > max) throw new FormFieldError(`"${name}" takes at most ${max} characters`, { field: name });
+    try { font.encodeText(text); } catch (e) {
+      throw new FormFieldError(`"${name}": the text has characters the standard PDF font cannot show`, { field: name });
+    }
+    field.setText(text);
+  } else if (type === 'checkbox') {
+    if (checkedValue(name, value)) field.check(); else field.uncheck();
+  } else if (type === 'radio') {
+    const options = field.getOptions();
+    const v = String(value);
+    if (v === '') field.clear();
+    else if (!options.includes(v)) throw new FormFieldError(`"${name}": "${v}" is not one of ${options.map(o => `"${o}"`).join(', ')}`, { field: name });
+    else field.select(v);
+  } else if (type === 'dropdown' || type === 'optionlist') {
+    if (value === '' || (Array.isArray(value) && !value.length)) field.clear();
+    else field.select(choices(field, name, value));
+  } else {
+    throw new FormFieldError(`"${name}" is a ${type} field and cannot be filled`, { field: name });
+  }
+}
+
+// fillForm(buffer, values, { flatten }): the PDF with values ({ field name: value }) filled in; null /
+// undefined values leave a field as it is. flatten draws the fields into the pages and removes the form.
+async function fillForm(buffer, values, { flatten = false } = {}) {
+  const doc = await PDFDocument.load(buffer);
+  const form = doc.getForm();
+  const font = await doc.embedFont(StandardFonts.Helvetica);
+  if (form.hasXFA()) form.deleteXFA();
+  for (const [name, value] of Object.entries(values)) {
+    if (value === null || value === undefined) continue;
+    const field = form.getFieldMaybe(name);
+    if (!field) throw new FormFieldError(`No form field named "${name}"`, { field: name });
+    setField(field, value, font);
+  }
+  form.updateFieldAppearances(font);
+  if (flatten) form.flatten({ updateFieldAppearances: false });
+  return Buffer.from(await doc.save());
+}
+
+// parseFormValues: the 'values' field - a JSON object of field name -> value
+function parseFormValues(text) {
+  let values;
+  try { values = JSON.parse(text); } catch (e) { throw new Error(`"values" is not valid JSON: ${e.message}`); }
+  if (!values || typeof values !== 'object' || Array.isArray(values)) throw new Error('"values" must be a JSON object of field name -> value');
+  return values;
+}
+
+// parseCsv: rows of cells (RFC 4180 quoting; the delimiter is ';' when the header has no ',')
+function parseCsv(text) {
+  const src = text.replace(/^\uFEFF/, '');
+  const firstLine = src.split(/\r?\n/, 1)[0];
+  const delim = !firstLine.includes(',') && firstLine.includes(';') ? ';' : ',';
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  for (let i = 0; i < src.length; i++) {
+    const c = src[i];
+    if (quoted) {
+      if (c === '"' && src[i + 1] === '"') { cell += '"'; i++; }
+      else if (c === '"') quoted = false;
+      else cell += c;
+    } else if (c === '"' && cell === '') {
+      quoted = true;
+    } else if (c === delim) {
+      row.push(cell);
+      cell = '';
+    } else if (c === '\n' || c === '\r') {
+      if (c === '\r' && src[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += c;
+    }
+  }
+  if (quoted) throw new Error('CSV has an unterminated quoted cell');
+  if (cell !== '' || row.length) { row.push(cell); rows.push(row); }
+  return rows.filter(r => r.some(c => c.trim() !== ''));
+}
+
+// parseFormRecords(text, fileName): batch records from a JSON array of objects (or one object) or a
+// CSV whose header row names the fields; empty CSV cells leave the field as it is in the template
+function parseFormRecords(text, fileName = '') {
+  const src = String(text).trim();
+  const isJson = /\.json$/i.test(fileName) || (!/\.csv$/i.test(fileName) && /^[[{]/.test(src));
+  let records;
+  if (isJson) {
+    try { records = JSON.parse(src); } catch (e) { throw new Error(`Form data is not valid JSON: ${e.message}`); }
+    if (!Array.isArray(records)) records = [records];
+    if (records.some(r => !r || typeof r !== 'object' || Array.isArray(r))) throw new Error('Form data must be an array of objects (field name -> value)');
+  } else {
+    const rows = parseCsv(src);
+    if (rows.length < 2) throw new Error('Form data CSV needs a header row and at least one record');
+    const header = rows[0].map(h => h.trim());
+    if (header.some(h => !h)) throw new Error('Form data CSV has an empty column name');
+    records = rows.slice(1).map(cells => {
+      const record = {};
+      header.forEach((h, i) => { if (cells[i] !== undefined && cells[i] !== '') record[h] = cells[i]; });
+      return record;
+    });
+  }
+  if (!records.length) throw new Error('Form data has no records');
+  return records;
+}
+
+module.exports = { FormFieldError, describeForm, fillForm, parseFormValues, parseFormRecords };
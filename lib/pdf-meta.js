@@ -0,0 +1,200 @@
+// lib/pdf-meta.js - PDF inspection (version, pages, encryption, fonts, images, Info fields) and
+// editing / stripping of document metadata with pdf-lib.
+
+const { PDFDocument, PDFName, PDFDict, PDFArray, PDFNumber, PDFRef, PDFStream, PDFRawStream } = require('pdf-lib');
+const { PAGE_SIZES } = require('./page-layout');
+const { PdfPasswordError, describeEncryption, decryptPdf } = require('./pdf-crypt');
+
+// API field -> Info dictionary key
+const INFO_FIELDS = {
+  title: 'Title',
+  author: 'Author',
+  subject: 'Subject',
+  keywords: 'Keywords',
+  creator: 'Creator',
+  producer: 'Producer',
+  creationDate: 'CreationDate',
+  modificationDate: 'ModDate'
+};
+const DATE_FIELDS = ['creationDate', 'modificationDate'];
+
+const nameOf = obj => (obj instanceof PDFName ? obj.decodeText() : null);
+const numberOf = obj => (obj instanceof PDFNumber ? obj.asNumber() : null);
+
+function readInfo(doc) {
+  const get = fn => { try { return fn() || null; } catch (e) { return null; } };
+  const iso = d => (d && !isNaN(d.getTime()) ? d.toISOString() : null);
+  return {
+    title: get(() => doc.getTitle()),
+    author: get(() => doc.getAuthor()),
+    subject: get(() => doc.getSubject()),
+    keywords: get(() => doc.getKeywords()),
+    creator: get(() => doc.getCreator()),
+    producer: get(() => doc.getProducer()),
+    creationDate: get(() => iso(doc.getCreationDate())),
+    modificationDate: get(() => iso(doc.getModificationDate()))
+  };
+}
+
+// sizeName: PAGE_SIZES key ('a4', 'letter' ...) matching width x height in either orientation
+function sizeName(width, height) {
+  const near = (a, b) => Math.abs(a - b) < 2;
+  for (const key of Object.keys(PAGE_SIZES)) {
+    const [w, h] = PAGE_SIZES[key];
+    if ((near(width, w) && near(height, h)) || (near(width, h) && near(height, w))) return key;
+  }
+  return null;
+}
+
+// describeLoadedPages: per-page size/rotation plus the distinct sizes with their counts
+function describeLoadedPages(doc) {
+  const pages = doc.getPages().map((p, i) => {
+    const { width, height } = p.getSize();
+    return { page: i + 1, width: Math.round(width), height: Math.round(height), rotation: p.getRotation().angle };
+  });
+  const sizes = new Map();
+  for (const p of pages) {
+    const key = `${p.width}x${p.height}`;
+    if (!sizes.has(key)) sizes.set(key, { width: p.width, height: p.height, name: sizeName(p.width, p.height), orientation: p.width > p.height ? 'landscape' : 'portrait', count: 0 });
+    sizes.get(key).count++;
+  }
+  return { pageCount: pages.length, pageSizes: Array.from(sizes.values()), pages };
+}
+
+// Distinct fonts; descendant CID fonts are reported through their Type0 parent
+function summarizeFonts(context) {
+  const fonts = new Map();
+  for (const [, obj] of context.enumerateIndirectObjects()) {
+    if (!(obj instanceof PDFDict) || obj.lookup(PDFName.of('Type')) !== PDFName.of('Font')) continue;
+    const type = nameOf(obj.lookup(PDFName.of('Subtype')));
+    if (type === 'CIDFontType0' || type === 'CIDFontType2') continue;
+    const baseFont = nameOf(obj.lookup(PDFName.of('BaseFont'))) || '(unnamed)';
+    let holder = obj;
+    if (type === 'Type0') {
+      const descendants = obj.lookup(PDFName.of('DescendantFonts'));
+      holder = descendants instanceof PDFArray ? descendants.lookup(0) : null;
+    }
+    const fd = holder instanceof PDFDict ? holder.lookup(PDFName.of('FontDescriptor')) : null;
+    const embedded = type === 'Type3' || (fd instanceof PDFDict && ['FontFile', 'FontFile2', 'FontFile3'].some(k => fd.has(PDFName.of(k))));
+    const key = `${baseFont}|${type}`;
+    if (!fonts.has(key)) {
+      const subset = /^[A-Z]{6}\+/.test(baseFont);
+      fonts.set(key, { name: subset ? baseFont.slice(7) : baseFont, type, embedded, subset });
+    }
+  }
+  return Array.from(fonts.values());
+}
+
+// Image XObjects: count, stored bytes, count per (last) filter and the largest image
+function summarizeImages(context) {
+  const summary = { count: 0, totalBytes: 0, byFilter: {}, largest: null };
+  for (const [, obj] of context.enumerateIndirectObjects()) {
+    if (!(obj instanceof PDFRawStream) || obj.dict.lookup(PDFName.of('Subtype')) !== PDFName.of('Image')) continue;
+    const f = obj.dict.lookup(PDFName.of('Filter'));
+    const filter = (f instanceof PDFArray ? nameOf(f.lookup(f.size() - 1)) : nameOf(f)) || 'none';
+    const width = numberOf(obj.dict.lookup(PDFName.of('Width'))) || 0;
+    const height = numberOf(obj.dict.lookup(PDFName.of('Height'))) || 0;
+    summary.count++;
+    summary.totalBytes += obj.contents.length;
+    summary.byFilter[filter] = (summary.byFilter[filter] || 0) + 1;
+    if (!summary.largest || width * height > summary.largest.width * summary.largest.height) summary.largest = { width, height };
+  }
+  return summary;
+}
+
+// describePdf(buffer, { password }): everything the inspection endpoints report. Encrypted files are
+// opened with the password (or an empty one); without it only version, encryption and pages are
+// returned, with encryption.passwordError set.
+async function describePdf(buffer, { password = null } = {}) {
+  const header = buffer.slice(0, 1024).toString('latin1').match(/%PDF-(\d+\.\d+)/);
+  const result = { fileSize: buffer.length, pdfVersion: header ? header[1] : null, encrypted: false, encryption: null };
+  let plain = buffer;
+  const encryption = await describeEncryption(buffer);
+  if (encryption) {
+    result.encrypted = true;
+    result.encryption = encryption;
+    try {
+      const r = await decryptPdf(buffer, password);
+      plain = r.buffer;
+      encryption.openedAs = r.as;
+    } catch (e) {
+      if (!(e instanceof PdfPasswordError)) throw e;
+      encryption.passwordError = e.code;
+      // the page tree itself is not encrypted
+      try { Object.assign(result, describeLoadedPages(await PDFDocument.load(buffer, { ignoreEncryption: true, updateMetadata: false }))); } catch (_) {}
+      return result;
+    }
+  }
+  const doc = await PDFDocument.load(plain, { updateMetadata: false });
+  const catalogVersion = nameOf(doc.catalog.lookup(PDFName.of('Version')));
+  if (catalogVersion && (!result.pdfVersion || parseFloat(catalogVersion) > parseFloat(result.pdfVersion))) result.pdfVersion = catalogVersion;
+  return Object.assign(result, describeLoadedPages(doc), {
+    info: readInfo(doc),
+    xmpMetadata: doc.catalog.has(PDFName.of('Metadata')),
+    fonts: summarizeFonts(doc.context),
+    images: summarizeImages(doc.context)
+  });
+}
+
+// parseMetadataEdits: { set, remove, stripAll } from a multipart body, null when it asks for nothing.
+// set: Info fields by API name; remove: API names to delete; stripAll: stripMetadata=true.
+function parseMetadataEdits(body) {
+  const set = {};
+  for (const field of Object.keys(INFO_FIELDS)) {
+    if (body[field] !== undefined && body[field] !== null && body[field] !== '') set[field] = String(body[field]);
+  }
+  for (const field of DATE_FIELDS) {
+    if (set[field] && isNaN(Date.parse(set[field]))) throw new Error(`"${field}" is not a valid date`);
+  }
+  const remove = String(body.removeFields || '').split(',').map(s => s.trim()).filter(Boolean);
+  for (const field of remove) {
+    if (!INFO_FIELDS[field]) throw new Error(`Unknown metadata field "${field}" (use ${Object.keys(INFO_FIELDS).join(', ')})`);
+  }
+  const stripAll = body.stripMetadata === 'true' || body.stripMetadata === true;
+  if (!stripAll && !remove.length && !Object.keys(set).length) return null;
+  return { set, remove, stripAll };
+}
+
+// editMetadata: applies parseMetadataEdits output. stripAll drops the Info dictionary, every XMP
+// metadata stream and PieceInfo (application private data) before `set` is applied; removing single
+// fields also drops the document XMP packet, which would still carry the old values.
+async function editMetadata(buffer, edits) {
+  const doc = await PDFDocument.load(buffer, { updateMetadata: false });
+  const context = doc.context;
+  const dropEntry = (dict, key) => {
+    const value = dict.get(PDFName.of(key));
+    if (!value) return;
+    dict.delete(PDFName.of(key));
+    if (value instanceof PDFRef) context.delete(value);
+  };
+
+  if (edits.stripAll) {
+    const info = context.trailerInfo.Info;
+    if (info instanceof PDFRef) context.delete(info);
+    context.trailerInfo.Info = undefined;
+    for (const [ref, obj] of context.enumerateIndirectObjects()) {
+      const dict = obj instanceof PDFStream ? obj.dict : obj;
+      if (!(dict instanceof PDFDict)) continue;
+      if (dict.lookup(PDFName.of('Type')) === PDFName.of('Metadata')) { context.delete(ref); continue; }
+      dropEntry(dict, 'Metadata');
+      dropEntry(dict, 'PieceInfo');
+    }
+  } else if (edits.remove.length) {
+    const info = context.lookup(context.trailerInfo.Info);
+    if (info instanceof PDFDict) for (const field of edits.remove) info.delete(PDFName.of(INFO_FIELDS[field]));
+    dropEntry(doc.catalog, 'Metadata');
+  }
+
+  const { set } = edits;
+  if (set.title !== undefined) doc.setTitle(set.title);
+  if (set.author !== undefined) doc.setAuthor(set.author);
+  if (set.subject !== undefined) doc.setSubject(set.subject);
+  if (set.keywords !== undefined) doc.setKeywords(set.keywords.split(',').map(s => s.trim()).filter(Boolean));
+  if (set.creator !== undefined) doc.setCreator(set.creator);
+  if (set.producer !== undefined) doc.setProducer(set.producer);
+  if (set.creationDate !== undefined) doc.setCreationDate(new Date(set.creationDate));
+  if (set.modificationDate !== undefined) doc.setModificationDate(new Date(set.modificationDate));
+  return Buffer.from(await doc.save());
+}
+
+module.exports = { INFO_FIELDS, describePdf, parseMetadataEdits, editMetadata };
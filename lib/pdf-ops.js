@@ -0,0 +1,151 @@
+// lib/pdf-ops.js - Page-level PDF operations built on pdf-lib (no rasterization).
+
+const { PDFDocument, degrees } = require('pdf-lib');
+
+// PageRangeError: a page range or manifest entry that lies outside the document; code PAGE_OUT_OF_RANGE, page (the first
+// page that does not exist) and pageCount
+class PageRangeError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'PageRangeError';
+    this.code = 'PAGE_OUT_OF_RANGE';
+    Object.assign(this, details);
+  }
+}
+
+// mergePdfs: concatenates PDFs by copying their pages into a fresh document.
+// items: [{ name, buffer }] in the final order; name is only used for error messages.
+async function mergePdfs(items) {
+  const out = await PDFDocument.create();
+  for (const item of items) {
+    let src;
+    try { src = await PDFDocument.load(item.buffer); } catch (e) {
+      throw new Error(`Cannot read PDF "${item.name}": ${e && e.message}`);
+    }
+    const pages = await out.copyPages(src, src.getPageIndices());
+    pages.forEach(p => out.addPage(p));
+  }
+  return Buffer.from(await out.save());
+}
+
+// parsePageRanges: parses expressions like "1-3,5,8-" (1-based, "8-" = to the end, "-4" = from 1).
+// Returns [{ start, end }] with end null for open ranges; throws on bad syntax.
+function parsePageRanges(expr) {
+  const ranges = [];
+  for (const raw of String(expr || '').split(',')) {
+    const part = raw.trim();
+    if (!part) continue;
+    const m = part.match(/^(\d+)?\s*(-)?\s*(\d+)?$/);
+    if (!m || (!m[1] && !m[3]) || (!m[2] && m[3])) throw new Error(`Invalid page range "${part}"`);
+    const start = m[1] ? parseInt(m[1], 10) : 1;
+    const end = m[2] ? (m[3] ? parseInt(m[3], 10) : null) : start;
+    if (start < 1 || (end !== null && end < 1)) throw new Error(`Invalid page range "${part}": pages start at 1`);
+    ranges.push({ start, end });
+  }
+  if (!ranges.length) throw new Error('Empty page range');
+  return ranges;
+}
+
+// resolvePageRanges: turns parsed ranges into groups of 0-based page indexes for a document.
+// Descending ranges ("5-3") are kept in that order.
+function resolvePageRanges(ranges, pageCount) {
+  return ranges.map(({ start, end }) => {
+    const last = end === null ? pageCount : end;
+    if (start > pageCount || last > pageCount) {
+      throw new PageRangeError(`Page range ${start}-${last} is outside the document (${pageCount} pages)`, { page: Math.max(start, last), pageCount });
+    }
+    const group = [];
+    const step = last >= start ? 1 : -1;
+    for (let p = start; p !== last + step; p += step) group.push(p - 1);
+    return group;
+  });
+}
+
+// extractPages: new PDF holding the given 0-based page indexes of src (a loaded PDFDocument)
+async function extractPages(src, indexes) {
+  const out = await PDFDocument.create();
+  const pages = await out.copyPages(src, indexes);
+  pages.forEach(p => out.addPage(p));
+  return Buffer.from(await out.save());
+}
+
+// splitPdf: options { pages, mode, every }
+//   mode 'extract' - one PDF with the selected pages (default)
+//   mode 'ranges'  - one PDF per comma-separated range
+//   mode 'every'   - chunks of `every` pages over the selected pages (all pages if none given)
+// Returns [{ label, buffer }] where label describes the pages in the part.
+async function splitPdf(buffer, { pages, mode = 'extract', every } = {}) {
+  const src = await PDFDocument.load(buffer);
+  const pageCount = src.getPageCount();
+  const groups = pages ? resolvePageRanges(parsePageRanges(pages), pageCount) : [src.getPageIndices()];
+  const label = idx => idx.length === 1 ? `${idx[0] + 1}` : `${idx[0] + 1}-${idx[idx.length - 1] + 1}`;
+
+  if (mode === 'ranges') {
+    const parts = [];
+    for (const g of groups) parts.push({ label: `pages_${label(g)}`, buffer: await extractPages(src, g) });
+    return parts;
+  }
+  const selected = [].concat(...groups);
+  if (mode === 'every') {
+    const n = parseInt(every, 10);
+    if (!(n > 0)) throw new Error('"every" must be a positive number of pages');
+    const parts = [];
+    for (let i = 0; i < selected.length; i += n) {
+      const chunk = selected.slice(i, i + n);
+      parts.push({ label: `part${parts.length + 1}_pages_${label(chunk)}`, buffer: await extractPages(src, chunk) });
+    }
+    return parts;
+  }
+  return [{ label: pages ? `pages_${String(pages).replace(/\s+/g, '')}` : 'pages_all', buffer: await extractPages(src, selected) }];
+}
+
+// parsePageManifest: validates a page manifest - a JSON array (or its string) of
+// { page: <1-based source page>, rotate: <multiple of 90, added to the page's rotation>, delete: <bool> }.
+// The array order is the output order; a page listed twice is duplicated, a page not listed is dropped.
+function parsePageManifest(manifest) {
+  let list = manifest;
+  if (typeof list === 'string') {
+    try { list = JSON.parse(list); } catch (e) { throw new Error('Page manifest is not valid JSON'); }
+  }
+  if (!Array.isArray(list)) throw new Error('Page manifest must be an array');
+  const entries = [];
+  for (const raw of list) {
+    const entry = typeof raw === 'number' ? { page: raw } : raw;
+    if (!entry || typeof entry !== 'object') throw new Error('Invalid page manifest entry ' + JSON.stringify(raw));
+    const page = parseInt(entry.page, 10);
+    if (!(page >= 1)) throw new Error('Invalid page number in manifest entry ' + JSON.stringify(raw));
+    const rotate = parseInt(entry.rotate || 0, 10);
+    if (isNaN(rotate) || rotate % 90 !== 0) throw new Error(`Rotation for page ${page} must be a multiple of 90`);
+    if (entry.delete === true || entry.delete === 'true') continue;
+    entries.push({ page, rotate: ((rotate % 360) + 360) % 360 });
+  }
+  if (!entries.length) throw new Error('Page manifest removes every page');
+  return entries;
+}
+
+// editPages: rebuilds a PDF from a page manifest (see parsePageManifest); pages are copied, never rasterized
+async function editPages(buffer, manifest) {
+  const entries = parsePageManifest(manifest);
+  const src = await PDFDocument.load(buffer);
+  const pageCount = src.getPageCount();
+  const bad = entries.find(e => e.page > pageCount);
+  if (bad) throw new PageRangeError(`Manifest refers to page ${bad.page} but the document has ${pageCount} pages`, { page: bad.page, pageCount });
+  const out = await PDFDocument.create();
+  const pages = await out.copyPages(src, entries.map(e => e.page - 1));
+  pages.forEach((p, i) => {
+    if (entries[i].rotate) p.setRotation(degrees((p.getRotation().angle + entries[i].rotate) % 360));
+    out.addPage(p);
+  });
+  return Buffer.from(await out.save());
+}
+
+// describePages: page count plus per-page size and rotation, for the page editor
+async function describePages(buffer) {
+  const doc = await PDFDocument.load(buffer);
+  return doc.getPages().map((p, i) => {
+    const { width, height } = p.getSize();
+    return { page: i + 1, width: Math.round(width), height: Math.round(height), rotation: p.getRotation().angle };
+  });
+}
+
+module.exports = { PageRangeError, mergePdfs, parsePageRanges, resolvePageRanges, extractPages, splitPdf, parsePageManifest, editPages, describePages };
@@ -0,0 +1,228 @@
+// lib/pdf-stamp.js - Stamping text and images onto existing PDF pages with pdf-lib: watermarks and
+// numbered headers/footers (Bates numbering).
+// Positions are in the page's visible orientation: pages with a /Rotate entry get the stamp mapped
+// so it reads the same way as on unrotated pages.
+
+const { PDFDocument, StandardFonts, rgb, degrees } = require('pdf-lib');
+const { parsePageRanges } = require('./pdf-ops');
+
+const POSITIONS = ['center', 'top-left', 'top', 'top-right', 'left', 'right', 'bottom-left', 'bottom', 'bottom-right'];
+const ALIGNS = ['left', 'center', 'right'];
+const EDGE_MARGIN = 24; // pt between a stamp and the page edge for non-center positions
+
+// parseColor: '#rgb' / '#rrggbb' (hash optional) -> pdf-lib rgb()
+function parseColor(value, fallback) {
+  if (value === undefined || value === null || value === '') return parseColor(fallback);
+  let hex = String(value).trim().replace(/^#/, '');
+  if (/^[0-9a-f]{3}$/i.test(hex)) hex = hex.split('').map(c => c + c).join('');
+  if (!/^[0-9a-f]{6}$/i.test(hex)) throw new Error(`Invalid color "${value}" (use #rrggbb)`);
+  const n = parseInt(hex, 16);
+  return rgb((n >> 16 & 255) / 255, (n >> 8 & 255) / 255, (n & 255) / 255);
+}
+
+function numberField(body, name, dflt, min, max) {
+  const raw = body[name];
+  if (raw === undefined || raw === null || raw === '') return dflt;
+  const n = parseFloat(raw);
+  if (isNaN(n) || n < min || n > max) throw new Error(`"${name}" must be a number between ${min} and ${max}`);
+  return n;
+}
+
+function positionField(body, name, dflt) {
+  const p = String(body[name] || dflt).toLowerCase();
+  if (!POSITIONS.includes(p)) throw new Error(`Unknown ${name} "${p}" (use ${POSITIONS.join(', ')})`);
+  return p;
+}
+
+// parseWatermarkOptions: watermark* fields of a multipart body; null when there is neither text nor
+// an image. Throws on invalid values.
+function parseWatermarkOptions(body, hasImage) {
+  const text = body.watermarkText ? String(body.watermarkText) : '';
+  if (!text && !hasImage) return null;
+  const pages = body.watermarkPages ? String(body.watermarkPages).trim() : null;
+  if (pages) parsePageRanges(pages);
+  parseColor(body.watermarkColor, '#ff0000');
+  return {
+    text,
+    fontSize: numberField(body, 'watermarkFontSize', 48, 4, 400),
+    color: body.watermarkColor || '#ff0000',
+    opacity: numberField(body, 'watermarkOpacity', 0.3, 0, 1),
+    rotation: numberField(body, 'watermarkRotation', 45, -360, 360),
+    position: positionField(body, 'watermarkPosition', 'center'),
+    scale: numberField(body, 'watermarkScale', 0.5, 0.01, 1),
+    pages
+  };
+}
+
+// parseNumberingOptions: header/footer fields of a multipart body; null when neither template is set.
+// Templates take the tokens {page} (prefix + zero-padded running number), {total} (pages in the
+// batch), {docPage} / {docPages} (within the current file), {file} and {date} (YYYY-MM-DD).
+function parseNumberingOptions(body, now = new Date()) {
+  const header = body.headerText ? String(body.headerText) : '';
+  const footer = body.footerText ? String(body.footerText) : '';
+  if (!header && !footer) return null;
+  const align = (name, dflt) => {
+    const a = String(body[name] || dflt).toLowerCase();
+    if (!ALIGNS.includes(a)) throw new Error(`Unknown ${name} "${a}" (use ${ALIGNS.join(', ')})`);
+    return a;
+  };
+  parseColor(body.numberColor, '#000000');
+  const pad = n => String(n).padStart(2, '0');
+  return {
+    header,
+    footer,
+    headerAlign: align('headerAlign', 'center'),
+    footerAlign: align('footerAlign', 'center'),
+    start: Math.floor(numberField(body, 'startNumber', 1, 0, 1e12)),
+    prefix: body.numberPrefix ? String(body.numberPrefix) : '',
+    padding: Math.floor(numberField(body, 'numberPadding', 0, 0, 20)),
+    fontSize: numberField(body, 'numberFontSize', 10, 4, 72),
+    color: body.numberColor || '#000000',
+    date: `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`
+  };
+}
+
+function renderTemplate(template, values) {
+  return template.replace(/\{(\w+)\}/g, (m, key) => (Object.prototype.hasOwnProperty.call(values, key) ? String(values[key]) : m));
+}
+
+// drawableText: text with characters the standard font cannot encode replaced by '?'
+function drawableText(font, text) {
+  try { font.encodeText(text); return text; } catch (e) {
+    return Array.from(text).map(ch => { try { font.encodeText(ch); return ch; } catch (_) { return '?'; } }).join('');
+  }
+}
+
+// pageFrame: visible width/height of a page plus toPage(x, y, angle) mapping a point and rotation in
+// visible coordinates to the page's user space (crop box, /Rotate)
+function pageFrame(page) {
+  const box = page.getCropBox();
+  const rot = ((page.getRotation().angle % 360) + 360) % 360;
+  const turned = rot === 90 || rot === 270;
+  const width = turned ? box.height : box.width;
+  const height = turned ? box.width : box.height;
+  const toPage = (x, y, angle) => {
+    let p;
+    if (rot === 90) p = { x: box.width - y, y: x };
+    else if (rot === 180) p = { x: box.width - x, y: box.height - y };
+    else if (rot === 270) p = { x: y, y: box.height - x };
+    else p = { x, y };
+    return { x: box.x + p.x, y: box.y + p.y, angle: angle + rot };
+  };
+  return { width, height, toPage };
+}
+
+// placeBox: origin (lower-left corner before rotation) for a w x h box rotated by angle degrees so that
+// its bounding box sits at `position` on the page
+function placeBox(frame, w, h, angle, position) {
+  const rad = angle * Math.PI / 180;
+  const cos = Math.cos(rad);
+  const sin = Math.sin(rad);
+  const bw = Math.abs(w * cos) + Math.abs(h * sin);
+  const bh = Math.abs(w * sin) + Math.abs(h * cos);
+  let cx = frame.width / 2;
+  let cy = frame.height / 2;
+  if (/left/.test(position)) cx = EDGE_MARGIN + bw / 2;
+  if (/right/.test(position)) cx = frame.width - EDGE_MARGIN - bw / 2;
+  if (/^top/.test(position)) cy = frame.height - EDGE_MARGIN - bh / 2;
+  if (/^bottom/.test(position)) cy = EDGE_MARGIN + bh / 2;
+  const x = cx - (w / 2 * cos - h / 2 * sin);
+  const y = cy - (w / 2 * sin + h / 2 * cos);
+  return frame.toPage(x, y, angle);
+}
+
+// selectedPages: sorted 0-based indexes for a page range expression (null = every page). One
+// expression is shared by all files of a batch, so pages past the end of a document are skipped.
+function selectedPages(doc, pagesExpr) {
+  const count = doc.getPageCount();
+  if (!pagesExpr) return Array.from({ length: count }, (_, i) => i);
+  const picked = new Set();
+  for (const { start, end } of parsePageRanges(pagesExpr)) {
+    if (end === null && start > count) continue;
+    const last = end === null ? count : end;
+    for (let p = Math.min(start, last); p <= Math.max(start, last) && p <= count; p++) picked.add(p - 1);
+  }
+  return Array.from(picked).sort((a, b) => a - b);
+}
+
+async function embedStampImage(doc, image) {
+  const b = image.buffer;
+  if (b[0] === 0xFF && b[1] === 0xD8) return doc.embedJpg(b);
+  if (b.slice(0, 8).equals(Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]))) return doc.embedPng(b);
+  throw new Error('Watermark image must be a PNG or JPEG');
+}
+
+// applyWatermark: stamps a PDFDocument in place. wm comes from parseWatermarkOptions; image is
+// { buffer } holding a PNG or JPEG, or null. Characters the standard font cannot draw become '?'.
+async function applyWatermark(doc, wm, image = null) {
+  const indexes = selectedPages(doc, wm.pages);
+  const color = parseColor(wm.color, '#ff0000');
+  const font = wm.text ? await doc.embedFont(StandardFonts.HelveticaBold) : null;
+  const text = font ? drawableText(font, wm.text) : '';
+  const textWidth = font ? font.widthOfTextAtSize(text, wm.fontSize) : 0;
+  const textHeight = font ? font.heightAtSize(wm.fontSize, { descender: false }) : 0;
+  const img = image ? await embedStampImage(doc, image) : null;
+
+  for (const i of indexes) {
+    const page = doc.getPage(i);
+    const frame = pageFrame(page);
+    if (img) {
+      const w = frame.width * wm.scale;
+      const h = w * img.height / img.width;
+      const at = placeBox(frame, w, h, wm.rotation, wm.position);
+      page.drawImage(img, { x: at.x, y: at.y, width: w, height: h, rotate: degrees(at.angle), opacity: wm.opacity });
+    }
+    if (font) {
+      const at = placeBox(frame, textWidth, textHeight, wm.rotation, wm.position);
+      page.drawText(text, { x: at.x, y: at.y, size: wm.fontSize, font, color, opacity: wm.opacity, rotate: degrees(at.angle) });
+    }
+  }
+  return indexes.length;
+}
+
+// numberPdfs: stamps header/footer templates over a batch of PDFs. items: [{ name, buffer }] in batch
+// order; the running number continues from one document to the next. Resolves one Buffer per item.
+async function numberPdfs(items, numbering) {
+  let total = 0;
+  for (const item of items) total += (await PDFDocument.load(item.buffer)).getPageCount();
+  const color = parseColor(numbering.color, '#000000');
+  const size = numbering.fontSize;
+  const out = [];
+  let n = numbering.start;
+  for (const item of items) {
+    const doc = await PDFDocument.load(item.buffer);
+    const font = await doc.embedFont(StandardFonts.Helvetica);
+    const pages = doc.getPages();
+    pages.forEach((page, i) => {
+      const values = {
+        page: numbering.prefix + String(n).padStart(numbering.padding, '0'),
+        total,
+        docPage: i + 1,
+        docPages: pages.length,
+        file: item.name,
+        date: numbering.date
+      };
+      const frame = pageFrame(page);
+      for (const slot of ['header', 'footer']) {
+        if (!numbering[slot]) continue;
+        const text = drawableText(font, renderTemplate(numbering[slot], values));
+        const align = numbering[`${slot}Align`];
+        const position = (slot === 'header' ? 'top' : 'bottom') + (align === 'center' ? '' : `-${align}`);
+        const at = placeBox(frame, font.widthOfTextAtSize(text, size), font.heightAtSize(size, { descender: false }), 0, position);
+        page.drawText(text, { x: at.x, y: at.y, size, font, color, rotate: degrees(at.angle) });
+      }
+      n++;
+    });
+    out.push(Buffer.from(await doc.save()));
+  }
+  return out;
+}
+
+// watermarkPdf: load -> applyWatermark -> save
+async function watermarkPdf(buffer, wm, image = null) {
+  const doc = await PDFDocument.load(buffer);
+  await applyWatermark(doc, wm, image);
+  return Buffer.from(await doc.save());
+}
+
+module.exports = { POSITIONS, ALIGNS, parseColor, pageFrame, drawableText, parseWatermarkOptions, applyWatermark, watermarkPdf, parseNumberingOptions, numberPdfs };
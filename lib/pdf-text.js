@@ -0,0 +1,174 @@
+// lib/pdf-text.js - Text extraction from a PDF's text layer (pdf.js) and rendering as plain text, HTML
+// or Markdown. A page is { blocks } where a block is { type: 'heading', level, text } or
+// { type: 'paragraph', lines }. Items keep the content-stream order, which is the reading order of most
+// producers (columns come one after another); lines and paragraphs are rebuilt from the positions.
+
+const TEXT_FORMATS = ['txt', 'html', 'md'];
+const TEXT_MIME = { txt: 'text/plain; charset=utf-8', html: 'text/html; charset=utf-8', md: 'text/markdown; charset=utf-8' };
+
+// linesOf: pdf.js text items -> [{ text, size, x, y }] in stream order
+function linesOf(items) {
+  const lines = [];
+  let line = null;
+  for (const it of items) {
+    if (!it.str) {
+      if (it.hasEOL) line = null;
+      continue;
+    }
+    const t = it.transform || [1, 0, 0, 1, 0, 0];
+    const size = Math.hypot(t[2], t[3]) || 1;
+    const x = t[4];
+    const y = t[5];
+    if (!line || Math.abs(y - line.y) >= size * 0.5 || x < line.end - size) {
+      line = { text: '', size, x, y, end: x, chars: 0 };
+      lines.push(line);
+    } else if (x - line.end > size * 0.2 && !/\s$/.test(line.text) && !/^\s/.test(it.str)) {
+      line.text += ' ';
+    }
+    line.text += it.str;
+    line.size = Math.max(line.size, size);
+    line.chars += it.str.length;
+    line.end = x + (it.width || 0);
+    if (it.hasEOL) line = null;
+  }
+  return lines.map(l => Object.assign(l, { text: l.text.replace(/\s+/g, ' ').trim() })).filter(l => l.text);
+}
+
+function median(values) {
+  if (!values.length) return 0;
+  const s = values.slice().sort((a, b) => a - b);
+  return s[Math.floor(s.length / 2)];
+}
+
+// bodySizeOf: the font size most characters of the document are set in
+function bodySizeOf(pagesOfLines) {
+  const bySize = new Map();
+  for (const lines of pagesOfLines) {
+    for (const l of lines) {
+      const k = Math.round(l.size * 2) / 2;
+      bySize.set(k, (bySize.get(k) || 0) + l.chars);
+    }
+  }
+  let best = 0;
+  let bestCount = -1;
+  for (const [size, count] of bySize) if (count > bestCount) { best = size; bestCount = count; }
+  return best;
+}
+
+// lineSpacingOf: the usual distance between consecutive lines of a paragraph in the document; gaps
+// beyond 1.6x the font size are left out as they are almost always paragraph breaks
+function lineSpacingOf(pagesOfLines) {
+  const gaps = [];
+  for (const lines of pagesOfLines) {
+    for (let i = 1; i < lines.length; i++) {
+      const g = lines[i - 1].y - lines[i].y;
+      if (g > 0 && g <= lines[i].size * 1.6) gaps.push(g);
+    }
+  }
+  return median(gaps);
+}
+
+// blocksOf: lines -> headings and paragraphs. A paragraph ends at a gap clearly wider than the usual
+// line spacing, a jump upwards (next column) or a change of font size; short runs of lines set at
+// least 1.2x the body size are headings.
+function blocksOf(lines, bodySize, lineSpacing) {
+  const spacing = lineSpacing || bodySize * 1.2;
+  const groups = [];
+  let cur = null;
+  for (const l of lines) {
+    const last = cur && cur[cur.length - 1];
+    const gap = last ? last.y - l.y : 0;
+    const sizeChange = last && Math.abs(l.size - last.size) > Math.max(last.size, l.size) * 0.15;
+    if (!cur || gap <= 0 || gap > spacing * 1.4 || sizeChange) {
+      cur = [];
+      groups.push(cur);
+    }
+    cur.push(l);
+  }
+  return groups.map(g => {
+    const ratio = bodySize ? g[0].size / bodySize : 1;
+    if (ratio >= 1.2 && g.length <= 3) {
+      return { type: 'heading', level: ratio >= 1.8 ? 1 : ratio >= 1.4 ? 2 : 3, text: g.map(l => l.text).join(' ') };
+    }
+    return { type: 'paragraph', lines: g.map(l => l.text) };
+  });
+}
+
+// extractPdfText(pdfjs, buffer): pages as { blocks } (pdfjs is pdfjs-dist's legacy build)
+async function extractPdfText(pdfjs, buffer) {
+  const doc = await pdfjs.getDocument({ data: new Uint8Array(buffer), isEvalSupported: false, disableFontFace: true, verbosity: 0 }).promise;
+  try {
+    const pagesOfLines = [];
+    for (let n = 1; n <= doc.numPages; n++) {
+      const page = await doc.getPage(n);
+      const content = await page.getTextContent();
+      pagesOfLines.push(linesOf(content.items));
+      page.cleanup();
+    }
+    const bodySize = bodySizeOf(pagesOfLines);
+    const spacing = lineSpacingOf(pagesOfLines);
+    return pagesOfLines.map(lines => ({ blocks: blocksOf(lines, bodySize, spacing) }));
+  } finally {
+    await doc.destroy();
+  }
+}
+
+// textToPages: plain text per page (e.g. from CloudConvert) -> pages; blank lines separate paragraphs
+function textToPages(texts) {
+  return texts.map(text => ({
+    blocks: String(text).replace(/\r\n?/g, '\n').split(/\n\s*\n/)
+      .map(p => p.split('\n').map(s => s.replace(/\s+/g, ' ').trim()).filter(Boolean))
+      .filter(lines => lines.length)
+      .map(lines => ({ type: 'paragraph', lines }))
+  }));
+}
+
+const hasText = pages => pages.some(p => p.blocks.length);
+
+// ---------------- Rendering ----------------
+
+function escapeHtml(s) {
+  return String(s).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+function escapeMarkdown(s) {
+  return s.replace(/([\\`*_[\]<>|])/g, '\\$1').replace(/^([#>+-])/, '\\$1').replace(/^(\d+)([.)]\s)/, '$1\\$2');
+}
+
+function pageText(page) {
+  return page.blocks.map(b => (b.type === 'heading' ? b.text : b.lines.join('\n'))).join('\n\n');
+}
+
+function pageMarkdown(page) {
+  return page.blocks.map(b => (b.type === 'heading' ? `${'#'.repeat(b.level)} ${escapeMarkdown(b.text)}` : escapeMarkdown(b.lines.join(' ')))).join('\n\n');
+}
+
+function pageHtml(page, number) {
+  const body = page.blocks.map(b => (b.type === 'heading' ? `<h${b.level}>${escapeHtml(b.text)}</h${b.level}>` : `<p>${b.lines.map(escapeHtml).join('<br>\n')}</p>`));
+  return [`<section class="page" id="page-${number}" data-page="${number}">`].concat(body, '</section>').join('\n');
+}
+
+// renderText(pages, format, { title, firstPage }): one document. Page breaks are form feeds in txt,
+// rules with a page comment in md and <section class="page"> elements in html.
+function renderText(pages, format, { title = '', firstPage = 1 } = {}) {
+  if (format === 'md') return pages.map((p, i) => `<!-- page ${firstPage + i} -->\n\n${pageMarkdown(p)}`.trim()).join('\n\n---\n\n') + '\n';
+  if (format === 'html') {
+    return [
+      '<!DOCTYPE html>',
+      '<html>',
+      '<head>',
+      '<meta charset="utf-8">',
+      `<title>${escapeHtml(title)}</title>`,
+      '<style>section.page { page-break-after: always; }</style>',
+      '</head>',
+      '<body>',
+      pages.map((p, i) => pageHtml(p, firstPage + i)).join('\n'),
+      '</body>',
+      '</html>',
+      ''
+    ].join('\n');
+  }
+  return pages.map(p => `${pageText(p)}\n`).join('\f');
+}
+
+module.exports = { TEXT_FORMATS, TEXT_MIME, extractPdfText, textToPages, hasText, renderText };
@@ -0,0 +1,172 @@
+// lib/remote-fetch.js - Source files fetched from URLs instead of uploaded, and the host guard that keeps
+// those fetches (and webhook calls, see lib/webhooks.js) from reaching anything the operator has not
+// listed. A guard is built from a comma list of host names ('files.internal'), subdomain wildcards
+// ('*.corp.example'), IP addresses and CIDR ranges ('10.20.0.0/16'). Names are resolved once and the
+// connection goes to the checked address, so a DNS answer cannot change between check and connect;
+// link-local and unspecified addresses (cloud metadata services) are refused unless listed by address.
+// Problems throw UploadError (lib/upload-check.js) naming the URL without its query string.
+
+const dns = require('dns');
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const path = require('path');
+const { UploadError } = require('./upload-check');
+const { redactUrl } = require('./log');
+
+const MAX_REDIRECTS = 3;
+
+// never: addresses a listed host name may not resolve to
+const never = new net.BlockList();
+never.addSubnet('0.0.0.0', 8, 'ipv4');
+never.addSubnet('169.254.0.0', 16, 'ipv4');
+never.addSubnet('224.0.0.0', 4, 'ipv4');
+never.addAddress('::', 'ipv6');
+never.addSubnet('fe80::', 10, 'ipv6');
+never.addSubnet('ff00::', 8, 'ipv6');
+
+const familyName = address => (net.isIP(address) === 6 ? 'ipv6' : 'ipv4');
+
+// parseUrlList: the 'urls' field - a JSON array, or URLs separated by newlines, commas or spaces
+function parseUrlList(field) {
+  if (field === undefined || field === null || field === '') return [];
+  const list = Array.isArray(field) ? field : /^\s*\[/.test(String(field)) ? JSON.parse(field) : String(field).split(/[\s,]+/);
+  if (!Array.isArray(list)) throw new Error('"urls" must be a JSON array or a list of URLs');
+  return list.map(u => String(u).trim()).filter(Boolean);
+}
+
+// createHostGuard(list): { enabled, entries, resolve(url) }; an empty list allows nothing
+function createHostGuard(list) {
+  const entries = (Array.isArray(list) ? list : String(list || '').split(',')).map(s => s.trim().toLowerCase()).filter(Boolean);
+  const names = [];
+  const suffixes = [];
+  const ranges = new net.BlockList();
+  for (const e of entries) {
+    const cidr = /^([^/]+)\/(\d+)$/.exec(e);
+    if (cidr && net.isIP(cidr[1])) ranges.addSubnet(cidr[1], parseInt(cidr[2], 10), familyName(cidr[1]));
+    else if (net.isIP(e)) ranges.addAddress(e, familyName(e));
+    else if (e.startsWith('*.')) suffixes.push(e.slice(1));
+    else names.push(e);
+  }
+
+  // resolve(url): { address, family } to connect to for a URL object; UploadError HOST_NOT_ALLOWED
+  // when the host is not listed or resolves to an address it may not use
+  async function resolve(url) {
+    const host = url.hostname.toLowerCase().replace(/^\[|\]$/g, '');
+    const refuse = () => new UploadError(`Host "${host}" is not allowed`, { code: 'HOST_NOT_ALLOWED', status: 403, file: redactUrl(url.href) });
+    if (!entries.length) throw refuse();
+    const listedName = names.includes(host) || suffixes.some(s => host.endsWith(s));
+    let addresses;
+    if (net.isIP(host)) addresses = [{ address: host, family: net.isIP(host) }];
+    else if (!listedName) throw refuse();
+    else {
+      try { addresses = await dns.promises.lookup(host, { all: true }); } catch (e) {
+        throw new UploadError(`Cannot resolve host "${host}": ${e.code || e.message}`, { code: 'REMOTE_FETCH_FAILED', status: 502, file: redactUrl(url.href) });
+      }
+    }
+    for (const a of addresses) {
+      const fam = a.family === 6 ? 'ipv6' : 'ipv4';
+      const ok = ranges.check(a.address, fam) || (listedName && !never.check(a.address, fam));
+      if (!ok) throw refuse();
+    }
+    return addresses[0];
+  }
+
+  return { enabled: entries.length > 0, entries, resolve };
+}
+
+// guardedRequest(guard, url, { method, headers, body, timeoutMs }): one HTTP(S) request to a guarded
+// host, connected to the checked address. Resolves the response (the caller consumes it); rejects with
+// UploadError REMOTE_TIMEOUT when timeoutMs passes before the response is complete (the caller
+// destroys the response stream when it gives up early).
+async function guardedRequest(guard, url, { method = 'GET', headers = {}, body = null, timeoutMs = 30000 } = {}) {
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    throw new UploadError(`Only http and https URLs are supported, not ${url.protocol}`, { code: 'INVALID_URL', status: 400, file: redactUrl(url.href) });
+  }
+  const target = await guard.resolve(url);
+  const lookup = (hostname, opts, cb) => (opts && opts.all ? cb(null, [target]) : cb(null, target.address, target.family));
+  return new Promise((resolve, reject) => {
+    const req = (url.protocol === 'https:' ? https : http).request(url, { method, headers, lookup }, resolve);
+    const timer = setTimeout(() => req.destroy(new UploadError(`${redactUrl(url.href)} did not answer within ${timeoutMs} ms`, { code: 'REMOTE_TIMEOUT', status: 504, file: redactUrl(url.href) })), timeoutMs);
+    req.on('close', () => clearTimeout(timer));
+    req.on('error', e => reject(e instanceof UploadError ? e : new UploadError(`Cannot reach ${redactUrl(url.href)}: ${e.code || e.message}`, { code: 'REMOTE_FETCH_FAILED', status: 502, file: redactUrl(url.href) })));
+    req.end(body);
+  });
+}
+
+// fileNameOf: the Content-Disposition file name, else the last path segment, else 'download'
+function fileNameOf(res, url) {
+  const cd = res.headers['content-disposition'] || '';
+  const star = /filename\*\s*=\s*(?:UTF-8'')?([^;]+)/i.exec(cd);
+  const plain = /filename\s*=\s*"?([^";]+)"?/i.exec(cd);
+  let name = '';
+  try { name = star ? decodeURIComponent(star[1].trim()) : plain ? plain[1].trim() : decodeURIComponent(url.pathname.split('/').pop() || ''); } catch (e) { name = ''; }
+  name = path.basename(name.replace(/\\/g, '/')).replace(/[\x00-\x1f"]+/g, '').trim();
+  return name && name !== '.' && name !== '..' ? name : 'download';
+}
+
+// createRemoteFetcher({ hosts, timeoutMs, maxBytes }): { enabled, fetchToFile(url, dir, { maxBytes }) }.
+// fetchToFile downloads a URL (following up to 3 redirects, each checked against the guard) into dir
+// and resolves a multer-like file { fieldname, originalname, path, size, mimetype, sourceUrl }.
+// timeoutMs covers the whole download; maxBytes (the smaller of both) caps its size.
+function createRemoteFetcher({ hosts = '', timeoutMs = 30000, maxBytes = 0 } = {}) {
+  const guard = createHostGuard(hosts);
+
+  async function fetchToFile(rawUrl, dir, opts = {}) {
+    const limit = Math.min(...[maxBytes, opts.maxBytes].filter(n => n > 0), Infinity);
+    let url;
+    try { url = new URL(rawUrl); } catch (e) {
+      throw new UploadError(`"${rawUrl}" is not a valid URL`, { code: 'INVALID_URL', status: 400, file: String(rawUrl).slice(0, 200) });
+    }
+    const deadline = Date.now() + timeoutMs;
+    let res;
+    for (let hop = 0; ; hop++) {
+      res = await guardedRequest(guard, url, { timeoutMs: Math.max(1, deadline - Date.now()) });
+      if (![301, 302, 303, 307, 308].includes(res.statusCode) || !res.headers.location) break;
+      res.resume();
+      if (hop >= MAX_REDIRECTS) throw new UploadError(`${redactUrl(url.href)} redirects too often`, { code: 'REMOTE_FETCH_FAILED', status: 502, file: redactUrl(rawUrl) });
+      url = new URL(res.headers.location, url);
+    }
+    const where = redactUrl(url.href);
+    if (res.statusCode < 200 || res.statusCode >= 300) {
+      res.resume();
+      throw new UploadError(`${where} answered HTTP ${res.statusCode}`, { code: 'REMOTE_FETCH_FAILED', status: 502, file: where });
+    }
+    const tooLarge = () => new UploadError(`${where} is larger than ${limit} bytes`, { code: 'REMOTE_TOO_LARGE', status: 413, file: where, limit });
+    if (parseInt(res.headers['content-length'] || '0', 10) > limit) { res.destroy(); throw tooLarge(); }
+
+    const originalname = fileNameOf(res, url);
+    const dest = path.join(dir, `${Date.now()}-${Math.random().toString(36).slice(2, 9)}${path.extname(originalname)}`);
+    let size = 0;
+    try {
+      await new Promise((resolve, reject) => {
+        const out = fs.createWriteStream(dest);
+        const timer = setTimeout(() => fail(new UploadError(`${where} did not finish within ${timeoutMs} ms`, { code: 'REMOTE_TIMEOUT', status: 504, file: where })), Math.max(1, deadline - Date.now()));
+        let settled = false;
+        function fail(err) {
+          if (settled) return;
+          settled = true;
+          clearTimeout(timer);
+          res.destroy();
+          out.destroy();
+          reject(err);
+        }
+        res.on('data', chunk => { size += chunk.length; if (size > limit) fail(tooLarge()); });
+        res.on('error', e => fail(new UploadError(`Download of ${where} failed: ${e.message}`, { code: 'REMOTE_FETCH_FAILED', status: 502, file: where })));
+        res.on('aborted', () => fail(new UploadError(`Download of ${where} was cut off`, { code: 'REMOTE_FETCH_FAILED', status: 502, file: where })));
+        out.on('error', fail);
+        out.on('finish', () => { clearTimeout(timer); resolve(); });
+        res.pipe(out);
+      });
+    } catch (e) {
+      try { fs.unlinkSync(dest); } catch (_) {}
+      throw e;
+    }
+    return { fieldname: 'urls', originalname, path: dest, size, mimetype: String(res.headers['content-type'] || 'application/octet-stream').split(';')[0], sourceUrl: where };
+  }
+
+  return { enabled: guard.enabled, fetchToFile, info: () => ({ enabled: guard.enabled, hosts: guard.entries, timeoutMs, maxBytes: maxBytes || null }) };
+}
+
+module.exports = { createHostGuard, createRemoteFetcher, guardedRequest, parseUrlList, redactUrl };
@@ -0,0 +1,89 @@
+// lib/remote-mock.js - Local stand-in for the other side of URL imports and completion webhooks, so both
+// can be exercised offline:
+//   GET  /files/:name              a file from `dir` (?delayMs=N waits before answering)
+//   GET  /redirect?to=<url>        302 to another URL
+//   GET  /stream?mb=N              N MB of zeros without Content-Length (?delayMs=N between chunks)
+//   POST /hooks                    webhook receiver: checks the signature with `secret`, records the
+//                                  delivery; the first `failFirst` deliveries get a 500
+//   GET  /hooks                    the deliveries received so far
+//
+// Standalone: `npm run mock:remote` (port MOCK_REMOTE_PORT, default 3902, files from MOCK_REMOTE_DIR,
+// default the working directory, signature checked with WEBHOOK_SECRET, MOCK_REMOTE_FAIL_FIRST), then
+// start the server with REMOTE_URL_HOSTS=localhost WEBHOOK_HOSTS=localhost WEBHOOK_SECRET=<same>.
+
+const path = require('path');
+const express = require('express');
+const { verifySignature } = require('./webhooks');
+const { log } = require('./log');
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function createRemoteStandIn({ dir = process.cwd(), secret = '', failFirst = 0 } = {}) {
+  const app = express();
+  const deliveries = [];
+  let hookCalls = 0;
+
+  app.get('/files/:name', async (req, res) => {
+    const delayMs = parseInt(req.query.delayMs || '0', 10);
+    if (delayMs) await wait(delayMs);
+    res.sendFile(path.basename(req.params.name), { root: path.resolve(dir) }, err => {
+      if (err && !res.headersSent) res.status(404).json({ error: 'No such file' });
+    });
+  });
+
+  app.get('/redirect', (req, res) => res.redirect(302, String(req.query.to || '/')));
+
+  app.get('/stream', async (req, res) => {
+    const chunks = Math.max(1, Math.round(parseFloat(req.query.mb || '1') * 16));
+    const delayMs = parseInt(req.query.delayMs || '0', 10);
+    res.setHeader('Content-Type', 'application/octet-stream');
+    let closed = false;
+    res.on('close', () => { closed = true; });
+    for (let i = 0; i < chunks && !closed; i++) {
+      res.write(Buffer.alloc(64 * 1024));
+      if (delayMs) await wait(delayMs);
+    }
+    res.end();
+  });
+
+  app.post('/hooks', express.text({ type: '*/*', limit: '1mb' }), (req, res) => {
+    hookCalls++;
+    const delivery = {
+      receivedAt: new Date().toISOString(),
+      event: req.headers['x-pdftool-event'] || null,
+      delivery: req.headers['x-pdftool-delivery'] || null,
+      verified: secret ? verifySignature(secret, { signature: req.headers['x-pdftool-signature'], timestamp: req.headers['x-pdftool-timestamp'], body: req.body }) : null,
+      body: (() => { try { return JSON.parse(req.body); } catch (e) { return req.body; } })()
+    };
+    if (hookCalls <= failFirst) {
+      delivery.answered = 500;
+      deliveries.push(delivery);
+      return res.status(500).json({ error: 'Failing on purpose' });
+    }
+    delivery.answered = secret && !delivery.verified ? 401 : 200;
+    deliveries.push(delivery);
+    return res.status(delivery.answered).json({ ok: delivery.answered === 200 });
+  });
+
+  app.get('/hooks', (req, res) => res.json(deliveries));
+
+  // listen(port) resolves the http.Server; port 0 picks a free one
+  function listen(port = 0) {
+    return new Promise(resolve => { const server = app.listen(port, () => resolve(server)); });
+  }
+
+  return { app, deliveries, listen };
+}
+
+module.exports = { createRemoteStandIn };
+
+if (require.main === module) {
+  const port = parseInt(process.env.MOCK_REMOTE_PORT || '3902', 10);
+  createRemoteStandIn({
+    dir: process.env.MOCK_REMOTE_DIR || process.cwd(),
+    secret: process.env.WEBHOOK_SECRET || '',
+    failFirst: parseInt(process.env.MOCK_REMOTE_FAIL_FIRST || '0', 10) || 0
+  }).listen(port).then(() => {
+    log.info('mock remote listening', { port });
+  });
+}
@@ -0,0 +1,69 @@
+// lib/target-size.js - Byte-budget search for lossy outputs: the highest quality, and when that is not
+// enough the largest dimension, whose encoded result fits a target size.
+
+const UNITS = { b: 1, kb: 1024, mb: 1024 * 1024 };
+const MIN_TARGET = 1024;
+const MAX_TARGET = 1024 * 1024 * 1024;
+
+class TargetSizeError extends Error {
+  // details: { file, targetSize, smallestSize }
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'TargetSizeError';
+    this.code = 'TARGET_SIZE_UNREACHABLE';
+    Object.assign(this, details);
+  }
+}
+
+// parseTargetSize: '200000', '200KB', '200 kb', '1.5MB' -> bytes (1 KB = 1024 bytes); null when empty
+function parseTargetSize(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const m = String(value).trim().toLowerCase().match(/^(\d+(?:\.\d+)?)\s*(b|kb|mb)?$/);
+  if (!m) throw new Error(`Invalid targetSize "${value}" (use bytes or a number with KB / MB)`);
+  const bytes = Math.floor(parseFloat(m[1]) * UNITS[m[2] || 'b']);
+  if (bytes < MIN_TARGET || bytes > MAX_TARGET) throw new Error('"targetSize" must be between 1 KB and 1024 MB');
+  return bytes;
+}
+
+// fitToSize(encode, target, { quality, dim, minQuality, minDim, maxAttempts })
+// encode({ quality, maxDim }) resolves { buffer, ... }. Each round tries the caller's quality, then the
+// minimum; when only the minimum fits, quality is binary searched in between. When not even the
+// minimum fits, dim (the effective longest side) shrinks in proportion to the overshoot, since bytes
+// grow roughly with the pixel area; a null dim means there is nothing to downscale. Resolves
+// { result, quality, maxDim, size, attempts }; throws TargetSizeError when the smallest result is
+// still too big.
+async function fitToSize(encode, target, { quality, dim, minQuality = 10, minDim = 32, maxAttempts = 30 } = {}) {
+  let attempts = 0;
+  let smallest = Infinity;
+  const tryAt = async (q, d) => {
+    attempts++;
+    const result = await encode({ quality: q, maxDim: d });
+    smallest = Math.min(smallest, result.buffer.length);
+    return { result, quality: q, maxDim: d, size: result.buffer.length };
+  };
+  const done = r => Object.assign(r, { attempts });
+
+  let d = dim;
+  for (;;) {
+    const top = await tryAt(quality, d);
+    if (top.size <= target) return done(top);
+    if (quality > minQuality) {
+      let fit = await tryAt(minQuality, d);
+      if (fit.size <= target) {
+        let tooBig = quality;
+        while (tooBig - fit.quality > 1 && attempts < maxAttempts) {
+          const r = await tryAt(Math.floor((fit.quality + tooBig) / 2), d);
+          if (r.size <= target) fit = r; else tooBig = r.quality;
+        }
+        return done(fit);
+      }
+    }
+    const next = d ? Math.min(Math.floor(d * Math.sqrt(target / smallest) * 0.95), Math.floor(d * 0.9)) : 0;
+    if (!d || next < minDim || attempts >= maxAttempts) {
+      throw new TargetSizeError(`cannot reach ${target} bytes; the smallest result was ${smallest} bytes`, { targetSize: target, smallestSize: smallest });
+    }
+    d = next;
+  }
+}
+
+module.exports = { TargetSizeError, parseTargetSize, fitToSize };
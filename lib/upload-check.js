@@ -0,0 +1,203 @@
+// lib/upload-check.js - What an upload really is, by its leading bytes rather than the client's MIME
+// type or file name, and the limits every input has to meet: an allowlist of input formats, a pixel
+// cap for images (all frames counted), a page cap for PDFs and a byte cap per request. Problems throw
+// UploadError naming the file, with the HTTP status the API answers with.
+
+const fs = require('fs');
+const path = require('path');
+const { PDFDocument } = require('pdf-lib');
+const { formatFromName, normalizeFormat } = require('./engines/util');
+const { OFFICE_FORMATS } = require('./engines/libreoffice');
+
+const IMAGE_FORMATS = ['jpeg', 'png', 'gif', 'webp', 'avif', 'heic', 'heif', 'tiff', 'bmp', 'svg'];
+const INPUT_FORMATS = ['pdf'].concat(IMAGE_FORMATS, OFFICE_FORMATS);
+// formats sharp reads, so their size is known before anything is decoded
+const SHARP_FORMATS = ['jpeg', 'png', 'gif', 'webp', 'avif', 'tiff', 'svg', 'heif'];
+const OLE_FORMATS = ['doc', 'xls', 'ppt'];
+
+const MIME = {
+  pdf: 'application/pdf', jpeg: 'image/jpeg', png: 'image/png', gif: 'image/gif', webp: 'image/webp', avif: 'image/avif',
+  heic: 'image/heic', heif: 'image/heif', tiff: 'image/tiff', bmp: 'image/bmp', svg: 'image/svg+xml',
+  doc: 'application/msword', xls: 'application/vnd.ms-excel', ppt: 'application/vnd.ms-powerpoint', rtf: 'application/rtf', csv: 'text/csv',
+  docx: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  pptx: 'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+  odt: 'application/vnd.oasis.opendocument.text',
+  ods: 'application/vnd.oasis.opendocument.spreadsheet',
+  odp: 'application/vnd.oasis.opendocument.presentation'
+};
+
+const HEAD_BYTES = 4096;
+const TAIL_BYTES = 64 * 1024;
+
+// UploadError: an input the API refuses; code, file (original name) and status (415 wrong type,
+// 413 too large, 422 unreadable or over a limit), plus optional details such as limit / actual
+class UploadError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'UploadError';
+    this.code = 'UPLOAD_INVALID';
+    this.status = 422;
+    Object.assign(this, details);
+  }
+}
+
+const familyOf = format => (format === 'pdf' ? 'pdf' : IMAGE_FORMATS.includes(format) ? 'image' : OFFICE_FORMATS.includes(format) ? 'office' : null);
+
+function readRange(fd, position, length) {
+  const buf = Buffer.alloc(length);
+  return buf.subarray(0, fs.readSync(fd, buf, 0, length, position));
+}
+
+// isoBrand: avif / heic / heif for an ISO-BMFF 'ftyp' box; AVIF wins when it is among the brands
+function isoBrand(head) {
+  const size = head.readUInt32BE(0);
+  const brands = [];
+  for (let at = 8; at + 4 <= Math.min(size, head.length); at += 4) if (at !== 12) brands.push(head.toString('latin1', at, at + 4));
+  if (brands.some(b => b === 'avif' || b === 'avis')) return 'avif';
+  if (brands.some(b => ['heic', 'heix', 'hevc', 'hevx', 'heim', 'heis'].includes(b))) return 'heic';
+  if (brands.some(b => ['mif1', 'msf1', 'heif'].includes(b))) return 'heif';
+  return null;
+}
+
+// zipFormat: docx / xlsx / pptx by the part names in the ZIP's central directory, ODF by its
+// leading 'mimetype' entry; null for any other ZIP
+function zipFormat(head, tail) {
+  if (head.length < 38) return null;
+  const odf = /^application\/vnd\.oasis\.opendocument\.(text|spreadsheet|presentation)$/.exec(head.toString('latin1', 38, 38 + head.readUInt32LE(18)));
+  if (head.toString('latin1', 30, 38) === 'mimetype' && odf) return { text: 'odt', spreadsheet: 'ods', presentation: 'odp' }[odf[1]];
+  const names = head.toString('latin1') + tail.toString('latin1');
+  if (names.includes('word/document')) return 'docx';
+  if (names.includes('xl/workbook')) return 'xlsx';
+  if (names.includes('ppt/presentation')) return 'pptx';
+  return null;
+}
+
+// textFormat: svg for an XML document with an <svg> root, csv for other text named .csv
+function textFormat(head, nameFormat) {
+  if (head.includes(0)) return null;
+  const text = head.toString('utf8').replace(/^\uFEFF/, '').trimStart();
+  if (/^(<\?xml[^>]*>\s*)?(<!--[\s\S]*?-->\s*|<!DOCTYPE[^>]*>\s*)*<svg[\s>]/i.test(text)) return 'svg';
+  if (nameFormat === 'csv') return 'csv';
+  return null;
+}
+
+// sniffFormat(filePath, name): the format the file's content shows, or null when it is none of
+// INPUT_FORMATS. name only tells the OLE formats (doc / xls / ppt) apart and marks CSV text.
+function sniffFormat(filePath, name = '') {
+  const fd = fs.openSync(filePath, 'r');
+  try {
+    const head = readRange(fd, 0, HEAD_BYTES);
+    const nameFormat = formatFromName(name);
+    const ascii = (at, s) => head.toString('latin1', at, at + s.length) === s;
+    if (head.length < 4) return null;
+    if (head.subarray(0, 1024).includes('%PDF-')) return 'pdf';
+    if (head[0] === 0xFF && head[1] === 0xD8 && head[2] === 0xFF) return 'jpeg';
+    if (ascii(0, '\x89PNG\r\n\x1a\n')) return 'png';
+    if (ascii(0, 'GIF87a') || ascii(0, 'GIF89a')) return 'gif';
+    if (ascii(0, 'RIFF') && ascii(8, 'WEBP')) return 'webp';
+    if (ascii(4, 'ftyp') && head.length >= 16) return isoBrand(head);
+    if (ascii(0, 'II*\0') || ascii(0, 'MM\0*')) return 'tiff';
+    if (ascii(0, 'BM') && head.length >= 26) return 'bmp';
+    if (ascii(0, '{\\rtf')) return 'rtf';
+    if (ascii(0, '\xD0\xCF\x11\xE0\xA1\xB1\x1A\xE1')) return OLE_FORMATS.includes(nameFormat) ? nameFormat : null;
+    if (ascii(0, 'PK\x03\x04')) {
+      const size = fs.fstatSync(fd).size;
+      return zipFormat(head, readRange(fd, Math.max(0, size - TAIL_BYTES), TAIL_BYTES));
+    }
+    return textFormat(head, nameFormat);
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+// bmpPixels: width x height from a BMP header (sharp does not read BMP)
+function bmpPixels(filePath) {
+  const fd = fs.openSync(filePath, 'r');
+  try {
+    const head = readRange(fd, 0, 26);
+    return Math.abs(head.readInt32LE(18)) * Math.abs(head.readInt32LE(22));
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+// createUploadChecks({ formats, maxPixels, maxPages, maxRequestBytes }): the checks with their limits;
+// formats is the input allowlist (default INPUT_FORMATS), a missing or 0 limit means none.
+function createUploadChecks({ formats = INPUT_FORMATS, maxPixels = 0, maxPages = 0, maxRequestBytes = 0 } = {}) {
+  const allowed = formats.map(normalizeFormat).filter(f => INPUT_FORMATS.includes(f));
+
+  // checkFile(f): sniffs a multer file and sets f.format and f.mimetype to what it really is. A name
+  // whose extension belongs to another kind of file than the content (a .pdf holding a JPEG) is refused;
+  // any other name not ending in the sniffed format's extension (none, .dat, a .png holding a JPEG) gets
+  // it, as engines are picked by the name's extension.
+  function checkFile(f) {
+    const name = f.originalname;
+    const format = sniffFormat(f.path, name);
+    if (!format) throw new UploadError(`"${name}" is not a supported file type`, { code: 'UNSUPPORTED_TYPE', status: 415, file: name });
+    const claimed = formatFromName(name);
+    if (familyOf(claimed) && familyOf(claimed) !== familyOf(format)) {
+      throw new UploadError(`"${name}" is named as ${claimed.toUpperCase()} but holds ${format.toUpperCase()} data`, { code: 'TYPE_MISMATCH', status: 415, file: name, format });
+    }
+    if (!allowed.includes(format)) {
+      throw new UploadError(`"${name}": ${format.toUpperCase()} files are not accepted here`, { code: 'UNSUPPORTED_TYPE', status: 415, file: name, format });
+    }
+    f.format = format;
+    f.mimetype = MIME[format];
+    if (claimed !== format) f.originalname = `${path.basename(name, path.extname(name))}.${format === 'jpeg' ? 'jpg' : format}`;
+    return format;
+  }
+
+  // checkRequestSize: the request's uploads together stay under maxRequestBytes
+  function checkRequestSize(files) {
+    const total = files.reduce((sum, f) => sum + (f.size || 0), 0);
+    if (maxRequestBytes && total > maxRequestBytes) {
+      throw new UploadError(`The uploads add up to ${total} bytes; at most ${maxRequestBytes} are accepted per request`, { code: 'REQUEST_TOO_LARGE', status: 413, file: null, limit: maxRequestBytes, actual: total });
+    }
+  }
+
+  // checkImage(sharp, f): width x height x frames of a sniffed image stay under maxPixels; reads the
+  // header only. sharp may be null (then only BMP is measured).
+  async function checkImage(sharp, f) {
+    const name = f.originalname;
+    let pixels = null;
+    if (f.format === 'bmp') pixels = bmpPixels(f.path);
+    else if (sharp && SHARP_FORMATS.includes(f.format)) {
+      let meta;
+      try { meta = await sharp(f.path, { limitInputPixels: false }).metadata(); } catch (e) {
+        throw new UploadError(`Cannot read image "${name}": ${e.message}`, { code: 'MALFORMED_IMAGE', status: 422, file: name });
+      }
+      pixels = (meta.width || 0) * (meta.height || 0) * (meta.pages || 1);
+    }
+    if (maxPixels && pixels > maxPixels) {
+      throw new UploadError(`"${name}" has ${pixels} pixels; at most ${maxPixels} are accepted`, { code: 'TOO_MANY_PIXELS', status: 422, file: name, limit: maxPixels, actual: pixels });
+    }
+    return pixels;
+  }
+
+  // checkPdf(buffer, name): the PDF parses and has at most maxPages pages; resolves the page count.
+  // Encrypted PDFs are counted without decrypting them.
+  async function checkPdf(buffer, name) {
+    let pages;
+    try {
+      pages = (await PDFDocument.load(buffer, { ignoreEncryption: true, updateMetadata: false, throwOnInvalidObject: true })).getPageCount();
+    } catch (e) {
+      throw new UploadError(`"${name}" is not a readable PDF: ${e.message}`, { code: 'MALFORMED_PDF', status: 422, file: name });
+    }
+    if (!pages) throw new UploadError(`"${name}" is not a readable PDF: it has no pages`, { code: 'MALFORMED_PDF', status: 422, file: name });
+    if (maxPages && pages > maxPages) {
+      throw new UploadError(`"${name}" has ${pages} pages; at most ${maxPages} are accepted`, { code: 'TOO_MANY_PAGES', status: 422, file: name, limit: maxPages, actual: pages });
+    }
+    return pages;
+  }
+
+  return {
+    checkFile,
+    checkRequestSize,
+    checkImage,
+    checkPdf,
+    info: () => ({ formats: allowed, maxPixels: maxPixels || null, maxPages: maxPages || null, maxRequestBytes: maxRequestBytes || null })
+  };
+}
+
+module.exports = { INPUT_FORMATS, UploadError, sniffFormat, createUploadChecks };
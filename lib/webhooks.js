@@ -0,0 +1,104 @@
+// lib/webhooks.js - Completion callbacks: a signed JSON POST to the webhookUrl a caller gave with a
+// conversion, retried with exponential backoff while the receiver is unreachable or answers 5xx / 429.
+// Webhook hosts pass the same host guard as remote sources (lib/remote-fetch.js), with their own list.
+//
+// Every delivery carries
+//   X-PdfTool-Event        e.g. job.completed
+//   X-PdfTool-Delivery     delivery id (the same on every retry)
+//   X-PdfTool-Timestamp    unix seconds when the attempt was sent
+//   X-PdfTool-Signature    sha256=<hex HMAC-SHA256 of "<timestamp>.<raw body>" with WEBHOOK_SECRET>
+// Receivers check the signature with verifySignature and refuse stale timestamps.
+
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const { createHostGuard, guardedRequest, redactUrl } = require('./remote-fetch');
+const { UploadError } = require('./upload-check');
+const { log } = require('./log');
+
+const sign = (secret, timestamp, body) => `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+
+// verifySignature(secret, { signature, timestamp, body, toleranceSeconds }): true when the signature
+// header matches the raw body and the timestamp is at most toleranceSeconds (default 300) old
+function verifySignature(secret, { signature, timestamp, body, toleranceSeconds = 300 }) {
+  if (!signature || !timestamp || Math.abs(Date.now() / 1000 - Number(timestamp)) > toleranceSeconds) return false;
+  const expected = Buffer.from(sign(secret, timestamp, body));
+  const given = Buffer.from(String(signature));
+  return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// createWebhookSender({ secret, hosts, maxAttempts, backoffMs, timeoutMs }): { enabled, check, deliver, info }.
+// Without a secret or hosts webhooks are off and check refuses every URL.
+function createWebhookSender({ secret = '', hosts = '', maxAttempts = 5, backoffMs = 1000, timeoutMs = 10000 } = {}) {
+  const guard = createHostGuard(hosts);
+  const enabled = !!secret && guard.enabled;
+
+  // check(value): the parsed webhook URL, null when none was given; UploadError (400 / 403) for a URL
+  // that cannot be used, before any work is done
+  async function check(value) {
+    if (value === undefined || value === null || String(value).trim() === '') return null;
+    const file = redactUrl(value);
+    if (!enabled) throw new UploadError('Webhooks are not configured on this server', { code: 'WEBHOOKS_DISABLED', status: 400, file });
+    let url;
+    try { url = new URL(String(value).trim()); } catch (e) {
+      throw new UploadError('"webhookUrl" is not a valid URL', { code: 'INVALID_URL', status: 400, file });
+    }
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+      throw new UploadError('"webhookUrl" must be an http or https URL', { code: 'INVALID_URL', status: 400, file });
+    }
+    await guard.resolve(url);
+    return url.href;
+  }
+
+  // attempt: one POST; resolves the HTTP status, rejects on network errors and timeouts
+  async function attempt(url, event, id, body) {
+    const timestamp = String(Math.floor(Date.now() / 1000));
+    const res = await guardedRequest(guard, new URL(url), {
+      method: 'POST',
+      timeoutMs,
+      body,
+      headers: {
+        'Content-Type': 'application/json',
+        'Content-Length': String(Buffer.byteLength(body)),
+        'User-Agent': 'pdftool-webhooks',
+        'X-PdfTool-Event': event,
+        'X-PdfTool-Delivery': id,
+        'X-PdfTool-Timestamp': timestamp,
+        'X-PdfTool-Signature': sign(secret, timestamp, body)
+      }
+    });
+    res.resume();
+    return res.statusCode;
+  }
+
+  // deliver(url, event, data): posts { id, event, createdAt, data } until the receiver answers 2xx, it
+  // answers a 4xx other than 408 / 429 (not retried) or maxAttempts are used up. Never rejects;
+  // resolves { id, delivered, attempts, status, error }.
+  async function deliver(url, event, data) {
+    const id = uuidv4();
+    const body = JSON.stringify({ id, event, createdAt: new Date().toISOString(), data });
+    let status = null;
+    let error = null;
+    for (let n = 1; n <= maxAttempts; n++) {
+      try {
+        status = await attempt(url, event, id, body);
+        error = null;
+        if (status >= 200 && status < 300) return { id, delivered: true, attempts: n, status, error: null };
+        if (status < 500 && status !== 408 && status !== 429) return { id, delivered: false, attempts: n, status, error: `HTTP ${status}` };
+        error = `HTTP ${status}`;
+      } catch (e) {
+        status = null;
+        error = e.message || String(e);
+        if (e.code === 'HOST_NOT_ALLOWED') return { id, delivered: false, attempts: n, status, error };
+      }
+      if (n < maxAttempts) await sleep(backoffMs * 2 ** (n - 1));
+    }
+    log.warn('webhook delivery failed', { url, event, delivery: id, attempts: maxAttempts, status, error });
+    return { id, delivered: false, attempts: maxAttempts, status, error };
+  }
+
+  return { enabled, check, deliver, info: () => ({ enabled, hosts: guard.entries, maxAttempts, backoffMs, timeoutMs }) };
+}
+
+module.exports = { createWebhookSender, verifySignature };
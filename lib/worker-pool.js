@@ -0,0 +1,137 @@
+// lib/worker-pool.js - A fixed number of worker threads running one task each, with a bounded queue
+// in front. The worker script answers every { id, task } message with any number of progress
+// messages { id, type, ... } and finally { id, type: 'done', result } or { id, type: 'error', error }.
+// A worker that crashes or exits fails its task and is replaced; so is one still busy after
+// taskTimeoutMs, which is terminated.
+
+const { Worker } = require('worker_threads');
+const { log } = require('./log');
+
+// QueueFullError: every worker is busy and the queue holds maxQueue tasks; code QUEUE_FULL,
+// retryAfter in seconds
+class QueueFullError extends Error {
+  constructor(retryAfter) {
+    super('The server is busy, try again later');
+    this.name = 'QueueFullError';
+    this.code = 'QUEUE_FULL';
+    this.retryAfter = retryAfter;
+  }
+}
+
+// TaskTimeoutError: a task ran longer than taskTimeoutMs and its worker was terminated; code TASK_TIMEOUT
+class TaskTimeoutError extends Error {
+  constructor(timeoutMs) {
+    super(`The task did not finish within ${Math.round(timeoutMs / 1000)} seconds`);
+    this.name = 'TaskTimeoutError';
+    this.code = 'TASK_TIMEOUT';
+    this.timeoutMs = timeoutMs;
+  }
+}
+
+// createWorkerPool({ script, size, maxQueue, workerData, resourceLimits, taskTimeoutMs }): workers
+// start lazily; taskTimeoutMs 0 lets tasks run as long as they take
+function createWorkerPool({ script, size = 2, maxQueue = 20, workerData = null, resourceLimits = undefined, taskTimeoutMs = 0 }) {
+  const slots = [];
+  const queue = [];
+  let nextId = 1;
+  let closed = false;
+  let completed = 0;
+  let failed = 0;
+  let timedOut = 0;
+  let avgMs = 0;
+
+  function spawn(slot) {
+    const worker = new Worker(script, { workerData, resourceLimits });
+    slot.worker = worker;
+    worker.on('message', msg => {
+      const current = slot.current;
+      if (!current || msg.id !== current.id) return;
+      if (msg.type === 'done' || msg.type === 'error') {
+        finish(slot, msg.type === 'done' ? null : msg.error, msg.result);
+      } else if (current.onMessage) {
+        try { current.onMessage(msg); } catch (e) { log.warn('worker-pool: progress handler failed', { error: e && e.message }); }
+      }
+    });
+    worker.on('error', err => {
+      // the worker is gone; forget it before finish() hands the slot its next task
+      if (slot.worker !== worker) return;
+      slot.worker = null;
+      if (slot.current) finish(slot, { name: 'Error', message: `Worker crashed: ${err && err.message}` });
+    });
+    worker.on('exit', code => {
+      if (slot.worker !== worker) return;
+      slot.worker = null;
+      if (slot.current) finish(slot, { name: 'Error', message: `Worker exited with code ${code}` });
+    });
+  }
+
+  // expire: terminates the worker still running task; the slot gets a new worker with its next task
+  function expire(slot, task) {
+    if (slot.current !== task) return;
+    const worker = slot.worker;
+    slot.worker = null;
+    if (worker) worker.terminate().catch(e => log.warn('worker-pool: could not terminate worker', { error: e && e.message }));
+    timedOut++;
+    finish(slot, new TaskTimeoutError(taskTimeoutMs));
+  }
+
+  // finish: settles the slot's task (error is the serialized error, or null) and starts the next one
+  function finish(slot, error, result) {
+    const task = slot.current;
+    slot.current = null;
+    clearTimeout(task.timer);
+    const ms = Date.now() - task.startedAt;
+    avgMs = completed + failed ? avgMs * 0.8 + ms * 0.2 : ms;
+    if (error) { failed++; task.reject(error); } else { completed++; task.resolve(result); }
+    dispatch();
+  }
+
+  function dispatch() {
+    while (queue.length && !closed) {
+      let slot = slots.find(s => !s.current);
+      if (!slot && slots.length < size) { slot = { worker: null, current: null }; slots.push(slot); }
+      if (!slot) return;
+      const task = queue.shift();
+      if (!slot.worker) spawn(slot);
+      slot.current = task;
+      task.startedAt = Date.now();
+      if (taskTimeoutMs) task.timer = setTimeout(() => expire(slot, task), taskTimeoutMs);
+      if (task.onStart) try { task.onStart(); } catch (e) { log.warn('worker-pool: start handler failed', { error: e && e.message }); }
+      slot.worker.postMessage({ id: task.id, task: task.task });
+    }
+  }
+
+  const busy = () => slots.filter(s => s.current).length;
+
+  // full: no worker free and no room left in the queue
+  const full = () => busy() >= size && queue.length >= maxQueue;
+
+  // retryAfter: seconds until a queue place is likely to free up (from the average task time)
+  const retryAfter = () => Math.max(1, Math.ceil(((avgMs || 5000) * (queue.length + 1)) / size / 1000));
+
+  // run(task, { onStart, onMessage }): resolves the worker's result or rejects with the serialized
+  // error (a QueueFullError when the queue is full, a TaskTimeoutError after taskTimeoutMs). onStart fires when a worker picks the task up,
+  // onMessage for every progress message.
+  function run(task, { onStart = null, onMessage = null } = {}) {
+    if (closed) return Promise.reject(new Error('Worker pool is closed'));
+    if (full()) return Promise.reject(new QueueFullError(retryAfter()));
+    return new Promise((resolve, reject) => {
+      queue.push({ id: nextId++, task, onStart, onMessage, resolve, reject, startedAt: 0, timer: null });
+      dispatch();
+    });
+  }
+
+  function stats() {
+    return { size, maxQueue, workers: slots.filter(s => s.worker).length, busy: busy(), queued: queue.length, completed, failed, timedOut, avgTaskMs: Math.round(avgMs) };
+  }
+
+  async function close() {
+    closed = true;
+    for (const task of queue.splice(0)) task.reject(new Error('Worker pool is closed'));
+    await Promise.all(slots.filter(s => s.worker).map(s => s.worker.terminate()));
+  }
+
+  return { run, full, retryAfter, stats, close };
+}
+
+module.exports = { createWorkerPool, QueueFullError, TaskTimeoutError };
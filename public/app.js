@@ -1,18 +1,66 @@
-// Simple frontend with XHR upload + progress for bulk conversions
+// Simple frontend with XHR upload + progress for bulk conversions, then job polling for processing progress
 (function(){
   const chooseBtn = document.getElementById('chooseBtn');
   const fileInput = document.getElementById('fileInput');
   const dropZone = document.getElementById('dropZone');
   const fileInfo = document.getElementById('fileInfo');
+  const fileList = document.getElementById('fileList');
+  const operation = document.getElementById('operation');
+  const splitOptions = document.getElementById('splitOptions');
+  const pages = document.getElementById('pages');
+  const splitMode = document.getElementById('splitMode');
+  const every = document.getElementById('every');
+  const pageEditor = document.getElementById('pageEditor');
+  const loadPagesBtn = document.getElementById('loadPagesBtn');
+  const pageEditorInfo = document.getElementById('pageEditorInfo');
+  const pageGrid = document.getElementById('pageGrid');
+  const encryptOptions = document.getElementById('encryptOptions');
+  const userPassword = document.getElementById('userPassword');
+  const ownerPassword = document.getElementById('ownerPassword');
+  const pdfPassword = document.getElementById('pdfPassword');
+  const watermarkOptions = document.getElementById('watermarkOptions');
+  const watermarkText = document.getElementById('watermarkText');
+  const watermarkImage = document.getElementById('watermarkImage');
+  const watermarkOpacity = document.getElementById('watermarkOpacity');
+  const watermarkFields = ['watermarkPosition', 'watermarkFontSize', 'watermarkColor', 'watermarkRotation', 'watermarkOpacity', 'watermarkPages'].map(id => document.getElementById(id));
+  const watermarkScale = document.getElementById('watermarkScale');
+  const numberOptions = document.getElementById('numberOptions');
+  const numberFields = ['headerText', 'headerAlign', 'footerText', 'footerAlign', 'startNumber', 'numberPrefix', 'numberPadding', 'numberFontSize', 'numberColor'].map(id => document.getElementById(id));
+  const metadataOptions = document.getElementById('metadataOptions');
+  const ocrOptions = document.getElementById('ocrOptions');
+  const ocrFormat = document.getElementById('ocrFormat');
+  const ocrImages = document.getElementById('ocrImages');
+  const ocrLanguage = document.getElementById('ocrLanguage');
+  const metadataFields = ['title', 'author', 'subject', 'keywords', 'removeFields'].map(id => document.getElementById(id));
+  const stripMetadata = document.getElementById('stripMetadata');
+  const pdfInfo = document.getElementById('pdfInfo');
   const targetFormat = document.getElementById('targetFormat');
+  const apiKey = document.getElementById('apiKey');
+  apiKey.value = localStorage.getItem('apiKey') || '';
+  apiKey.addEventListener('change', () => localStorage.setItem('apiKey', apiKey.value.trim()));
+  // X-API-Key header for every API call (the server only checks it when keys are configured)
+  const apiHeaders = () => (apiKey.value.trim() ? { 'X-API-Key': apiKey.value.trim() } : {});
+  const perPage = document.getElementById('perPage');
+  const extractFrames = document.getElementById('extractFrames');
   const quality = document.getElementById('quality');
   const qualityVal = document.getElementById('qualityVal');
   const maxDim = document.getElementById('maxDim');
+  const targetSize = document.getElementById('targetSize');
+  const imageMetadata = document.getElementById('imageMetadata');
+  const imageEditFields = ['crop', 'width', 'height', 'rotate'].map(id => document.getElementById(id));
+  const imageEditFlags = ['flip', 'flop', 'grayscale', 'sharpen'].map(id => document.getElementById(id));
+  const resizeFit = document.getElementById('resizeFit');
+  const useBackground = document.getElementById('useBackground');
+  const background = document.getElementById('background');
   const compressPdf = document.getElementById('compressPdf');
+  const compressMode = document.getElementById('compressMode');
   const makeZip = document.getElementById('makeZip');
+  const layoutFields = ['pageSize', 'pageWidth', 'pageHeight', 'unit', 'margin', 'orientation', 'fit', 'nUp'].map(id => document.getElementById(id));
   const toolForm = document.getElementById('toolForm');
   const processing = document.getElementById('processing');
   const processingText = document.getElementById('processingText');
+  const progressBar = document.getElementById('progressBar');
+  const fileStatus = document.getElementById('fileStatus');
   const resultArea = document.getElementById('resultArea');
   const resultMsg = document.getElementById('resultMsg');
   const downloadArea = document.getElementById('downloadArea');
@@ -20,8 +68,20 @@
   const log = document.getElementById('log');
 
   let files = [];
+  let order = []; // indexes into files, in the order the user arranged them
+  let pageItems = []; // page editor state: { page, rotate, thumbnail } in output order
 
   quality.addEventListener('input', (e) => qualityVal.innerText = e.target.value);
+  operation.addEventListener('change', () => {
+    splitOptions.style.display = operation.value === 'split' ? '' : 'none';
+    pageEditor.style.display = operation.value === 'pages' ? '' : 'none';
+    encryptOptions.style.display = operation.value === 'encrypt' ? '' : 'none';
+    watermarkOptions.style.display = operation.value === 'watermark' ? '' : 'none';
+    numberOptions.style.display = operation.value === 'number' ? '' : 'none';
+    metadataOptions.style.display = operation.value === 'metadata' ? '' : 'none';
+    ocrOptions.style.display = operation.value === 'ocr' ? '' : 'none';
+  });
+  watermarkOpacity.addEventListener('input', (e) => document.getElementById('watermarkOpacityVal').innerText = e.target.value);
 
   chooseBtn.addEventListener('click', () => fileInput.click());
   fileInput.addEventListener('change', (e) => { if (e.target.files) handleFiles(e.target.files); });
@@ -32,14 +92,53 @@
 
   function handleFiles(fileList) {
     files = Array.from(fileList);
-    if (!files.length) { fileInfo.innerText = ''; return; }
+    order = files.map((f, i) => i);
+    pageItems = [];
+    renderPageGrid();
+    pdfInfo.style.display = 'none';
+    if (!files.length) { fileInfo.innerText = ''; renderFileList(); return; }
     fileInfo.innerText = files.map(f=>`${f.name} (${(f.size/1024).toFixed(2)} KB)`).join(' ; ');
+    renderFileList();
     previewFiles();
+    const firstPdf = files.find(isPdfFile);
+    if (firstPdf) inspectPdf(firstPdf);
+  }
+
+  function isPdfFile(f) { return f.type === 'application/pdf' || /\.pdf$/i.test(f.name); }
+
+  // Sortable list of the chosen files; drag an entry to change the merge / page order
+  let dragFrom = null;
+  function renderFileList() {
+    fileList.innerHTML = '';
+    order.forEach((fileIdx, pos) => {
+      const li = document.createElement('li');
+      li.className = 'list-group-item small file-item';
+      li.draggable = true;
+      li.innerText = `${pos + 1}. ${files[fileIdx].name}`;
+      if (isPdfFile(files[fileIdx])) {
+        const info = document.createElement('a'); info.href = '#'; info.className = 'ms-2 small'; info.innerText = 'info';
+        info.addEventListener('click', (e) => { e.preventDefault(); inspectPdf(files[fileIdx]); });
+        li.appendChild(info);
+      }
+      li.addEventListener('dragstart', (e) => { dragFrom = pos; e.dataTransfer.effectAllowed = 'move'; li.classList.add('dragging'); });
+      li.addEventListener('dragend', () => li.classList.remove('dragging'));
+      li.addEventListener('dragover', (e) => { e.preventDefault(); e.stopPropagation(); });
+      li.addEventListener('drop', (e) => {
+        e.preventDefault(); e.stopPropagation();
+        if (dragFrom === null || dragFrom === pos) return;
+        const [moved] = order.splice(dragFrom, 1);
+        order.splice(pos, 0, moved);
+        dragFrom = null;
+        renderFileList();
+        previewFiles();
+      });
+      fileList.appendChild(li);
+    });
   }
 
   function previewFiles() {
     previewArea.innerHTML = '';
-    for (const f of files.slice(0,6)) {
+    for (const f of order.map(i => files[i]).slice(0,6)) {
       const div = document.createElement('div'); div.className = 'mb-2 d-inline-block me-2';
       if (f.type.startsWith('image/')) {
         const img = document.createElement('img'); img.src = URL.createObjectURL(f); img.style.maxWidth = '120px'; img.style.display='block';
@@ -52,12 +151,127 @@
     }
   }
 
+  // ---- PDF info panel backed by /api/metadata ----
+  async function inspectPdf(pdf) {
+    pdfInfo.style.display = '';
+    pdfInfo.innerText = `Reading ${pdf.name}...`;
+    const form = new FormData();
+    form.append('file', pdf);
+    if (pdfPassword.value) form.append('password', pdfPassword.value);
+    try {
+      const r = await fetch('/api/metadata', { method: 'POST', body: form, headers: apiHeaders() });
+      const j = await r.json();
+      if (!r.ok) throw new Error(j.details || j.error || `HTTP ${r.status}`);
+      renderPdfInfo(j);
+    } catch (err) {
+      pdfInfo.innerText = `Could not read ${pdf.name}: ` + (err && err.message ? err.message : err);
+    }
+  }
+
+  function renderPdfInfo(j) {
+    const rows = [
+      ['File', `${j.name} (${formatKB(j.fileSize)}, PDF ${j.pdfVersion || '?'})`],
+      ['Pages', j.pageCount === null || j.pageCount === undefined ? '?' : String(j.pageCount)],
+      ['Page sizes', (j.pageSizes || []).map(s => `${s.name ? s.name.toUpperCase() + ' ' : ''}${s.width}×${s.height} pt ${s.orientation} (${s.count})`).join(', ')]
+    ];
+    if (j.encrypted) {
+      const e = j.encryption;
+      const perms = e.permissions ? e.permissions.join(', ') || 'none' : '?';
+      rows.push(['Encryption', `${e.algorithm || 'unsupported'}${e.passwordError ? ' - password needed for details' : ''}; allowed: ${perms}`]);
+    }
+    if (j.info) {
+      for (const [key, label] of [['title', 'Title'], ['author', 'Author'], ['subject', 'Subject'], ['keywords', 'Keywords'], ['creator', 'Creator'], ['producer', 'Producer'], ['creationDate', 'Created'], ['modificationDate', 'Modified']]) {
+        if (j.info[key]) rows.push([label, j.info[key]]);
+      }
+      rows.push(['XMP metadata', j.xmpMetadata ? 'yes' : 'no']);
+    }
+    if (j.fonts) rows.push(['Fonts', j.fonts.length ? j.fonts.map(f => `${f.name}${f.embedded ? '' : ' (not embedded)'}`).join(', ') : 'none']);
+    if (j.images) rows.push(['Images', j.images.count ? `${j.images.count} (${formatKB(j.images.totalBytes)}; ${Object.keys(j.images.byFilter).map(k => `${k} ${j.images.byFilter[k]}`).join(', ')})` : 'none']);
+    pdfInfo.innerHTML = '';
+    const table = document.createElement('table'); table.className = 'table table-sm mb-0';
+    for (const [label, value] of rows) {
+      const tr = table.insertRow();
+      const th = document.createElement('th'); th.innerText = label; th.style.width = '25%';
+      tr.appendChild(th);
+      tr.insertCell().innerText = value;
+    }
+    pdfInfo.appendChild(table);
+  }
+
+  // ---- Page editor: thumbnail grid backed by /api/thumbnails ----
+  loadPagesBtn.addEventListener('click', async () => {
+    const pdf = order.map(i => files[i]).find(f => f.type === 'application/pdf' || /\.pdf$/i.test(f.name));
+    if (!pdf) { alert('Choose a PDF first'); return; }
+    pageEditorInfo.innerText = `Loading pages of ${pdf.name}...`;
+    const form = new FormData();
+    form.append('file', pdf);
+    if (pdfPassword.value) form.append('password', pdfPassword.value);
+    try {
+      const r = await fetch('/api/thumbnails', { method: 'POST', body: form, headers: apiHeaders() });
+      const j = await r.json();
+      if (!r.ok) throw new Error(j.error || `HTTP ${r.status}`);
+      pageItems = j.pages.map(p => ({ page: p.page, rotate: 0, thumbnail: p.thumbnail }));
+      pageEditorInfo.innerText = `${pdf.name}: ${j.pageCount} pages${j.thumbnailError ? ' (no previews: ' + j.thumbnailError + ')' : ''}. Drag pages to reorder.`;
+      renderPageGrid();
+    } catch (err) {
+      pageEditorInfo.innerText = 'Could not load pages: ' + (err && err.message ? err.message : err);
+    }
+  });
+
+  let pageDragFrom = null;
+  function renderPageGrid() {
+    pageGrid.innerHTML = '';
+    pageItems.forEach((item, pos) => {
+      const card = document.createElement('div');
+      card.className = 'page-card border rounded bg-white p-1 text-center';
+      card.draggable = true;
+      const thumb = document.createElement('div'); thumb.className = 'page-thumb';
+      if (item.thumbnail) {
+        const img = document.createElement('img'); img.src = item.thumbnail; img.style.transform = `rotate(${item.rotate}deg)`;
+        thumb.appendChild(img);
+      } else {
+        thumb.innerText = `Page ${item.page}`; thumb.style.transform = `rotate(${item.rotate}deg)`;
+      }
+      card.appendChild(thumb);
+      const label = document.createElement('div'); label.className = 'small text-muted'; label.innerText = `p. ${item.page}${item.rotate ? ` (${item.rotate}°)` : ''}`;
+      card.appendChild(label);
+      const tools = document.createElement('div'); tools.className = 'btn-group btn-group-sm mt-1';
+      const addTool = (text, title, fn) => {
+        const b = document.createElement('button'); b.type = 'button'; b.className = 'btn btn-outline-secondary'; b.innerText = text; b.title = title;
+        b.addEventListener('click', () => { fn(); renderPageGrid(); });
+        tools.appendChild(b);
+      };
+      addTool('⟲', 'Rotate left', () => { item.rotate = (item.rotate + 270) % 360; });
+      addTool('⟳', 'Rotate right', () => { item.rotate = (item.rotate + 90) % 360; });
+      addTool('⧉', 'Duplicate', () => { pageItems.splice(pos + 1, 0, Object.assign({}, item)); });
+      addTool('✕', 'Delete', () => { pageItems.splice(pos, 1); });
+      card.appendChild(tools);
+      card.addEventListener('dragstart', (e) => { pageDragFrom = pos; e.dataTransfer.effectAllowed = 'move'; card.classList.add('dragging'); });
+      card.addEventListener('dragend', () => card.classList.remove('dragging'));
+      card.addEventListener('dragover', (e) => { e.preventDefault(); });
+      card.addEventListener('drop', (e) => {
+        e.preventDefault();
+        if (pageDragFrom === null || pageDragFrom === pos) return;
+        const [moved] = pageItems.splice(pageDragFrom, 1);
+        pageItems.splice(pos, 0, moved);
+        pageDragFrom = null;
+        renderPageGrid();
+      });
+      pageGrid.appendChild(card);
+    });
+  }
+
   toolForm.addEventListener('submit', async (e) => {
     e.preventDefault();
     if (!files || !files.length) { alert('Choose files first'); return; }
+    if (operation.value === 'pages' && !pageItems.length) { alert('Load the pages and arrange them first'); return; }
+    if (operation.value === 'encrypt' && !userPassword.value && !ownerPassword.value) { alert('Enter an open or permissions password'); return; }
+    if (operation.value === 'watermark' && !watermarkText.value && !watermarkImage.files.length) { alert('Enter watermark text or choose an image'); return; }
+    if (operation.value === 'metadata' && !stripMetadata.checked && metadataFields.every(el => !el.value)) { alert('Enter metadata to set or remove'); return; }
 
     processing.style.display = 'block';
-    processingText.innerText = 'Uploading...';
+    setProgress('Uploading...', 0);
+    fileStatus.innerHTML = '';
     resultArea.style.display = 'none';
     downloadArea.innerHTML = '';
     resultMsg.innerText = '';
@@ -65,49 +279,74 @@
 
     const form = new FormData();
     for (const f of files) form.append('files', f);
+    form.append('operation', operation.value);
+    form.append('order', order.join(','));
+    if (operation.value === 'split') {
+      form.append('pages', pages.value);
+      form.append('splitMode', splitMode.value);
+      if (splitMode.value === 'every') form.append('every', every.value);
+    }
+    if (operation.value === 'pages') form.append('manifest', JSON.stringify(pageItems.map(p => ({ page: p.page, rotate: p.rotate }))));
+    if (operation.value === 'encrypt') {
+      form.append('userPassword', userPassword.value);
+      form.append('ownerPassword', ownerPassword.value);
+      const allowed = Array.from(encryptOptions.querySelectorAll('.perm:checked')).map(el => el.value);
+      // the accessibility / assembly / high-quality print flags follow their closest checkbox
+      if (allowed.includes('print')) allowed.push('printHighQuality');
+      if (allowed.includes('copy')) allowed.push('accessibility');
+      if (allowed.includes('modify')) allowed.push('assemble');
+      form.append('permissions', allowed.length ? allowed.join(',') : 'none');
+    }
+    if (operation.value === 'watermark') {
+      form.append('watermarkText', watermarkText.value);
+      if (watermarkImage.files.length) form.append('watermarkImage', watermarkImage.files[0]);
+      for (const el of watermarkFields) if (el.value !== '') form.append(el.id, el.value);
+      form.append('watermarkScale', String((parseFloat(watermarkScale.value) || 50) / 100));
+    }
+    if (operation.value === 'number') for (const el of numberFields) if (el.value !== '') form.append(el.id, el.value);
+    if (operation.value === 'metadata') {
+      for (const el of metadataFields) if (el.value !== '') form.append(el.id, el.value);
+      if (stripMetadata.checked) form.append('stripMetadata', 'true');
+    }
+    if (operation.value === 'ocr') form.append('ocrFormat', ocrFormat.value);
+    else if (ocrImages.checked && (operation.value !== 'convert' || targetFormat.value === 'pdf')) form.append('ocr', 'true');
+    if ((operation.value === 'ocr' || ocrImages.checked) && ocrLanguage.value.trim()) form.append('ocrLanguage', ocrLanguage.value.trim());
+    if (pdfPassword.value) form.append('password', pdfPassword.value);
     form.append('targetFormat', targetFormat.value);
+    if (perPage.checked && ['txt', 'html', 'md'].includes(targetFormat.value)) form.append('perPage', 'true');
+    if (extractFrames.checked && operation.value === 'convert' && ['jpeg', 'png', 'webp', 'avif', 'tiff', 'gif'].includes(targetFormat.value)) form.append('extractFrames', 'true');
     form.append('quality', quality.value);
     form.append('maxDim', maxDim.value);
+    if (targetSize.value) form.append('targetSize', `${targetSize.value}KB`);
+    form.append('imageMetadata', imageMetadata.value);
+    for (const el of imageEditFields) if (el.value !== '' && el.value !== el.defaultValue) form.append(el.id, el.value);
+    for (const el of imageEditFlags) if (el.checked) form.append(el.id, 'true');
+    if (document.getElementById('width').value || document.getElementById('height').value) form.append('resizeFit', resizeFit.value);
+    if (useBackground.checked) form.append('background', background.value);
     form.append('compress', compressPdf.checked ? 'true' : 'false');
+    form.append('compressMode', compressMode.value);
+    const layoutChanged = layoutFields.some(el => el.tagName === 'SELECT' ? el.selectedIndex !== 0 : el.value !== el.defaultValue);
+    if (layoutChanged) for (const el of layoutFields) if (el.value !== '') form.append(el.id, el.value);
     form.append('zip', makeZip.checked ? 'true' : 'false');
 
+    form.append('async', 'true');
+
     try {
       const xhr = new XMLHttpRequest();
       xhr.open('POST', '/api/convert', true);
-      xhr.responseType = 'blob';
+      for (const [name, value] of Object.entries(apiHeaders())) xhr.setRequestHeader(name, value);
+      xhr.responseType = 'json';
       xhr.upload.onprogress = function(e) {
-        if (e.lengthComputable) processingText.innerText = `Uploading: ${Math.round(e.loaded / e.total * 100)}%`;
+        if (e.lengthComputable) setProgress(`Uploading: ${Math.round(e.loaded / e.total * 100)}%`, Math.round(e.loaded / e.total * 100));
       };
-      xhr.timeout = 5 * 60 * 1000; // 5 min
-      xhr.ontimeout = () => { processing.style.display='none'; log.innerText='Request timed out'; };
+      xhr.timeout = 5 * 60 * 1000; // 5 min, upload only - processing is polled afterwards
+      xhr.ontimeout = () => { processing.style.display='none'; log.innerText='Upload timed out'; };
       xhr.onerror = () => { processing.style.display='none'; log.innerText='Network error'; };
-      xhr.onload = async () => {
+      xhr.onload = () => {
+        const j = xhr.response || {};
+        if (xhr.status === 202 && j.jobId) return pollJob(j.jobId);
         processing.style.display = 'none';
-        if (xhr.status >= 200 && xhr.status < 300) {
-          const ct = xhr.getResponseHeader('Content-Type') || '';
-          const disp = xhr.getResponseHeader('Content-Disposition') || '';
-          const filename = (disp.match(/filename="(.+)"/) || [null, `result_${Date.now()}`])[1];
-          const blob = xhr.response;
-          const url = URL.createObjectURL(blob);
-          const a = document.createElement('a'); a.href = url; a.download = filename; a.className = 'btn btn-success'; a.innerText = 'Download';
-          downloadArea.appendChild(a);
-          previewArea.innerHTML = '';
-          if (ct.startsWith('image/')) {
-            const img = document.createElement('img'); img.src = url; img.style.maxWidth = '100%'; previewArea.appendChild(img);
-          } else if (ct.includes('pdf') || filename.toLowerCase().endsWith('.pdf')) {
-            const embed = document.createElement('embed'); embed.src = url; embed.type = 'application/pdf'; embed.style.width='100%'; embed.style.height='500px';
-            previewArea.appendChild(embed);
-          } else if (ct.includes('zip')) {
-            previewArea.innerText = 'ZIP ready. Use the button to download.';
-          } else previewArea.innerText = 'Result ready. Use Download button.';
-          resultArea.style.display = 'block';
-          resultMsg.innerText = `File ready: ${filename}`;
-        } else {
-          // try parse JSON error
-          let txt = '';
-          try { txt = await blobToText(xhr.response); } catch(e){ txt = `HTTP ${xhr.status}`; }
-          try { const j = JSON.parse(txt); log.innerText = 'Error: ' + (j.error || j.details || JSON.stringify(j)); } catch (e) { log.innerText = 'Error: ' + txt; }
-        }
+        log.innerText = 'Error: ' + (j.error || j.details || `HTTP ${xhr.status}`);
       };
       xhr.send(form);
     } catch (err) {
@@ -116,12 +355,78 @@
     }
   });
 
-  function blobToText(blob) {
-    return new Promise((res, rej) => {
-      const reader = new FileReader();
-      reader.onload = () => res(reader.result);
-      reader.onerror = rej;
-      reader.readAsText(blob);
-    });
+  function setProgress(text, pct) {
+    processingText.innerText = text;
+    progressBar.style.width = `${pct}%`;
+    progressBar.setAttribute('aria-valuenow', String(pct));
+  }
+
+  function renderFileStatus(jobFiles) {
+    fileStatus.innerHTML = '';
+    for (const f of jobFiles || []) {
+      const li = document.createElement('li');
+      li.innerText = `${f.name}: ${f.status}${f.status === 'processing' && f.progress ? ` (${f.progress}%)` : ''}${f.note ? ` - ${f.note}` : ''}`;
+      fileStatus.appendChild(li);
+    }
+  }
+
+  async function pollJob(jobId) {
+    let job = null;
+    while (true) {
+      try {
+        const r = await fetch(`/api/jobs/${jobId}`, { headers: apiHeaders() });
+        job = await r.json();
+        if (!r.ok) throw new Error(job.error || `HTTP ${r.status}`);
+      } catch (err) {
+        processing.style.display = 'none';
+        log.innerText = 'Error: ' + (err && err.message ? err.message : err);
+        return;
+      }
+      const done = job.files.filter(f => f.status === 'done' || f.status === 'error').length;
+      setProgress(job.status === 'queued' ? 'Queued...' : `Processing: ${done}/${job.files.length} files (${job.progress}%)`, job.progress);
+      renderFileStatus(job.files);
+      if (job.status === 'done' || job.status === 'error') break;
+      await new Promise(r => setTimeout(r, 1500));
+    }
+
+    if (job.status === 'error') {
+      processing.style.display = 'none';
+      log.innerText = 'Error: ' + job.error;
+      return;
+    }
+
+    setProgress('Downloading result...', 100);
+    try {
+      const r = await fetch(job.result.url, { headers: apiHeaders() });
+      if (!r.ok) throw new Error(`HTTP ${r.status}`);
+      showResult(await r.blob(), r.headers.get('Content-Type') || job.result.mime || '', job.result.name);
+      const c = job.result.compression;
+      if (c) resultMsg.innerText += ` - compressed ${formatKB(c.originalSize)} → ${formatKB(c.compressedSize)} (${Math.round((1 - c.compressedSize / c.originalSize) * 100)}% smaller)`;
+      const s = job.result.sizing;
+      if (s) resultMsg.innerText += ` - target ${formatKB(s.targetSize)}, largest file ${formatKB(s.achievedSize)} (${s.files.map(f => `${f.name}: q${f.quality}${f.maxDim ? `, ${f.maxDim}px` : ''}`).join('; ')})`;
+    } catch (err) {
+      log.innerText = 'Download failed: ' + (err && err.message ? err.message : err);
+    } finally {
+      processing.style.display = 'none';
+    }
+  }
+
+  function formatKB(bytes) { return `${(bytes / 1024).toFixed(1)} KB`; }
+
+  function showResult(blob, ct, filename) {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a'); a.href = url; a.download = filename; a.className = 'btn btn-success'; a.innerText = 'Download';
+    downloadArea.appendChild(a);
+    previewArea.innerHTML = '';
+    if (ct.startsWith('image/')) {
+      const img = document.createElement('img'); img.src = url; img.style.maxWidth = '100%'; previewArea.appendChild(img);
+    } else if (ct.includes('pdf') || filename.toLowerCase().endsWith('.pdf')) {
+      const embed = document.createElement('embed'); embed.src = url; embed.type = 'application/pdf'; embed.style.width='100%'; embed.style.height='500px';
+      previewArea.appendChild(embed);
+    } else if (ct.includes('zip')) {
+      previewArea.innerText = 'ZIP ready. Use the button to download.';
+    } else previewArea.innerText = 'Result ready. Use Download button.';
+    resultArea.style.display = 'block';
+    resultMsg.innerText = `File ready: ${filename}`;
   }
 })();
\ No newline at end of file
@@ -3,25 +3,71 @@
 // - Place in project root and restart Node app in cPanel.
 // - Set CLOUDCONVERT_API_KEY in cPanel environment (no trailing spaces).
 // - Run "Run NPM Install" if package.json changed (ensure axios & form-data present).
+// - Optional: ENGINE_ORDER, ENGINE_ORDER_<FORMAT> and ENGINES_DISABLED set the engine fallback policy
+//   (see lib/engines/index.js); CLOUDCONVERT_BASE_URL points at lib/cloudconvert-mock.js for offline runs.
+// - Optional OCR: TESSERACT_PATH, OCR_LANG_PATH (tessdata folder), OCR_LANGUAGE (default eng) and
+//   OCR_TIMEOUT_MS per page (see lib/ocr.js).
+// - Optional API keys (see lib/api-keys.js): API_KEYS_FILE and/or API_KEYS ("name:key,..."); default
+//   limits API_RATE_LIMIT ("requests/seconds"), API_DAILY_BYTES, API_DAILY_JOBS and
+//   API_DAILY_CLOUDCONVERT_JOBS; API_USAGE_FILE. Without keys the API is open.
+// - CORS_ORIGINS: comma list of allowed browser origins (default: any). DIAGNOSTICS=off hides /diag,
+//   /sharp-info and /test-convert (off by default when NODE_ENV=production).
+// - Conversions run in worker threads (lib/worker-pool.js): WORKER_CONCURRENCY (default: CPUs, at most
+//   4), WORKER_QUEUE waiting requests before the API answers 503 (default 20), optional
+//   WORKER_MAX_MEMORY_MB heap limit per worker and WORKER_TASK_TIMEOUT_MS after which a request's worker
+//   is terminated and replaced and the request answered 504 (default 600000, 0 turns it off).
+// - Upload checks (see lib/upload-check.js): INPUT_FORMATS comma list of accepted input formats (default:
+//   all supported), MAX_IMAGE_PIXELS per image with all its frames (default 100000000), MAX_PDF_PAGES
+//   (default 2000) and MAX_REQUEST_MB for all files of one request (default 500); 0 turns a limit off.
+// - /api/convert and /api/jobs take source URLs in 'urls' besides uploads (see lib/remote-fetch.js) from
+//   the hosts in REMOTE_URL_HOSTS (comma list of names, *.domain wildcards, IPs and CIDR ranges; unset
+//   turns URL sources off), REMOTE_URL_TIMEOUT_MS per file (default 30000), REMOTE_URL_MAX_MB (default
+//   MAX_UPLOAD_MB). A 'webhookUrl' gets a signed completion callback (see lib/webhooks.js) when
+//   WEBHOOK_SECRET and WEBHOOK_HOSTS are set; WEBHOOK_MAX_ATTEMPTS (default 5), WEBHOOK_BACKOFF_MS before
+//   the first retry, doubling (default 1000), WEBHOOK_TIMEOUT_MS per attempt (default 10000).
+// - Logs are JSON lines on stdout with the request id of every request (see lib/log.js); LOG_LEVEL is
+//   error, warn, info (default) or debug. GET /metrics serves Prometheus metrics (METRICS=off hides it;
+//   with API keys configured it needs one).
 
 // Optional dotenv support
 try { require('dotenv').config(); } catch (e) { /* ignore if dotenv not installed */ }
 
+const { AsyncResource } = require('async_hooks');
 const express = require('express');
 const cors = require('cors');
 const multer = require('multer');
 const fs = require('fs');
+const os = require('os');
 const path = require('path');
 const mime = require('mime-types');
-const { PDFDocument } = require('pdf-lib');
 const archiver = require('archiver');
 const { v4: uuidv4 } = require('uuid');
-const axios = require('axios');
-const FormData = require('form-data');
+const { createJobStore } = require('./lib/jobs');
+const { OFFICE_FORMATS } = require('./lib/engines/libreoffice');
+const { describePages } = require('./lib/pdf-ops');
+const { PdfPasswordError } = require('./lib/pdf-crypt');
+const { describePdf } = require('./lib/pdf-meta');
+const { parseExif, findExifBlock } = require('./lib/image-meta');
+const { TargetSizeError } = require('./lib/target-size');
+const { formatFromName, normalizeFormat } = require('./lib/engines/util');
+const { isImageMime, isHeicByName, isPdfMime, clampQuality, converterConfigFromEnv, createConverter, reviveError } = require('./lib/convert');
+const { INPUT_FORMATS, UploadError } = require('./lib/upload-check');
+const { TEXT_FORMATS } = require('./lib/pdf-text');
+const { createRemoteFetcher, parseUrlList, redactUrl } = require('./lib/remote-fetch');
+const { createWebhookSender } = require('./lib/webhooks');
+const { createWorkerPool, QueueFullError, TaskTimeoutError } = require('./lib/worker-pool');
+const { FormFieldError, describeForm, parseFormValues, parseFormRecords } = require('./lib/pdf-forms');
+const { createApiKeys } = require('./lib/api-keys');
+const { log, withContext, logContext } = require('./lib/log');
+const { createMetrics } = require('./lib/metrics');
 
 const app = express();
-app.use(cors());
+// CORS_ORIGINS limits which browser origins may call the API; unset or '*' allows every origin
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || '*').split(',').map(s => s.trim()).filter(Boolean);
+app.use(requestContext);
+app.use(cors(CORS_ORIGINS.includes('*') ? {} : { origin: CORS_ORIGINS }));
 app.use(express.static(path.join(__dirname, 'public')));
+app.use('/api', requireApiKey, limitRequestSize);
 
 // Basic health
 app.get('/health', (req, res) => {
@@ -34,9 +80,7 @@ app.get('/health', (req, res) => {
 });
 
 // Diagnostic
-app.get('/diag', (req, res) => {
-  let sharpAvailable = false;
-  try { require.resolve('sharp'); sharpAvailable = true; } catch (e) { sharpAvailable = false; }
+app.get('/diag', diagnosticsOnly, requireApiKey, (req, res) => {
   res.json({
     ok: true,
     node_version: process.version,
@@ -44,21 +88,29 @@ app.get('/diag', (req, res) => {
     cloudconvert_key_present: !!process.env.CLOUDCONVERT_API_KEY,
     MAX_UPLOAD_MB: process.env.MAX_UPLOAD_MB || null,
     MAX_DIMENSION: process.env.MAX_DIMENSION || null,
+    JOB_TTL_MINUTES: process.env.JOB_TTL_MINUTES || null,
+    cloudconvert_base: converterConfig.cloudconvert.baseUrl,
+    engines: engines.describe(),
+    office: {
+      formats: OFFICE_FORMATS,
+      libreoffice: engines.get('libreoffice').info(),
+      cloudconvert: engines.get('cloudconvert').available()
+    },
+    ocr: ocr.info(),
+    apiKeys: apiKeys.info(),
+    workers: pool.stats(),
+    uploads: uploadChecks.info(),
+    remoteUrls: remote.info(),
+    webhooks: webhooks.info(),
     timestamp: new Date().toISOString()
   });
 });
 
-// Try require sharp
-let sharp = null;
-let sharpAvailable = false;
-try {
-  sharp = require('sharp');
-  sharpAvailable = true;
-  console.log('local sharp available');
-} catch (e) {
-  console.warn('sharp not available locally:', e && e.message);
-  sharpAvailable = false;
-}
+// Prometheus scrape target (see the Metrics section below)
+app.get('/metrics', metricsEnabled, requireApiKey, (req, res) => {
+  res.setHeader('Content-Type', metrics.contentType);
+  res.send(metrics.render());
+});
 
 // Directories
 const UPLOAD_DIR = path.join(__dirname, 'uploads');
@@ -68,469 +120,834 @@ if (!fs.existsSync(RESULTS_DIR)) fs.mkdirSync(RESULTS_DIR);
 
 // Config
 const MAX_UPLOAD_MB = parseInt(process.env.MAX_UPLOAD_MB || '150', 10);
-const MAX_DIMENSION = parseInt(process.env.MAX_DIMENSION || '2480', 10);
-const CLOUDCONVERT_API_KEY = process.env.CLOUDCONVERT_API_KEY || null;
-const CLOUDCONVERT_BASE = 'https://api.cloudconvert.com/v2';
+const JOB_TTL_MINUTES = parseInt(process.env.JOB_TTL_MINUTES || '60', 10) || 60;
+const WORKER_CONCURRENCY = parseInt(process.env.WORKER_CONCURRENCY || String(Math.min(4, os.cpus().length || 1)), 10) || 1;
+const WORKER_QUEUE = Math.max(0, parseInt(process.env.WORKER_QUEUE || '20', 10) || 0);
+const WORKER_MAX_MEMORY_MB = parseInt(process.env.WORKER_MAX_MEMORY_MB || '0', 10) || 0;
+const WORKER_TASK_TIMEOUT_MS = Math.max(0, parseInt(process.env.WORKER_TASK_TIMEOUT_MS || '600000', 10) || 0);
+const DIAGNOSTICS = (process.env.DIAGNOSTICS || (process.env.NODE_ENV === 'production' ? 'off' : 'on')).toLowerCase() !== 'off';
+const METRICS = (process.env.METRICS || 'on').toLowerCase() !== 'off';
+
+// Conversion pipeline (lib/convert.js). The server keeps one for the light single-file routes;
+// /api/convert and /api/jobs run theirs in the worker pool.
+const converterConfig = converterConfigFromEnv(process.env, UPLOAD_DIR);
+const converter = createConverter(converterConfig);
+const { engines, ocr, sharp, sharpAvailable, uploadChecks, readConvertOptions, readPdfUpload } = converter;
+if (sharpAvailable) log.info('local sharp available');
+else log.warn('sharp not available locally', { error: converter.sharpError });
+
+// Worker threads for /api/convert and /api/jobs; a full queue answers 503
+const pool = createWorkerPool({
+  script: path.join(__dirname, 'lib', 'convert-worker.js'),
+  size: WORKER_CONCURRENCY,
+  maxQueue: WORKER_QUEUE,
+  workerData: { config: converterConfig },
+  resourceLimits: WORKER_MAX_MEMORY_MB ? { maxOldGenerationSizeMb: WORKER_MAX_MEMORY_MB } : undefined,
+  taskTimeoutMs: WORKER_TASK_TIMEOUT_MS
+});
+
+// API keys, rate limits and daily quotas; without configured keys every request is let through
+const apiKeys = createApiKeys({
+  file: process.env.API_KEYS_FILE || null,
+  list: process.env.API_KEYS || '',
+  defaults: {
+    rateLimit: process.env.API_RATE_LIMIT,
+    dailyBytes: process.env.API_DAILY_BYTES,
+    dailyJobs: process.env.API_DAILY_JOBS,
+    dailyCloudConvertJobs: process.env.API_DAILY_CLOUDCONVERT_JOBS
+  },
+  usageFile: process.env.API_USAGE_FILE || path.join(RESULTS_DIR, 'api-usage.json')
+});
+if (!apiKeys.enabled) log.warn('No API keys configured: the API is open to anyone who can reach it');
+
+// Async jobs (results kept in RESULTS_DIR until the TTL expires)
+const jobStore = createJobStore({ resultsDir: RESULTS_DIR, ttlMs: JOB_TTL_MINUTES * 60 * 1000 });
+
+// Source files fetched from URLs and completion webhooks; both only reach the hosts listed for them
+const remote = createRemoteFetcher({
+  hosts: process.env.REMOTE_URL_HOSTS || '',
+  timeoutMs: parseInt(process.env.REMOTE_URL_TIMEOUT_MS || '30000', 10) || 30000,
+  maxBytes: (parseInt(process.env.REMOTE_URL_MAX_MB || '0', 10) || MAX_UPLOAD_MB) * 1024 * 1024
+});
+const webhooks = createWebhookSender({
+  secret: process.env.WEBHOOK_SECRET || '',
+  hosts: process.env.WEBHOOK_HOSTS || '',
+  maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || '5', 10) || 5,
+  backoffMs: parseInt(process.env.WEBHOOK_BACKOFF_MS || '1000', 10) || 0,
+  timeoutMs: parseInt(process.env.WEBHOOK_TIMEOUT_MS || '10000', 10) || 10000
+});
+
+// ---------------- Metrics ----------------
+// Counters and histograms for GET /metrics (lib/metrics.js). Conversions run in worker threads, which
+// report their engine attempts to convertInPool; the server's own converter reports here directly.
+const metrics = createMetrics({ prefix: 'pdftool_' });
+const httpRequests = metrics.counter('http_requests_total', 'HTTP requests by route and status', ['method', 'route', 'status']);
+const httpDuration = metrics.histogram('http_request_duration_seconds', 'HTTP request duration', ['method', 'route']);
+const clientErrors = metrics.counter('client_errors_total', 'Requests refused for their input (4xx) by error code', ['code']);
+const conversions = metrics.counter('conversions_total', 'Input files converted by operation, input and output format and outcome', ['operation', 'input', 'output', 'status']);
+const conversionDuration = metrics.histogram('conversion_duration_seconds', 'Time conversion requests spent in a worker thread', ['operation', 'output']);
+const conversionErrors = metrics.counter('conversion_errors_total', 'Failed conversion requests by operation and error code', ['operation', 'code']);
+const inputBytes = metrics.counter('input_bytes_total', 'Bytes of conversion inputs by format', ['input']);
+const outputBytes = metrics.counter('output_bytes_total', 'Bytes of conversion outputs by format', ['output']);
+const engineRuns = metrics.counter('engine_runs_total', 'Conversion engine attempts (sharp, cloudconvert, ...) by formats and outcome', ['engine', 'input', 'output', 'status']);
+const engineDuration = metrics.histogram('engine_duration_seconds', 'Conversion engine attempt duration', ['engine', 'output']);
+const workerTimeouts = metrics.counter('worker_task_timeouts_total', 'Worker tasks terminated after WORKER_TASK_TIMEOUT_MS by task kind', ['kind']);
+metrics.gauge('worker_busy', 'Worker threads converting a request', () => pool.stats().busy);
+metrics.gauge('worker_queued', 'Conversion requests waiting for a worker thread', () => pool.stats().queued);
+metrics.gauge('uptime_seconds', 'Seconds since the server started', () => Math.round(process.uptime()));
+
+// Format labels come from client fields (targetFormat, file names); formats the pipeline does not know
+// are counted as 'other' so a client cannot add series
+const LABEL_FORMATS = new Set(INPUT_FORMATS.concat(TEXT_FORMATS, ['image', 'unknown']));
+const formatLabel = format => (LABEL_FORMATS.has(format) ? format : 'other');
+
+// recordEngineRun: one engine attempt { engine, input, output, ok, durationMs } (see lib/engines/index.js)
+function recordEngineRun(run) {
+  const output = formatLabel(run.output);
+  engineRuns.inc({ engine: run.engine, input: formatLabel(run.input), output, status: run.ok ? 'ok' : 'error' });
+  engineDuration.observe({ engine: run.engine, output }, run.durationMs / 1000);
+}
+engines.observe(recordEngineRun);
+
+// recordConversion: one /api/convert or job request - its outputs when it succeeded, err when not;
+// seconds is its time in the worker (null when it never got one)
+function recordConversion(opts, files, seconds, { outputs = null, err = null } = {}) {
+  const operation = opts.operation || 'convert';
+  const output = formatLabel(outputs && outputs.length ? formatFromName(outputs[0].name) || 'unknown' : normalizeFormat(opts.targetFormat || 'pdf'));
+  for (const f of files) {
+    const input = formatLabel(f.format || formatFromName(f.originalname) || 'unknown');
+    conversions.inc({ operation, input, output, status: err ? 'error' : 'ok' });
+    inputBytes.inc({ input }, f.size || 0);
+  }
+  for (const o of outputs || []) outputBytes.inc({ output: formatLabel(formatFromName(o.name) || output) }, outputSize(o));
+  if (seconds !== null) conversionDuration.observe({ operation, output }, seconds);
+  if (err) conversionErrors.inc({ operation, code: err.code || 'INTERNAL' });
+}
 
 // Multer storage
 const storage = multer.diskStorage({
   destination: (req, file, cb) => cb(null, UPLOAD_DIR),
   filename: (req, file, cb) => cb(null, Date.now() + '-' + Math.random().toString(36).slice(2, 9) + path.extname(file.originalname))
 });
-const upload = multer({
+const multerUpload = multer({
   storage,
   limits: { fileSize: MAX_UPLOAD_MB * 1024 * 1024 }
 });
+// multer calls next from stream events, outside the request's log context; bind it back in
+const keepContext = mw => (req, res, next) => mw(req, res, AsyncResource.bind(next));
+const upload = {
+  single: name => keepContext(multerUpload.single(name)),
+  fields: list => keepContext(multerUpload.fields(list))
+};
+
+// Batch uploads: up to 20 'files' (uploaded and fetched from 'urls' together) plus an optional
+// 'watermarkImage'. Afterwards req.files is the array of inputs and req.watermarkImage the stamp image (or null).
+const MAX_BATCH_FILES = 20;
+const uploadBatch = [
+  upload.fields([{ name: 'files', maxCount: MAX_BATCH_FILES }, { name: 'watermarkImage', maxCount: 1 }]),
+  (req, res, next) => {
+    const byField = req.files || {};
+    req.files = byField.files || [];
+    req.watermarkImage = (byField.watermarkImage || [])[0] || null;
+    next();
+  }
+];
+const requestUploads = req => (req.files || []).concat(req.watermarkImage ? [req.watermarkImage] : []);
+
+// ---------------- Request logging ----------------
+
+// requestContext: gives every request an id - the caller's X-Request-Id when it looks like one, else a
+// new uuid - sent back in X-Request-Id and added to every log line logged for the request (see
+// lib/log.js). When the response is done the request is logged (health checks and scrapes at debug
+// level) and counted in the HTTP metrics.
+function requestContext(req, res, next) {
+  const given = String(req.headers['x-request-id'] || '');
+  req.id = /^[\w.:-]{1,100}$/.test(given) ? given : uuidv4();
+  res.setHeader('X-Request-Id', req.id);
+  const started = process.hrtime.bigint();
+  res.on('close', () => {
+    const seconds = Number(process.hrtime.bigint() - started) / 1e9;
+    const route = req.route ? req.baseUrl + req.route.path : 'other';
+    httpRequests.inc({ method: req.method, route, status: res.statusCode });
+    httpDuration.observe({ method: req.method, route }, seconds);
+    log[route === '/health' || route === '/metrics' ? 'debug' : 'info']('request', {
+      requestId: req.id,
+      method: req.method,
+      path: req.path,
+      status: res.statusCode,
+      durationMs: Math.round(seconds * 1000),
+      bytesIn: parseInt(req.headers['content-length'] || '0', 10) || 0,
+      bytesOut: parseInt(res.getHeader('content-length') || '0', 10) || null,
+      client: req.apiKey ? req.apiKey.name : null,
+      aborted: !res.writableFinished || undefined
+    });
+  });
+  withContext({ requestId: req.id }, next);
+}
+
+// metricsEnabled: 404 for /metrics when METRICS is off
+function metricsEnabled(req, res, next) {
+  if (!METRICS) return res.status(404).json({ error: 'Not found' });
+  next();
+}
 
-// Helpers
-function isImageMime(m) { return /^image\//.test(m) || m === 'image/svg+xml'; }
-function isHeicByName(name, mimetype) {
-  const ext = (name && path.extname(name).toLowerCase()) || '';
-  return ['.heic', '.heif'].includes(ext) || ['image/heic','image/heif','application/octet-stream'].includes(mimetype);
-}
-function isPdfMime(m, name) { return m === 'application/pdf' || (name && path.extname(name).toLowerCase() === '.pdf'); }
-function clampQuality(q) { const n = parseInt(q || '80', 10); return Math.max(10, Math.min(95, isNaN(n) ? 80 : n)); }
-
-// ---------------- CloudConvert (verbose, robust) ----------------
-// Replace or adjust this function only via careful edits.
-async function cloudConvertFallbackConvert(filePath, outputFormat, options = {}) {
-  if (!CLOUDCONVERT_API_KEY) throw new Error('CLOUDCONVERT_API_KEY not configured');
-  const headers = { Authorization: `Bearer ${CLOUDCONVERT_API_KEY}` };
-
-  // Normalize output format
-  let outFmt = String(outputFormat || '').toLowerCase();
-  if (outFmt === 'jpeg') outFmt = 'jpg';
-  if (!outFmt) outFmt = 'jpg';
-
-  console.log('CloudConvert: creating job for', filePath, '->', outFmt);
-  const jobSpec = {
-    tasks: {
-      'import-my-file': { operation: 'import/upload' },
-      'convert-my-file': {
-        operation: 'convert',
-        input: ['import-my-file'],
-        output_format: outFmt,
-        ...(options.input_format ? { input_format: options.input_format } : {}),
-        ...(options.convertOptions || {})
-      },
-      'export-my-file': { operation: 'export/url', input: ['convert-my-file'] }
+// ---------------- Access control ----------------
+
+// diagnosticsOnly: 404 for the diagnostic routes when DIAGNOSTICS is off
+function diagnosticsOnly(req, res, next) {
+  if (!DIAGNOSTICS) return res.status(404).json({ error: 'Not found' });
+  next();
+}
+
+function quotaExceeded(res, over) {
+  res.setHeader('Retry-After', String(over.retryAfter));
+  return res.status(429).json({ error: `Daily quota "${over.quota}" exceeded (${over.used} of ${over.limit} used)`, code: 'QUOTA_EXCEEDED', quota: over.quota, limit: over.limit, used: over.used, retryAfter: over.retryAfter });
+}
+
+// requireApiKey: with API keys configured every request needs X-API-Key (or Authorization: Bearer
+// <key>); 401 without a valid key, 429 over the key's rate limit or when the declared request size
+// would exceed its daily byte quota. Sets req.apiKey ({ name, limits }).
+function requireApiKey(req, res, next) {
+  if (!apiKeys.enabled) return next();
+  const bearer = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || '');
+  const key = apiKeys.authenticate(req.headers['x-api-key'] || (bearer && bearer[1]));
+  if (!key) return res.status(401).json({ error: 'A valid API key is required (X-API-Key header)', code: 'API_KEY_REQUIRED' });
+  const rate = apiKeys.takeRequest(key);
+  if (rate.limit) {
+    res.setHeader('X-RateLimit-Limit', String(rate.limit));
+    res.setHeader('X-RateLimit-Remaining', String(rate.remaining));
+  }
+  if (!rate.ok) {
+    res.setHeader('Retry-After', String(rate.retryAfter));
+    return res.status(429).json({ error: 'Rate limit exceeded', code: 'RATE_LIMITED', retryAfter: rate.retryAfter });
+  }
+  const declared = parseInt(req.headers['content-length'] || '0', 10) || 0;
+  const over = declared ? apiKeys.overQuota(key, { bytesIn: declared }) : null;
+  if (over) return quotaExceeded(res, over);
+  req.apiKey = key;
+  next();
+}
+
+// uploadedFiles: every multer file of a request (single, array, fields or uploadBatch)
+function uploadedFiles(req) {
+  const files = Array.isArray(req.files) ? req.files.slice() : [].concat(...Object.values(req.files || {}));
+  if (req.file) files.push(req.file);
+  if (req.watermarkImage) files.push(req.watermarkImage);
+  return files;
+}
+
+// chargeUpload(asJob): after multer, counts the uploaded bytes - and for processing routes one job -
+// against the caller's daily quota; over quota the uploads are removed and the answer is 429
+function chargeUpload(asJob) {
+  return (req, res, next) => {
+    if (!req.apiKey) return next();
+    const files = uploadedFiles(req);
+    const add = { bytesIn: files.reduce((sum, f) => sum + (f.size || 0), 0), jobs: asJob ? 1 : 0 };
+    const over = apiKeys.overQuota(req.apiKey, add);
+    if (over) {
+      cleanupUploads(files);
+      return quotaExceeded(res, over);
     }
+    apiKeys.charge(req.apiKey.name, add);
+    next();
   };
+}
 
-  // create job
-  const jobResp = await axios.post(`${CLOUDCONVERT_BASE}/jobs`, jobSpec, { headers, timeout: 120000 })
-    .catch(err => {
-      console.error('CloudConvert: create job error', err && err.response && err.response.data ? err.response.data : err.message);
-      throw new Error('CloudConvert job creation failed: ' + (err && err.message));
-    });
-  if (!jobResp.data || !jobResp.data.data) throw new Error('CloudConvert: failed to create job');
-  const job = jobResp.data.data;
-  const jobId = job.id;
-  console.log('CloudConvert: job created id=', jobId);
-  console.log('CloudConvert: job create response (trimmed):', JSON.stringify(job, null, 2));
-
-  // get upload info
-  const importTask = (job.tasks || []).find(t => t.name === 'import-my-file' && t.type === 'import/upload');
-  if (!importTask || !importTask.result || !importTask.result.form) {
-    console.error('CloudConvert: upload info missing in job create response', job);
-    throw new Error('CloudConvert: upload details missing (jobId=' + jobId + ')');
-  }
-  const uploadUrl = importTask.result.form.url;
-  const uploadParams = importTask.result.form.parameters || {};
-
-  // upload file
-  console.log('CloudConvert: uploading file to', uploadUrl, 'jobId=', jobId);
-  const uploadForm = new FormData();
-  Object.keys(uploadParams).forEach(k => uploadForm.append(k, uploadParams[k]));
-  uploadForm.append('file', fs.createReadStream(filePath));
-  await axios.post(uploadUrl, uploadForm, { headers: uploadForm.getHeaders(), maxContentLength: Infinity, maxBodyLength: Infinity })
-    .catch(err => {
-      console.error('CloudConvert: upload error', err && err.response && err.response.data ? err.response.data : err.message, 'jobId=', jobId);
-      throw new Error('CloudConvert file upload failed: ' + (err && err.message));
-    });
-  console.log('CloudConvert: upload complete for job', jobId);
-
-  // poll job
-  const pollUrl = `${CLOUDCONVERT_BASE}/jobs/${jobId}`;
-  let jobStatus = null;
-  const maxPolls = 90;
-  for (let i = 0; i < maxPolls; i++) {
-    await new Promise(r => setTimeout(r, 2000));
-    const r = await axios.get(pollUrl, { headers }).catch(err => {
-      console.warn('CloudConvert: poll error', err && err.message, 'jobId=', jobId);
-      return null;
-    });
-    jobStatus = r && r.data && r.data.data;
-    if (!jobStatus) continue;
-    console.log(`CloudConvert job ${jobId} status: ${jobStatus.status} (poll ${i})`);
-    if (jobStatus.status === 'finished') break;
-    if (jobStatus.status === 'error' || jobStatus.status === 'failed') {
-      console.error('CloudConvert job failed', JSON.stringify(jobStatus, null, 2));
-      throw new Error('CloudConvert job failed: ' + JSON.stringify(jobStatus));
+// ---------------- Upload checks ----------------
+
+const isClientError = err => err instanceof UploadError || err instanceof PdfPasswordError || err instanceof TargetSizeError;
+
+// clientError: the 4xx answer for an error about the request's input (named file, password, target
+// size), or null for anything else
+function clientError(res, err) {
+  if (isClientError(err)) clientErrors.inc({ code: err.code || 'UNKNOWN' });
+  if (err instanceof UploadError) return res.status(err.status).json({ error: err.message, code: err.code, file: err.file, format: err.format, limit: err.limit, actual: err.actual, page: err.page });
+  if (err instanceof PdfPasswordError) return res.status(422).json({ error: err.message, code: err.code, file: err.file });
+  if (err instanceof TargetSizeError) return res.status(422).json({ error: err.message, code: err.code, file: err.file, targetSize: err.targetSize, smallestSize: err.smallestSize });
+  return null;
+}
+
+// limitRequestSize: 413 before anything is uploaded when the declared body (multipart overhead
+// included) is over MAX_REQUEST_MB
+function limitRequestSize(req, res, next) {
+  const declared = parseInt(req.headers['content-length'] || '0', 10) || 0;
+  try { uploadChecks.checkRequestSize([{ size: declared }]); } catch (e) { return clientError(res, e); }
+  next();
+}
+
+// checkUploads(pick): after multer, sniffs the real type of the files pick(req) returns (default: every
+// upload), checks them against the allowlist and the pixel and request size limits and sets their
+// mimetype to the sniffed one; a refused upload removes the request's files and answers 4xx
+function checkUploads(pick = uploadedFiles) {
+  return async (req, res, next) => {
+    try {
+      const files = pick(req);
+      for (const f of files) {
+        uploadChecks.checkFile(f);
+        if (isImageMime(f.mimetype)) await uploadChecks.checkImage(sharpAvailable ? sharp : null, f);
+      }
+      uploadChecks.checkRequestSize(uploadedFiles(req));
+    } catch (e) {
+      cleanupUploads(uploadedFiles(req));
+      return clientError(res, e) || next(e);
     }
+    next();
+  };
+}
+
+// ---------------- Remote sources and webhooks ----------------
+
+// checkWebhook: validates the 'webhookUrl' field before anything is fetched or converted and sets
+// req.webhookUrl (null without one); 400 / 403 when webhooks are off or the URL cannot be used
+async function checkWebhook(req, res, next) {
+  try { req.webhookUrl = await webhooks.check(req.body.webhookUrl); } catch (e) {
+    cleanupUploads(requestUploads(req));
+    return clientError(res, e) || next(e);
   }
+  next();
+}
 
-  if (!jobStatus || jobStatus.status !== 'finished') {
-    console.error('CloudConvert job did not finish or no finished status', jobId, jobStatus && jobStatus.status);
-    throw new Error('CloudConvert job timeout or did not finish (jobId=' + jobId + ', status=' + (jobStatus && jobStatus.status) + ')');
+// fetchRemoteUploads: after uploadBatch, downloads the 'urls' into UPLOAD_DIR and appends them to
+// req.files, so the upload checks, quotas and the conversion treat them like uploads. The 20 file cap and
+// MAX_REQUEST_MB count uploads and downloads together; any failed download fails the request.
+async function fetchRemoteUploads(req, res, next) {
+  let urls;
+  try { urls = parseUrlList(req.body.urls); } catch (e) {
+    cleanupUploads(requestUploads(req));
+    return res.status(400).json({ error: `"urls": ${e.message}`, code: 'INVALID_URL' });
   }
+  if (!urls.length) return next();
+  const refuse = (error, code) => {
+    cleanupUploads(requestUploads(req));
+    return res.status(400).json({ error, code });
+  };
+  if (!remote.enabled) return refuse('Fetching files from URLs is not enabled on this server', 'REMOTE_URLS_DISABLED');
+  if (req.files.length + urls.length > MAX_BATCH_FILES) return refuse(`At most ${MAX_BATCH_FILES} files (uploads and URLs together) are accepted per request`, 'TOO_MANY_FILES');
+  const maxRequestBytes = uploadChecks.info().maxRequestBytes;
+  try {
+    for (const url of urls) {
+      const left = maxRequestBytes ? Math.max(1, maxRequestBytes - uploadedFiles(req).reduce((sum, f) => sum + f.size, 0)) : 0;
+      req.files.push(await remote.fetchToFile(url, UPLOAD_DIR, { maxBytes: left }));
+    }
+  } catch (e) {
+    cleanupUploads(requestUploads(req));
+    return clientError(res, e) || next(e);
+  }
+  next();
+}
 
-  // Log full jobStatus
-  console.log('CloudConvert: final jobStatus for', jobId, ':', JSON.stringify(jobStatus, null, 2));
+// notifyWebhook: sends the completion callback in the background; a job records how the delivery went
+function notifyWebhook(url, event, data, jobId = null) {
+  if (!url) return;
+  webhooks.deliver(url, event, data).then(outcome => {
+    if (jobId) jobStore.setWebhook(jobId, { status: outcome.delivered ? 'delivered' : 'failed', attempts: outcome.attempts, httpStatus: outcome.status, error: outcome.error });
+  });
+}
 
-  // find export task/files
-  const exportTask = (jobStatus.tasks || []).find(t => t.name === 'export-my-file' && t.status === 'finished');
-  if (!exportTask || !exportTask.result || !exportTask.result.files || exportTask.result.files.length === 0) {
-    console.error('CloudConvert: no export files', JSON.stringify(jobStatus, null, 2));
-    throw new Error('CloudConvert: no export files found (jobId=' + jobId + ')');
-  }
+// requestSummary: the inputs of a request, for its webhook
+const requestSummary = req => req.files.map(f => ({ name: f.originalname, size: f.size, source: f.sourceUrl || null }));
+
+// recordCloudJobs: CloudConvert jobs used on behalf of an API key (by name), for its usage and quota
+function recordCloudJobs(keyName, ids) {
+  if (keyName && ids.length) apiKeys.charge(keyName, { cloudConvertJobs: ids.length });
+}
+
+// Summed before/after sizes of compressed outputs, or null when nothing was compressed
+function compressionTotals(outputs) {
+  const withStats = outputs.filter(o => o.stats);
+  if (!withStats.length) return null;
+  return {
+    originalSize: withStats.reduce((a, o) => a + o.stats.originalSize, 0),
+    compressedSize: withStats.reduce((a, o) => a + o.stats.compressedSize, 0),
+    files: withStats.map(o => Object.assign({ name: o.name }, o.stats))
+  };
+}
+
+// Target size outcome of the outputs made with opts.targetSize, or null; achievedSize is the largest one
+function sizingTotals(outputs) {
+  const sized = outputs.filter(o => o.sizing);
+  if (!sized.length) return null;
+  return {
+    targetSize: sized[0].sizing.targetSize,
+    achievedSize: Math.max(...sized.map(o => o.sizing.size)),
+    files: sized.map(o => Object.assign({ name: o.name }, o.sizing))
+  };
+}
+
+// setSizingHeaders: X-Target-Size, X-Achieved-Size and X-Target-Results (JSON, ASCII-escaped) per output
+function setSizingHeaders(res, sizing) {
+  if (!sizing) return;
+  const results = sizing.files.map(f => ({ name: f.name, size: f.size, quality: f.quality, maxDim: f.maxDim }));
+  res.setHeader('X-Target-Size', String(sizing.targetSize));
+  res.setHeader('X-Achieved-Size', String(sizing.achievedSize));
+  res.setHeader('X-Target-Results', JSON.stringify(results).replace(/[\u007f-\uffff]/g, c => '\\u' + c.charCodeAt(0).toString(16).padStart(4, '0')));
+}
+
+// Outputs are descriptors with a path (written by a worker, see createOutputSink in lib/convert.js)
+// or, from the routes that build them in place, a buffer
+const outputSize = o => (o.path ? o.size : o.buffer.length);
+function addToArchive(archive, o) {
+  if (o.path) archive.file(o.path, { name: o.name });
+  else archive.append(o.buffer, { name: o.name });
+}
 
-  console.log('CloudConvert: export files metadata:', JSON.stringify(exportTask.result.files, null, 2));
-
-  // download outputs
-  const downloadedPaths = [];
-  for (const fileMeta of exportTask.result.files) {
-    const fileUrl = fileMeta.url;
-    const extFromName = path.extname(fileMeta.filename) || `.${outFmt}`;
-    const tmpOut = path.join(path.dirname(filePath), `${path.parse(filePath).name}_cloudconv_${Date.now()}_${Math.random().toString(36).slice(2,8)}${extFromName}`);
-    console.log('CloudConvert: downloading', fileUrl, '->', tmpOut, 'jobId=', jobId);
-    const writer = fs.createWriteStream(tmpOut);
-    const resp = await axios.get(fileUrl, { responseType: 'stream' }).catch(err => {
-      console.error('CloudConvert download error', err && err.message, 'jobId=', jobId);
-      throw new Error('CloudConvert download failed: ' + (err && err.message));
+// sendOutputs: streams a ZIP when there are several outputs (or zip requested), else the single file;
+// resolves once the response is done with the output files
+function sendOutputs(res, outputs, makeZip) {
+  const totals = compressionTotals(outputs);
+  if (totals) {
+    res.setHeader('X-Original-Size', String(totals.originalSize));
+    res.setHeader('X-Compressed-Size', String(totals.compressedSize));
+  }
+  setSizingHeaders(res, sizingTotals(outputs));
+  const sent = new Promise(resolve => res.on('close', resolve));
+  if (makeZip || outputs.length > 1) {
+    res.setHeader('Content-Type', 'application/zip');
+    res.setHeader('Content-Disposition', `attachment; filename="pdftool-${Date.now()}.zip"`);
+    const archive = archiver('zip', { zlib: { level: 6 } });
+    archive.on('error', err => {
+      log.error('ZIP error', { error: err && err.message });
+      res.destroy(err);
     });
-    console.log('CloudConvert download response headers:', resp.headers);
+    archive.pipe(res);
+    for (const o of outputs) addToArchive(archive, o);
+    archive.finalize();
+    return sent;
+  }
+  const o = outputs[0];
+  res.setHeader('Content-Disposition', `attachment; filename="${o.name}"`);
+  res.setHeader('Content-Type', o.mime || 'application/octet-stream');
+  res.setHeader('Content-Length', String(outputSize(o)));
+  if (o.note) res.setHeader('X-Note', o.note);
+  if (!o.path) res.end(o.buffer);
+  else fs.createReadStream(o.path).on('error', err => res.destroy(err)).pipe(res);
+  return sent;
+}
+
+// writeOutputs: same packaging as sendOutputs but into destDir; returns { path, name, mime, size, note, compression, sizing }
+async function writeOutputs(outputs, makeZip, destDir) {
+  const compression = compressionTotals(outputs);
+  const sizing = sizingTotals(outputs);
+  if (makeZip || outputs.length > 1) {
+    const name = `pdftool-${Date.now()}.zip`;
+    const dest = path.join(destDir, name);
     await new Promise((resolve, reject) => {
-      resp.data.pipe(writer);
-      resp.data.on('end', resolve);
-      resp.data.on('error', reject);
+      const out = fs.createWriteStream(dest);
+      const archive = archiver('zip', { zlib: { level: 6 } });
+      out.on('close', resolve);
+      out.on('error', reject);
+      archive.on('error', reject);
+      archive.pipe(out);
+      for (const o of outputs) addToArchive(archive, o);
+      archive.finalize();
     });
-    downloadedPaths.push(tmpOut);
-    console.log('CloudConvert: downloaded to', tmpOut, 'jobId=', jobId);
+    return { path: dest, name, mime: 'application/zip', size: fs.statSync(dest).size, note: null, compression, sizing };
   }
+  const o = outputs[0];
+  const dest = path.join(destDir, path.basename(o.name));
+  if (!o.path) fs.writeFileSync(dest, o.buffer);
+  else try { fs.renameSync(o.path, dest); } catch (e) { fs.copyFileSync(o.path, dest); }
+  return { path: dest, name: o.name, mime: o.mime || 'application/octet-stream', size: outputSize(o), note: o.note || null, compression, sizing };
+}
+
+function cleanupUploads(files) {
+  for (const f of files || []) try { fs.unlinkSync(f.path); } catch (e) {}
+}
+
+// ---------------- Worker pool ----------------
 
-  // Sanity: check downloaded extensions not all same as input ext
+// refuseWhenBusy: 503 with Retry-After before anything is uploaded when the conversion queue is full
+function refuseWhenBusy(req, res, next) {
+  if (!pool.full()) return next();
+  return serverBusy(res, pool.retryAfter());
+}
+
+function serverBusy(res, retryAfter) {
+  res.setHeader('Retry-After', String(retryAfter));
+  return res.status(503).json({ error: 'The server is busy, try again later', code: 'QUEUE_FULL', retryAfter });
+}
+
+// runInPool: a task of lib/convert-worker.js in a worker thread, outputs written to outDir. Resolves
+// the task's result with cloudJobIds as a Set; engine runs are recorded and worker errors revived.
+// A task past WORKER_TASK_TIMEOUT_MS rejects with a 504 UploadError (code TASK_TIMEOUT) naming the
+// file the worker was on: the first one reported 'processing' and not yet 'done', else task.name.
+async function runInPool(task, outDir, { onStart = null, onFileState = null } = {}) {
+  const inProgress = new Set();
+  const onMessage = msg => {
+    if (msg.type === 'file') {
+      if (msg.state === 'processing') inProgress.add(msg.index);
+      else inProgress.delete(msg.index);
+      if (onFileState) onFileState(msg.index, msg.state, msg.extra);
+    } else if (msg.type === 'engine') recordEngineRun(msg.run);
+  };
+  const currentFile = () => {
+    const [index] = inProgress;
+    if (index !== undefined && task.files && task.files[index]) return task.files[index].originalname;
+    return task.name || (task.files && task.files.length === 1 ? task.files[0].originalname : null);
+  };
   try {
-    const inputExt = path.extname(filePath).toLowerCase();
-    const allSameAsInput = downloadedPaths.every(p => path.extname(p).toLowerCase() === inputExt);
-    if (allSameAsInput) {
-      console.error('CloudConvert: downloaded files have same extension as input — conversion likely failed', { jobId, inputExt, downloadedPaths });
-      throw new Error('CloudConvert produced files with same extension as input (jobId=' + jobId + '). See server logs for jobStatus.');
-    }
+    const result = await pool.run(Object.assign({}, task, { outDir, context: logContext() }), { onStart, onMessage });
+    return Object.assign({}, result, { cloudJobIds: new Set(result.cloudJobIds) });
   } catch (e) {
-    console.warn('CloudConvert sanity check triggered:', e && e.message);
+    if (e instanceof QueueFullError) throw e;
+    if (e instanceof TaskTimeoutError) {
+      workerTimeouts.inc({ kind: task.kind || 'convert' });
+      const file = currentFile();
+      throw new UploadError(`${file ? `"${file}"` : 'The request'} took longer than ${Math.round(e.timeoutMs / 1000)} seconds to convert; the conversion was stopped`, { code: e.code, status: 504, file });
+    }
+    throw reviveError(e);
   }
+}
 
-  return { downloadedPaths, jobId, jobStatus };
+// convertInPool: processUploads in a worker thread. Resolves { outputs, cloudJobIds } like
+// processUploads (outputs hold paths instead of buffers); onStart fires when a worker takes the
+// request, onFileState for every per-file progress report.
+async function convertInPool(files, opts, outDir, { onStart = null, onFileState = null } = {}) {
+  let started = null;
+  const start = () => {
+    started = Date.now();
+    if (onStart) onStart();
+  };
+  const seconds = () => (started === null ? null : (Date.now() - started) / 1000);
+  try {
+    const { outputs, cloudJobIds } = await runInPool({ kind: 'convert', files, opts }, outDir, { onStart: start, onFileState });
+    recordConversion(opts, files, seconds(), { outputs });
+    return { outputs, cloudJobIds };
+  } catch (err) {
+    if (!(err instanceof QueueFullError)) recordConversion(opts, files, seconds(), { err });
+    throw err;
+  }
 }
 
-// ---------------- Conversion helpers ----------------
+const makeOutputDir = () => fs.mkdtempSync(path.join(UPLOAD_DIR, 'out_'));
+const removeDir = dir => { try { fs.rmSync(dir, { recursive: true, force: true }); } catch (e) {} };
 
-// // convertImageBufferWithFallback: tries local sharp, or CloudConvert (HEIC forced)
-async function convertImageBufferWithFallback(buffer, outFormat, quality, maxDim, originalName = 'input') {
-  // Force CloudConvert for HEIC by name if available (keeps existing behavior)
-  if (isHeicByName(originalName, null) && CLOUDCONVERT_API_KEY) {
-    console.log('Forcing CloudConvert for HEIC', originalName);
-    const tmpIn = path.join(UPLOAD_DIR, `tmp_in_${Date.now()}${path.extname(originalName) || '.heic'}`);
-    fs.writeFileSync(tmpIn, buffer);
-    try {
-      const { downloadedPaths, jobId } = await cloudConvertFallbackConvert(tmpIn, outFormat, {});
-      const outBuf = fs.readFileSync(downloadedPaths[0]);
-      const outMime = mime.lookup(downloadedPaths[0]) || 'application/octet-stream';
-      for (const p of downloadedPaths) try { fs.unlinkSync(p); } catch (e) {}
-      try { fs.unlinkSync(tmpIn); } catch (e) {}
-      return { buffer: outBuf, mime: outMime, cloudJobId: jobId };
-    } catch (e) {
-      try { fs.unlinkSync(tmpIn); } catch (_) {}
-      throw e;
-    }
+// runJob: background half of job mode; the HTTP request has already been answered with the job id.
+// With a webhookUrl the finished (or failed) job's public view is posted to it.
+async function runJob(jobId, files, opts, uploads = files, webhookUrl = null) {
+  const outDir = makeOutputDir();
+  try {
+    const { outputs, cloudJobIds } = await convertInPool(files, opts, outDir, {
+      onStart: () => jobStore.start(jobId),
+      onFileState: (i, state, extra) => jobStore.setFileState(jobId, i, state, extra)
+    });
+    const job = jobStore.get(jobId);
+    if (!job) return; // expired or removed meanwhile
+    const result = await writeOutputs(outputs, opts.makeZip, jobStore.jobDir(jobId));
+    if (cloudJobIds.size > 0) log.info('CloudConvert jobs used', { cloudJobs: Array.from(cloudJobIds) });
+    recordCloudJobs(job.owner, Array.from(cloudJobIds));
+    jobStore.finish(jobId, result, Array.from(cloudJobIds));
+  } catch (err) {
+    log[isClientError(err) ? 'warn' : 'error']('job failed', { error: err });
+    jobStore.fail(jobId, err);
+  } finally {
+    cleanupUploads(uploads);
+    removeDir(outDir);
   }
+  const job = jobStore.get(jobId);
+  if (job && webhookUrl) notifyWebhook(webhookUrl, job.status === 'done' ? 'job.completed' : 'job.failed', jobStore.publicView(job), jobId);
+}
 
-  // Try local sharp
-  if (sharpAvailable) {
-    try {
-      let img = sharp(buffer, { animated: false }).rotate();
-      try {
-        const meta = await img.metadata().catch(()=>null);
-        if (meta && Math.max(meta.width||0, meta.height||0) > maxDim) img = img.resize({ width: maxDim, height: maxDim, fit: 'inside' });
-      } catch(_) {}
-      const q = clampQuality(quality);
-      const fmt = (outFormat||'jpeg').toLowerCase();
-
-      if (fmt === 'jpeg' || fmt === 'jpg') {
-        const outBuf = await img.flatten({ background: { r:255,g:255,b:255 } }).jpeg({ quality: q, mozjpeg: true }).toBuffer();
-        return { buffer: outBuf, mime: 'image/jpeg' };
-      }
-      if (fmt === 'png') {
-        const outBuf = await img.flatten({ background: { r:255,g:255,b:255 } }).png().toBuffer();
-        return { buffer: outBuf, mime: 'image/png' };
-      }
-      if (fmt === 'webp') {
-        const outBuf = await img.webp({ quality: q }).toBuffer();
-        return { buffer: outBuf, mime: 'image/webp' };
-      }
-      if (fmt === 'avif') {
-        const outBuf = await img.avif({ quality: q }).toBuffer();
-        return { buffer: outBuf, mime: 'image/avif' };
-      }
-      // NEW: support HEIF/HEIC output when sharp/libvips supports it
-      if (fmt === 'heif' || fmt === 'heic') {
-        // heif options: quality mapping; may support lossless/effort, use default
-        const outBuf = await img.flatten({ background: { r:255,g:255,b:255 } }).heif({ quality: q }).toBuffer();
-        // heif mime may be image/heif or image/heic; use image/heif
-        return { buffer: outBuf, mime: 'image/heif' };
-      }
-      if (fmt === 'tiff') {
-        const outBuf = await img.tiff({ quality: q }).toBuffer();
-        return { buffer: outBuf, mime: 'image/tiff' };
-      }
-      if (fmt === 'bmp') {
-        const outBuf = await img.bmp().toBuffer();
-        return { buffer: outBuf, mime: 'image/bmp' };
-      }
-      const fallbackBuf = await img.flatten({ background: { r:255,g:255,b:255 } }).png().toBuffer();
-      return { buffer: fallbackBuf, mime: 'image/png' };
-    } catch (e) {
-      console.warn('Local sharp conversion failed, will try CloudConvert fallback:', e && e.message);
+// storedOptions: job options as persisted in job.json - passwords never reach the disk
+function storedOptions(opts) {
+  return Object.assign({}, opts, {
+    password: undefined,
+    protect: opts.protect ? { permissions: opts.protect.permissions } : null
+  });
+}
+
+// Job mode: answer 202 with the job id right away and convert in the background
+function startJob(req, res) {
+  let opts;
+  try { opts = readConvertOptions(req.body, req.files, req.watermarkImage); } catch (e) {
+    cleanupUploads(requestUploads(req));
+    return res.status(400).json({ error: e.message });
+  }
+  const job = jobStore.create(req.files, storedOptions(opts), req.apiKey ? req.apiKey.name : null);
+  if (req.webhookUrl) jobStore.setWebhook(job.id, { url: redactUrl(req.webhookUrl), status: 'pending' });
+  withContext({ jobId: job.id }, () => runJob(job.id, req.files, opts, requestUploads(req), req.webhookUrl));
+  res.status(202).json({ ok: true, jobId: job.id, statusUrl: `/api/jobs/${job.id}`, resultUrl: `/api/jobs/${job.id}/result`, job: jobStore.publicView(job) });
+}
+
+app.post('/api/convert', refuseWhenBusy, uploadBatch, checkWebhook, fetchRemoteUploads, checkUploads(), chargeUpload(true), async (req, res) => {
+  if (!req.files || req.files.length === 0) {
+    cleanupUploads(requestUploads(req));
+    return res.status(400).json({ error: 'No files uploaded or URLs given' });
+  }
+  if (req.body.async === 'true' || req.body.async === true) return startJob(req, res);
+
+  let opts;
+  try { opts = readConvertOptions(req.body, req.files, req.watermarkImage); } catch (e) {
+    cleanupUploads(requestUploads(req));
+    return res.status(400).json({ error: e.message });
+  }
+
+  const outDir = makeOutputDir();
+  try {
+    const { outputs, cloudJobIds } = await convertInPool(req.files, opts, outDir);
+    cleanupUploads(requestUploads(req));
+
+    if (cloudJobIds.size > 0) {
+      res.setHeader('X-CloudConvert-Jobs', Array.from(cloudJobIds).join(','));
+      log.info('CloudConvert jobs used', { cloudJobs: Array.from(cloudJobIds) });
+      recordCloudJobs(req.apiKey && req.apiKey.name, Array.from(cloudJobIds));
     }
+    const completed = { status: 'done', files: requestSummary(req), outputs: outputs.map(o => ({ name: o.name, mime: o.mime || null, size: outputSize(o) })), cloudJobs: Array.from(cloudJobIds) };
+    await sendOutputs(res, outputs, opts.makeZip);
+    return notifyWebhook(req.webhookUrl, 'convert.completed', completed);
+  } catch (err) {
+    cleanupUploads(requestUploads(req));
+    if (err instanceof QueueFullError) return serverBusy(res, err.retryAfter);
+    notifyWebhook(req.webhookUrl, 'convert.failed', { status: 'error', files: requestSummary(req), error: String(err && err.message ? err.message : err), errorCode: (err && err.code) || null, errorFile: (err && err.file) || null });
+    if (clientError(res, err)) return;
+    log.error('processing error', { error: err });
+    return res.status(500).json({ error: 'Processing error', details: String(err && err.message ? err.message : err) });
+  } finally {
+    removeDir(outDir);
+  }
+});
+
+// ---------------- API: jobs ----------------
+app.post('/api/jobs', refuseWhenBusy, uploadBatch, checkWebhook, fetchRemoteUploads, checkUploads(), chargeUpload(true), (req, res) => {
+  if (!req.files || req.files.length === 0) {
+    cleanupUploads(requestUploads(req));
+    return res.status(400).json({ error: 'No files uploaded or URLs given' });
+  }
+  return startJob(req, res);
+});
+
+// findJob: the job of :id, as long as it was started with the caller's API key
+function findJob(req) {
+  const job = jobStore.get(req.params.id);
+  if (job && apiKeys.enabled && job.owner !== (req.apiKey && req.apiKey.name)) return null;
+  return job;
+}
+
+app.get('/api/jobs/:id', (req, res) => {
+  const job = findJob(req);
+  if (!job) return res.status(404).json({ error: 'Job not found or expired' });
+  return res.json(jobStore.publicView(job));
+});
+
+app.get('/api/jobs/:id/result', (req, res) => {
+  const job = findJob(req);
+  if (!job) return res.status(404).json({ error: 'Job not found or expired' });
+  if (job.status === 'error') return res.status(422).json({ error: 'Job failed', details: job.error, code: job.errorCode || undefined, file: job.errorFile || undefined });
+  if (job.status !== 'done') return res.status(409).json({ error: 'Job not finished', status: job.status, progress: job.progress });
+  const p = jobStore.resultPath(job);
+  if (!p || !fs.existsSync(p)) return res.status(410).json({ error: 'Job result no longer available' });
+  if (job.cloudJobs && job.cloudJobs.length) res.setHeader('X-CloudConvert-Jobs', job.cloudJobs.join(','));
+  if (job.result.note) res.setHeader('X-Note', job.result.note);
+  if (job.result.compression) {
+    res.setHeader('X-Original-Size', String(job.result.compression.originalSize));
+    res.setHeader('X-Compressed-Size', String(job.result.compression.compressedSize));
   }
+  setSizingHeaders(res, job.result.sizing);
+  res.setHeader('Content-Type', job.result.mime || 'application/octet-stream');
+  res.setHeader('Content-Disposition', `attachment; filename="${job.result.name}"`);
+  return fs.createReadStream(p).pipe(res);
+});
 
-  // CloudConvert fallback (unchanged)
-  if (!CLOUDCONVERT_API_KEY) throw new Error('No local sharp and CLOUDCONVERT_API_KEY not configured');
-  const tmpIn = path.join(UPLOAD_DIR, `tmp_${Date.now()}_${Math.random().toString(36).slice(2,8)}${path.extname(originalName) || '.bin'}`);
-  fs.writeFileSync(tmpIn, buffer);
+// Inspection of a finished job's PDF result (e.g. to check what a metadata edit left behind)
+app.get('/api/jobs/:id/metadata', async (req, res) => {
+  const job = findJob(req);
+  if (!job) return res.status(404).json({ error: 'Job not found or expired' });
+  if (job.status !== 'done') return res.status(409).json({ error: 'Job not finished', status: job.status, progress: job.progress });
+  const p = jobStore.resultPath(job);
+  if (!p || !fs.existsSync(p)) return res.status(410).json({ error: 'Job result no longer available' });
+  if (job.result.mime !== 'application/pdf') return res.status(415).json({ error: `Job result "${job.result.name}" is not a PDF` });
   try {
-    const { downloadedPaths, jobId } = await cloudConvertFallbackConvert(tmpIn, outFormat, {});
-    if (!downloadedPaths || downloadedPaths.length === 0) throw new Error('CloudConvert produced no files');
-    const outBuf = fs.readFileSync(downloadedPaths[0]);
-    const outMime = mime.lookup(downloadedPaths[0]) || 'application/octet-stream';
-    for (const p of downloadedPaths) try { fs.unlinkSync(p); } catch (e) {}
-    try { fs.unlinkSync(tmpIn); } catch (e) {}
-    return { buffer: outBuf, mime: outMime, cloudJobId: jobId };
+    return res.json(Object.assign({ ok: true, name: job.result.name }, await describePdf(fs.readFileSync(p), { password: req.query.password || null })));
   } catch (e) {
-    try { fs.unlinkSync(tmpIn); } catch (_) {}
-    throw e;
+    return res.status(422).json({ error: `Cannot read PDF "${job.result.name}"`, details: e.message });
   }
-}
+});
+
+app.delete('/api/jobs/:id', (req, res) => {
+  const job = findJob(req);
+  if (!job) return res.status(404).json({ error: 'Job not found or expired' });
+  jobStore.remove(job.id);
+  return res.json({ ok: true });
+});
+
+// ---------------- API: usage ----------------
+// The caller's API key usage today and in total, with its limits
+app.get('/api/usage', (req, res) => {
+  if (!req.apiKey) return res.json({ ok: true, enabled: false });
+  return res.json(Object.assign({ ok: true, enabled: true }, apiKeys.usageOf(req.apiKey)));
+});
 
-// pdfToImagesBuffersWithFallback returns { bufs, cloudJobId } when using CloudConvert, or { bufs, cloudJobId:null } local
-async function pdfToImagesBuffersWithFallback(pdfBuffer, outFormat, quality, maxDim, originalName = 'input.pdf') {
-  // Try local sharp rasterization first
-  if (sharpAvailable) {
+// ---------------- API: page thumbnails (page editor) ----------------
+// Returns page sizes/rotation plus a small data-URL thumbnail per page. Thumbnails are best effort:
+// without local rasterization or CloudConvert the editor still gets the page list.
+app.post('/api/thumbnails', refuseWhenBusy, upload.single('file'), checkUploads(), chargeUpload(true), async (req, res) => {
+  if (!req.file) return res.status(400).json({ error: 'No file uploaded (field name must be "file")' });
+  const thumbDim = Math.max(64, Math.min(600, parseInt(req.query.size || req.body.size || '200', 10) || 200));
+  const outDir = makeOutputDir();
+  try {
+    if (!isPdfMime(req.file.mimetype, req.file.originalname)) return res.status(400).json({ error: 'Thumbnails need a PDF file' });
+    let inputBuffer;
+    try { inputBuffer = await readPdfUpload(req.file, req.body.password); } catch (e) {
+      return clientError(res, e) || res.status(422).json({ error: `Cannot read PDF "${req.file.originalname}"`, details: e.message });
+    }
+    let pages;
+    try { pages = await describePages(inputBuffer); } catch (e) {
+      return res.status(422).json({ error: `Cannot read PDF "${req.file.originalname}"`, details: e.message });
+    }
+    let thumbnailError = null;
     try {
-      const results = [];
-      let pageCount = 0;
-      try { const doc = await PDFDocument.load(pdfBuffer); pageCount = doc.getPageCount(); } catch (e) { pageCount = 0; }
-      if (pageCount <= 0) {
-        const img = sharp(pdfBuffer, { density: 150 });
-        try {
-          const meta = await img.metadata().catch(()=>({}));
-          if (meta && Math.max(meta.width||0, meta.height||0) > maxDim) img.resize({ width: maxDim, height: maxDim, fit: 'inside' });
-        } catch(_) {}
-        const buf = outFormat === 'png' ? await img.png().toBuffer() : await img.jpeg({ quality: clampQuality(quality) }).toBuffer();
-        results.push(buf);
-        return { bufs: results, cloudJobId: null };
+      const { outputs, cloudJobIds } = await runInPool({ kind: 'thumbnails', buffer: inputBuffer, name: req.file.originalname, maxDim: thumbDim }, outDir);
+      if (cloudJobIds.size > 0) {
+        res.setHeader('X-CloudConvert-Jobs', Array.from(cloudJobIds).join(','));
+        recordCloudJobs(req.apiKey && req.apiKey.name, Array.from(cloudJobIds));
       }
-      for (let i = 0; i < pageCount; i++) {
-        try {
-          const pageImg = sharp(pdfBuffer, { density: 150, page: i });
-          const meta = await pageImg.metadata().catch(()=>({}));
-          if (meta && Math.max(meta.width||0, meta.height||0) > maxDim) pageImg.resize({ width: maxDim, height: maxDim, fit: 'inside' });
-          const buf = outFormat === 'png' ? await pageImg.png().toBuffer() : await pageImg.jpeg({ quality: clampQuality(quality) }).toBuffer();
-          results.push(buf);
-        } catch (e) {
-          console.warn('sharp rasterize page failed at index', i, e && e.message);
-          break;
-        }
-      }
-      if (results.length > 0) return { bufs: results, cloudJobId: null };
+      pages.forEach((p, i) => { p.thumbnail = outputs[i] ? `data:image/jpeg;base64,${fs.readFileSync(outputs[i].path).toString('base64')}` : null; });
     } catch (e) {
-      console.warn('Local PDF rasterization failed:', e && e.message);
+      if (e instanceof QueueFullError) return serverBusy(res, e.retryAfter);
+      log.warn('thumbnail rendering failed', { file: req.file.originalname, error: e && e.message });
+      thumbnailError = e.message;
+      pages.forEach(p => { p.thumbnail = null; });
     }
+    return res.json({ ok: true, pageCount: pages.length, pages, thumbnailError });
+  } finally {
+    try { fs.unlinkSync(req.file.path); } catch (_) {}
+    removeDir(outDir);
   }
+});
 
-  // CloudConvert fallback (force)
-  if (!CLOUDCONVERT_API_KEY) throw new Error('Server cannot rasterize PDF locally and CLOUDCONVERT_API_KEY not configured');
-  const tmpIn = path.join(UPLOAD_DIR, `tmp_pdf_${Date.now()}_${Math.random().toString(36).slice(2,8)}.pdf`);
-  fs.writeFileSync(tmpIn, pdfBuffer);
+// ---------------- API: PDF metadata ----------------
+// Inspection only; edits run as operation=metadata through /api/convert and /api/jobs.
+// Encrypted files without the right password still answer 200 with encryption.passwordError set.
+app.post('/api/metadata', upload.single('file'), checkUploads(), chargeUpload(false), async (req, res) => {
+  if (!req.file) return res.status(400).json({ error: 'No file uploaded (field name must be "file")' });
   try {
-    const { downloadedPaths, jobId } = await cloudConvertFallbackConvert(tmpIn, outFormat === 'png' ? 'png' : 'jpg', {});
-    if (!downloadedPaths || downloadedPaths.length === 0) throw new Error('CloudConvert produced no files for PDF');
-    const bufs = downloadedPaths.map(p => fs.readFileSync(p));
-    for (const p of downloadedPaths) try { fs.unlinkSync(p); } catch (e) {}
-    try { fs.unlinkSync(tmpIn); } catch (e) {}
-    return { bufs, cloudJobId: jobId };
+    if (!isPdfMime(req.file.mimetype, req.file.originalname)) return res.status(400).json({ error: 'Metadata inspection needs a PDF file' });
+    const buffer = fs.readFileSync(req.file.path);
+    // the page limit holds here as for conversions (checkUploads covers the pixel limit of images)
+    try { await uploadChecks.checkPdf(buffer, req.file.originalname); } catch (e) { return clientError(res, e); }
+    const info = await describePdf(buffer, { password: req.body.password || null });
+    return res.json(Object.assign({ ok: true, name: req.file.originalname }, info));
   } catch (e) {
-    try { fs.unlinkSync(tmpIn); } catch (_) {}
-    throw e;
+    return res.status(422).json({ error: `Cannot read PDF "${req.file.originalname}"`, details: e.message });
+  } finally {
+    try { fs.unlinkSync(req.file.path); } catch (_) {}
   }
-}
+});
 
-// imagesToPdf: robust embedding with JPEG then PNG fallback
-async function imagesToPdf(buffers, quality, maxDim) {
-  const pdfDoc = await PDFDocument.create();
-  for (const buf of buffers) {
-    let compressed = buf;
-    try {
-      const conv = await convertImageBufferWithFallback(buf, 'jpeg', quality, maxDim);
-      compressed = conv.buffer || buf;
-    } catch (e) {
-      console.warn('Image conversion for PDF embedding failed, using original buffer:', e && e.message);
-      compressed = buf;
+// ---------------- API: PDF forms ----------------
+// AcroForm fields of a PDF, and filling them: 'values' (JSON object) gives one filled PDF, batch data
+// ('records' as JSON array / CSV text, or a 'data' file) a ZIP with one PDF per record. Optional
+// fields: flatten=true, password for protected templates, nameField (the record value that names each
+// batch file; it is not filled in).
+app.post('/api/forms/fields', upload.single('file'), checkUploads(), chargeUpload(false), async (req, res) => {
+  if (!req.file) return res.status(400).json({ error: 'No file uploaded (field name must be "file")' });
+  try {
+    if (!isPdfMime(req.file.mimetype, req.file.originalname)) return res.status(400).json({ error: 'Form fields need a PDF file' });
+    let input;
+    try { input = await readPdfUpload(req.file, req.body.password); } catch (e) {
+      return clientError(res, e) || res.status(422).json({ error: `Cannot read PDF "${req.file.originalname}"`, details: e.message });
     }
-
-    try {
-      // try embed as jpg
-      try {
-        const img = await pdfDoc.embedJpg(compressed);
-        const page = pdfDoc.addPage([img.width, img.height]);
-        page.drawImage(img, { x: 0, y: 0, width: img.width, height: img.height });
-        continue;
-      } catch (jpgErr) {
-        console.warn('embedJpg failed:', jpgErr && (jpgErr.message || jpgErr));
-      }
-
-      // try PNG re-encode and embed
-      try {
-        let pngBuf;
-        if (sharpAvailable) {
-          try {
-            pngBuf = await sharp(compressed).flatten({ background: { r:255,g:255,b:255 } }).png().toBuffer();
-          } catch (sErr) {
-            console.warn('sharp re-encode to PNG failed:', sErr && sErr.message);
-            pngBuf = null;
-          }
-        }
-        if (!pngBuf) pngBuf = compressed;
-        const imgPng = await pdfDoc.embedPng(pngBuf);
-        const page = pdfDoc.addPage([imgPng.width, imgPng.height]);
-        page.drawImage(imgPng, { x: 0, y: 0, width: imgPng.width, height: imgPng.height });
-        continue;
-      } catch (pngErr) {
-        console.warn('PNG re-encode or embed failed:', pngErr && (pngErr.message || pngErr));
-      }
-
-      // fallback: page with note
-      const p = pdfDoc.addPage([600, 800]);
-      p.drawText('Could not embed image on this page (conversion failed).', { x: 40, y: 760, size: 10 });
-    } catch (err) {
-      console.error('Unexpected embed error:', err && (err.message || err));
-      const p = pdfDoc.addPage([600, 800]);
-      p.drawText('Could not embed image on this page (unexpected).', { x: 40, y: 760, size: 10 });
+    let form;
+    try { form = await describeForm(input); } catch (e) {
+      return res.status(422).json({ error: `Cannot read the form of "${req.file.originalname}"`, details: e.message });
     }
+    return res.json({ ok: true, name: req.file.originalname, fieldCount: form.fields.length, xfa: form.xfa, fields: form.fields });
+  } finally {
+    try { fs.unlinkSync(req.file.path); } catch (_) {}
   }
-  return Buffer.from(await pdfDoc.save());
-}
-
-// ---------------- API: convert (bulk) ----------------
-app.post('/api/convert', upload.array('files', 20), async (req, res) => {
-  if (!req.files || req.files.length === 0) return res.status(400).json({ error: 'No files uploaded' });
+});
 
-  const targetFormat = (req.body.targetFormat || 'pdf').toLowerCase();
-  const quality = clampQuality(req.body.quality || '80');
-  const maxDim = parseInt(req.body.maxDim || String(MAX_DIMENSION), 10) || MAX_DIMENSION;
-  const makeZip = req.body.zip === 'true' || req.body.zip === true || req.files.length > 1;
-  const compressPdf = req.body.compress === 'true' || req.body.compress === true;
+// readFormRecords: [records, batch] from the fill request's 'data' file, 'records' or 'values' field
+function readFormRecords(body, dataFile) {
+  if (dataFile) return [parseFormRecords(fs.readFileSync(dataFile.path, 'utf8'), dataFile.originalname), true];
+  if (body.records) return [parseFormRecords(body.records), true];
+  if (body.values) return [[parseFormValues(body.values)], false];
+  throw new Error('"values" (JSON object), "records" (JSON array or CSV) or a "data" file is required');
+}
 
-  const cloudJobIds = new Set();
+// formOutputName: <nameField value> or <template>_<n> for a batch record, unique within the batch
+function formOutputName(record, i, count, base, nameField, taken) {
+  const wanted = nameField && record[nameField] !== undefined ? String(record[nameField]).replace(/[\\/:*?"<>|\x00-\x1f]+/g, '_').trim() : '';
+  let name = wanted || `${base}_${String(i + 1).padStart(String(count).length, '0')}`;
+  for (let n = 2; taken.has(name.toLowerCase()); n++) name = `${wanted || base}_${n}`;
+  taken.add(name.toLowerCase());
+  return `${name}.pdf`;
+}
 
+app.post('/api/forms/fill', refuseWhenBusy, upload.fields([{ name: 'file', maxCount: 1 }, { name: 'data', maxCount: 1 }]), checkUploads(req => (req.files || {}).file || []), chargeUpload(true), async (req, res) => {
+  const template = ((req.files || {}).file || [])[0] || null;
+  const dataFile = ((req.files || {}).data || [])[0] || null;
+  const uploads = [template, dataFile].filter(Boolean);
+  const outDir = makeOutputDir();
   try {
-    const outputs = [];
-    const onlyImages = req.files.every(f => isImageMime(f.mimetype));
-
-    if (targetFormat === 'pdf' && onlyImages && req.files.length >= 1) {
-      const buffers = req.files.map(f => fs.readFileSync(f.path));
-      const pdf = await imagesToPdf(buffers, quality, maxDim);
-      outputs.push({ name: `${Date.now()}_${uuidv4()}.pdf`, buffer: pdf, mime: 'application/pdf' });
-    } else {
-      for (const f of req.files) {
-        const inputBuffer = fs.readFileSync(f.path);
-        const inMime = f.mimetype || mime.lookup(f.path) || 'application/octet-stream';
-        const base = path.parse(f.originalname).name;
-
-        if (isImageMime(inMime) || isHeicByName(f.originalname, inMime)) {
-          if (targetFormat === 'pdf') {
-            const pdf = await imagesToPdf([inputBuffer], quality, maxDim);
-            outputs.push({ name: `${base}.pdf`, buffer: pdf, mime: 'application/pdf' });
-          } else {
-            try {
-              const conv = await convertImageBufferWithFallback(inputBuffer, targetFormat, quality, maxDim, f.originalname);
-              if (conv.cloudJobId) cloudJobIds.add(conv.cloudJobId);
-              const ext = mime.extension(conv.mime) || targetFormat;
-              outputs.push({ name: `${base}.${ext}`, buffer: conv.buffer, mime: conv.mime });
-            } catch (e) {
-              console.error('Image conversion failed for', f.originalname, e && e.message);
-              outputs.push({ name: `${base}_original${path.extname(f.originalname)}`, buffer: inputBuffer, mime: inMime, note: e.message });
-            }
-          }
-        } else if (isPdfMime(inMime, f.originalname)) {
-          if (targetFormat === 'pdf') {
-            if (!compressPdf) {
-              outputs.push({ name: `${base}.pdf`, buffer: inputBuffer, mime: 'application/pdf' });
-            } else {
-              try {
-                const { bufs, cloudJobId } = await pdfToImagesBuffersWithFallback(inputBuffer, 'jpg', quality, maxDim, f.originalname);
-                if (cloudJobId) cloudJobIds.add(cloudJobId);
-                if (!bufs || bufs.length === 0) throw new Error('Cannot rasterize PDF pages');
-                const rebuilt = await imagesToPdf(bufs, quality, maxDim);
-                outputs.push({ name: `${base}_compressed.pdf`, buffer: rebuilt, mime: 'application/pdf' });
-              } catch (e) {
-                console.error('PDF compress failed for', f.originalname, e && e.message);
-                outputs.push({ name: `${base}_original.pdf`, buffer: inputBuffer, mime: 'application/pdf', note: e.message });
-              }
-            }
-          } else {
-            try {
-              const { bufs, cloudJobId } = await pdfToImagesBuffersWithFallback(inputBuffer, (targetFormat === 'png' ? 'png' : 'jpg'), quality, maxDim, f.originalname);
-              if (cloudJobId) cloudJobIds.add(cloudJobId);
-              if (!bufs || bufs.length === 0) throw new Error('Unable to rasterize PDF pages');
-              for (let i = 0; i < bufs.length; i++) {
-                const ext = (targetFormat === 'png') ? 'png' : 'jpg';
-                outputs.push({ name: `${base}_page${i+1}.${ext}`, buffer: bufs[i], mime: (ext === 'png' ? 'image/png' : 'image/jpeg') });
-              }
-            } catch (e) {
-              console.error('PDF->images failed for', f.originalname, e && e.message);
-              outputs.push({ name: `${base}_original.pdf`, buffer: inputBuffer, mime: 'application/pdf', note: e.message });
-            }
-          }
-        } else {
-          outputs.push({ name: f.originalname, buffer: inputBuffer, mime: inMime, note: 'Unknown input type, returned original.' });
-        }
-      }
+    if (!template) return res.status(400).json({ error: 'No file uploaded (field name must be "file")' });
+    if (!isPdfMime(template.mimetype, template.originalname)) return res.status(400).json({ error: 'Form filling needs a PDF template' });
+    let records;
+    let batch;
+    try { [records, batch] = readFormRecords(req.body, dataFile); } catch (e) {
+      return res.status(400).json({ error: e.message });
     }
-
-    for (const f of req.files) try { fs.unlinkSync(f.path); } catch (e) {}
-
-    if (cloudJobIds.size > 0) {
-      res.setHeader('X-CloudConvert-Jobs', Array.from(cloudJobIds).join(','));
-      console.log('CloudConvert jobs used in this request:', Array.from(cloudJobIds));
+    const flatten = req.body.flatten === 'true' || req.body.flatten === true;
+    const nameField = req.body.nameField ? String(req.body.nameField) : null;
+    let input;
+    try { input = await readPdfUpload(template, req.body.password); } catch (e) {
+      return clientError(res, e) || res.status(422).json({ error: `Cannot read PDF "${template.originalname}"`, details: e.message });
     }
-
-    if (makeZip || outputs.length > 1) {
-      res.setHeader('Content-Type', 'application/zip');
-      res.setHeader('Content-Disposition', `attachment; filename="pdftool-${Date.now()}.zip"`);
-      const archive = archiver('zip', { zlib: { level: 6 } });
-      archive.on('error', err => { throw err; });
-      archive.pipe(res);
-      for (const out of outputs) archive.append(out.buffer, { name: out.name });
-      await archive.finalize();
-      return;
-    } else {
-      const o = outputs[0];
-      res.setHeader('Content-Disposition', `attachment; filename="${o.name}"`);
-      res.setHeader('Content-Type', o.mime || 'application/octet-stream');
-      if (o.note) res.setHeader('X-Note', o.note);
-      return res.send(o.buffer);
+    let filled;
+    try { filled = await runInPool({ kind: 'fillForm', buffer: input, name: template.originalname, records, flatten, nameField }, outDir); } catch (e) {
+      if (e instanceof QueueFullError) return serverBusy(res, e.retryAfter);
+      if (clientError(res, e)) return;
+      if (!(e instanceof FormFieldError)) throw e;
+      const where = batch ? ` (record ${e.record})` : '';
+      return res.status(422).json({ error: `"${template.originalname}"${where}: ${e.message}`, code: e.code, file: template.originalname, field: e.field, record: batch ? e.record : undefined });
     }
+    const base = path.parse(template.originalname).name;
+    const taken = new Set();
+    const outputs = filled.outputs.map((o, i) => Object.assign({}, o, { name: batch ? formOutputName(records[i], i, records.length, base, nameField, taken) : `${base}_filled.pdf` }));
+    return await sendOutputs(res, outputs, batch);
   } catch (err) {
-    console.error('Processing error:', err && (err.stack || err.message || err));
-    try { if (req.files) for (const f of req.files) try { fs.unlinkSync(f.path); } catch(e) {} } catch(e){}
+    log.error('form filling error', { error: err });
     return res.status(500).json({ error: 'Processing error', details: String(err && err.message ? err.message : err) });
+  } finally {
+    cleanupUploads(uploads);
+    removeDir(outDir);
+  }
+});
+
+// ---------------- API: image metadata ----------------
+// Parsed EXIF of an uploaded image plus which other metadata blocks it carries. sharp reads every
+// format it decodes; without it only JPEG, PNG, WebP and TIFF are walked.
+app.post('/api/exif', upload.single('file'), checkUploads(), chargeUpload(false), async (req, res) => {
+  if (!req.file) return res.status(400).json({ error: 'No file uploaded (field name must be "file")' });
+  try {
+    if (!isImageMime(req.file.mimetype) && !isHeicByName(req.file.originalname, req.file.mimetype)) return res.status(400).json({ error: 'EXIF inspection needs an image file' });
+    const buffer = fs.readFileSync(req.file.path);
+    const info = { ok: true, name: req.file.originalname, format: null, width: null, height: null, orientation: null, icc: false, xmp: false, iptc: false, exif: null };
+    let exifBlock = null;
+    if (sharpAvailable) {
+      let meta;
+      try { meta = await sharp(buffer).metadata(); } catch (e) {
+        return res.status(422).json({ error: `Cannot read image "${req.file.originalname}"`, details: e.message });
+      }
+      Object.assign(info, { format: meta.format, width: meta.width, height: meta.height, orientation: meta.orientation || null, icc: !!meta.icc, xmp: !!meta.xmp, iptc: !!meta.iptc });
+      exifBlock = meta.exif || null;
+    } else {
+      const block = findExifBlock(buffer);
+      if (!block.container) return res.status(422).json({ error: `Cannot read metadata of "${req.file.originalname}" without sharp` });
+      info.format = block.container;
+      if (block.start >= 0) exifBlock = buffer.slice(block.start, block.end);
+    }
+    if (exifBlock) {
+      try { info.exif = parseExif(exifBlock); } catch (e) { info.exifError = e.message; }
+    }
+    return res.json(info);
+  } finally {
+    try { fs.unlinkSync(req.file.path); } catch (_) {}
   }
 });
 
 // ----- Diagnostics & test endpoints -----
-app.get('/sharp-info', async (req, res) => {
+app.get('/sharp-info', diagnosticsOnly, requireApiKey, async (req, res) => {
   try {
     let info = { sharpInstalled: false };
     try {
@@ -549,64 +966,51 @@ app.get('/sharp-info', async (req, res) => {
 });
 
 // test-convert: single file quick test (field 'file', optional 'out')
-app.post('/test-convert', upload.single('file'), async (req, res) => {
+app.post('/test-convert', diagnosticsOnly, requireApiKey, refuseWhenBusy, upload.single('file'), checkUploads(), chargeUpload(true), async (req, res) => {
   if (!req.file) return res.status(400).json({ ok:false, error: 'No file uploaded (field name must be \"file\")' });
   const outFormat = (req.body.out || 'jpeg').toLowerCase();
   const quality = clampQuality(req.body.quality || '80');
-  const maxDim = parseInt(req.body.maxDim || String(MAX_DIMENSION), 10) || MAX_DIMENSION;
+  const maxDim = parseInt(req.body.maxDim || '0', 10) || converterConfig.maxDimension;
 
   const filePath = req.file.path;
   const originalName = req.file.originalname;
   const inputBuffer = fs.readFileSync(filePath);
-  let usedCloudJobs = [];
+  const outDir = makeOutputDir();
 
   try {
-    // image -> pdf
-    if (outFormat === 'pdf' && isImageMime(req.file.mimetype)) {
-      const pdfBuf = await imagesToPdf([inputBuffer], quality, maxDim);
-      res.setHeader('Content-Disposition', `attachment; filename="${path.parse(originalName).name}_test.pdf"`);
-      res.setHeader('Content-Type', 'application/pdf');
-      return res.send(pdfBuf);
-    }
-
-    // pdf -> image(s)
-    if (isPdfMime(req.file.mimetype, originalName) && outFormat !== 'pdf') {
-      const r = await pdfToImagesBuffersWithFallback(inputBuffer, (outFormat === 'png' ? 'png' : 'jpg'), quality, maxDim, originalName);
-      const bufs = r && r.bufs ? r.bufs : (Array.isArray(r) ? r : null);
-      const cloudJobId = r && r.cloudJobId ? r.cloudJobId : null;
-      if (cloudJobId) usedCloudJobs.push(cloudJobId);
-      if (!bufs || bufs.length === 0) throw new Error('No image pages produced');
-      res.setHeader('X-Test-Pages', String(bufs.length));
-      if (usedCloudJobs.length) res.setHeader('X-CloudConvert-Jobs', usedCloudJobs.join(','));
-      res.setHeader('Content-Disposition', `attachment; filename="${path.parse(originalName).name}_page1.${outFormat === 'png' ? 'png' : 'jpg'}"`);
-      res.setHeader('Content-Type', outFormat === 'png' ? 'image/png' : 'image/jpeg');
-      return res.send(bufs[0]);
-    }
+    let mode = null;
+    if (outFormat === 'pdf' && isImageMime(req.file.mimetype)) mode = 'imagesToPdf'; // image -> pdf
+    else if (isPdfMime(req.file.mimetype, originalName) && outFormat !== 'pdf') mode = 'pdfToImage'; // pdf -> image(s)
+    else if (isImageMime(req.file.mimetype) || isHeicByName(originalName, req.file.mimetype)) mode = 'image'; // image -> image
 
-    // image -> image
-    if (isImageMime(req.file.mimetype) || isHeicByName(originalName, req.file.mimetype)) {
-      const conv = await convertImageBufferWithFallback(inputBuffer, outFormat, quality, maxDim, originalName);
-      if (conv && conv.cloudJobId) usedCloudJobs.push(conv.cloudJobId);
-      if (usedCloudJobs.length) res.setHeader('X-CloudConvert-Jobs', usedCloudJobs.join(','));
-      res.setHeader('Content-Disposition', `attachment; filename="${path.parse(originalName).name}_test.${outFormat === 'jpg' ? 'jpg' : outFormat}"`);
-      res.setHeader('Content-Type', conv.mime || mime.lookup(outFormat) || 'application/octet-stream');
-      return res.send(conv.buffer);
+    // fallback
+    if (!mode) {
+      res.setHeader('Content-Disposition', `attachment; filename="${originalName}"`);
+      return res.send(inputBuffer);
     }
 
-    // fallback
-    res.setHeader('Content-Disposition', `attachment; filename="${originalName}"`);
-    return res.send(inputBuffer);
+    const r = await runInPool({ kind: 'testConvert', mode, buffer: inputBuffer, name: originalName, outFormat, quality, maxDim }, outDir);
+    const usedCloudJobs = Array.from(r.cloudJobIds);
+    if (r.pages) res.setHeader('X-Test-Pages', String(r.pages));
+    if (usedCloudJobs.length) res.setHeader('X-CloudConvert-Jobs', usedCloudJobs.join(','));
+    recordCloudJobs(req.apiKey && req.apiKey.name, usedCloudJobs);
+    const o = r.outputs[0];
+    res.setHeader('Content-Disposition', `attachment; filename="${o.name}"`);
+    res.setHeader('Content-Type', o.mime || mime.lookup(outFormat) || 'application/octet-stream');
+    return res.send(fs.readFileSync(o.path));
   } catch (e) {
-    console.error('test-convert error:', e && (e.stack || e.message || e));
-    try { fs.unlinkSync(filePath); } catch (_) {}
+    if (e instanceof QueueFullError) return serverBusy(res, e.retryAfter);
+    if (clientError(res, e)) return;
+    log.error('test-convert error', { error: e });
     return res.status(500).json({ ok:false, error: String(e.message || e) });
   } finally {
     try { fs.unlinkSync(filePath); } catch (_) {}
+    removeDir(outDir);
   }
 });
 
 // Start server
 const PORT = process.env.PORT || 3000;
 app.listen(PORT, () => {
-  console.log(`pdftool-cloudconvert-final server listening on port ${PORT}`);
+  log.info('pdftool-cloudconvert-final server listening', { port: Number(PORT) });
 });
\ No newline at end of file
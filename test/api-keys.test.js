@@ -0,0 +1,92 @@
+// test/api-keys.test.js - key lookup, rate limits and daily quotas (lib/api-keys.js)
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createApiKeys, parseBytes, parseRate } = require('../lib/api-keys');
+
+function keyFile(t, entries) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'api-keys-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, 'keys.json');
+  fs.writeFileSync(file, JSON.stringify(entries));
+  return file;
+}
+
+test('parseBytes and parseRate read units and treat empty or 0 as no limit', () => {
+  assert.equal(parseBytes('500MB', 'x'), 500 * 1024 * 1024);
+  assert.equal(parseBytes('1.5 kb', 'x'), 1536);
+  assert.equal(parseBytes('0', 'x'), null);
+  assert.throws(() => parseBytes('5 TB', 'dailyBytes'), /Invalid dailyBytes "5 TB"/);
+  assert.deepEqual(parseRate('120', 'x'), { requests: 120, perSeconds: 60 });
+  assert.deepEqual(parseRate('5/1', 'x'), { requests: 5, perSeconds: 1 });
+  assert.equal(parseRate('', 'x'), null);
+  assert.throws(() => parseRate('fast', 'rateLimit'), /Invalid rateLimit/);
+});
+
+test('keys authenticate by value or sha256 digest and pick up the default limits', t => {
+  const digest = crypto.createHash('sha256').update('hashed-key').digest('hex');
+  const keys = createApiKeys({
+    file: keyFile(t, [{ name: 'hashed', sha256: digest, dailyJobs: 3 }]),
+    list: 'ops:plain-key',
+    defaults: { rateLimit: '10/60', dailyJobs: 50 }
+  });
+  assert.equal(keys.enabled, true);
+  assert.equal(keys.authenticate('nope'), null);
+  assert.equal(keys.authenticate(''), null);
+  const hashed = keys.authenticate('hashed-key');
+  assert.equal(hashed.name, 'hashed');
+  assert.equal(hashed.limits.dailyJobs, 3);
+  assert.deepEqual(hashed.limits.rateLimit, { requests: 10, perSeconds: 60 });
+  assert.equal(keys.authenticate('plain-key').limits.dailyJobs, 50);
+});
+
+test('no keys leaves the API open; only disabled keys refuse every key', t => {
+  assert.equal(createApiKeys().enabled, false);
+  const keys = createApiKeys({ file: keyFile(t, [{ name: 'off', key: 'k1', disabled: true }]) });
+  assert.equal(keys.enabled, true);
+  assert.equal(keys.authenticate('k1'), null);
+  assert.deepEqual(keys.info(), { enabled: true, keys: 0, disabled: 1, usageFile: null });
+});
+
+test('invalid key entries are refused', t => {
+  assert.throws(() => createApiKeys({ list: 'a:1,a:2' }), /Duplicate API key name "a"/);
+  assert.throws(() => createApiKeys({ file: keyFile(t, [{ key: 'k' }]) }), /needs a "name"/);
+  assert.throws(() => createApiKeys({ file: keyFile(t, [{ name: 'n', sha256: 'abc' }]) }), /needs a "key" or a "sha256" digest/);
+  assert.throws(() => createApiKeys({ file: keyFile(t, { keys: 1 }) }), /must hold an array/);
+});
+
+test('takeRequest refuses once the bucket is empty and tells when to retry', () => {
+  const keys = createApiKeys({ list: 'ci:k', defaults: { rateLimit: '2/60' } });
+  const key = keys.authenticate('k');
+  assert.deepEqual(keys.takeRequest(key), { ok: true, limit: 2, remaining: 1, retryAfter: 0 });
+  assert.equal(keys.takeRequest(key).ok, true);
+  const refused = keys.takeRequest(key);
+  assert.equal(refused.ok, false);
+  assert.equal(refused.remaining, 0);
+  assert.ok(refused.retryAfter > 0 && refused.retryAfter <= 30);
+  assert.equal(keys.usageOf(key).today.requests, 3);
+});
+
+test('overQuota reports the first daily limit a request would pass', () => {
+  const keys = createApiKeys({ list: 'ci:k', defaults: { dailyBytes: '1KB', dailyJobs: 2, dailyCloudConvertJobs: 1 } });
+  const key = keys.authenticate('k');
+  assert.equal(keys.overQuota(key, { bytesIn: 1024, jobs: 1 }), null);
+  assert.equal(keys.overQuota(key, { bytesIn: 1025, jobs: 1 }).quota, 'dailyBytes');
+
+  keys.charge('ci', { bytesIn: 1000, jobs: 2 });
+  const over = keys.overQuota(key, { jobs: 1 });
+  assert.equal(over.quota, 'dailyJobs');
+  assert.equal(over.used, 2);
+  assert.ok(over.retryAfter > 0 && over.retryAfter <= 24 * 3600);
+
+  const cc = createApiKeys({ list: 'ci:k', defaults: { dailyCloudConvertJobs: 1 } });
+  const ccKey = cc.authenticate('k');
+  cc.charge('ci', { jobs: 1, cloudConvertJobs: 1 });
+  assert.equal(cc.overQuota(ccKey, { jobs: 1 }).quota, 'dailyCloudConvertJobs');
+  assert.equal(cc.overQuota(ccKey, { bytesIn: 10 }), null);
+  assert.deepEqual(cc.usageOf(ccKey).total, { requests: 0, jobs: 1, bytesIn: 0, cloudConvertJobs: 1 });
+});
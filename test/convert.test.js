@@ -0,0 +1,31 @@
+// test/convert.test.js - images to PDF through the converter (lib/convert.js)
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const os = require('os');
+const sharp = require('sharp');
+const { PDFDocument } = require('pdf-lib');
+const { UploadError } = require('../lib/upload-check');
+const { createConverter, converterConfigFromEnv } = require('../lib/convert');
+
+const converter = createConverter(converterConfigFromEnv({}, os.tmpdir()));
+
+const image = (format, width, height) => sharp({ create: { width, height, channels: 3, background: '#08f' } })[format]().toBuffer();
+
+test('imagesToPdf makes one page per image at the image size', async () => {
+  const pdf = await converter.imagesToPdf([await image('png', 40, 20), await image('jpeg', 10, 30)], 80, 2480, { names: ['a.png', 'b.jpg'] });
+  const doc = await PDFDocument.load(pdf);
+  assert.deepEqual(doc.getPages().map(p => [p.getWidth(), p.getHeight()]), [[40, 20], [10, 30]]);
+});
+
+test('a truncated image is refused with MALFORMED_IMAGE naming it', async () => {
+  for (const [name, bytes] of [['cut.png', (await image('png', 300, 300)).subarray(0, 300)], ['cut.jpg', (await image('jpeg', 300, 300)).subarray(0, 600)]]) {
+    await assert.rejects(converter.imagesToPdf([await image('png', 4, 4), bytes], 80, 2480, { names: ['fine.png', name] }), err => {
+      assert.ok(err instanceof UploadError);
+      assert.equal(err.code, 'MALFORMED_IMAGE');
+      assert.equal(err.status, 422);
+      assert.equal(err.file, name);
+      return true;
+    });
+  }
+});
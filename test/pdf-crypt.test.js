@@ -0,0 +1,63 @@
+// test/pdf-crypt.test.js - password protection round trip (lib/pdf-crypt.js)
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { PDFDocument, StandardFonts } = require('pdf-lib');
+const { PdfPasswordError, isEncryptedPdf, describeEncryption, decryptPdf, encryptPdf, parsePermissions } = require('../lib/pdf-crypt');
+
+async function samplePdf() {
+  const doc = await PDFDocument.create();
+  const font = await doc.embedFont(StandardFonts.Helvetica);
+  doc.addPage([300, 400]).drawText('first page', { x: 20, y: 350, font, size: 12 });
+  doc.addPage([500, 400]);
+  doc.setTitle('Round trip');
+  return Buffer.from(await doc.save());
+}
+
+const code = expected => err => err instanceof PdfPasswordError && err.code === expected;
+
+test('encryptPdf output opens again with the user and the owner password', async () => {
+  const plain = await samplePdf();
+  const locked = await encryptPdf(plain, { userPassword: 'user-pw', ownerPassword: 'owner-pw', permissions: ['print'] });
+  assert.equal(await isEncryptedPdf(plain), false);
+  assert.equal(await isEncryptedPdf(locked), true);
+
+  for (const password of ['user-pw', 'owner-pw']) {
+    const { buffer, encrypted } = await decryptPdf(locked, password);
+    assert.equal(encrypted, true);
+    assert.equal(await isEncryptedPdf(buffer), false);
+    const doc = await PDFDocument.load(buffer);
+    assert.deepEqual(doc.getPages().map(p => p.getSize().width), [300, 500]);
+    assert.equal(doc.getTitle(), 'Round trip');
+  }
+});
+
+test('encrypted files report their algorithm and permissions', async () => {
+  const locked = await encryptPdf(await samplePdf(), { userPassword: 'u', ownerPassword: 'o', permissions: ['print', 'copy'] });
+  const info = await describeEncryption(locked);
+  assert.equal(info.algorithm, 'AES-256');
+  assert.deepEqual(info.permissions.sort(), ['copy', 'print']);
+});
+
+test('decryptPdf asks for a password and refuses a wrong one', async () => {
+  const locked = await encryptPdf(await samplePdf(), { userPassword: 'secret', ownerPassword: 'owner' });
+  await assert.rejects(decryptPdf(locked), code('PASSWORD_REQUIRED'));
+  await assert.rejects(decryptPdf(locked, 'nope'), code('WRONG_PASSWORD'));
+});
+
+test('an empty user password opens without one, and plain PDFs come back unchanged', async () => {
+  const plain = await samplePdf();
+  const ownerOnly = await encryptPdf(plain, { ownerPassword: 'owner' });
+  assert.equal((await decryptPdf(ownerOnly)).encrypted, true);
+  const same = await decryptPdf(plain, 'ignored');
+  assert.equal(same.encrypted, false);
+  assert.equal(same.buffer, plain);
+});
+
+test('parsePermissions reads lists, all and none, and refuses unknown names', () => {
+  assert.deepEqual(parsePermissions('print, copy'), ['print', 'copy']);
+  assert.deepEqual(parsePermissions('["modify"]'), ['modify']);
+  assert.deepEqual(parsePermissions('none'), []);
+  assert.equal(parsePermissions('all').length, parsePermissions('').length);
+  assert.throws(() => parsePermissions('print,teleport'), /Unknown permission "teleport"/);
+});
@@ -0,0 +1,96 @@
+// test/pdf-ops.test.js - page ranges, splitting and page manifests (lib/pdf-ops.js)
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { PDFDocument } = require('pdf-lib');
+const { PageRangeError, parsePageRanges, resolvePageRanges, splitPdf, parsePageManifest, editPages } = require('../lib/pdf-ops');
+
+async function pdfWithPages(n) {
+  const doc = await PDFDocument.create();
+  for (let i = 0; i < n; i++) doc.addPage([200 + i, 300]);
+  return Buffer.from(await doc.save());
+}
+
+const widths = async buffer => (await PDFDocument.load(buffer)).getPages().map(p => p.getSize().width);
+
+test('parsePageRanges reads single pages, closed, open and leading ranges', () => {
+  assert.deepEqual(parsePageRanges('1-3, 5,8-,-2'), [
+    { start: 1, end: 3 },
+    { start: 5, end: 5 },
+    { start: 8, end: null },
+    { start: 1, end: 2 }
+  ]);
+});
+
+test('parsePageRanges refuses bad syntax, page 0 and empty input', () => {
+  assert.throws(() => parsePageRanges('1-2-3'), /Invalid page range "1-2-3"/);
+  assert.throws(() => parsePageRanges('a'), /Invalid page range/);
+  assert.throws(() => parsePageRanges('0-2'), /pages start at 1/);
+  assert.throws(() => parsePageRanges(' , '), /Empty page range/);
+});
+
+test('resolvePageRanges gives 0-based groups and keeps descending ranges in order', () => {
+  assert.deepEqual(resolvePageRanges(parsePageRanges('2-3,5-4,6-'), 7), [[1, 2], [4, 3], [5, 6]]);
+});
+
+test('resolvePageRanges throws PageRangeError for pages past the end', () => {
+  assert.throws(() => resolvePageRanges(parsePageRanges('9-3'), 5), err => {
+    assert.ok(err instanceof PageRangeError);
+    assert.equal(err.code, 'PAGE_OUT_OF_RANGE');
+    assert.equal(err.page, 9);
+    assert.equal(err.pageCount, 5);
+    return true;
+  });
+  assert.throws(() => resolvePageRanges(parsePageRanges('4-6'), 5), PageRangeError);
+});
+
+test('splitPdf extracts the selected pages into one PDF', async () => {
+  const parts = await splitPdf(await pdfWithPages(5), { pages: '4,2' });
+  assert.equal(parts.length, 1);
+  assert.equal(parts[0].label, 'pages_4,2');
+  assert.deepEqual(await widths(parts[0].buffer), [203, 201]);
+});
+
+test('splitPdf makes one PDF per range and chunks of "every" pages', async () => {
+  const input = await pdfWithPages(5);
+  const ranges = await splitPdf(input, { pages: '1-2,5', mode: 'ranges' });
+  assert.deepEqual(ranges.map(p => p.label), ['pages_1-2', 'pages_5']);
+  const every = await splitPdf(input, { mode: 'every', every: 2 });
+  assert.deepEqual(every.map(p => p.label), ['part1_pages_1-2', 'part2_pages_3-4', 'part3_pages_5']);
+  assert.deepEqual(await widths(every[2].buffer), [204]);
+});
+
+test('splitPdf rejects a range outside the document', async () => {
+  await assert.rejects(splitPdf(await pdfWithPages(5), { pages: '9-3' }), PageRangeError);
+});
+
+test('parsePageManifest keeps order and duplicates, drops deleted pages and normalizes rotation', () => {
+  assert.deepEqual(parsePageManifest('[{"page":3,"rotate":-90},2,{"page":1,"delete":true},{"page":3}]'), [
+    { page: 3, rotate: 270 },
+    { page: 2, rotate: 0 },
+    { page: 3, rotate: 0 }
+  ]);
+});
+
+test('parsePageManifest refuses invalid manifests', () => {
+  assert.throws(() => parsePageManifest('{'), /not valid JSON/);
+  assert.throws(() => parsePageManifest({ page: 1 }), /must be an array/);
+  assert.throws(() => parsePageManifest([{ page: 0 }]), /Invalid page number/);
+  assert.throws(() => parsePageManifest([{ page: 1, rotate: 45 }]), /multiple of 90/);
+  assert.throws(() => parsePageManifest([{ page: 1, delete: true }]), /removes every page/);
+});
+
+test('editPages reorders, duplicates and rotates pages', async () => {
+  const out = await PDFDocument.load(await editPages(await pdfWithPages(3), [{ page: 3, rotate: 90 }, 1, 3]));
+  assert.deepEqual(out.getPages().map(p => p.getSize().width), [202, 200, 202]);
+  assert.deepEqual(out.getPages().map(p => p.getRotation().angle), [90, 0, 0]);
+});
+
+test('editPages throws PageRangeError naming a page past the end', async () => {
+  await assert.rejects(editPages(await pdfWithPages(3), [1, 7]), err => {
+    assert.ok(err instanceof PageRangeError);
+    assert.equal(err.page, 7);
+    assert.match(err.message, /page 7 but the document has 3 pages/);
+    return true;
+  });
+});
@@ -0,0 +1,39 @@
+// test/pdf-stamp.test.js - watermarks and their options (lib/pdf-stamp.js)
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const zlib = require('zlib');
+const { PDFDocument, PDFRawStream } = require('pdf-lib');
+const { parseWatermarkOptions, watermarkPdf } = require('../lib/pdf-stamp');
+
+async function pdfWithPages(n) {
+  const doc = await PDFDocument.create();
+  for (let i = 0; i < n; i++) doc.addPage([300, 400]);
+  return Buffer.from(await doc.save());
+}
+
+// pageText: the hex strings shown by the content streams of a page
+function pageText(doc, index) {
+  const contents = doc.getPage(index).node.Contents();
+  if (!contents) return [];
+  const streams = contents instanceof PDFRawStream ? [contents] : contents.asArray().map(ref => doc.context.lookup(ref));
+  const ops = streams.map(s => zlib.inflateSync(Buffer.from(s.contents)).toString('latin1')).join('\n');
+  return Array.from(ops.matchAll(/<([0-9A-F]+)> Tj/gi), m => Buffer.from(m[1], 'hex').toString('latin1'));
+}
+
+test('parseWatermarkOptions applies defaults and refuses bad values', () => {
+  assert.equal(parseWatermarkOptions({}, false), null);
+  const wm = parseWatermarkOptions({ watermarkText: 'DRAFT', watermarkPages: '2-' }, false);
+  assert.equal(wm.text, 'DRAFT');
+  assert.equal(wm.position, 'center');
+  assert.equal(wm.pages, '2-');
+  assert.throws(() => parseWatermarkOptions({ watermarkText: 'x', watermarkOpacity: '2' }, false), /between 0 and 1/);
+  assert.throws(() => parseWatermarkOptions({ watermarkText: 'x', watermarkColor: 'red' }, false), /Invalid color/);
+});
+
+test('watermark text the standard fonts cannot draw is stamped with "?" in its place', async () => {
+  const wm = parseWatermarkOptions({ watermarkText: '日本 draft €', watermarkPages: '2' }, false);
+  const out = await PDFDocument.load(await watermarkPdf(await pdfWithPages(3), wm));
+  assert.deepEqual(pageText(out, 0), []);
+  assert.deepEqual(pageText(out, 1), ['?? draft \x80']);
+});
@@ -0,0 +1,96 @@
+// test/remote-fetch.test.js - the host guard and URL downloads (lib/remote-fetch.js)
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const dns = require('dns');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { UploadError } = require('../lib/upload-check');
+const { createHostGuard, createRemoteFetcher, parseUrlList } = require('../lib/remote-fetch');
+
+const refused = code => err => err instanceof UploadError && err.code === code;
+
+// lookups: answers DNS lookups from a table of name -> addresses for the length of a test
+function lookups(t, table) {
+  t.mock.method(dns.promises, 'lookup', async host => {
+    if (!table[host]) throw Object.assign(new Error(`getaddrinfo ENOTFOUND ${host}`), { code: 'ENOTFOUND' });
+    return table[host].map(address => ({ address, family: address.includes(':') ? 6 : 4 }));
+  });
+}
+
+test('parseUrlList reads JSON arrays and separated lists', () => {
+  assert.deepEqual(parseUrlList(''), []);
+  assert.deepEqual(parseUrlList('["http://a/1", " http://b/2 "]'), ['http://a/1', 'http://b/2']);
+  assert.deepEqual(parseUrlList('http://a/1,http://b/2\nhttp://c/3  http://d/4'), ['http://a/1', 'http://b/2', 'http://c/3', 'http://d/4']);
+  assert.deepEqual(parseUrlList(['http://a/1']), ['http://a/1']);
+  assert.throws(() => parseUrlList('[1,'), SyntaxError);
+});
+
+test('an empty host list allows nothing', async () => {
+  const guard = createHostGuard('');
+  assert.equal(guard.enabled, false);
+  await assert.rejects(guard.resolve(new URL('http://127.0.0.1/x')), err => refused('HOST_NOT_ALLOWED')(err) && err.status === 403);
+});
+
+test('IP addresses and CIDR ranges are matched without DNS', async () => {
+  const guard = createHostGuard('10.20.0.0/16, 192.0.2.7, fd00::/8');
+  assert.deepEqual(await guard.resolve(new URL('http://10.20.3.4/a')), { address: '10.20.3.4', family: 4 });
+  assert.deepEqual(await guard.resolve(new URL('http://192.0.2.7:8080/a')), { address: '192.0.2.7', family: 4 });
+  assert.deepEqual(await guard.resolve(new URL('http://[fd00::1]/a')), { address: 'fd00::1', family: 6 });
+  await assert.rejects(guard.resolve(new URL('http://10.21.0.1/a')), refused('HOST_NOT_ALLOWED'));
+  await assert.rejects(guard.resolve(new URL('http://192.0.2.8/a')), refused('HOST_NOT_ALLOWED'));
+  await assert.rejects(guard.resolve(new URL('http://files.example/a')), refused('HOST_NOT_ALLOWED'));
+});
+
+test('names and *.domain wildcards match case-insensitively, and the query string stays out of errors', async t => {
+  lookups(t, { 'files.internal': ['10.0.0.5'], 'a.corp.example': ['10.1.0.9'], 'deep.b.corp.example': ['10.1.0.10'] });
+  const guard = createHostGuard('Files.Internal,*.corp.example');
+  assert.deepEqual(await guard.resolve(new URL('http://FILES.internal/x')), { address: '10.0.0.5', family: 4 });
+  assert.equal((await guard.resolve(new URL('https://a.corp.example/x'))).address, '10.1.0.9');
+  assert.equal((await guard.resolve(new URL('https://deep.b.corp.example/x'))).address, '10.1.0.10');
+  await assert.rejects(guard.resolve(new URL('http://corp.example/x')), refused('HOST_NOT_ALLOWED'));
+  await assert.rejects(guard.resolve(new URL('http://evilcorp.example/x')), refused('HOST_NOT_ALLOWED'));
+  await assert.rejects(guard.resolve(new URL('http://other.internal/x?token=secret')), err => refused('HOST_NOT_ALLOWED')(err) && !err.file.includes('secret'));
+});
+
+test('a listed name resolving to a link-local, unspecified or multicast address is refused', async t => {
+  lookups(t, { 'meta.example': ['169.254.169.254'], 'zero.example': ['0.0.0.0'], 'v6.example': ['fe80::1'], 'mixed.example': ['10.0.0.1', '169.254.1.1'] });
+  const guard = createHostGuard('meta.example,zero.example,v6.example,mixed.example');
+  for (const host of ['meta.example', 'zero.example', 'v6.example', 'mixed.example']) {
+    await assert.rejects(guard.resolve(new URL(`http://${host}/`)), refused('HOST_NOT_ALLOWED'), host);
+  }
+  // listing the address itself lets it through
+  assert.equal((await createHostGuard('169.254.169.254').resolve(new URL('http://169.254.169.254/'))).address, '169.254.169.254');
+  await assert.rejects(createHostGuard('nowhere.example').resolve(new URL('http://nowhere.example/')), err => refused('REMOTE_FETCH_FAILED')(err) && err.status === 502);
+});
+
+test('fetchToFile downloads from a listed host and refuses redirects and sizes past the limits', async t => {
+  const server = http.createServer((req, res) => {
+    if (req.url === '/report.pdf') return res.end('%PDF-1.7 test');
+    if (req.url === '/away') { res.writeHead(302, { location: 'http://192.0.2.1/file' }); return res.end(); }
+    if (req.url === '/big') return res.end(Buffer.alloc(2048));
+    res.writeHead(404);
+    res.end();
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'remote-fetch-'));
+  t.after(() => {
+    server.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+  const base = `http://127.0.0.1:${server.address().port}`;
+  const fetcher = createRemoteFetcher({ hosts: '127.0.0.1', timeoutMs: 5000, maxBytes: 1024 });
+
+  const file = await fetcher.fetchToFile(`${base}/report.pdf`, dir);
+  assert.equal(file.originalname, 'report.pdf');
+  assert.equal(fs.readFileSync(file.path, 'utf8'), '%PDF-1.7 test');
+  assert.equal(file.sourceUrl, `${base}/report.pdf`);
+
+  await assert.rejects(fetcher.fetchToFile(`${base}/away`, dir), refused('HOST_NOT_ALLOWED'));
+  await assert.rejects(fetcher.fetchToFile(`${base}/big`, dir), err => refused('REMOTE_TOO_LARGE')(err) && err.status === 413);
+  await assert.rejects(fetcher.fetchToFile(`${base}/missing`, dir), err => refused('REMOTE_FETCH_FAILED')(err) && /HTTP 404/.test(err.message));
+  await assert.rejects(fetcher.fetchToFile('not a url', dir), refused('INVALID_URL'));
+  assert.deepEqual(fs.readdirSync(dir), [path.basename(file.path)]);
+});
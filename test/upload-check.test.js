@@ -0,0 +1,116 @@
+// test/upload-check.test.js - content sniffing and upload limits (lib/upload-check.js)
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+const { PDFDocument } = require('pdf-lib');
+const { UploadError, sniffFormat, createUploadChecks } = require('../lib/upload-check');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'upload-check-'));
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+// upload: writes bytes to a temp file and returns a multer-like file for it
+let uploads = 0;
+function upload(name, bytes) {
+  const file = path.join(dir, `upload${++uploads}`);
+  fs.writeFileSync(file, bytes);
+  return { originalname: name, path: file, size: Buffer.byteLength(bytes), mimetype: 'application/octet-stream' };
+}
+
+const image = (format, width = 8, height = 4) => sharp({ create: { width, height, channels: 3, background: '#c00' } })[format]().toBuffer();
+
+async function pdfWithPages(n) {
+  const doc = await PDFDocument.create();
+  for (let i = 0; i < n; i++) doc.addPage();
+  return Buffer.from(await doc.save());
+}
+
+function bmpHeader(width, height) {
+  const head = Buffer.alloc(54);
+  head.write('BM', 0, 'latin1');
+  head.writeInt32LE(width, 18);
+  head.writeInt32LE(-height, 22);
+  return head;
+}
+
+const uploadError = (code, status) => err => err instanceof UploadError && err.code === code && err.status === status;
+
+test('sniffFormat goes by the leading bytes, not the name', async () => {
+  const sniff = (name, bytes) => sniffFormat(upload(name, bytes).path, name);
+  assert.equal(sniff('x.png', await image('jpeg')), 'jpeg');
+  assert.equal(sniff('x', await image('png')), 'png');
+  assert.equal(sniff('x.bin', await image('webp')), 'webp');
+  assert.equal(sniff('x.jpg', await pdfWithPages(1)), 'pdf');
+  assert.equal(sniff('x', bmpHeader(2, 2)), 'bmp');
+  assert.equal(sniff('x', '<?xml version="1.0"?>\n<svg xmlns="http://www.w3.org/2000/svg"/>'), 'svg');
+  assert.equal(sniff('x', '{\\rtf1 hello}'), 'rtf');
+  assert.equal(sniff('a.csv', 'a,b\n1,2\n'), 'csv');
+  assert.equal(sniff('a.txt', 'a,b\n1,2\n'), null);
+  assert.equal(sniff('a.bin', Buffer.from([0, 1, 2, 3, 4, 5])), null);
+});
+
+test('sniffFormat tells office formats apart by ZIP part names and OLE file names', () => {
+  const zip = part => Buffer.concat([Buffer.from('PK\x03\x04', 'latin1'), Buffer.alloc(26), Buffer.from(part, 'latin1'), Buffer.alloc(64)]);
+  assert.equal(sniffFormat(upload('a', zip('word/document.xml')).path), 'docx');
+  assert.equal(sniffFormat(upload('a', zip('xl/workbook.xml')).path), 'xlsx');
+  assert.equal(sniffFormat(upload('a', zip('photos/1.jpg')).path), null);
+  const ole = Buffer.concat([Buffer.from('D0CF11E0A1B11AE1', 'hex'), Buffer.alloc(512)]);
+  assert.equal(sniffFormat(upload('a.xls', ole).path, 'a.xls'), 'xls');
+  assert.equal(sniffFormat(upload('a.bin', ole).path, 'a.bin'), null);
+});
+
+test('checkFile sets the sniffed type and refuses unknown, mismatched and disallowed files', async () => {
+  const checks = createUploadChecks({ formats: ['png', 'jpeg', 'pdf'] });
+  const renamed = upload('scan.png', await image('jpeg'));
+  assert.equal(checks.checkFile(renamed), 'jpeg');
+  assert.equal(renamed.mimetype, 'image/jpeg');
+  assert.equal(renamed.originalname, 'scan.jpg');
+
+  assert.throws(() => checks.checkFile(upload('notes.txt', 'plain text')), uploadError('UNSUPPORTED_TYPE', 415));
+  const png = await image('png');
+  assert.throws(() => checks.checkFile(upload('report.pdf', png)), err => {
+    assert.ok(uploadError('TYPE_MISMATCH', 415)(err));
+    assert.equal(err.file, 'report.pdf');
+    assert.equal(err.format, 'png');
+    return true;
+  });
+  const webp = await image('webp');
+  assert.throws(() => checks.checkFile(upload('a.webp', webp)), uploadError('UNSUPPORTED_TYPE', 415));
+});
+
+test('checkImage counts pixels of every frame, reads BMP headers and refuses unreadable images', async () => {
+  const checks = createUploadChecks({ maxPixels: 100 });
+  const small = upload('small.png', await image('png', 10, 10));
+  checks.checkFile(small);
+  assert.equal(await checks.checkImage(sharp, small), 100);
+
+  const big = upload('big.png', await image('png', 11, 10));
+  checks.checkFile(big);
+  await assert.rejects(checks.checkImage(sharp, big), err => uploadError('TOO_MANY_PIXELS', 422)(err) && err.limit === 100 && err.actual === 110);
+
+  const bmp = upload('wide.bmp', bmpHeader(20, 10));
+  checks.checkFile(bmp);
+  await assert.rejects(checks.checkImage(null, bmp), uploadError('TOO_MANY_PIXELS', 422));
+
+  const broken = upload('broken.png', Buffer.concat([Buffer.from('89504E470D0A1A0A', 'hex'), Buffer.alloc(40, 7)]));
+  checks.checkFile(broken);
+  await assert.rejects(checks.checkImage(sharp, broken), err => uploadError('MALFORMED_IMAGE', 422)(err) && err.file === 'broken.png');
+});
+
+test('checkPdf counts pages and refuses unreadable or oversized PDFs', async () => {
+  const checks = createUploadChecks({ maxPages: 3 });
+  assert.equal(await checks.checkPdf(await pdfWithPages(3), 'three.pdf'), 3);
+  await assert.rejects(checks.checkPdf(await pdfWithPages(4), 'four.pdf'), err => uploadError('TOO_MANY_PAGES', 422)(err) && err.actual === 4);
+  await assert.rejects(checks.checkPdf(Buffer.from('%PDF-1.7\nnot really'), 'bad.pdf'), uploadError('MALFORMED_PDF', 422));
+});
+
+test('checkRequestSize adds up the uploads; 0 limits are off', () => {
+  const checks = createUploadChecks({ maxRequestBytes: 100 });
+  checks.checkRequestSize([{ size: 60 }, { size: 40 }]);
+  assert.throws(() => checks.checkRequestSize([{ size: 60 }, { size: 41 }]), err => uploadError('REQUEST_TOO_LARGE', 413)(err) && err.actual === 101 && err.file === null);
+  createUploadChecks().checkRequestSize([{ size: 1e12 }]);
+  assert.deepEqual(createUploadChecks({ formats: ['PNG', 'jpg', 'exe'] }).info().formats, ['png', 'jpeg']);
+});
@@ -0,0 +1,61 @@
+// test/worker-pool.test.js - queueing, crashes and task timeouts (lib/worker-pool.js)
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createWorkerPool, QueueFullError, TaskTimeoutError } = require('../lib/worker-pool');
+
+// a worker answering { ms, crash, value } tasks: waits ms (forever for -1), then crashes or echoes value
+const WORKER = `
+const { parentPort, threadId } = require('worker_threads');
+parentPort.on('message', ({ id, task }) => {
+  parentPort.postMessage({ id, type: 'progress', threadId });
+  if (task.ms < 0) return;
+  setTimeout(() => {
+    if (task.crash) process.exit(3);
+    parentPort.postMessage({ id, type: 'done', result: task.value });
+  }, task.ms);
+});
+`;
+
+function testPool(t, opts) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'worker-pool-'));
+  const script = path.join(dir, 'worker.js');
+  fs.writeFileSync(script, WORKER);
+  const pool = createWorkerPool(Object.assign({ script, size: 1, maxQueue: 1 }, opts));
+  t.after(async () => {
+    await pool.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+  return pool;
+}
+
+test('tasks run in order and a full queue refuses with QueueFullError', async t => {
+  const pool = testPool(t);
+  const first = pool.run({ ms: 50, value: 1 });
+  const second = pool.run({ ms: 0, value: 2 });
+  await assert.rejects(pool.run({ ms: 0, value: 3 }), err => err instanceof QueueFullError && err.retryAfter >= 1);
+  assert.deepEqual(await Promise.all([first, second]), [1, 2]);
+  assert.equal(pool.stats().completed, 2);
+});
+
+test('a crashed worker fails its task and is replaced', async t => {
+  const pool = testPool(t);
+  await assert.rejects(pool.run({ ms: 0, crash: true }), err => /exited with code 3/.test(err.message));
+  assert.equal(await pool.run({ ms: 0, value: 'again' }), 'again');
+});
+
+test('a task past taskTimeoutMs rejects with TaskTimeoutError and its worker is replaced', async t => {
+  const pool = testPool(t, { taskTimeoutMs: 100 });
+  const threads = [];
+  const onMessage = msg => threads.push(msg.threadId);
+  const stuck = pool.run({ ms: -1 }, { onMessage });
+  const next = pool.run({ ms: 0, value: 'next' }, { onMessage });
+  await assert.rejects(stuck, err => err instanceof TaskTimeoutError && err.code === 'TASK_TIMEOUT' && err.timeoutMs === 100);
+  assert.equal(await next, 'next');
+  assert.notEqual(threads[0], threads[1]);
+  assert.equal(pool.stats().timedOut, 1);
+  assert.equal(pool.stats().workers, 1);
+});